@@ -0,0 +1,28 @@
+// =================================================================
+// BATCHBOOK API | ATTACHMENT CONFIGURATION (config/attachments.js)
+// =================================================================
+
+import { readNonNegativeInt } from './env.js';
+
+const MB = 1024 * 1024;
+
+/**
+ * Returns the attachment settings.
+ *
+ * - ATTACHMENT_STORAGE_DRIVER: the storage backend to use (default 'local').
+ * - ATTACHMENT_STORAGE_DIR: the root directory of the local backend (default 'uploads').
+ * - ATTACHMENT_MAX_FILE_MB: the maximum size of a single upload (default 10).
+ * - ATTACHMENT_MAX_FILES: the maximum number of files per upload request (default 10).
+ * - ATTACHMENT_QUOTA_MB: the total attachment storage allowed per user (default 100).
+ *
+ * @returns {{driver: string, storageDir: string, maxFileBytes: number, maxFiles: number, quotaBytes: number}}
+ */
+const getAttachmentConfig = () => ({
+  driver: process.env.ATTACHMENT_STORAGE_DRIVER || 'local',
+  storageDir: process.env.ATTACHMENT_STORAGE_DIR || 'uploads',
+  maxFileBytes: readNonNegativeInt('ATTACHMENT_MAX_FILE_MB', 10) * MB,
+  maxFiles: readNonNegativeInt('ATTACHMENT_MAX_FILES', 10),
+  quotaBytes: readNonNegativeInt('ATTACHMENT_QUOTA_MB', 100) * MB,
+});
+
+export default getAttachmentConfig;
@@ -0,0 +1,35 @@
+// =================================================================
+// BATCHBOOK API | AUTHENTICATION CONFIGURATION (config/auth.js)
+// =================================================================
+
+import { readNonNegativeInt } from './env.js';
+
+/**
+ * Returns the token settings.
+ *
+ * - JWT_SECRET: the secret access tokens are signed with (required).
+ * - JWT_ACCESS_EXPIRES_IN: the lifetime of access tokens, in the `jsonwebtoken`
+ *   format (e.g. '15m', '1h'; default '15m'). Keep it short: an access token
+ *   stays usable until it expires, and clients renew it with their refresh token.
+ * - REFRESH_TOKEN_DAYS: how long a session lasts without being refreshed (default 30).
+ * - EMAIL_VERIFICATION_HOURS: how long an email verification link is valid (default 48).
+ * - PASSWORD_RESET_MINUTES: how long a password reset link is valid (default 60).
+ *
+ * @returns {{secret: string, accessTokenExpiresIn: string, refreshTokenTtlMs: number, emailVerificationTtlMs: number, passwordResetTtlMs: number}}
+ * @throws {Error} if JWT_SECRET is not set.
+ */
+const getAuthConfig = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT secret key is not configured. Please set JWT_SECRET.');
+  }
+
+  return {
+    secret: process.env.JWT_SECRET,
+    accessTokenExpiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+    refreshTokenTtlMs: Math.max(readNonNegativeInt('REFRESH_TOKEN_DAYS', 30), 1) * 24 * 60 * 60 * 1000,
+    emailVerificationTtlMs: Math.max(readNonNegativeInt('EMAIL_VERIFICATION_HOURS', 48), 1) * 60 * 60 * 1000,
+    passwordResetTtlMs: Math.max(readNonNegativeInt('PASSWORD_RESET_MINUTES', 60), 1) * 60 * 1000,
+  };
+};
+
+export default getAuthConfig;
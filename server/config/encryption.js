@@ -0,0 +1,62 @@
+// =================================================================
+// BATCHBOOK API | ENCRYPTION AT REST CONFIGURATION (config/encryption.js)
+// =================================================================
+
+// A key id is stored in every encrypted value, so it is kept short and simple.
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+// AES-256 master keys.
+const KEY_LENGTH = 32;
+
+/**
+ * Parses ENCRYPTION_KEYS, a comma-separated list of `<keyId>:<base64 key>` pairs.
+ * @throws {Error} if a key id or key is malformed.
+ */
+const parseKeys = (value) => {
+  const keys = new Map();
+  for (const pair of value.split(',').map((item) => item.trim()).filter(Boolean)) {
+    const separator = pair.indexOf(':');
+    const keyId = pair.slice(0, separator);
+    const key = Buffer.from(pair.slice(separator + 1), 'base64');
+    if (separator < 1 || !KEY_ID_PATTERN.test(keyId)) {
+      throw new Error('ENCRYPTION_KEYS must be a comma-separated list of <keyId>:<base64 key> pairs, with key ids of letters, digits, _ and -.');
+    }
+    if (key.length !== KEY_LENGTH) {
+      throw new Error(`Encryption key "${keyId}" must be ${KEY_LENGTH} bytes, Base64-encoded.`);
+    }
+    keys.set(keyId, key);
+  }
+  return keys;
+};
+
+/**
+ * Returns the settings for encrypting data at rest.
+ *
+ * - ENCRYPTION_KEYS: the master keys, as comma-separated `<keyId>:<base64 key>`
+ *   pairs of 32-byte keys (e.g. from `openssl rand -base64 32`). Without keys,
+ *   nothing is encrypted. Keep retired keys listed until re-encryption is done.
+ * - ENCRYPTION_ACTIVE_KEY: the id of the key new values are encrypted with
+ *   (default: the first key listed).
+ * - ENCRYPT_ENTRY_CONTENT: 'true' to also encrypt the content of entries and
+ *   their versions (default false). Encrypted content can no longer be matched
+ *   by keyword searches, which then only find titles and tags.
+ *
+ * GitHub access tokens are always encrypted when keys are configured.
+ *
+ * @returns {{keys: Map<string, Buffer>, activeKeyId: string|null, encryptEntryContent: boolean}}
+ * @throws {Error} if the keys are malformed or the active key is not among them.
+ */
+const getEncryptionConfig = () => {
+  const keys = parseKeys(process.env.ENCRYPTION_KEYS || '');
+  const activeKeyId = process.env.ENCRYPTION_ACTIVE_KEY || keys.keys().next().value || null;
+  if (activeKeyId && !keys.has(activeKeyId)) {
+    throw new Error(`ENCRYPTION_ACTIVE_KEY "${activeKeyId}" is not one of the ENCRYPTION_KEYS.`);
+  }
+
+  return {
+    keys,
+    activeKeyId,
+    encryptEntryContent: keys.size > 0 && process.env.ENCRYPT_ENTRY_CONTENT === 'true',
+  };
+};
+
+export default getEncryptionConfig;
@@ -0,0 +1,20 @@
+// =================================================================
+// BATCHBOOK API | ENVIRONMENT HELPERS (config/env.js)
+// =================================================================
+
+/**
+ * Reads a non-negative integer from an environment variable, falling back
+ * to a default when the variable is missing or malformed.
+ * Call this lazily (inside a function) so that it sees the environment
+ * after `dotenv.config()` has run in `server.js`.
+ *
+ * @param {string} name - The environment variable name.
+ * @param {number} fallback - The default to use.
+ * @returns {number}
+ */
+const readNonNegativeInt = (name, fallback) => {
+  const parsed = parseInt(process.env[name], 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+export { readNonNegativeInt };
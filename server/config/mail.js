@@ -0,0 +1,37 @@
+// =================================================================
+// BATCHBOOK API | MAIL CONFIGURATION (config/mail.js)
+// =================================================================
+
+import { readNonNegativeInt } from './env.js';
+
+/**
+ * Returns the outgoing mail settings.
+ *
+ * - MAIL_TRANSPORT: the transport to use (default 'log'): 'log' (subject lines
+ *   only), 'console' (whole messages, including their links), 'file', 'memory' or 'smtp'.
+ * - MAIL_FROM: the sender address (default 'Batchbook <no-reply@localhost>').
+ * - MAIL_DIR: where the 'file' transport writes messages, as .eml files (default 'tmp/mail').
+ * - FRONTEND_URL: the address of the web app, used for links in emails such as
+ *   email verification and password reset (default 'http://localhost:3000').
+ * - SMTP_HOST / SMTP_PORT: the SMTP server (default localhost:1025, where local
+ *   capture servers such as MailHog or Mailpit listen).
+ * - SMTP_SECURE: 'true' to connect over TLS (default false).
+ * - SMTP_USER / SMTP_PASS: credentials, if the server requires them.
+ *
+ * @returns {{driver: string, from: string, directory: string, appUrl: string, smtp: object}}
+ */
+const getMailConfig = () => ({
+  driver: process.env.MAIL_TRANSPORT || 'log',
+  from: process.env.MAIL_FROM || 'Batchbook <no-reply@localhost>',
+  directory: process.env.MAIL_DIR || 'tmp/mail',
+  appUrl: (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: readNonNegativeInt('SMTP_PORT', 1025),
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || null,
+  },
+});
+
+export default getMailConfig;
@@ -0,0 +1,24 @@
+// =================================================================
+// BATCHBOOK API | JOB SCHEDULER CONFIGURATION (config/scheduler.js)
+// =================================================================
+
+import { readNonNegativeInt } from './env.js';
+
+/**
+ * Returns the job scheduler settings.
+ *
+ * - SCHEDULER_POLL_SECONDS: how often the scheduler looks for due jobs (default 30; 0 disables it).
+ * - SCHEDULER_LOCK_TIMEOUT_MINUTES: after how long a running job is considered abandoned and may be run again (default 10).
+ * - SCHEDULER_MAX_ATTEMPTS: how many times a failing job is tried before it is marked as failed (default 5).
+ * - SCHEDULER_RETRY_DELAY_SECONDS: the delay before the first retry, doubled for each further one (default 60).
+ *
+ * @returns {{pollIntervalMs: number, lockTimeoutMs: number, maxAttempts: number, retryDelayMs: number}}
+ */
+const getSchedulerConfig = () => ({
+  pollIntervalMs: readNonNegativeInt('SCHEDULER_POLL_SECONDS', 30) * 1000,
+  lockTimeoutMs: readNonNegativeInt('SCHEDULER_LOCK_TIMEOUT_MINUTES', 10) * 60 * 1000,
+  maxAttempts: Math.max(readNonNegativeInt('SCHEDULER_MAX_ATTEMPTS', 5), 1),
+  retryDelayMs: readNonNegativeInt('SCHEDULER_RETRY_DELAY_SECONDS', 60) * 1000,
+});
+
+export default getSchedulerConfig;
@@ -0,0 +1,20 @@
+// =================================================================
+// BATCHBOOK API | TRASH CONFIGURATION (config/trash.js)
+// =================================================================
+
+import { readNonNegativeInt } from './env.js';
+
+/**
+ * Returns the trash bin settings.
+ *
+ * - TRASH_RETENTION_DAYS: how long a deleted entry stays in the trash before it is purged (default 30).
+ * - TRASH_PURGE_INTERVAL_MINUTES: how often the background purge job runs (default 60).
+ *
+ * @returns {{retentionDays: number, purgeIntervalMs: number}}
+ */
+const getTrashConfig = () => ({
+  retentionDays: readNonNegativeInt('TRASH_RETENTION_DAYS', 30),
+  purgeIntervalMs: readNonNegativeInt('TRASH_PURGE_INTERVAL_MINUTES', 60) * 60 * 1000,
+});
+
+export default getTrashConfig;
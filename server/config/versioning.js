@@ -0,0 +1,25 @@
+// =================================================================
+// BATCHBOOK API | VERSION HISTORY CONFIGURATION (config/versioning.js)
+// =================================================================
+
+import { readNonNegativeInt } from './env.js';
+
+/**
+ * Returns the version history settings. Values are read lazily so that they
+ * reflect the environment after `dotenv.config()` has run in `server.js`.
+ *
+ * - VERSION_COALESCE_WINDOW_SECONDS: autosaves within this window share one snapshot (default 300).
+ * - VERSION_KEEP_LAST: default number of most recent automatic versions kept per entry (default 50).
+ * - VERSION_KEEP_DAILY_DAYS: default number of days for which one automatic version per day is kept (default 30).
+ * - VERSION_PRUNE_INTERVAL_MINUTES: how often the background pruner runs (default 60).
+ *
+ * @returns {{coalesceWindowMs: number, keepLast: number, keepDailyDays: number, pruneIntervalMs: number}}
+ */
+const getVersioningConfig = () => ({
+  coalesceWindowMs: readNonNegativeInt('VERSION_COALESCE_WINDOW_SECONDS', 300) * 1000,
+  keepLast: readNonNegativeInt('VERSION_KEEP_LAST', 50),
+  keepDailyDays: readNonNegativeInt('VERSION_KEEP_DAILY_DAYS', 30),
+  pruneIntervalMs: readNonNegativeInt('VERSION_PRUNE_INTERVAL_MINUTES', 60) * 60 * 1000,
+});
+
+export default getVersioningConfig;
@@ -0,0 +1,337 @@
+// =================================================================
+// BATCHBOOK API | ANALYTICS CONTROLLERS (controllers/analyticsController.js)
+// =================================================================
+
+// -----------------------------------------------------------------
+// IMPORTS
+// -----------------------------------------------------------------
+
+import asyncHandler from 'express-async-handler';
+import Entry, { MOODS } from '../models/Entry.js';
+import { applyNotebookFilter } from '../utils/entryFilters.js';
+import { resolveTimeZone, buildDateRange, startOfDayInZone, formatDateInZone, addDays } from '../utils/timezone.js';
+import { MOOD_SCORES, averageMoodScore, findMoodRuns } from '../utils/moodAnalytics.js';
+import { normalizeTags, tagAncestry } from '../utils/tags.js';
+import { GOALS, countActivityByDay, getGoalProgress, getStreaks } from '../utils/writingProgress.js';
+
+// The time series intervals, mapped to their `$dateToString` bucket formats.
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V', // ISO week, e.g. 2026-W38
+  month: '%Y-%m',
+};
+
+// The default minimum number of entries for a tag to appear in the mood correlation.
+const DEFAULT_MIN_TAG_ENTRIES = 3;
+
+// The default and maximum number of days covered by the activity heatmap.
+const DEFAULT_HEATMAP_DAYS = 365;
+const MAX_HEATMAP_DAYS = 366 * 5;
+
+// -----------------------------------------------------------------
+// HELPER FUNCTIONS
+// -----------------------------------------------------------------
+
+/**
+ * Builds the entry filter and time zone shared by the analytics endpoints:
+ * the user's live entries, limited to the `from`/`to` calendar days (in the
+ * user's time zone, or `tz`) and optionally to a notebook.
+ *
+ * @returns {Promise<{filter: object, timeZone: string}>}
+ */
+const buildAnalyticsScope = async (req, res) => {
+  const timeZone = resolveTimeZone(req, res);
+  const filter = { user: req.user._id, deletedAt: null };
+
+  const createdAt = buildDateRange(req.query, timeZone, res);
+  if (createdAt) filter.createdAt = createdAt;
+
+  await applyNotebookFilter(filter, req);
+  return { filter, timeZone };
+};
+
+/**
+ * Counts entries per mood in each period, with periods bucketed in a time zone.
+ * @param {object} filter - The entry filter.
+ * @param {string} format - A `$dateToString` format for the period.
+ * @param {string} timeZone - The IANA time zone name.
+ * @returns {Promise<Array<{period: string, counts: object}>>} Periods in ascending order.
+ */
+const countMoodsByPeriod = async (filter, format, timeZone) => {
+  const buckets = await Entry.aggregate([
+    { $match: { ...filter, mood: { $in: MOODS } } },
+    {
+      $group: {
+        _id: { period: { $dateToString: { date: '$createdAt', format, timezone: timeZone } }, mood: '$mood' },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { '_id.period': 1 } },
+  ]);
+
+  const periods = new Map();
+  for (const { _id, count } of buckets) {
+    if (!periods.has(_id.period)) periods.set(_id.period, {});
+    periods.get(_id.period)[_id.mood] = count;
+  }
+  return [...periods.entries()].map(([period, counts]) => ({ period, counts }));
+};
+
+// -----------------------------------------------------------------
+// CONTROLLER FUNCTIONS
+// -----------------------------------------------------------------
+
+/**
+ * @desc    Get the distribution of moods over a date range
+ * @route   GET /api/analytics/moods?from=YYYY-MM-DD&to=YYYY-MM-DD&tz=&notebook=
+ * @access  Private
+ *
+ * `from` and `to` are inclusive calendar days in the user's time zone (or `tz`).
+ * `trackedEntries` counts the entries in range with a mood, which the shares
+ * are relative to, and `untracked` those without one.
+ */
+const getMoodDistribution = asyncHandler(async (req, res) => {
+  const { filter, timeZone } = await buildAnalyticsScope(req, res);
+
+  const counts = await Entry.aggregate([
+    { $match: filter },
+    { $group: { _id: '$mood', count: { $sum: 1 } } },
+  ]);
+  const countByMood = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+
+  const tracked = MOODS.reduce((sum, mood) => sum + (countByMood[mood] || 0), 0);
+  const untracked = counts.reduce((sum, { count }) => sum + count, 0) - tracked;
+
+  res.status(200).json({
+    timeZone,
+    trackedEntries: tracked,
+    untracked,
+    averageScore: averageMoodScore(countByMood),
+    distribution: MOODS.map((mood) => ({
+      mood,
+      count: countByMood[mood] || 0,
+      share: tracked > 0 ? Math.round(((countByMood[mood] || 0) / tracked) * 1000) / 1000 : 0,
+    })),
+  });
+});
+
+
+/**
+ * @desc    Get a mood time series per day, week or month
+ * @route   GET /api/analytics/moods/timeline?interval=day|week|month&from=&to=&tz=&notebook=
+ * @access  Private
+ *
+ * Each period has its mood `counts`, `total` and `averageScore` (from -1 for
+ * all-negative to 1 for all-positive). Periods without entries are omitted.
+ */
+const getMoodTimeline = asyncHandler(async (req, res) => {
+  const interval = req.query.interval || 'day';
+  const format = INTERVAL_FORMATS[interval];
+  if (!format) {
+    res.status(400);
+    throw new Error(`Invalid interval. Must be one of ${Object.keys(INTERVAL_FORMATS).join(', ')}.`);
+  }
+
+  const { filter, timeZone } = await buildAnalyticsScope(req, res);
+  const periods = await countMoodsByPeriod(filter, format, timeZone);
+
+  res.status(200).json({
+    timeZone,
+    interval,
+    series: periods.map(({ period, counts }) => ({
+      period,
+      counts,
+      total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+      averageScore: averageMoodScore(counts),
+    })),
+  });
+});
+
+
+/**
+ * @desc    Get how moods correlate with tags
+ * @route   GET /api/analytics/moods/tags?minEntries=3&from=&to=&tz=&notebook=
+ * @access  Private
+ *
+ * For each tag used on at least `minEntries` entries with a mood: the mood
+ * counts, the tag's `averageScore`, and `scoreDelta`, its difference from the
+ * average over all entries in range. Tags are compared in normalized form, and
+ * an entry counts towards each of its tags' ancestors too (`work/projecta` also
+ * counts for `work`), once per tag. Tags are ordered from the most positive to
+ * the most negative delta.
+ */
+const getMoodTagCorrelation = asyncHandler(async (req, res) => {
+  const minEntries = Math.max(parseInt(req.query.minEntries, 10) || DEFAULT_MIN_TAG_ENTRIES, 1);
+  const { filter, timeZone } = await buildAnalyticsScope(req, res);
+  const match = { ...filter, mood: { $in: MOODS } };
+
+  const [overall, taggedEntries] = await Promise.all([
+    Entry.aggregate([{ $match: match }, { $group: { _id: '$mood', count: { $sum: 1 } } }]),
+    Entry.find({ ...match, 'tags.0': { $exists: true } }).select('tags mood').lean(),
+  ]);
+
+  const overallAverage = averageMoodScore(Object.fromEntries(overall.map(({ _id, count }) => [_id, count])));
+
+  const countsByTag = new Map();
+  for (const entry of taggedEntries) {
+    for (const tag of new Set(normalizeTags(entry.tags).flatMap(tagAncestry))) {
+      if (!countsByTag.has(tag)) countsByTag.set(tag, {});
+      const counts = countsByTag.get(tag);
+      counts[entry.mood] = (counts[entry.mood] || 0) + 1;
+    }
+  }
+
+  const tags = [];
+  for (const [tag, counts] of countsByTag) {
+    const entries = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    if (entries < minEntries) continue;
+
+    const share = (valence) =>
+      Math.round(
+        (Object.entries(counts)
+          .filter(([mood]) => Math.sign(MOOD_SCORES[mood]) === valence)
+          .reduce((sum, [, count]) => sum + count, 0) /
+          entries) *
+          1000
+      ) / 1000;
+
+    const averageScore = averageMoodScore(counts);
+    tags.push({
+      tag,
+      entries,
+      counts,
+      averageScore,
+      scoreDelta: Math.round((averageScore - overallAverage) * 100) / 100,
+      positiveShare: share(1),
+      negativeShare: share(-1),
+    });
+  }
+  tags.sort((a, b) => b.scoreDelta - a.scoreDelta || b.entries - a.entries);
+
+  res.status(200).json({ timeZone, overallAverageScore: overallAverage, minEntries, tags });
+});
+
+
+/**
+ * @desc    Get the longest runs of positive and negative days
+ * @route   GET /api/analytics/moods/runs?from=&to=&tz=&notebook=
+ * @access  Private
+ *
+ * A day is positive or negative by the average mood of its entries, with days
+ * bucketed in the user's time zone; a day without entries (or a neutral day)
+ * ends a run. `current` is the run the most recent day with entries belongs to.
+ */
+const getMoodRuns = asyncHandler(async (req, res) => {
+  const { filter, timeZone } = await buildAnalyticsScope(req, res);
+  const days = await countMoodsByPeriod(filter, INTERVAL_FORMATS.day, timeZone);
+
+  const runs = findMoodRuns(days.map(({ period, counts }) => ({ date: period, score: averageMoodScore(counts) })));
+  res.status(200).json({ timeZone, ...runs });
+});
+
+
+/**
+ * @desc    Get the current and longest writing streaks
+ * @route   GET /api/analytics/streaks?tz=
+ * @access  Private
+ *
+ * A streak is a run of consecutive days (in the user's time zone) with at
+ * least one entry. The current streak is kept until a full day passes without
+ * an entry.
+ */
+const getWritingStreaks = asyncHandler(async (req, res) => {
+  const timeZone = resolveTimeZone(req, res);
+  res.status(200).json(await getStreaks(req.user, { timeZone }));
+});
+
+
+/**
+ * @desc    Get the user's writing goals and today's / this week's progress
+ * @route   GET /api/analytics/goals?tz=
+ * @access  Private
+ */
+const getGoals = asyncHandler(async (req, res) => {
+  const timeZone = resolveTimeZone(req, res);
+  res.status(200).json(await getGoalProgress(req.user, { timeZone }));
+});
+
+
+/**
+ * @desc    Set or clear writing goals
+ * @route   PUT /api/analytics/goals
+ * @access  Private
+ *
+ * Body: `{ entriesPerWeek, wordsPerDay }`, each a positive integer, or null to
+ * clear it. Omitted goals are left unchanged. A `goalReached` socket event is
+ * sent when a goal is first met in a day (words) or ISO week (entries).
+ */
+const updateGoals = asyncHandler(async (req, res) => {
+  for (const goal of GOALS) {
+    const value = req.body[goal];
+    if (value === undefined) continue;
+    if (value !== null && (!Number.isInteger(value) || value < 1)) {
+      res.status(400);
+      throw new Error(`${goal} must be a positive integer, or null to clear the goal.`);
+    }
+    req.user.goals[goal] = value;
+  }
+
+  await req.user.save();
+  res.status(200).json(await getGoalProgress(req.user, { timeZone: resolveTimeZone(req, res) }));
+});
+
+
+/**
+ * @desc    Get a calendar heatmap of entries and words per day
+ * @route   GET /api/analytics/heatmap?from=YYYY-MM-DD&to=YYYY-MM-DD&tz=
+ * @access  Private
+ *
+ * Covers the last 365 days by default. Only days with entries are listed;
+ * `maxEntries` and `maxWords` help clients scale their colours.
+ */
+const getActivityHeatmap = asyncHandler(async (req, res) => {
+  const timeZone = resolveTimeZone(req, res);
+  const to = req.query.to || formatDateInZone(new Date(), timeZone);
+  if (!startOfDayInZone(to, timeZone)) {
+    res.status(400);
+    throw new Error('Invalid to date. Please use YYYY-MM-DD.');
+  }
+  const from = req.query.from || addDays(to, 1 - DEFAULT_HEATMAP_DAYS);
+
+  const createdAt = buildDateRange({ from, to }, timeZone, res);
+  if (createdAt.$gte >= createdAt.$lt) {
+    res.status(400);
+    throw new Error('The from date must not be after the to date.');
+  }
+  if (createdAt.$gte < startOfDayInZone(addDays(to, 1 - MAX_HEATMAP_DAYS), timeZone)) {
+    res.status(400);
+    throw new Error(`A heatmap can cover at most ${MAX_HEATMAP_DAYS} days.`);
+  }
+
+  const days = await countActivityByDay(req.user._id, timeZone, createdAt);
+
+  res.status(200).json({
+    timeZone,
+    from,
+    to,
+    maxEntries: Math.max(0, ...days.map((day) => day.entries)),
+    maxWords: Math.max(0, ...days.map((day) => day.words)),
+    days,
+  });
+});
+
+
+// -----------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------
+
+export {
+  getMoodDistribution,
+  getMoodTimeline,
+  getMoodTagCorrelation,
+  getMoodRuns,
+  getWritingStreaks,
+  getGoals,
+  updateGoals,
+  getActivityHeatmap,
+};
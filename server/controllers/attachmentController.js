@@ -0,0 +1,165 @@
+// =================================================================
+// BATCHBOOK API | ATTACHMENT CONTROLLERS (controllers/attachmentController.js)
+// =================================================================
+
+// -----------------------------------------------------------------
+// IMPORTS
+// -----------------------------------------------------------------
+
+import asyncHandler from 'express-async-handler';
+import crypto from 'crypto';
+import Entry from '../models/Entry.js';
+import getAttachmentConfig from '../config/attachments.js';
+import { getStorage } from '../storage/index.js';
+import { getStorageUsage, reserveStorage, releaseStorage } from '../utils/storageQuota.js';
+
+// -----------------------------------------------------------------
+// HELPER FUNCTIONS
+// -----------------------------------------------------------------
+
+/**
+ * Loads a live entry owned by the logged-in user, or throws a 404.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @returns {Promise<object>} The entry document.
+ */
+const findOwnedEntry = async (req, res) => {
+  const entry = await Entry.findOne({ _id: req.params.id, user: req.user._id, deletedAt: null });
+  if (!entry) {
+    res.status(404);
+    throw new Error('Journal entry not found.');
+  }
+  return entry;
+};
+
+// -----------------------------------------------------------------
+// CONTROLLER FUNCTIONS
+// -----------------------------------------------------------------
+
+/**
+ * @desc    Upload one or more files (multipart field `files`) and attach them to an entry
+ * @route   POST /api/entries/:id/attachments
+ * @access  Private
+ */
+const addAttachments = asyncHandler(async (req, res) => {
+  const entry = await findOwnedEntry(req, res);
+  const files = req.files || [];
+
+  if (files.length === 0) {
+    res.status(400);
+    throw new Error('Please provide at least one file in the "files" field.');
+  }
+
+  // 1. Reserve the space within the per-user quota
+  const { quotaBytes } = getAttachmentConfig();
+  const incomingBytes = files.reduce((sum, file) => sum + file.size, 0);
+  const usedBytes = await reserveStorage(req.user._id, incomingBytes, quotaBytes);
+  if (usedBytes === null) {
+    const currentBytes = await getStorageUsage(req.user._id);
+    res.status(413);
+    throw new Error(`Attachment quota exceeded: ${currentBytes + incomingBytes} of ${quotaBytes} bytes.`);
+  }
+
+  // 2. Store the files, then record their metadata on the entry
+  const storage = getStorage();
+  const storedKeys = [];
+  try {
+    for (const file of files) {
+      const storageKey = `${req.user._id}/${entry._id}/${crypto.randomUUID()}`;
+      await storage.put(storageKey, file.buffer, file.mimetype);
+      storedKeys.push(storageKey);
+      entry.attachments.push({
+        filename: file.originalname,
+        contentType: file.mimetype,
+        size: file.size,
+        storageKey,
+      });
+    }
+    await entry.save();
+  } catch (error) {
+    // Don't leave unreferenced files behind, and give the reserved space back
+    await Promise.all(storedKeys.map((key) => storage.remove(key).catch(() => {})));
+    await releaseStorage(req.user._id, incomingBytes);
+    throw error;
+  }
+
+  const added = entry.attachments.slice(-files.length);
+  res.status(201).json({
+    attachments: added,
+    usage: { usedBytes, quotaBytes },
+  });
+});
+
+
+/**
+ * @desc    List the attachments of an entry, with the user's storage usage
+ * @route   GET /api/entries/:id/attachments
+ * @access  Private
+ */
+const getAttachments = asyncHandler(async (req, res) => {
+  const entry = await findOwnedEntry(req, res);
+  const { quotaBytes } = getAttachmentConfig();
+
+  res.status(200).json({
+    attachments: entry.attachments,
+    usage: { usedBytes: await getStorageUsage(req.user._id), quotaBytes },
+  });
+});
+
+
+/**
+ * @desc    Download an attachment
+ * @route   GET /api/entries/:id/attachments/:attachmentId
+ * @access  Private
+ */
+const downloadAttachment = asyncHandler(async (req, res, next) => {
+  const entry = await findOwnedEntry(req, res);
+  const attachment = entry.attachments.id(req.params.attachmentId);
+
+  if (!attachment) {
+    res.status(404);
+    throw new Error('Attachment not found.');
+  }
+
+  res.attachment(attachment.filename);
+  res.setHeader('Content-Type', attachment.contentType);
+  res.setHeader('Content-Length', attachment.size);
+
+  const stream = getStorage().createReadStream(attachment.storageKey);
+  stream.on('error', () => {
+    res.status(404);
+    next(new Error('Attachment file is missing from storage.'));
+  });
+  stream.pipe(res);
+});
+
+
+/**
+ * @desc    Delete an attachment from an entry
+ * @route   DELETE /api/entries/:id/attachments/:attachmentId
+ * @access  Private
+ */
+const deleteAttachment = asyncHandler(async (req, res) => {
+  const entry = await findOwnedEntry(req, res);
+  const attachment = entry.attachments.id(req.params.attachmentId);
+
+  if (!attachment) {
+    res.status(404);
+    throw new Error('Attachment not found.');
+  }
+
+  const { storageKey, size } = attachment;
+  attachment.deleteOne();
+  await entry.save();
+  await getStorage().remove(storageKey);
+  await releaseStorage(req.user._id, size);
+
+  res.status(200).json({ message: 'Attachment successfully deleted.' });
+});
+
+
+// -----------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------
+
+export { addAttachments, getAttachments, downloadAttachment, deleteAttachment };
@@ -7,22 +7,50 @@
 // -----------------------------------------------------------------
 
 import asyncHandler from 'express-async-handler';
-import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
+import {
+  createSession,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+} from '../utils/tokenService.js';
+import { describeUserAgent } from '../utils/userAgent.js';
+import { consumeUserToken, wasRecentlyIssued } from '../utils/userTokens.js';
+import { sendVerificationEmail, sendPasswordResetEmail } from '../utils/accountEmails.js';
+
+// The shortest accepted password (as enforced by the User model).
+const MIN_PASSWORD_LENGTH = 6;
 
 // -----------------------------------------------------------------
-// HELPER FUNCTION - GENERATE JWT
+// HELPER FUNCTIONS
 // -----------------------------------------------------------------
 
 /**
- * Generates a signed JSON Web Token.
- * @param {string} id The user ID to embed in the token payload.
- * @returns {string} The signed JWT.
+ * A session as returned to the client. `current` marks the session of the request.
  */
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d', // Use expiry from .env or default to 7 days
-  });
+const describeSession = (session, currentSessionId) => ({
+  _id: session._id,
+  device: describeUserAgent(session.userAgent),
+  userAgent: session.userAgent,
+  ip: session.ip,
+  lastSeenAt: session.lastSeenAt,
+  createdAt: session.createdAt,
+  expiresAt: session.expiresAt,
+  current: session._id.equals(currentSessionId),
+});
+
+/**
+ * Sends a verification email without failing the request: the user can ask
+ * for another one with `POST /api/auth/verify-email/resend`.
+ */
+const trySendVerificationEmail = async (user) => {
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error(`Verification email failed: ${error.message}`);
+  }
 };
 
 
@@ -34,6 +62,8 @@ const generateToken = (id) => {
  * @desc    Register a new user
  * @route   POST /api/auth/register
  * @access  Public
+ *
+ * Also sends a link to verify the email address (see `POST /api/auth/verify-email`).
  */
 const registerUser = asyncHandler(async (req, res) => {
   const { name, email, password } = req.body;
@@ -59,13 +89,16 @@ const registerUser = asyncHandler(async (req, res) => {
     password,
   });
 
-  // 4. Respond with user data and token if creation is successful
+  // 4. Respond with user data and a new session's tokens if creation is successful
   if (user) {
+    await trySendVerificationEmail(user);
     res.status(201).json({
       _id: user._id,
       name: user.name,
       email: user.email,
-      token: generateToken(user._id),
+      emailVerified: user.emailVerified,
+      role: user.role,
+      ...(await createSession(user, req)),
     });
   } else {
     res.status(400);
@@ -78,6 +111,9 @@ const registerUser = asyncHandler(async (req, res) => {
  * @desc    Authenticate a user (login)
  * @route   POST /api/auth/login
  * @access  Public
+ *
+ * Starts a session. The response carries a short-lived access token (`token`,
+ * expiring at `tokenExpiresAt`) and a `refreshToken` to renew it with.
  */
 const loginUser = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
@@ -91,13 +127,15 @@ const loginUser = asyncHandler(async (req, res) => {
   // 2. Find user by email, ensuring the password field is included
   const user = await User.findOne({ email }).select('+password');
 
-  // 3. Check if user exists and if the password matches
+  // 3. Check if user exists and if the password matches, then start a session
   if (user && (await user.matchPassword(password))) {
     res.json({
       _id: user._id,
       name: user.name,
       email: user.email,
-      token: generateToken(user._id),
+      emailVerified: user.emailVerified,
+      role: user.role,
+      ...(await createSession(user, req)),
     });
   } else {
     // Use a generic error message for security
@@ -122,6 +160,7 @@ const getCurrentUser = asyncHandler(async (req, res) => {
       _id: user._id,
       name: user.name,
       email: user.email,
+      emailVerified: user.emailVerified,
       role: user.role,
     });
   } else {
@@ -131,8 +170,229 @@ const getCurrentUser = asyncHandler(async (req, res) => {
 });
 
 
+/**
+ * @desc    Exchange a refresh token for new tokens
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ *
+ * Body: `{ refreshToken }`. Returns a new access token and a new refresh token;
+ * the one sent can no longer be used. Sending it again ends the session.
+ */
+const refreshTokens = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    res.status(400);
+    throw new Error('Please provide a refresh token');
+  }
+
+  const tokens = await refreshSession(refreshToken);
+  if (!tokens) {
+    res.status(401);
+    throw new Error('Invalid or expired refresh token. Please log in again.');
+  }
+  res.status(200).json(tokens);
+});
+
+
+/**
+ * @desc    Log out of the current session
+ * @route   POST /api/auth/logout
+ * @access  Private
+ *
+ * Revokes the session of the access token used, along with its refresh token.
+ */
+const logoutUser = asyncHandler(async (req, res) => {
+  await revokeSession(req.user._id, req.authSession._id);
+  res.status(200).json({ message: 'Logged out successfully.' });
+});
+
+
+/**
+ * @desc    Log out of all sessions, on every device
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+const logoutAllSessions = asyncHandler(async (req, res) => {
+  const revokedCount = await revokeAllSessions(req.user._id);
+  res.status(200).json({ message: `Logged out of ${revokedCount} session${revokedCount === 1 ? '' : 's'}.`, revokedCount });
+});
+
+
+/**
+ * @desc    List the user's active sessions (logged-in devices)
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ *
+ * Each session has its `device` (e.g. "Firefox on Windows"), `userAgent`, the
+ * `ip` it was last used from, `lastSeenAt` (to within a few minutes) and
+ * `createdAt` (when it logged in). The session making the request is marked `current`.
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await listSessions(req.user._id);
+  res.status(200).json(sessions.map((session) => describeSession(session, req.authSession._id)));
+});
+
+
+/**
+ * @desc    Revoke one of the user's sessions
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ *
+ * The session's tokens stop working at once and its live socket connections
+ * are disconnected. Revoking the current session is the same as logging out.
+ */
+const deleteSession = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id) || !(await revokeSession(req.user._id, id))) {
+    res.status(404);
+    throw new Error('Session not found or already ended.');
+  }
+  res.status(200).json({ message: 'Session revoked.', sessionId: id });
+});
+
+
+/**
+ * @desc    Verify an email address with the token from a verification email
+ * @route   POST /api/auth/verify-email
+ * @access  Public
+ *
+ * Body: `{ token }`. A token works once, and only while the account still has
+ * the address it was sent to.
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+  if (!token) {
+    res.status(400);
+    throw new Error('Please provide a verification token');
+  }
+
+  const userToken = await consumeUserToken(token, 'emailVerification');
+  const user = userToken && (await User.findById(userToken.user));
+  if (!user || user.email !== userToken.email) {
+    res.status(400);
+    throw new Error('Invalid or expired verification link. Please request a new one.');
+  }
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+  }
+  res.status(200).json({ message: 'Email address verified.', email: user.email, emailVerified: true });
+});
+
+
+/**
+ * @desc    Send another verification email to the logged-in user
+ * @route   POST /api/auth/verify-email/resend
+ * @access  Private
+ *
+ * Earlier verification links stop working. At most one email is sent per minute.
+ */
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  if (req.user.emailVerified) {
+    res.status(400);
+    throw new Error('Your email address is already verified.');
+  }
+  if (await wasRecentlyIssued(req.user._id, 'emailVerification')) {
+    res.status(429);
+    throw new Error('A verification email was sent less than a minute ago. Please check your inbox.');
+  }
+
+  try {
+    await sendVerificationEmail(req.user);
+  } catch (error) {
+    console.error(`Verification email failed: ${error.message}`);
+    res.status(502);
+    throw new Error('The verification email could not be sent. Please try again later.');
+  }
+  res.status(200).json({ message: `Verification email sent to ${req.user.email}.` });
+});
+
+
+/**
+ * @desc    Request a password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ *
+ * Body: `{ email }`. The response is the same whether or not an account uses
+ * the address, so it cannot be used to find out who has an account.
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  if (!email || typeof email !== 'string') {
+    res.status(400);
+    throw new Error('Please provide an email address');
+  }
+
+  // Looked up and sent after responding, so the response time does not tell whether the
+  // account exists. At most one email per minute, silently, for the same reason.
+  const sendResetLink = async () => {
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (user && !(await wasRecentlyIssued(user._id, 'passwordReset'))) {
+      await sendPasswordResetEmail(user);
+    }
+  };
+  sendResetLink().catch((error) => console.error(`Password reset email failed: ${error.message}`));
+
+  res.status(200).json({ message: 'If an account uses this email address, a password reset link has been sent to it.' });
+});
+
+
+/**
+ * @desc    Choose a new password with the token from a password reset email
+ * @route   POST /api/auth/reset-password
+ * @access  Public
+ *
+ * Body: `{ token, password }`. A token works once. Resetting the password logs
+ * out every session, and also verifies the email address the link was sent to.
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+  if (!token || !password) {
+    res.status(400);
+    throw new Error('Please provide the reset token and a new password');
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    res.status(400);
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+
+  const userToken = await consumeUserToken(token, 'passwordReset');
+  const user = userToken && (await User.findById(userToken.user));
+  if (!user || user.email !== userToken.email) {
+    res.status(400);
+    throw new Error('Invalid or expired password reset link. Please request a new one.');
+  }
+
+  // The pre-save hook in the User model hashes the new password
+  user.password = password;
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+  await revokeAllSessions(user._id);
+
+  res.status(200).json({ message: 'Your password has been reset. Please log in with your new password.' });
+});
+
+
 // -----------------------------------------------------------------
 // EXPORT
 // -----------------------------------------------------------------
 
-export { registerUser, loginUser, getCurrentUser };
+export {
+  registerUser,
+  loginUser,
+  getCurrentUser,
+  refreshTokens,
+  logoutUser,
+  logoutAllSessions,
+  getSessions,
+  deleteSession,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+};
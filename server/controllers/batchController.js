@@ -0,0 +1,252 @@
+// =================================================================
+// BATCHBOOK API | BATCH OPERATIONS CONTROLLER (controllers/batchController.js)
+// =================================================================
+
+// -----------------------------------------------------------------
+// IMPORTS
+// -----------------------------------------------------------------
+
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import Entry, { MOODS } from '../models/Entry.js';
+import Notebook from '../models/Notebook.js';
+import { buildSearchFilter } from '../utils/entryFilters.js';
+import { hasVersionedChanges, recordVersion } from '../utils/versionHistory.js';
+import { sanitizeEntry } from '../utils/jsonExporter.js';
+import { normalizeTag, normalizeTags } from '../utils/tags.js';
+
+// -----------------------------------------------------------------
+// CONSTANTS
+// -----------------------------------------------------------------
+
+const BATCH_ACTIONS = ['addTags', 'removeTags', 'setMood', 'move', 'delete', 'export'];
+
+// The maximum number of entries a single batch request may target.
+const MAX_BATCH_SIZE = 500;
+
+// -----------------------------------------------------------------
+// HELPER FUNCTIONS
+// -----------------------------------------------------------------
+
+/**
+ * Applies a mutating batch action to an entry document in memory. Tags are
+ * compared in normalized form, so tags stored before normalization still match.
+ * @param {object} entry - The Mongoose entry document.
+ * @param {string} action - One of BATCH_ACTIONS (except 'export').
+ * @param {object} params - The validated action parameters.
+ */
+const applyAction = (entry, action, params) => {
+  switch (action) {
+    case 'addTags': {
+      const existing = new Set(entry.tags.map(normalizeTag));
+      entry.tags = [...entry.tags, ...params.tags.filter((tag) => !existing.has(tag))];
+      break;
+    }
+    case 'removeTags':
+      entry.tags = entry.tags.filter((tag) => !params.tags.includes(normalizeTag(tag)));
+      break;
+    case 'setMood':
+      entry.mood = params.mood;
+      break;
+    case 'move':
+      entry.notebook = params.notebook;
+      break;
+    case 'delete':
+      entry.deletedAt = new Date();
+      break;
+    default:
+      throw new Error(`Unsupported batch action: ${action}`);
+  }
+};
+
+/**
+ * Validates and normalizes the parameters of a batch action.
+ * @returns {Promise<object>} The normalized parameters.
+ */
+const validateParams = async (action, params, req, res) => {
+  switch (action) {
+    case 'addTags':
+    case 'removeTags': {
+      const tags = Array.isArray(params.tags) ? normalizeTags(params.tags) : [];
+      if (tags.length === 0) {
+        res.status(400);
+        throw new Error(`The ${action} action requires a non-empty "params.tags" array.`);
+      }
+      return { tags };
+    }
+    case 'setMood':
+      if (!MOODS.includes(params.mood)) {
+        res.status(400);
+        throw new Error(`The setMood action requires "params.mood" to be one of ${MOODS.join(', ')}.`);
+      }
+      return { mood: params.mood };
+    case 'move': {
+      const notebook = params.notebook || null;
+      if (notebook && !(mongoose.Types.ObjectId.isValid(notebook) && (await Notebook.exists({ _id: notebook, user: req.user._id })))) {
+        res.status(404);
+        throw new Error('Notebook not found.');
+      }
+      return { notebook };
+    }
+    default:
+      return {};
+  }
+};
+
+/**
+ * Resolves the entries targeted by a batch request, from either an explicit
+ * list of IDs or a search filter using the same parameters as `searchEntries`.
+ * @returns {Promise<{entries: Array<object>, missingIds: Array<string>}>}
+ */
+const resolveTargets = async ({ ids, filter }, req, res, session) => {
+  if (Boolean(ids) === Boolean(filter)) {
+    res.status(400);
+    throw new Error('Please provide either "ids" or "filter", but not both.');
+  }
+
+  if (ids) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      res.status(400);
+      throw new Error('"ids" must be a non-empty array of entry IDs.');
+    }
+    const uniqueIds = [...new Set(ids.map(String))];
+    if (uniqueIds.length > MAX_BATCH_SIZE) {
+      res.status(400);
+      throw new Error(`A batch can target at most ${MAX_BATCH_SIZE} entries.`);
+    }
+
+    const validIds = uniqueIds.filter((id) => mongoose.Types.ObjectId.isValid(id));
+    const entries = await Entry.find({ _id: { $in: validIds }, user: req.user._id, deletedAt: null }).session(session);
+    const foundIds = new Set(entries.map((entry) => entry._id.toString()));
+    return { entries, missingIds: uniqueIds.filter((id) => !foundIds.has(id)) };
+  }
+
+  const searchFilter = await buildSearchFilter(filter, req);
+  const entries = await Entry.find(searchFilter).sort({ createdAt: -1 }).limit(MAX_BATCH_SIZE + 1).session(session);
+  if (entries.length > MAX_BATCH_SIZE) {
+    res.status(400);
+    throw new Error(`The filter matches more than ${MAX_BATCH_SIZE} entries. Please narrow it down.`);
+  }
+  return { entries, missingIds: [] };
+};
+
+/**
+ * Applies an action to each entry, recording a per-item result.
+ * In transactional mode the first failure is rethrown to abort the transaction.
+ * @returns {Promise<Array<object>>} The per-item results.
+ */
+const processEntries = async (entries, action, params, { dryRun, transactional, session }) => {
+  const results = [];
+
+  for (const entry of entries) {
+    try {
+      const previousState = entry.toObject();
+      applyAction(entry, action, params);
+
+      if (!entry.isModified()) {
+        results.push({ id: entry._id, status: 'unchanged' });
+        continue;
+      }
+
+      if (dryRun) {
+        await entry.validate();
+      } else {
+        const versioned = hasVersionedChanges(entry);
+        await entry.save({ session });
+        if (versioned) {
+          await recordVersion(previousState, 'auto', session);
+        }
+      }
+      results.push({ id: entry._id, status: action === 'delete' ? 'deleted' : 'updated' });
+    } catch (error) {
+      results.push({ id: entry._id, status: 'failed', error: error.message });
+      if (transactional) {
+        error.results = results;
+        throw error;
+      }
+    }
+  }
+
+  return results;
+};
+
+// -----------------------------------------------------------------
+// CONTROLLER FUNCTIONS
+// -----------------------------------------------------------------
+
+/**
+ * @desc    Apply one action to many entries
+ * @route   POST /api/entries/batch
+ * @access  Private
+ *
+ * Body:
+ * - `action`: addTags | removeTags | setMood | move | delete | export
+ * - `params`: `{ tags }`, `{ mood }` or `{ notebook }` depending on the action
+ * - `ids`: entry IDs to target, or
+ * - `filter`: search parameters as accepted by `searchEntries` (q, tags, startDate, ...)
+ * - `dryRun`: report what would change without writing anything
+ * - `transactional`: apply all changes or none (requires a replica set deployment)
+ */
+const batchEntries = asyncHandler(async (req, res) => {
+  const { action, params = {}, dryRun = false, transactional = false } = req.body;
+
+  if (!BATCH_ACTIONS.includes(action)) {
+    res.status(400);
+    throw new Error(`Invalid action. Must be one of ${BATCH_ACTIONS.join(', ')}.`);
+  }
+  const actionParams = await validateParams(action, params, req, res);
+  const notFound = (missingIds) => missingIds.map((id) => ({ id, status: 'not_found' }));
+
+  // Export is read-only: return the selected entries in the JSON export format
+  if (action === 'export') {
+    const { entries, missingIds } = await resolveTargets(req.body, req, res);
+    return res.status(200).json({
+      action,
+      dryRun,
+      results: [...entries.map((entry) => ({ id: entry._id, status: 'exported' })), ...notFound(missingIds)],
+      export: dryRun
+        ? undefined
+        : { exportDate: new Date().toISOString(), entryCount: entries.length, entries: entries.map(sanitizeEntry) },
+    });
+  }
+
+  if (!transactional) {
+    const { entries, missingIds } = await resolveTargets(req.body, req, res);
+    const results = await processEntries(entries, action, actionParams, { dryRun, transactional });
+    return res.status(200).json({ action, dryRun, transactional, results: [...results, ...notFound(missingIds)] });
+  }
+
+  // All-or-nothing: any missing entry or failed item aborts the whole batch
+  const session = await mongoose.startSession();
+  try {
+    let results;
+    await session.withTransaction(async () => {
+      const { entries, missingIds } = await resolveTargets(req.body, req, res, session);
+      if (missingIds.length > 0) {
+        const error = new Error('Some entries were not found.');
+        error.results = notFound(missingIds);
+        throw error;
+      }
+      results = await processEntries(entries, action, actionParams, { dryRun, transactional, session });
+    });
+    res.status(200).json({ action, dryRun, transactional, results });
+  } catch (error) {
+    if (!error.results) throw error;
+    res.status(409).json({
+      message: `Batch aborted, no changes were applied: ${error.message}`,
+      action,
+      dryRun,
+      transactional,
+      results: error.results,
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+
+// -----------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------
+
+export { batchEntries };
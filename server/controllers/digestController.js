@@ -0,0 +1,137 @@
+// =================================================================
+// BATCHBOOK API | RESURFACING & DIGEST CONTROLLERS (controllers/digestController.js)
+// =================================================================
+
+// -----------------------------------------------------------------
+// IMPORTS
+// -----------------------------------------------------------------
+
+import asyncHandler from 'express-async-handler';
+import { resolveTimeZone, startOfDayInZone, formatDateInZone } from '../utils/timezone.js';
+import {
+  DIGEST_PERIODS,
+  ON_THIS_DAY_SCOPES,
+  findOnThisDay,
+  buildDigest,
+  renderDigestPdf,
+  sendDigestEmail,
+} from '../utils/digests.js';
+
+// -----------------------------------------------------------------
+// HELPER FUNCTIONS
+// -----------------------------------------------------------------
+
+/**
+ * Reads the `date` query parameter (YYYY-MM-DD), defaulting to today in the time zone.
+ */
+const resolveDate = (date, timeZone, res) => {
+  if (!date) return formatDateInZone(new Date(), timeZone);
+  if (!startOfDayInZone(date, timeZone)) {
+    res.status(400);
+    throw new Error('Invalid date. Please use YYYY-MM-DD.');
+  }
+  return date;
+};
+
+/**
+ * Resolves the period, day and time zone of a digest request.
+ */
+const resolveDigestOptions = (req, res, date) => {
+  const { period } = req.params;
+  if (!DIGEST_PERIODS.includes(period)) {
+    res.status(400);
+    throw new Error(`Invalid digest period. Must be one of ${DIGEST_PERIODS.join(', ')}.`);
+  }
+  const timeZone = resolveTimeZone(req, res);
+  return { period, timeZone, date: resolveDate(date, timeZone, res) };
+};
+
+// -----------------------------------------------------------------
+// CONTROLLER FUNCTIONS
+// -----------------------------------------------------------------
+
+/**
+ * @desc    Get the entries written on this day in earlier years or months
+ * @route   GET /api/entries/on-this-day?date=YYYY-MM-DD&scope=years|months&tz=
+ * @access  Private
+ *
+ * `date` defaults to today. Entries are grouped by how many years (or months)
+ * ago they were written, most recent first. On the last day of a month, days
+ * the month doesn't have are included, so Feb 29 entries still resurface.
+ */
+const getOnThisDay = asyncHandler(async (req, res) => {
+  const scope = req.query.scope || 'years';
+  if (!ON_THIS_DAY_SCOPES.includes(scope)) {
+    res.status(400);
+    throw new Error(`Invalid scope. Must be one of ${ON_THIS_DAY_SCOPES.join(', ')}.`);
+  }
+  const timeZone = resolveTimeZone(req, res);
+  const date = resolveDate(req.query.date, timeZone, res);
+
+  const groups = await findOnThisDay(req.user._id, { date, timeZone, scope });
+  res.status(200).json({ date, scope, timeZone, groups });
+});
+
+
+/**
+ * @desc    Get a weekly or monthly digest of entries, moods and top tags
+ * @route   GET /api/digests/:period?date=YYYY-MM-DD&tz=&format=json|pdf
+ * @access  Private
+ *
+ * `period` is `weekly` (ISO weeks) or `monthly`. The digest covers the period
+ * containing `date`, which defaults to today. With `format=pdf` the digest is
+ * downloaded as a PDF.
+ */
+const getDigest = asyncHandler(async (req, res) => {
+  const format = req.query.format || 'json';
+  if (!['json', 'pdf'].includes(format)) {
+    res.status(400);
+    throw new Error('Invalid format. Must be one of json, pdf.');
+  }
+
+  const digest = await buildDigest(req.user, resolveDigestOptions(req, res, req.query.date));
+
+  if (format === 'json') {
+    return res.status(200).json(digest);
+  }
+
+  const pdf = await renderDigestPdf(digest);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="journal-digest-${digest.period}-${digest.from}.pdf"`);
+  res.status(200).send(pdf);
+});
+
+
+/**
+ * @desc    Email a weekly or monthly digest to the logged-in user
+ * @route   POST /api/digests/:period/email
+ * @access  Private
+ *
+ * Body: `{ date }` (optional, as for `GET /api/digests/:period`). The digest is
+ * sent to the account's email address with the PDF attached, once the address
+ * has been verified.
+ */
+const emailDigest = asyncHandler(async (req, res) => {
+  if (!req.user.emailVerified) {
+    res.status(403);
+    throw new Error('Please verify your email address before having digests sent to it.');
+  }
+  const digest = await buildDigest(req.user, resolveDigestOptions(req, res, req.body?.date));
+
+  try {
+    await sendDigestEmail(req.user, digest);
+  } catch (error) {
+    console.error(`Digest email failed: ${error.message}`);
+    res.status(502);
+    throw new Error('The digest could not be sent. Please try again later.');
+  }
+
+  res.status(200).json({ message: `Digest for ${digest.label} sent to ${req.user.email}.` });
+});
+
+
+// -----------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------
+
+export { getOnThisDay, getDigest, emailDigest };
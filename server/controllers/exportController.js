@@ -7,16 +7,84 @@ import PDFDocument from 'pdfkit';
 import archiver from 'archiver';
 import moment from 'moment';
 import Entry from '../models/Entry.js';
+import { applyNotebookFilter, applyTagFilter } from '../utils/entryFilters.js';
+import { findSavedSearch, savedSearchFilter } from '../utils/savedSearches.js';
+import { getStorage } from '../storage/index.js';
+import { summarizeEntries, addSummaryToPdf } from '../utils/journalSummary.js';
+import { countWords, countEntryWords } from '../utils/wordCount.js';
+import { isEncrypted, assertNotEncrypted } from '../utils/e2e.js';
+
+// Image formats PDFKit can embed.
+const PDF_IMAGE_TYPES = ['image/jpeg', 'image/png'];
+// The tallest an embedded image may be drawn, in points.
+const PDF_IMAGE_MAX_HEIGHT = 300;
 
 // --- HELPER FUNCTIONS ---
 
+/**
+ * Loads the image attachments of an entry that can be embedded in a PDF.
+ * A file that cannot be read from storage does not fail the export: it is
+ * returned with the `error` instead of a `buffer`, and noted in the PDF.
+ * @param {object} entry - The Mongoose entry document.
+ * @returns {Promise<Array<{filename: string, buffer?: Buffer, error?: Error}>>}
+ */
+const loadPdfImages = async (entry) => {
+  const storage = getStorage();
+  const images = [];
+  for (const attachment of entry.attachments || []) {
+    if (!PDF_IMAGE_TYPES.includes(attachment.contentType)) continue;
+    try {
+      images.push({ filename: attachment.filename, buffer: await storage.get(attachment.storageKey) });
+    } catch (error) {
+      images.push({ filename: attachment.filename, error });
+    }
+  }
+  return images;
+};
+
+/**
+ * Draws images below the current position, scaled to fit the page width and
+ * PDF_IMAGE_MAX_HEIGHT, starting a new page whenever one doesn't fit. Images
+ * that could not be loaded or decoded are replaced by a note.
+ * @param {PDFDocument} doc - The pdfkit document instance.
+ * @param {Array<{filename: string, buffer?: Buffer, error?: Error}>} images - The images to draw.
+ */
+const addImagesToPdf = (doc, images) => {
+  const maxWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const addNote = (filename) => {
+    doc.moveDown(1);
+    doc.fontSize(9).fillColor('grey').text(`[Attachment "${filename}" could not be included.]`, { align: 'center' });
+  };
+
+  images.forEach(({ filename, buffer, error }) => {
+    if (error) return addNote(filename);
+
+    let image;
+    try {
+      image = doc.openImage(buffer);
+    } catch {
+      return addNote(filename);
+    }
+
+    const scale = Math.min(1, maxWidth / image.width, PDF_IMAGE_MAX_HEIGHT / image.height);
+    doc.moveDown(1);
+    if (doc.y + image.height * scale > doc.page.maxY()) {
+      doc.addPage();
+    }
+    doc.image(image, doc.page.margins.left, doc.y, { width: image.width * scale });
+    doc.y += image.height * scale;
+    doc.fontSize(9).fillColor('grey').text(filename, { align: 'center' });
+  });
+};
+
 /**
  * A helper function to generate the content of a single entry PDF.
  * @param {PDFDocument} doc - The pdfkit document instance.
  * @param {object} entry - The Mongoose entry document.
+ * @param {Array<object>} [images=[]] - Image attachments to embed after the content (see `loadPdfImages`).
  */
-const addEntryToPdf = (doc, entry) => {
-  const wordCount = entry.content.split(/\s+/).filter(Boolean).length;
+const addEntryToPdf = (doc, entry, images = []) => {
+  const wordCount = countWords(entry.content);
 
   doc.fontSize(18).font('Helvetica-Bold').text(entry.title, { paragraphGap: 5 });
   doc.fontSize(10).font('Helvetica').fillColor('grey');
@@ -27,16 +95,20 @@ const addEntryToPdf = (doc, entry) => {
   doc.fontSize(12).font('Helvetica').fillColor('black').text(entry.content, {
     align: 'justify',
   });
+  addImagesToPdf(doc, images);
 };
 
 /**
  * Sanitizes a journal entry for JSON export, removing internal fields.
+ * End-to-end encrypted entries are exported as ciphertext with the key-wrapping
+ * metadata needed to decrypt them.
  * @param {object} entry - The Mongoose entry document.
  * @returns {object} A clean entry object.
  */
 const sanitizeEntryForExport = (entry) => ({
   title: entry.title,
   content: entry.content,
+  ...(isEncrypted(entry) ? { encryption: entry.encryption, wordCount: entry.wordCount } : {}),
   mood: entry.mood,
   tags: entry.tags,
   createdAt: entry.createdAt,
@@ -44,6 +116,27 @@ const sanitizeEntryForExport = (entry) => ({
 });
 
 
+/**
+ * Builds the filter selecting the entries for a bulk export: all live entries,
+ * or the results of a saved search (`?search=<savedSearchId>`), optionally
+ * limited to a notebook (`?notebook=<id|none>`) and to tags, including nested
+ * tags (`?tags=work,personal`). With a saved search, the notebook and tags
+ * narrow its results further.
+ */
+const buildExportFilter = async (req) => {
+  const limits = applyTagFilter({}, req.query.tags);
+  await applyNotebookFilter(limits, req);
+  if (!req.query.search) {
+    return { user: req.user._id, deletedAt: null, ...limits };
+  }
+
+  const savedSearch = await findSavedSearch(req.query.search, req);
+  const filter = await savedSearchFilter(savedSearch, req);
+  // The saved search may filter on the same fields, so both must hold
+  if (Object.keys(limits).length > 0) filter.$and = [...(filter.$and || []), limits];
+  return filter;
+};
+
 // --- CONTROLLER FUNCTIONS ---
 
 /**
@@ -52,30 +145,36 @@ const sanitizeEntryForExport = (entry) => ({
  * @access  Private
  */
 const exportSingleEntryAsPDF = asyncHandler(async (req, res) => {
-  const entry = await Entry.findById(req.params.id);
+  const entry = await Entry.findOne({ _id: req.params.id, deletedAt: null });
 
   if (!entry || entry.user.toString() !== req.user.id) {
     res.status(404);
     throw new Error('Journal entry not found or you are not authorized.');
   }
+  assertNotEncrypted(entry, 'PDF export');
 
   const filename = `entry-${entry._id}.pdf`;
   res.setHeader('Content-Type', 'application/pdf');
   res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
 
+  const images = await loadPdfImages(entry);
   const doc = new PDFDocument({ margin: 72 });
   doc.pipe(res);
-  addEntryToPdf(doc, entry);
+  addEntryToPdf(doc, entry, images);
   doc.end();
 });
 
 /**
  * @desc    Export all user entries as a ZIP of individual PDFs
- * @route   GET /api/exports/all/pdf
+ * @route   GET /api/exports/all/pdf?notebook=<id|none>&tags=<tags>&search=<savedSearchId>
  * @access  Private
+ *
+ * End-to-end encrypted entries cannot be rendered; they are listed in the
+ * manifest with `skipped` set instead of a filename.
  */
 const exportAllEntriesAsPDF = asyncHandler(async (req, res) => {
-  const entries = await Entry.find({ user: req.user.id }).sort({ createdAt: 'desc' });
+  const filter = await buildExportFilter(req);
+  const entries = await Entry.find(filter).sort({ createdAt: 'desc' });
 
   if (entries.length === 0) {
     res.status(404);
@@ -92,9 +191,20 @@ const exportAllEntriesAsPDF = asyncHandler(async (req, res) => {
   const manifest = [];
 
   for (const entry of entries) {
+    if (isEncrypted(entry)) {
+      manifest.push({
+          id: entry._id,
+          skipped: 'End-to-end encrypted entries cannot be exported as PDF.',
+          wordCount: countEntryWords(entry),
+          createdAt: entry.createdAt,
+      });
+      continue;
+    }
+
+    const images = await loadPdfImages(entry);
     const doc = new PDFDocument({ margin: 72 });
     const pdfBuffer = await new Promise((resolve) => {
-      addEntryToPdf(doc, entry);
+      addEntryToPdf(doc, entry, images);
       const buffers = [];
       doc.on('data', buffers.push.bind(buffers));
       doc.on('end', () => resolve(Buffer.concat(buffers)));
@@ -106,7 +216,7 @@ const exportAllEntriesAsPDF = asyncHandler(async (req, res) => {
     manifest.push({
         title: entry.title,
         filename: pdfFilename,
-        wordCount: entry.content.split(/\s+/).filter(Boolean).length,
+        wordCount: countWords(entry.content),
         createdAt: entry.createdAt,
     });
   }
@@ -121,7 +231,7 @@ const exportAllEntriesAsPDF = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const exportSingleEntryAsJSON = asyncHandler(async (req, res) => {
-    const entry = await Entry.findById(req.params.id);
+    const entry = await Entry.findOne({ _id: req.params.id, deletedAt: null });
 
     if (!entry || entry.user.toString() !== req.user.id) {
         res.status(404);
@@ -135,11 +245,12 @@ const exportSingleEntryAsJSON = asyncHandler(async (req, res) => {
 
 /**
  * @desc    Export all user entries as a single JSON file
- * @route   GET /api/exports/all/json
+ * @route   GET /api/exports/all/json?notebook=<id|none>&tags=<tags>&search=<savedSearchId>
  * @access  Private
  */
 const exportAllEntriesAsJSON = asyncHandler(async (req, res) => {
-    const entries = await Entry.find({ user: req.user.id }).sort({ createdAt: 'desc' });
+    const filter = await buildExportFilter(req);
+    const entries = await Entry.find(filter).sort({ createdAt: 'desc' });
     const sanitizedEntries = entries.map(sanitizeEntryForExport);
     
     const filename = `journal-entries-${moment().format('YYYYMMDD')}.json`;
@@ -153,27 +264,19 @@ const exportAllEntriesAsJSON = asyncHandler(async (req, res) => {
 
 /**
  * @desc    Generate and export a PDF summary of journal analytics
- * @route   GET /api/exports/summary
+ * @route   GET /api/exports/summary?notebook=<id|none>&tags=<tags>&search=<savedSearchId>
  * @access  Private
  */
 const generateSummaryExport = asyncHandler(async (req, res) => {
-    const entries = await Entry.find({ user: req.user.id });
+    const filter = await buildExportFilter(req);
+    const entries = await Entry.find(filter);
 
     if (entries.length === 0) {
         res.status(404);
         throw new Error('No entries found to generate a summary.');
     }
 
-    // Perform analytics
-    let totalWords = 0;
-    const tagFrequency = {};
-    entries.forEach(entry => {
-        totalWords += entry.content.split(/\s+/).filter(Boolean).length;
-        entry.tags.forEach(tag => {
-            tagFrequency[tag] = (tagFrequency[tag] || 0) + 1;
-        });
-    });
-    const sortedTags = Object.entries(tagFrequency).sort((a, b) => b[1] - a[1]);
+    const summary = summarizeEntries(entries);
 
     // Generate PDF
     const filename = `journal-summary-${moment().format('YYYYMMDD')}.pdf`;
@@ -184,20 +287,7 @@ const generateSummaryExport = asyncHandler(async (req, res) => {
     doc.pipe(res);
 
     doc.fontSize(22).font('Helvetica-Bold').text('Journal Summary & Analytics', { align: 'center', paragraphGap: 20 });
-    doc.fontSize(14).font('Helvetica-Bold').text('Overall Statistics', { underline: true });
-    doc.fontSize(12).font('Helvetica').text(`Total Entries: ${entries.length}`);
-    doc.text(`Total Words Written: ${totalWords}`);
-    doc.text(`Average Words Per Entry: ${entries.length > 0 ? (totalWords / entries.length).toFixed(0) : 0}`);
-    doc.moveDown(2);
-
-    doc.fontSize(14).font('Helvetica-Bold').text('Most Used Tags', { underline: true });
-    if (sortedTags.length > 0) {
-        sortedTags.slice(0, 10).forEach(([tag, count]) => {
-            doc.fontSize(12).font('Helvetica').text(`- ${tag} (${count} times)`);
-        });
-    } else {
-        doc.fontSize(12).font('Helvetica').text('No tags have been used yet.');
-    }
+    addSummaryToPdf(doc, summary);
 
     doc.end();
 });
@@ -6,6 +6,7 @@ import asyncHandler from 'express-async-handler';
 import axios from 'axios';
 import User from '../models/User.js';
 import Entry from '../models/Entry.js';
+import { isEncrypted, assertNotEncrypted } from '../utils/e2e.js';
 
 const GITHUB_API_URL = 'https://api.github.com';
 
@@ -39,7 +40,7 @@ const linkGitHubAccount = asyncHandler(async (req, res) => {
     const user = await User.findById(req.user.id);
     user.github = {
       username: githubUser.login,
-      accessToken: accessToken, // Note: Consider encrypting this token at rest
+      accessToken: accessToken, // Encrypted at rest by the User model
     };
     await user.save();
 
@@ -59,7 +60,7 @@ const linkGitHubAccount = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const createOrGetRepo = asyncHandler(async (req, res) => {
-    const user = await User.findById(req.user.id);
+    const user = await User.findById(req.user.id).select('+github.accessToken');
     if (!user.github?.accessToken) {
         res.status(400);
         throw new Error('GitHub account not linked.');
@@ -106,8 +107,8 @@ const createOrGetRepo = asyncHandler(async (req, res) => {
  */
 const syncJournalEntry = asyncHandler(async (req, res) => {
   const { id: entryId } = req.params;
-  const user = await User.findById(req.user.id);
-  const entry = await Entry.findById(entryId);
+  const user = await User.findById(req.user.id).select('+github.accessToken');
+  const entry = await Entry.findOne({ _id: entryId, deletedAt: null });
 
   if (!user.github?.accessToken || !user.github?.repoName) {
     res.status(400);
@@ -117,6 +118,7 @@ const syncJournalEntry = asyncHandler(async (req, res) => {
     res.status(404);
     throw new Error('Journal entry not found or you do not have permission.');
   }
+  assertNotEncrypted(entry, 'GitHub sync');
 
   // Format content to Markdown
   const markdownContent = `# ${entry.title}\n\n**Date:** ${entry.createdAt.toDateString()}\n**Tags:** ${entry.tags.join(', ')}\n\n---\n\n${entry.content}`;
@@ -144,17 +146,22 @@ const syncJournalEntry = asyncHandler(async (req, res) => {
  * @desc    Sync all journal entries for a user to GitHub
  * @route   POST /api/github/sync-all
  * @access  Private
+ *
+ * End-to-end encrypted entries are not synced; they are reported as `skipped`.
  */
 const bulkSyncAllEntries = asyncHandler(async (req, res) => {
-    const user = await User.findById(req.user.id);
+    const user = await User.findById(req.user.id).select('+github.accessToken');
     if (!user.github?.accessToken || !user.github?.repoName) {
         res.status(400);
         throw new Error('GitHub account or sync repository not configured.');
     }
 
-    const entries = await Entry.find({ user: req.user.id });
+    const entries = await Entry.find({ user: req.user.id, deletedAt: null });
     const githubClient = createGithubClient(user.github.accessToken);
     const syncPromises = entries.map(entry => {
+        if (isEncrypted(entry)) {
+            return Promise.resolve({ status: 'skipped', entryId: entry._id, reason: 'End-to-end encrypted entries are not synced.' });
+        }
         const markdownContent = `# ${entry.title}\n\n${entry.content}`;
         const contentBase64 = Buffer.from(markdownContent).toString('base64');
         const filePath = `entries/${entry._id}.md`;
@@ -8,8 +8,52 @@
 
 // A utility to handle async errors in Express without needing try-catch blocks in every function.
 import asyncHandler from 'express-async-handler';
+// Mongoose, to validate IDs sent in request bodies.
+import mongoose from 'mongoose';
 // The Mongoose model for our journal entries.
-import Journal from '../models/Entry.js'; // Note: We'll create Entry.js next.
+import Journal, { MAX_TITLE_LENGTH } from '../models/Entry.js'; // Note: We'll create Entry.js next.
+// Helpers for snapshotting an entry's prior state into its version history.
+import { hasVersionedChanges, recordVersion } from '../utils/versionHistory.js';
+// Permanently removes entries along with their version history.
+import { purgeEntries } from '../utils/trash.js';
+// Notebooks that entries can be filed in, and the shared notebook query filter.
+import Notebook from '../models/Notebook.js';
+import { applyNotebookFilter } from '../utils/entryFilters.js';
+// Cursor pagination, sorting and field selection shared with search.
+import { paginateEntries } from '../utils/pagination.js';
+// ETag / If-Match helpers for optimistic concurrency control.
+import { entryETag, matchesIfMatch, isConcurrentWriteError } from '../utils/concurrency.js';
+// Entry templates and their token renderer.
+import Template from '../models/Template.js';
+import { renderTemplateString } from '../utils/templateRenderer.js';
+import { resolveTimeZone, startOfDayInZone } from '../utils/timezone.js';
+// Pinned saved searches, listed as smart collections alongside the entries.
+import { getSmartCollections } from '../utils/savedSearches.js';
+// Notifies the user when a save completes one of their writing goals.
+import { checkGoalsReached } from '../utils/writingProgress.js';
+// Ciphertext and key-wrapping metadata of end-to-end encrypted entries.
+import { readEncryptedFields, readEncryptedUpdate } from '../utils/e2e.js';
+
+// -----------------------------------------------------------------
+// HELPER FUNCTIONS
+// -----------------------------------------------------------------
+
+/**
+ * Checks that a notebook ID from the request body names one of the logged-in
+ * user's notebooks. An empty value (no notebook) passes.
+ * @throws {Error} 400 for a malformed ID, 404 for a notebook the user does not own.
+ */
+const assertOwnNotebook = async (notebook, req, res) => {
+  if (!notebook) return;
+  if (!mongoose.isValidObjectId(notebook)) {
+    res.status(400);
+    throw new Error('Invalid notebook ID.');
+  }
+  if (!(await Notebook.exists({ _id: notebook, user: req.user._id }))) {
+    res.status(404);
+    throw new Error('Notebook not found.');
+  }
+};
 
 // -----------------------------------------------------------------
 // CONTROLLER FUNCTIONS
@@ -19,20 +63,28 @@ import Journal from '../models/Entry.js'; // Note: We'll create Entry.js next.
  * @desc    Create a new journal entry
  * @route   POST /api/entries
  * @access  Private
+ *
+ * For an end-to-end encrypted entry, `title` and `content` are ciphertext and the
+ * body also carries `encryption` (key-wrapping metadata), and optionally
+ * `searchTokens` and `wordCount` (see utils/e2e.js).
  */
 const createJournal = asyncHandler(async (req, res) => {
-  const { title, content } = req.body;
+  const { title, content, notebook } = req.body;
 
   // 1. Validate input
   if (!title || !content) {
     res.status(400); // Bad Request
     throw new Error('Please provide both a title and content for the journal entry.');
   }
+  const encryptedFields = readEncryptedFields(req.body, req.user);
+  await assertOwnNotebook(notebook, req, res);
 
   // 2. Create the journal entry
   const journal = new Journal({
     title,
     content,
+    ...encryptedFields,
+    notebook: notebook || null,
     user: req.user._id, // Associate the entry with the logged-in user
   });
 
@@ -41,19 +93,93 @@ const createJournal = asyncHandler(async (req, res) => {
 
   // 4. Respond with the created journal
   res.status(201).json(createdJournal);
+  checkGoalsReached(req.user._id).catch((error) => console.error('Goal check error:', error));
 });
 
 
 /**
- * @desc    Get all journals for the logged-in user
- * @route   GET /api/entries
+ * @desc    Create a new journal entry from a template
+ * @route   POST /api/entries/from-template/:templateId
  * @access  Private
+ *
+ * The template's title pattern and content are rendered for the current date
+ * (or `date` from the body: a YYYY-MM-DD day or a timestamp) in the user's time
+ * zone. A rendered title is cut to the title length limit. Any of `title`,
+ * `content`, `tags`, `mood` and `notebook` in the body override the template's values.
+ *
+ * The server cannot render into ciphertext, so an end-to-end encrypted entry must
+ * bring its own (encrypted) `title` and `content`; the template then supplies the
+ * tags and mood.
+ */
+const createJournalFromTemplate = asyncHandler(async (req, res) => {
+  const { title, content, tags, mood, notebook, date } = req.body;
+  const encryptedFields = readEncryptedFields(req.body, req.user);
+  if (encryptedFields.encryption && (!title || !content)) {
+    res.status(400);
+    throw new Error('Encrypted entries cannot be rendered on the server. Please render the template on your device and send the encrypted title and content.');
+  }
+
+  // 1. Load the template
+  const template = await Template.findOne({ _id: req.params.templateId, user: req.user._id });
+  if (!template) {
+    res.status(404);
+    throw new Error('Template not found.');
+  }
+
+  const timeZone = resolveTimeZone(req, res);
+  const renderDate = date ? startOfDayInZone(date, timeZone) || new Date(date) : new Date();
+  if (Number.isNaN(renderDate.getTime())) {
+    res.status(400);
+    throw new Error('Invalid date.');
+  }
+  await assertOwnNotebook(notebook, req, res);
+
+  // 2. Render the template, applying any overrides
+  const journal = new Journal({
+    title: title || renderTemplateString(template.titlePattern, renderDate, timeZone).slice(0, MAX_TITLE_LENGTH),
+    content: content || renderTemplateString(template.content, renderDate, timeZone),
+    ...encryptedFields,
+    tags: tags || template.defaultTags,
+    mood: mood || template.defaultMood,
+    notebook: notebook || null,
+    user: req.user._id,
+  });
+
+  // 3. Save and respond
+  const createdJournal = await journal.save();
+  res.status(201).json(createdJournal);
+  checkGoalsReached(req.user._id).catch((error) => console.error('Goal check error:', error));
+});
+
+
+/**
+ * @desc    Get the logged-in user's journals, one page at a time, optionally limited to a notebook
+ * @route   GET /api/entries?notebook=<id|none>&sort=createdAt&order=desc&limit=20&cursor=<nextCursor>&fields=-content
+ * @access  Private
+ *
+ * The response is `{ entries, pagination }`; follow `pagination.nextCursor`
+ * until it is null to read every entry. This replaces the bare array of all
+ * entries returned before cursor pagination, so clients reading the response
+ * as an array must be updated.
+ *
+ * The first page (no `cursor`) also includes `collections`: the user's smart
+ * collections with their live entry counts.
  */
 const getUserJournals = asyncHandler(async (req, res) => {
-  // Find all journals where the 'user' field matches the logged-in user's ID.
-  // Sort them by creation date in descending order (newest first).
-  const journals = await Journal.find({ user: req.user._id }).sort({ createdAt: -1 });
-  res.status(200).json(journals);
+  // Find the journals where the 'user' field matches the logged-in user's ID,
+  // excluding entries in the trash.
+  const filter = await applyNotebookFilter({ user: req.user._id, deletedAt: null }, req);
+
+  // Fetch one page in the requested order (newest first by default).
+  const { entries, pagination } = await paginateEntries(filter, req.query, res);
+
+  // The first page also lists the user's smart collections (pinned saved searches).
+  if (!req.query.cursor) {
+    const collections = await getSmartCollections(req);
+    return res.status(200).json({ entries, pagination, collections });
+  }
+
+  res.status(200).json({ entries, pagination });
 });
 
 
@@ -63,7 +189,7 @@ const getUserJournals = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const getJournalById = asyncHandler(async (req, res) => {
-  const journal = await Journal.findById(req.params.id);
+  const journal = await Journal.findOne({ _id: req.params.id, deletedAt: null });
 
   // 1. Check if the journal exists
   if (!journal) {
@@ -77,7 +203,8 @@ const getJournalById = asyncHandler(async (req, res) => {
     throw new Error('You are not authorized to access this journal entry.');
   }
 
-  // 3. Respond with the journal data
+  // 3. Respond with the journal data, tagged with its revision for conditional updates
+  res.setHeader('ETag', entryETag(journal));
   res.status(200).json(journal);
 });
 
@@ -86,10 +213,17 @@ const getJournalById = asyncHandler(async (req, res) => {
  * @desc    Update a journal entry
  * @route   PUT /api/entries/:id
  * @access  Private
+ *
+ * Send the ETag from a previous read in `If-Match` to make the update conditional.
+ * If the entry has changed since, the response is a 409 carrying the current
+ * server state (`current`) so the client can merge instead of losing text.
+ *
+ * Encrypted entries are updated with new ciphertext and `encryption` metadata
+ * (see `readEncryptedUpdate` in utils/e2e.js for the rules).
  */
 const updateJournal = asyncHandler(async (req, res) => {
   const { title, content } = req.body;
-  const journal = await Journal.findById(req.params.id);
+  const journal = await Journal.findOne({ _id: req.params.id, deletedAt: null });
 
   // 1. Check if the journal exists
   if (!journal) {
@@ -103,23 +237,82 @@ const updateJournal = asyncHandler(async (req, res) => {
     throw new Error('You are not authorized to update this journal entry.');
   }
 
-  // 3. Update fields if they are provided in the request body
+  // 3. Reject stale writes
+  const conflict = (current) =>
+    res
+      .status(409)
+      .set('ETag', entryETag(current))
+      .json({ message: 'This entry was changed since you last loaded it.', current });
+
+  if (!matchesIfMatch(req.headers['if-match'], journal)) {
+    return conflict(journal);
+  }
+
+  // 4. Update fields if they are provided in the request body
+  const encryptedFields = readEncryptedUpdate(req.body, journal, req.user);
+  const previousState = journal.toObject();
   journal.title = title || journal.title;
   journal.content = content || journal.content;
+  journal.set(encryptedFields);
+  const versioned = hasVersionedChanges(journal);
+
+  // 5. Save the updated journal and respond. The save itself is conditional on the
+  // revision we loaded, so a write that lands in between is also detected.
+  try {
+    const updatedJournal = await journal.save();
+    // Snapshot the prior state into the version history once it is replaced
+    if (versioned) {
+      await recordVersion(previousState, 'auto');
+    }
+    res.setHeader('ETag', entryETag(updatedJournal));
+    res.status(200).json(updatedJournal);
+    checkGoalsReached(req.user._id).catch((error) => console.error('Goal check error:', error));
+  } catch (error) {
+    if (!isConcurrentWriteError(error)) throw error;
+    const current = await Journal.findOne({ _id: journal._id, deletedAt: null });
+    if (!current) {
+      res.status(404);
+      throw new Error('Journal entry not found.');
+    }
+    conflict(current);
+  }
+});
+
 
-  // 4. Save the updated journal and respond
-  const updatedJournal = await journal.save();
-  res.status(200).json(updatedJournal);
+/**
+ * @desc    Move a journal entry into a notebook (or out of all notebooks with `null`)
+ * @route   PATCH /api/entries/:id/notebook
+ * @access  Private
+ */
+const moveJournal = asyncHandler(async (req, res) => {
+  const { notebook } = req.body;
+
+  if (notebook === undefined) {
+    res.status(400);
+    throw new Error('Please provide a target notebook ID, or null to unfile the entry.');
+  }
+
+  const journal = await Journal.findOne({ _id: req.params.id, user: req.user._id, deletedAt: null });
+  if (!journal) {
+    res.status(404);
+    throw new Error('Journal entry not found.');
+  }
+
+  await assertOwnNotebook(notebook, req, res);
+
+  journal.notebook = notebook || null;
+  const movedJournal = await journal.save();
+  res.status(200).json(movedJournal);
 });
 
 
 /**
- * @desc    Delete a journal entry
+ * @desc    Move a journal entry to the trash (soft delete)
  * @route   DELETE /api/entries/:id
  * @access  Private
  */
 const deleteJournal = asyncHandler(async (req, res) => {
-  const journal = await Journal.findById(req.params.id);
+  const journal = await Journal.findOne({ _id: req.params.id, deletedAt: null });
 
   // 1. Check if the journal exists
   if (!journal) {
@@ -133,11 +326,62 @@ const deleteJournal = asyncHandler(async (req, res) => {
     throw new Error('You are not authorized to delete this journal entry.');
   }
 
-  // 3. Remove the journal from the database
-  await journal.deleteOne(); // Use deleteOne() on the document instance
+  // 3. Mark the journal as deleted; it stays in the trash until restored or purged
+  journal.deletedAt = new Date();
+  await journal.save();
 
   // 4. Respond with a success message
-  res.status(200).json({ message: 'Journal entry successfully deleted.' });
+  res.status(200).json({ message: 'Journal entry moved to trash.', deletedAt: journal.deletedAt });
+});
+
+
+/**
+ * @desc    Get all journals in the logged-in user's trash
+ * @route   GET /api/entries/trash
+ * @access  Private
+ */
+const getTrashedJournals = asyncHandler(async (req, res) => {
+  // Most recently deleted first
+  const journals = await Journal.find({ user: req.user._id, deletedAt: { $ne: null } }).sort({ deletedAt: -1 });
+  res.status(200).json(journals);
+});
+
+
+/**
+ * @desc    Restore a journal entry from the trash
+ * @route   POST /api/entries/:id/restore
+ * @access  Private
+ */
+const restoreJournal = asyncHandler(async (req, res) => {
+  const journal = await Journal.findOne({ _id: req.params.id, user: req.user._id, deletedAt: { $ne: null } });
+
+  if (!journal) {
+    res.status(404);
+    throw new Error('Journal entry not found in trash.');
+  }
+
+  // Versions are never touched by a soft delete, so the history comes back intact
+  journal.deletedAt = null;
+  const restoredJournal = await journal.save();
+  res.status(200).json(restoredJournal);
+});
+
+
+/**
+ * @desc    Permanently delete a journal entry from the trash, along with its versions
+ * @route   DELETE /api/entries/:id/permanent
+ * @access  Private
+ */
+const purgeJournal = asyncHandler(async (req, res) => {
+  const journal = await Journal.findOne({ _id: req.params.id, user: req.user._id, deletedAt: { $ne: null } });
+
+  if (!journal) {
+    res.status(404);
+    throw new Error('Journal entry not found in trash.');
+  }
+
+  await purgeEntries([journal._id]);
+  res.status(200).json({ message: 'Journal entry permanently deleted.' });
 });
 
 
@@ -147,8 +391,13 @@ const deleteJournal = asyncHandler(async (req, res) => {
 
 export {
   createJournal,
+  createJournalFromTemplate,
   getUserJournals,
   getJournalById,
   updateJournal,
   deleteJournal,
+  moveJournal,
+  getTrashedJournals,
+  restoreJournal,
+  purgeJournal,
 };
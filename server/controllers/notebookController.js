@@ -0,0 +1,255 @@
+// =================================================================
+// BATCHBOOK API | NOTEBOOK CONTROLLERS (controllers/notebookController.js)
+// =================================================================
+
+// -----------------------------------------------------------------
+// IMPORTS
+// -----------------------------------------------------------------
+
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import Notebook from '../models/Notebook.js';
+import Entry from '../models/Entry.js';
+
+// -----------------------------------------------------------------
+// HELPER FUNCTIONS
+// -----------------------------------------------------------------
+
+/**
+ * Validates a requested parent notebook and returns its ID (or null for top level).
+ *
+ * @param {string|null|undefined} parent - The requested parent ID.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @returns {Promise<string|null>}
+ */
+const resolveParent = async (parent, req, res) => {
+  if (!parent) return null;
+
+  if (!mongoose.Types.ObjectId.isValid(parent)) {
+    res.status(400);
+    throw new Error('Invalid parent notebook ID.');
+  }
+  const exists = await Notebook.exists({ _id: parent, user: req.user._id });
+  if (!exists) {
+    res.status(404);
+    throw new Error('Parent notebook not found.');
+  }
+  return parent;
+};
+
+/**
+ * Rejects a name that is already used by a sibling notebook.
+ * @param {object} query - `{ user, parent, name }` plus an optional `_id` exclusion.
+ * @param {object} res - The Express response object.
+ */
+const assertUniqueName = async (query, res) => {
+  const duplicate = await Notebook.exists(query);
+  if (duplicate) {
+    res.status(400);
+    throw new Error('A notebook with that name already exists at this level.');
+  }
+};
+
+/**
+ * Counts the user's live (non-trashed) entries per notebook.
+ * @param {string} userId - The owner of the entries.
+ * @returns {Promise<Map<string, number>>} Entry counts keyed by notebook ID.
+ */
+const countEntriesByNotebook = async (userId) => {
+  const counts = await Entry.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId), deletedAt: null, notebook: { $ne: null } } },
+    { $group: { _id: '$notebook', count: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+// -----------------------------------------------------------------
+// CONTROLLER FUNCTIONS
+// -----------------------------------------------------------------
+
+/**
+ * @desc    Create a new notebook
+ * @route   POST /api/notebooks
+ * @access  Private
+ */
+const createNotebook = asyncHandler(async (req, res) => {
+  const { name, description } = req.body;
+
+  if (typeof name !== 'string' || !name.trim()) {
+    res.status(400);
+    throw new Error('Please provide a name for the notebook.');
+  }
+
+  const parent = await resolveParent(req.body.parent, req, res);
+  await assertUniqueName({ user: req.user._id, parent, name: name.trim() }, res);
+
+  const notebook = await Notebook.create({
+    user: req.user._id,
+    name,
+    description,
+    parent,
+  });
+
+  res.status(201).json(notebook);
+});
+
+
+/**
+ * @desc    Get all notebooks of the logged-in user with entry counts
+ * @route   GET /api/notebooks?tree=true
+ * @access  Private
+ *
+ * Each notebook includes `entryCount` (entries filed directly in it) and
+ * `totalEntryCount` (including all nested notebooks). With `tree=true` the
+ * notebooks are returned nested under `children` instead of as a flat list.
+ */
+const getNotebooks = asyncHandler(async (req, res) => {
+  const notebooks = await Notebook.find({ user: req.user._id }).sort({ name: 1 }).lean();
+  const counts = await countEntriesByNotebook(req.user._id);
+
+  const nodes = new Map(
+    notebooks.map((notebook) => [
+      notebook._id.toString(),
+      { ...notebook, entryCount: counts.get(notebook._id.toString()) || 0, children: [] },
+    ])
+  );
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parentNode = node.parent && nodes.get(node.parent.toString());
+    if (parentNode) parentNode.children.push(node);
+    else roots.push(node);
+  }
+
+  // Aggregate counts bottom-up through the tree
+  const sumTotals = (node) => {
+    node.totalEntryCount = node.children.reduce((sum, child) => sum + sumTotals(child), node.entryCount);
+    return node.totalEntryCount;
+  };
+  roots.forEach(sumTotals);
+
+  if (req.query.tree === 'true') {
+    return res.status(200).json(roots);
+  }
+
+  res.status(200).json([...nodes.values()].map(({ children, ...notebook }) => notebook));
+});
+
+
+/**
+ * @desc    Get a single notebook by its ID
+ * @route   GET /api/notebooks/:id
+ * @access  Private
+ */
+const getNotebookById = asyncHandler(async (req, res) => {
+  const notebook = await Notebook.findOne({ _id: req.params.id, user: req.user._id }).lean();
+
+  if (!notebook) {
+    res.status(404);
+    throw new Error('Notebook not found.');
+  }
+
+  const descendantIds = await Notebook.findDescendantIds(req.user._id, notebook._id);
+  const entryCount = await Entry.countDocuments({ user: req.user._id, deletedAt: null, notebook: notebook._id });
+  const totalEntryCount = await Entry.countDocuments({
+    user: req.user._id,
+    deletedAt: null,
+    notebook: { $in: [notebook._id, ...descendantIds] },
+  });
+
+  res.status(200).json({ ...notebook, entryCount, totalEntryCount });
+});
+
+
+/**
+ * @desc    Rename, describe or move a notebook
+ * @route   PUT /api/notebooks/:id
+ * @access  Private
+ */
+const updateNotebook = asyncHandler(async (req, res) => {
+  const { name, description } = req.body;
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    res.status(400);
+    throw new Error('Please provide a name for the notebook.');
+  }
+
+  const notebook = await Notebook.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!notebook) {
+    res.status(404);
+    throw new Error('Notebook not found.');
+  }
+
+  // Moving: the new parent must not be the notebook itself or one of its descendants
+  if (req.body.parent !== undefined) {
+    const parent = await resolveParent(req.body.parent, req, res);
+    if (parent) {
+      const descendantIds = await Notebook.findDescendantIds(req.user._id, notebook._id);
+      const invalidParents = [notebook._id, ...descendantIds].map((id) => id.toString());
+      if (invalidParents.includes(parent.toString())) {
+        res.status(400);
+        throw new Error('A notebook cannot be moved inside itself or one of its sub-notebooks.');
+      }
+    }
+    notebook.parent = parent;
+  }
+
+  if (name !== undefined) notebook.name = name;
+  if (description !== undefined) notebook.description = description;
+
+  if (notebook.isModified('name') || notebook.isModified('parent')) {
+    await assertUniqueName(
+      { _id: { $ne: notebook._id }, user: req.user._id, parent: notebook.parent, name: notebook.name },
+      res
+    );
+  }
+
+  const updatedNotebook = await notebook.save();
+  res.status(200).json(updatedNotebook);
+});
+
+
+/**
+ * @desc    Delete a notebook
+ * @route   DELETE /api/notebooks/:id
+ * @access  Private
+ *
+ * Entries and sub-notebooks are not deleted; they move up to the deleted notebook's parent.
+ */
+const deleteNotebook = asyncHandler(async (req, res) => {
+  const notebook = await Notebook.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!notebook) {
+    res.status(404);
+    throw new Error('Notebook not found.');
+  }
+
+  const siblingNames = await Notebook.find({ _id: { $ne: notebook._id }, user: req.user._id, parent: notebook.parent })
+    .distinct('name');
+  const children = await Notebook.find({ user: req.user._id, parent: notebook._id }).select('name').lean();
+  const conflict = children.find((child) => siblingNames.includes(child.name));
+  if (conflict) {
+    res.status(400);
+    throw new Error(`Cannot delete: sub-notebook "${conflict.name}" would clash with an existing notebook.`);
+  }
+
+  await Entry.updateMany({ user: req.user._id, notebook: notebook._id }, { notebook: notebook.parent });
+  await Notebook.updateMany({ user: req.user._id, parent: notebook._id }, { parent: notebook.parent });
+  await notebook.deleteOne();
+
+  res.status(200).json({ message: 'Notebook deleted. Its entries and sub-notebooks were moved up one level.' });
+});
+
+
+// -----------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------
+
+export {
+  createNotebook,
+  getNotebooks,
+  getNotebookById,
+  updateNotebook,
+  deleteNotebook,
+};
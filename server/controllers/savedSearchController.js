@@ -0,0 +1,218 @@
+// =================================================================
+// BATCHBOOK API | SAVED SEARCH CONTROLLERS (controllers/savedSearchController.js)
+// =================================================================
+
+// -----------------------------------------------------------------
+// IMPORTS
+// -----------------------------------------------------------------
+
+import asyncHandler from 'express-async-handler';
+import Entry from '../models/Entry.js';
+import SavedSearch from '../models/SavedSearch.js';
+import { paginateEntries } from '../utils/pagination.js';
+import { highlightEntries } from '../utils/searchHighlighter.js';
+import { findSavedSearch, savedSearchFilter, countSavedSearch } from '../utils/savedSearches.js';
+
+// The saved search fields a user may set directly.
+const EDITABLE_FIELDS = ['name', 'query', 'sort', 'order', 'pinned'];
+// The search filters a saved search may store (see models/SavedSearch.js).
+const FILTER_FIELDS = ['exactMatch', 'tags', 'startDate', 'endDate', 'notebook', 'includeDescendants'];
+
+// -----------------------------------------------------------------
+// HELPER FUNCTIONS
+// -----------------------------------------------------------------
+
+/**
+ * Copies the editable fields and filters from a request body onto a saved search.
+ * Tags may be given as an array or a comma-separated string.
+ */
+const applyChanges = (savedSearch, body) => {
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) savedSearch[field] = body[field];
+  });
+
+  const filters = body.filters || {};
+  FILTER_FIELDS.forEach((field) => {
+    if (filters[field] === undefined) return;
+    savedSearch.filters[field] =
+      field === 'tags' && typeof filters.tags === 'string'
+        ? filters.tags.split(',').map((tag) => tag.trim().toLowerCase()).filter(Boolean)
+        : filters[field];
+  });
+};
+
+/**
+ * Rejects a saved search that could not be run, by evaluating it once.
+ * This surfaces the same 400/404 errors as `searchEntries` (query syntax,
+ * dates, notebook, sort) when the search is saved rather than when it is run.
+ */
+const validateSavedSearch = async (savedSearch, req, res) => {
+  const filter = await savedSearchFilter(savedSearch, req);
+  await paginateEntries(filter, { ...savedSearch.toSearchParams(), limit: 1, fields: 'title' }, res);
+};
+
+/**
+ * Rejects a name that is already used by another of the user's saved searches.
+ */
+const assertUniqueName = async (savedSearch, req, res) => {
+  const duplicate = await SavedSearch.exists({ _id: { $ne: savedSearch._id }, user: req.user._id, name: savedSearch.name });
+  if (duplicate) {
+    res.status(400);
+    throw new Error('A saved search with that name already exists.');
+  }
+};
+
+// -----------------------------------------------------------------
+// CONTROLLER FUNCTIONS
+// -----------------------------------------------------------------
+
+/**
+ * @desc    Save a named search
+ * @route   POST /api/searches
+ * @access  Private
+ *
+ * Body: `{ name, query, filters: { exactMatch, tags, startDate, endDate, notebook,
+ * includeDescendants }, sort, order, pinned }`. Pinned searches appear as smart
+ * collections in the entry listing.
+ */
+const createSavedSearch = asyncHandler(async (req, res) => {
+  if (!req.body.name || !req.body.name.trim()) {
+    res.status(400);
+    throw new Error('Please provide a name for the saved search.');
+  }
+
+  const savedSearch = new SavedSearch({ user: req.user._id });
+  applyChanges(savedSearch, req.body);
+
+  await assertUniqueName(savedSearch, req, res);
+  await validateSavedSearch(savedSearch, req, res);
+
+  const createdSearch = await savedSearch.save();
+  res.status(201).json(createdSearch);
+});
+
+
+/**
+ * @desc    Get all saved searches of the logged-in user
+ * @route   GET /api/searches?pinned=true&counts=true
+ * @access  Private
+ *
+ * With `counts=true` each search includes its live `count` of matching entries
+ * (null, with an `error`, if it can no longer be run).
+ */
+const getSavedSearches = asyncHandler(async (req, res) => {
+  const filter = { user: req.user._id };
+  if (req.query.pinned !== undefined) filter.pinned = req.query.pinned === 'true';
+
+  const savedSearches = await SavedSearch.find(filter).sort({ name: 1 });
+
+  if (req.query.counts !== 'true') {
+    return res.status(200).json(savedSearches);
+  }
+
+  const withCounts = await Promise.all(
+    savedSearches.map(async (savedSearch) => ({
+      ...savedSearch.toObject(),
+      ...(await countSavedSearch(savedSearch, req)),
+    }))
+  );
+  res.status(200).json(withCounts);
+});
+
+
+/**
+ * @desc    Get a single saved search with its live entry count
+ * @route   GET /api/searches/:id
+ * @access  Private
+ */
+const getSavedSearchById = asyncHandler(async (req, res) => {
+  const savedSearch = await findSavedSearch(req.params.id, req);
+  const filter = await savedSearchFilter(savedSearch, req);
+  const count = await Entry.countDocuments(filter);
+
+  res.status(200).json({ ...savedSearch.toObject(), count });
+});
+
+
+/**
+ * @desc    Update a saved search
+ * @route   PUT /api/searches/:id
+ * @access  Private
+ */
+const updateSavedSearch = asyncHandler(async (req, res) => {
+  const savedSearch = await findSavedSearch(req.params.id, req);
+  applyChanges(savedSearch, req.body);
+
+  if (savedSearch.isModified('name')) {
+    await assertUniqueName(savedSearch, req, res);
+  }
+  await validateSavedSearch(savedSearch, req, res);
+
+  const updatedSearch = await savedSearch.save();
+  res.status(200).json(updatedSearch);
+});
+
+
+/**
+ * @desc    Delete a saved search
+ * @route   DELETE /api/searches/:id
+ * @access  Private
+ */
+const deleteSavedSearch = asyncHandler(async (req, res) => {
+  const savedSearch = await findSavedSearch(req.params.id, req);
+
+  await savedSearch.deleteOne();
+  res.status(200).json({ message: 'Saved search successfully deleted.' });
+});
+
+
+/**
+ * @desc    Run a saved search
+ * @route   GET /api/searches/:id/entries?limit=&cursor=&fields=&sort=&order=
+ * @access  Private
+ *
+ * Returns the same `{ entries, pagination }` shape as `GET /api/search`. The
+ * saved sort applies unless `sort`/`order` are given.
+ */
+const runSavedSearch = asyncHandler(async (req, res) => {
+  const savedSearch = await findSavedSearch(req.params.id, req);
+  const params = savedSearch.toSearchParams();
+
+  const filter = await savedSearchFilter(savedSearch, req);
+  const { entries, pagination } = await paginateEntries(filter, { ...params, ...req.query }, res);
+
+  if (params.q) {
+    const highlighted = highlightEntries(entries, params.q, savedSearch.filters.exactMatch);
+    return res.status(200).json({ entries: highlighted, pagination });
+  }
+
+  res.status(200).json({ entries, pagination });
+});
+
+
+/**
+ * @desc    Get the live number of entries matching a saved search
+ * @route   GET /api/searches/:id/count
+ * @access  Private
+ */
+const getSavedSearchCount = asyncHandler(async (req, res) => {
+  const savedSearch = await findSavedSearch(req.params.id, req);
+  const filter = await savedSearchFilter(savedSearch, req);
+
+  res.status(200).json({ _id: savedSearch._id, name: savedSearch.name, count: await Entry.countDocuments(filter) });
+});
+
+
+// -----------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------
+
+export {
+  createSavedSearch,
+  getSavedSearches,
+  getSavedSearchById,
+  updateSavedSearch,
+  deleteSavedSearch,
+  runSavedSearch,
+  getSavedSearchCount,
+};
@@ -3,79 +3,56 @@
 // =================================================================
 
 import asyncHandler from 'express-async-handler';
-import Entry from '../models/Entry.js';
-import moment from 'moment';
+import { buildSearchFilter } from '../utils/entryFilters.js';
+import { paginateEntries } from '../utils/pagination.js';
+import { highlightEntries } from '../utils/searchHighlighter.js';
+import { searchVersionHistory } from '../utils/versionSearch.js';
 
 /**
  * @desc    Search journal entries with advanced filters
- * @route   GET /api/search
+ * @route   GET /api/search?q=&tokens=&tags=&startDate=&endDate=&notebook=&sort=&order=&limit=&cursor=&fields=&history=
  * @access  Private
+ *
+ * `q` accepts the search query language, e.g.
+ * `standup tag:work mood:tired -draft "release blocker" before:2026-09-01 in:Work`.
+ * Keyword searches (`q`) are ranked by relevance by default, with title matches
+ * weighted above content matches, and each result carries its `score` and
+ * `highlights` (snippets with match offsets).
+ *
+ * End-to-end encrypted entries cannot be matched by `q`. They are searched
+ * instead with `tokens`: blind search tokens the client derives from its query
+ * words (see the Entry model's `searchTokens`). Keyword searches by users with
+ * end-to-end encryption enabled flag `encryptedEntriesExcluded` in the response.
+ *
+ * With `history=true` older versions are searched too, and the response is
+ * `{ results, pagination }` with hits grouped by entry (see utils/versionSearch.js),
+ * paged with `page` and `limit`. `pagination.totalCapped` flags totals that
+ * stop at the cap on the hits considered.
  */
 const searchEntries = asyncHandler(async (req, res) => {
-  // --- 1. Extract and Sanitize Query Parameters ---
-  const { q, tags, startDate, endDate, exactMatch } = req.query;
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 10;
-  const skip = (page - 1) * limit;
-
-  // --- 2. Build Dynamic Mongoose Filter Object ---
-  const filter = { user: req.user._id }; // Base filter: always scope to the logged-in user
-
-  // Keyword Search (Fuzzy or Exact)
-  if (q) {
-    const searchPattern = exactMatch === 'true' ? `^${q}$` : q;
-    const regex = new RegExp(searchPattern, 'i'); // 'i' for case-insensitivity
-    filter.$or = [{ title: regex }, { content: regex }];
+  // --- Version History Mode ---
+  if (req.query.history === 'true') {
+    const { results, pagination } = await searchVersionHistory(req.query, req, res);
+    return res.status(200).json({ results, pagination });
   }
 
-  // Tag Filtering
-  if (tags) {
-    const tagArray = tags.split(',').map(tag => tag.trim().toLowerCase());
-    filter.tags = { $in: tagArray }; // Find entries containing at least one of the tags
-  }
+  // --- 1. Build Dynamic Mongoose Filter Object ---
+  // Keyword, tag, date range and notebook filters (shared with the batch API).
+  const filter = await buildSearchFilter(req.query, req);
 
-  // Date Range Filtering
-  if (startDate || endDate) {
-    filter.createdAt = {};
-    if (startDate) {
-      if (!moment(startDate, 'YYYY-MM-DD', true).isValid()) {
-        res.status(400);
-        throw new Error('Invalid startDate format. Please use YYYY-MM-DD.');
-      }
-      filter.createdAt.$gte = moment(startDate).startOf('day').toDate();
-    }
-    if (endDate) {
-      if (!moment(endDate, 'YYYY-MM-DD', true).isValid()) {
-        res.status(400);
-        throw new Error('Invalid endDate format. Please use YYYY-MM-DD.');
-      }
-      filter.createdAt.$lte = moment(endDate).endOf('day').toDate();
-    }
-  }
+  // --- 2. Fetch One Page of Results ---
+  // Cursor pagination, sorting and field selection (shared with the entry listing).
+  const { entries, pagination } = await paginateEntries(filter, req.query, res);
 
-  // --- 3. Execute Database Queries ---
-  try {
-    // First, get the total count of documents that match the filter for pagination metadata
-    const totalResults = await Entry.countDocuments(filter);
-
-    // Then, fetch the paginated and sorted results
-    const entries = await Entry.find(filter)
-      .sort({ createdAt: -1 }) // Sort by newest first
-      .skip(skip)
-      .limit(limit);
-
-    // --- 4. Send Formatted Response ---
-    res.status(200).json({
-      page,
-      limit,
-      totalResults,
-      totalPages: Math.ceil(totalResults / limit),
-      entries,
-    });
-  } catch (error) {
-    res.status(500);
-    throw new Error('An error occurred while searching for entries.');
+  // --- 3. Attach Highlighted Snippets to Keyword Searches ---
+  if (req.query.q) {
+    const highlighted = highlightEntries(entries, req.query.q, req.query.exactMatch === 'true');
+    const notice = req.user.e2e?.enabled ? { encryptedEntriesExcluded: true } : {};
+    return res.status(200).json({ entries: highlighted, pagination, ...notice });
   }
+
+  // --- 4. Send Formatted Response ---
+  res.status(200).json({ entries, pagination });
 });
 
 export { searchEntries };
@@ -0,0 +1,275 @@
+// =================================================================
+// BATCHBOOK API | TAG CONTROLLERS (controllers/tagController.js)
+// =================================================================
+
+// -----------------------------------------------------------------
+// IMPORTS
+// -----------------------------------------------------------------
+
+import asyncHandler from 'express-async-handler';
+import Entry from '../models/Entry.js';
+import Version from '../models/Version.js';
+import { TAG_SEPARATOR, normalizeTag, normalizeTagExpression, storedTagPatterns, normalizeTags, tagAncestry } from '../utils/tags.js';
+
+// The orders the tag list can be sorted in.
+const TAG_SORTS = {
+  count: { count: -1, _id: 1 },
+  name: { _id: 1 },
+  lastUsed: { lastUsedAt: -1, _id: 1 },
+};
+
+// -----------------------------------------------------------------
+// HELPER FUNCTIONS
+// -----------------------------------------------------------------
+
+/**
+ * Builds the aggregation expression for an entry's tags after replacing the
+ * `sources` with `target`, or removing them when `target` is null.
+ *
+ * Tags are compared in normalized form (see `normalizeTag`). A replaced tag's nested tags move with
+ * it (`work/projecta` becomes `job/projecta` when `work` is renamed to `job`);
+ * removal only covers nested tags when `descendants` is set. Duplicates created
+ * by a rename or merge are dropped, keeping the first occurrence.
+ */
+const retagExpression = (sources, target, descendants) => {
+  // Each tag is bound to `$$t` in normalized form while it is compared.
+  const withNormalizedTag = (expression) => ({
+    $let: { vars: { t: normalizeTagExpression('$$tag') }, in: expression },
+  });
+  const isSource = (source) => ({ $eq: ['$$t', source] });
+  const isNestedUnder = (source) => ({ $eq: [{ $indexOfCP: ['$$t', source + TAG_SEPARATOR] }, 0] });
+
+  if (target === null) {
+    const matches = sources.flatMap((source) => (descendants ? [isSource(source), isNestedUnder(source)] : [isSource(source)]));
+    return { $filter: { input: '$tags', as: 'tag', cond: withNormalizedTag({ $not: [{ $or: matches }] }) } };
+  }
+
+  const branches = sources.flatMap((source) => [
+    { case: isSource(source), then: target },
+    {
+      case: isNestedUnder(source),
+      then: { $concat: [target, { $substrCP: ['$$t', [...source].length, { $strLenCP: '$$t' }] }] },
+    },
+  ]);
+  const renamed = {
+    $map: { input: '$tags', as: 'tag', in: withNormalizedTag({ $switch: { branches, default: '$$tag' } }) },
+  };
+  return {
+    $reduce: {
+      input: renamed,
+      initialValue: [],
+      in: { $cond: [{ $in: ['$$this', '$$value'] }, '$$value', { $concatArrays: ['$$value', ['$$this']] }] },
+    },
+  };
+};
+
+/**
+ * Replaces (or removes) tags across all of a user's entries, including those in
+ * the trash, and optionally in their stored versions.
+ *
+ * Each changed entry gets a new revision, so clients holding a stale copy are
+ * asked to reload instead of writing the old tags back. `updatedAt` is left
+ * alone: retagging is not an edit of the entry's text.
+ *
+ * @param {string} userId - The owner of the entries.
+ * @param {Array<string>} sources - The normalized tags to replace.
+ * @param {string|null} target - The normalized replacement, or null to remove the tags.
+ * @param {object} options
+ * @param {boolean} [options.includeVersions=false] - Whether to rewrite the tags stored in versions too.
+ * @param {boolean} [options.descendants=true] - Whether tags nested under the sources are affected.
+ * @returns {Promise<{entriesUpdated: number, versionsUpdated: number}>}
+ */
+const replaceTags = async (userId, sources, target, { includeVersions = false, descendants = true } = {}) => {
+  const patterns = sources.flatMap((tag) => storedTagPatterns(tag, descendants));
+  const filter = { user: userId, tags: { $in: patterns } };
+  const tags = retagExpression(sources, target, descendants);
+
+  const entryResult = await Entry.updateMany(
+    filter,
+    [{ $set: { tags, revision: { $add: [{ $ifNull: ['$revision', 0] }, 1] } } }],
+    { timestamps: false }
+  );
+
+  let versionsUpdated = 0;
+  if (includeVersions) {
+    const versionResult = await Version.updateMany(filter, [{ $set: { tags } }], { timestamps: false });
+    versionsUpdated = versionResult.modifiedCount;
+  }
+
+  return { entriesUpdated: entryResult.modifiedCount, versionsUpdated };
+};
+
+/**
+ * Normalizes a tag from the request, rejecting a blank one.
+ */
+const requireTag = (tag, label, res) => {
+  const normalized = typeof tag === 'string' ? normalizeTag(tag) : '';
+  if (!normalized) {
+    res.status(400);
+    throw new Error(`Please provide ${label}.`);
+  }
+  return normalized;
+};
+
+// -----------------------------------------------------------------
+// CONTROLLER FUNCTIONS
+// -----------------------------------------------------------------
+
+/**
+ * @desc    List the logged-in user's tags with usage counts and last-used dates
+ * @route   GET /api/tags?sort=count|name|lastUsed
+ * @access  Private
+ *
+ * Counts cover live (non-trashed) entries; `lastUsedAt` is the creation date
+ * of the newest entry with the tag. Tags are listed in normalized form; a tag
+ * still stored in several spellings (from before tags were normalized) lists
+ * them in `variants`. Renaming such a tag to itself normalizes it.
+ */
+const getTags = asyncHandler(async (req, res) => {
+  const sort = TAG_SORTS[req.query.sort || 'count'];
+  if (!sort) {
+    res.status(400);
+    throw new Error(`Invalid sort. Must be one of ${Object.keys(TAG_SORTS).join(', ')}.`);
+  }
+
+  const tags = await Entry.aggregate([
+    { $match: { user: req.user._id, deletedAt: null } },
+    { $unwind: '$tags' },
+    {
+      $group: {
+        _id: normalizeTagExpression('$tags'),
+        count: { $sum: 1 },
+        lastUsedAt: { $max: '$createdAt' },
+        variants: { $addToSet: '$tags' },
+      },
+    },
+    { $match: { _id: { $ne: '' } } },
+    { $sort: sort },
+  ]);
+
+  res.status(200).json(
+    tags.map(({ _id, count, lastUsedAt, variants }) => ({
+      tag: _id,
+      count,
+      lastUsedAt,
+      ...(variants.length > 1 || variants[0] !== _id ? { variants } : {}),
+    }))
+  );
+});
+
+
+/**
+ * @desc    Get the logged-in user's tags as a tree of slash-delimited levels
+ * @route   GET /api/tags/tree
+ * @access  Private
+ *
+ * Each node has its `tag` (last level), full `path`, `count` (live entries
+ * with exactly this tag), `totalCount` (live entries with this tag or any tag
+ * nested under it, each counted once) and `lastUsedAt` (the creation date of
+ * the newest of those entries). Levels that are only used as parents have a
+ * `count` of 0.
+ */
+const getTagTree = asyncHandler(async (req, res) => {
+  const entries = await Entry.find({ user: req.user._id, deletedAt: null, 'tags.0': { $exists: true } })
+    .select('tags createdAt')
+    .lean();
+
+  const nodes = new Map();
+  const nodeFor = (path) => {
+    if (!nodes.has(path)) {
+      const levels = path.split(TAG_SEPARATOR);
+      nodes.set(path, { tag: levels[levels.length - 1], path, count: 0, totalCount: 0, lastUsedAt: null, children: [] });
+    }
+    return nodes.get(path);
+  };
+
+  for (const entry of entries) {
+    const tags = normalizeTags(entry.tags);
+    tags.forEach((tag) => {
+      nodeFor(tag).count += 1;
+    });
+
+    // Count the entry once for every level it falls under
+    const paths = new Set(tags.flatMap(tagAncestry));
+    for (const path of paths) {
+      const node = nodeFor(path);
+      node.totalCount += 1;
+      if (!node.lastUsedAt || entry.createdAt > node.lastUsedAt) node.lastUsedAt = entry.createdAt;
+    }
+  }
+
+  const roots = [];
+  for (const node of [...nodes.values()].sort((a, b) => a.path.localeCompare(b.path))) {
+    const separatorIndex = node.path.lastIndexOf(TAG_SEPARATOR);
+    if (separatorIndex === -1) roots.push(node);
+    else nodes.get(node.path.slice(0, separatorIndex)).children.push(node);
+  }
+
+  res.status(200).json(roots);
+});
+
+
+/**
+ * @desc    Rename a tag across all entries
+ * @route   PUT /api/tags/:tag
+ * @access  Private
+ *
+ * Body: `{ name, includeVersions }`. Renaming to an existing tag merges the two.
+ * Nested tags move with the tag: renaming `work` to `job` turns `work/projecta` into `job/projecta`.
+ * With `includeVersions: true` the tags stored in version history are renamed too.
+ */
+const renameTag = asyncHandler(async (req, res) => {
+  const tag = requireTag(req.params.tag, 'the tag to rename', res);
+  const name = requireTag(req.body.name, 'a new name for the tag', res);
+
+  const result = await replaceTags(req.user._id, [tag], name, { includeVersions: req.body.includeVersions === true });
+  res.status(200).json({ message: `Tag "${tag}" renamed to "${name}".`, ...result });
+});
+
+
+/**
+ * @desc    Merge several tags into one
+ * @route   POST /api/tags/merge
+ * @access  Private
+ *
+ * Body: `{ tags: ['wrk', 'work-stuff'], into: 'work', includeVersions }`.
+ * Tags nested under a merged tag move under the target.
+ */
+const mergeTags = asyncHandler(async (req, res) => {
+  const { tags, into } = req.body;
+
+  if (!Array.isArray(tags) || tags.length === 0) {
+    res.status(400);
+    throw new Error('Please provide a non-empty "tags" array of tags to merge.');
+  }
+  const sources = [...new Set(tags.map((tag) => requireTag(tag, 'only non-empty tags to merge', res)))];
+  const target = requireTag(into, 'the tag to merge into ("into")', res);
+
+  const result = await replaceTags(req.user._id, sources, target, { includeVersions: req.body.includeVersions === true });
+  res.status(200).json({ message: `Merged ${sources.length} tag(s) into "${target}".`, ...result });
+});
+
+
+/**
+ * @desc    Delete a tag from all entries
+ * @route   DELETE /api/tags/:tag?includeVersions=true&includeDescendants=true
+ * @access  Private
+ *
+ * Tags nested under the deleted tag are kept unless `includeDescendants=true`.
+ */
+const deleteTag = asyncHandler(async (req, res) => {
+  const tag = requireTag(req.params.tag, 'the tag to delete', res);
+
+  const result = await replaceTags(req.user._id, [tag], null, {
+    includeVersions: req.query.includeVersions === 'true',
+    descendants: req.query.includeDescendants === 'true',
+  });
+  res.status(200).json({ message: `Tag "${tag}" deleted.`, ...result });
+});
+
+
+// -----------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------
+
+export { getTags, getTagTree, renameTag, mergeTags, deleteTag };
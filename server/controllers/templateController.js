@@ -0,0 +1,173 @@
+// =================================================================
+// BATCHBOOK API | TEMPLATE CONTROLLERS (controllers/templateController.js)
+// =================================================================
+
+// -----------------------------------------------------------------
+// IMPORTS
+// -----------------------------------------------------------------
+
+import asyncHandler from 'express-async-handler';
+import Template from '../models/Template.js';
+import { MAX_TITLE_LENGTH } from '../models/Entry.js';
+import { PROMPT_LIBRARY, PROMPT_CATEGORIES, getDailyPrompt } from '../utils/prompts.js';
+import { renderTemplateString } from '../utils/templateRenderer.js';
+import { resolveTimeZone } from '../utils/timezone.js';
+
+// The template fields a user may set.
+const EDITABLE_FIELDS = ['name', 'titlePattern', 'content', 'defaultTags', 'defaultMood'];
+
+// -----------------------------------------------------------------
+// CONTROLLER FUNCTIONS
+// -----------------------------------------------------------------
+
+/**
+ * @desc    Create a new entry template
+ * @route   POST /api/templates
+ * @access  Private
+ */
+const createTemplate = asyncHandler(async (req, res) => {
+  const { name, titlePattern, content } = req.body;
+
+  if (!name || !titlePattern || !content) {
+    res.status(400);
+    throw new Error('Please provide a name, title pattern and content for the template.');
+  }
+  if (await Template.exists({ user: req.user._id, name: name.trim() })) {
+    res.status(400);
+    throw new Error('A template with that name already exists.');
+  }
+
+  const template = new Template({ user: req.user._id });
+  EDITABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) template[field] = req.body[field];
+  });
+
+  const createdTemplate = await template.save();
+  res.status(201).json(createdTemplate);
+});
+
+
+/**
+ * @desc    Get all templates of the logged-in user
+ * @route   GET /api/templates
+ * @access  Private
+ */
+const getTemplates = asyncHandler(async (req, res) => {
+  const templates = await Template.find({ user: req.user._id }).sort({ name: 1 });
+  res.status(200).json(templates);
+});
+
+
+/**
+ * @desc    Get a single template, with a preview of its rendered title and content
+ * @route   GET /api/templates/:id?tz=
+ * @access  Private
+ */
+const getTemplateById = asyncHandler(async (req, res) => {
+  const template = await Template.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!template) {
+    res.status(404);
+    throw new Error('Template not found.');
+  }
+
+  // Rendered as an entry created now would be
+  const timeZone = resolveTimeZone(req, res);
+  res.status(200).json({
+    ...template.toObject(),
+    preview: {
+      title: renderTemplateString(template.titlePattern, new Date(), timeZone).slice(0, MAX_TITLE_LENGTH),
+      content: renderTemplateString(template.content, new Date(), timeZone),
+    },
+  });
+});
+
+
+/**
+ * @desc    Update a template
+ * @route   PUT /api/templates/:id
+ * @access  Private
+ */
+const updateTemplate = asyncHandler(async (req, res) => {
+  const template = await Template.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!template) {
+    res.status(404);
+    throw new Error('Template not found.');
+  }
+
+  EDITABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) template[field] = req.body[field];
+  });
+
+  if (
+    template.isModified('name') &&
+    (await Template.exists({ _id: { $ne: template._id }, user: req.user._id, name: template.name }))
+  ) {
+    res.status(400);
+    throw new Error('A template with that name already exists.');
+  }
+
+  const updatedTemplate = await template.save();
+  res.status(200).json(updatedTemplate);
+});
+
+
+/**
+ * @desc    Delete a template
+ * @route   DELETE /api/templates/:id
+ * @access  Private
+ */
+const deleteTemplate = asyncHandler(async (req, res) => {
+  const template = await Template.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!template) {
+    res.status(404);
+    throw new Error('Template not found.');
+  }
+
+  await template.deleteOne();
+  res.status(200).json({ message: 'Template successfully deleted.' });
+});
+
+
+/**
+ * @desc    Get the built-in prompt library
+ * @route   GET /api/templates/prompts
+ * @access  Private
+ */
+const getPromptLibrary = asyncHandler(async (req, res) => {
+  res.status(200).json({ categories: PROMPT_CATEGORIES, prompts: PROMPT_LIBRARY });
+});
+
+
+/**
+ * @desc    Get the prompt of the day, optionally from one category
+ * @route   GET /api/templates/prompts/daily?category=gratitude&tz=
+ * @access  Private
+ */
+const getPromptOfTheDay = asyncHandler(async (req, res) => {
+  const dailyPrompt = getDailyPrompt(req.query.category, new Date(), resolveTimeZone(req, res));
+
+  if (!dailyPrompt) {
+    res.status(400);
+    throw new Error(`Unknown prompt category. Must be one of ${PROMPT_CATEGORIES.join(', ')}.`);
+  }
+
+  res.status(200).json(dailyPrompt);
+});
+
+
+// -----------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------
+
+export {
+  createTemplate,
+  getTemplates,
+  getTemplateById,
+  updateTemplate,
+  deleteTemplate,
+  getPromptLibrary,
+  getPromptOfTheDay,
+};
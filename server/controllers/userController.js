@@ -8,7 +8,50 @@
 
 import asyncHandler from 'express-async-handler';
 import User from '../models/User.js';
-import generateToken from '../utils/generateToken.js'; // Assuming you have a token generator utility
+import Entry from '../models/Entry.js';
+import { signAccessToken, revokeAllSessions } from '../utils/tokenService.js';
+import { sendVerificationEmail } from '../utils/accountEmails.js';
+import { nextReminderAt, syncReminderJob } from '../utils/reminders.js';
+import { TIME_PATTERN } from '../utils/timezone.js';
+
+// The maximum number of reminder times per day.
+const MAX_REMINDER_TIMES = 10;
+
+// The longest accepted end-to-end encryption metadata value.
+const MAX_E2E_FIELD_LENGTH = 1024;
+
+// -----------------------------------------------------------------
+// HELPER FUNCTIONS
+// -----------------------------------------------------------------
+
+/**
+ * The reminder settings as returned to the client, with the next reminder time.
+ */
+const describeReminders = (user, nextReminderAt) => ({
+  enabled: user.reminders.enabled,
+  times: user.reminders.times,
+  days: user.reminders.days,
+  channels: { socket: user.reminders.channels.socket, email: user.reminders.channels.email },
+  timezone: user.timezone,
+  nextReminderAt,
+});
+
+/**
+ * The end-to-end encryption settings as returned to the client, with the
+ * number of encrypted entries.
+ */
+const describeEncryption = async (user) => ({
+  enabled: user.e2e.enabled,
+  keyId: user.e2e.keyId,
+  kdf: { algorithm: user.e2e.kdf.algorithm, salt: user.e2e.kdf.salt, iterations: user.e2e.kdf.iterations },
+  keyCheck: user.e2e.keyCheck,
+  encryptedEntries: await Entry.countDocuments({ user: user._id, deletedAt: null, encryption: { $ne: null } }),
+});
+
+/**
+ * Checks that a value is a non-empty string short enough to store as E2E metadata.
+ */
+const isE2eString = (value) => typeof value === 'string' && value.length > 0 && value.length <= MAX_E2E_FIELD_LENGTH;
 
 // -----------------------------------------------------------------
 // CONTROLLER FUNCTIONS
@@ -28,7 +71,10 @@ const getUserProfile = asyncHandler(async (req, res) => {
       _id: user._id,
       name: user.name,
       email: user.email,
+      emailVerified: user.emailVerified,
       role: user.role,
+      versionRetention: user.versionRetention,
+      timezone: user.timezone,
     });
   } else {
     res.status(404);
@@ -40,6 +86,9 @@ const getUserProfile = asyncHandler(async (req, res) => {
  * @desc    Update user profile
  * @route   PUT /api/users/profile
  * @access  Private
+ *
+ * A new email address has to be verified again: it is marked unverified and
+ * sent a verification link.
  */
 const updateUserProfile = asyncHandler(async (req, res) => {
   // Find the currently logged-in user in the database.
@@ -50,22 +99,59 @@ const updateUserProfile = asyncHandler(async (req, res) => {
     user.name = req.body.name || user.name;
     user.email = req.body.email || user.email;
 
+    // A new email address must be free, and is unverified until confirmed.
+    const emailChanged = user.isModified('email');
+    if (emailChanged) {
+      if (await User.exists({ email: user.email, _id: { $ne: user._id } })) {
+        res.status(400);
+        throw new Error('User with that email already exists');
+      }
+      user.emailVerified = false;
+      user.emailVerifiedAt = null;
+    }
+
+    // Update the version history retention policy if provided.
+    if (req.body.versionRetention) {
+      const { keepLast, keepDailyDays } = req.body.versionRetention;
+      if (keepLast !== undefined) user.versionRetention.keepLast = keepLast;
+      if (keepDailyDays !== undefined) user.versionRetention.keepDailyDays = keepDailyDays;
+    }
+
+    // Update the time zone used by analytics and reminders if provided.
+    if (req.body.timezone !== undefined) user.timezone = req.body.timezone;
+    const timezoneChanged = user.isModified('timezone');
+
     // If a new password is provided, update it.
     // The pre-save hook in the User model will automatically hash it.
     if (req.body.password) {
       user.password = req.body.password;
     }
+    const passwordChanged = user.isModified('password');
 
     // Save the updated user document.
     const updatedUser = await user.save();
 
-    // Respond with the updated user details and a new token.
+    // A new password logs out every other session, in case the old one leaked.
+    if (passwordChanged) await revokeAllSessions(updatedUser._id, { exceptSessionId: req.authSession._id });
+
+    // Reminder times are wall-clock times, so they move with the time zone.
+    if (timezoneChanged) await syncReminderJob(updatedUser);
+
+    // Verification links sent to the old address stop working, since they are tied to it.
+    if (emailChanged) {
+      await sendVerificationEmail(updatedUser).catch((error) => console.error(`Verification email failed: ${error.message}`));
+    }
+
+    // Respond with the updated user details and a new access token for this session.
     res.json({
       _id: updatedUser._id,
       name: updatedUser.name,
       email: updatedUser.email,
+      emailVerified: updatedUser.emailVerified,
       role: updatedUser.role,
-      token: generateToken(updatedUser._id), // Issue a new token in case payload data changes
+      versionRetention: updatedUser.versionRetention,
+      timezone: updatedUser.timezone,
+      token: signAccessToken(req.authSession), // Issue a new token in case payload data changes
     });
   } else {
     res.status(404);
@@ -74,8 +160,150 @@ const updateUserProfile = asyncHandler(async (req, res) => {
 });
 
 
+/**
+ * @desc    Get the user's journaling reminder settings
+ * @route   GET /api/users/reminders
+ * @access  Private
+ */
+const getReminders = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('reminders timezone');
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+  res.json(describeReminders(user, nextReminderAt(user.reminders, user.timezone)));
+});
+
+
+/**
+ * @desc    Update the user's journaling reminder settings
+ * @route   PUT /api/users/reminders
+ * @access  Private
+ *
+ * Body (all optional): `{ enabled, times: ['08:00', '21:30'], days: [1, 2, 3, 4, 5], channels: { socket, email } }`.
+ * Times are in the user's time zone (see the profile's `timezone`); days are ISO
+ * weekdays (1 = Monday), with an empty list meaning every day. A reminder is
+ * skipped on days the user has already written an entry. Email reminders are
+ * only sent once the account's email address is verified.
+ */
+const updateReminders = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('reminders timezone');
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+  const { enabled, times, days, channels } = req.body;
+
+  if (enabled !== undefined) {
+    if (typeof enabled !== 'boolean') {
+      res.status(400);
+      throw new Error('enabled must be true or false.');
+    }
+    user.reminders.enabled = enabled;
+  }
+
+  if (times !== undefined) {
+    if (!Array.isArray(times) || times.length > MAX_REMINDER_TIMES || !times.every((time) => TIME_PATTERN.test(time))) {
+      res.status(400);
+      throw new Error(`times must be a list of at most ${MAX_REMINDER_TIMES} times in the 24-hour HH:MM format.`);
+    }
+    user.reminders.times = [...new Set(times)].sort();
+  }
+
+  if (days !== undefined) {
+    if (!Array.isArray(days) || !days.every((day) => Number.isInteger(day) && day >= 1 && day <= 7)) {
+      res.status(400);
+      throw new Error('days must be a list of ISO weekdays, from 1 (Monday) to 7 (Sunday).');
+    }
+    user.reminders.days = [...new Set(days)].sort();
+  }
+
+  if (channels !== undefined) {
+    for (const channel of ['socket', 'email']) {
+      if (channels[channel] === undefined) continue;
+      if (typeof channels[channel] !== 'boolean') {
+        res.status(400);
+        throw new Error(`channels.${channel} must be true or false.`);
+      }
+      user.reminders.channels[channel] = channels[channel];
+    }
+  }
+
+  if (user.reminders.enabled && user.reminders.times.length === 0) {
+    res.status(400);
+    throw new Error('Please provide at least one reminder time to enable reminders.');
+  }
+
+  await user.save();
+  res.json(describeReminders(user, await syncReminderJob(user)));
+});
+
+
+/**
+ * @desc    Get the user's end-to-end encryption settings
+ * @route   GET /api/users/encryption
+ * @access  Private
+ */
+const getEncryption = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('e2e');
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+  res.json(await describeEncryption(user));
+});
+
+
+/**
+ * @desc    Enable, disable or re-key end-to-end encryption
+ * @route   PUT /api/users/encryption
+ * @access  Private
+ *
+ * Body: `{ enabled: true, keyId, kdf: { algorithm, salt, iterations }, keyCheck }`
+ * to enable (or change the key), or `{ enabled: false }` to disable. The key is
+ * derived and used on the client only. Disabling keeps the key metadata, so
+ * existing encrypted entries can still be decrypted, and allows plaintext
+ * entries again.
+ */
+const updateEncryption = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('e2e');
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+  const { enabled, keyId, kdf, keyCheck } = req.body;
+
+  if (typeof enabled !== 'boolean') {
+    res.status(400);
+    throw new Error('enabled must be true or false.');
+  }
+
+  if (enabled) {
+    if (!isE2eString(keyId) || !isE2eString(keyCheck)) {
+      res.status(400);
+      throw new Error(`keyId and keyCheck must be non-empty strings of at most ${MAX_E2E_FIELD_LENGTH} characters.`);
+    }
+    if (
+      typeof kdf !== 'object' || kdf === null ||
+      !isE2eString(kdf.algorithm) || !isE2eString(kdf.salt) ||
+      !Number.isInteger(kdf.iterations) || kdf.iterations < 1
+    ) {
+      res.status(400);
+      throw new Error('kdf must be an object with an algorithm, a salt and a positive integer number of iterations.');
+    }
+    user.e2e.keyId = keyId;
+    user.e2e.kdf = { algorithm: kdf.algorithm, salt: kdf.salt, iterations: kdf.iterations };
+    user.e2e.keyCheck = keyCheck;
+  }
+  user.e2e.enabled = enabled;
+
+  await user.save();
+  res.json(await describeEncryption(user));
+});
+
+
 // -----------------------------------------------------------------
 // EXPORT
 // -----------------------------------------------------------------
 
-export { getUserProfile, updateUserProfile };
+export { getUserProfile, updateUserProfile, getReminders, updateReminders, getEncryption, updateEncryption };
@@ -6,14 +6,52 @@ import asyncHandler from 'express-async-handler';
 import Entry from '../models/Entry.js';
 import Version from '../models/Version.js'; // Assuming this model exists
 import mongoose from 'mongoose';
+import { recordVersion } from '../utils/versionHistory.js';
+import { diffSnapshots } from '../utils/versionDiff.js';
+import { isEncrypted, assertNotEncrypted } from '../utils/e2e.js';
+
+// The pseudo version ID that refers to the entry's current state in a diff.
+const CURRENT = 'current';
+
+// The allowed values of the `source` filter, taken from the Version schema.
+const VERSION_SOURCES = Version.schema.path('source').enumValues;
+
+// Page size bounds for version listings (as for entry listings, see utils/pagination.js).
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
 
 /**
- * @desc    Get all historical versions for a single journal entry
- * @route   GET /api/entries/:entryId/versions
+ * @desc    Get the historical versions of a single journal entry, optionally filtered by source
+ * @route   GET /api/versions/:entryId?source=auto,manual,restore&pinned=true&page=1&limit=20
  * @access  Private
  */
 const getEntryVersions = asyncHandler(async (req, res) => {
   const { entryId } = req.params;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const skip = (page - 1) * limit;
+
+  const filter = { entry: entryId };
+
+  // Source Filtering (comma-separated)
+  if (req.query.source !== undefined) {
+    if (typeof req.query.source !== 'string') {
+      res.status(400);
+      throw new Error('The source filter must be a comma-separated list.');
+    }
+    const sources = req.query.source.split(',').map((source) => source.trim());
+    const invalid = sources.filter((source) => !VERSION_SOURCES.includes(source));
+    if (invalid.length > 0) {
+      res.status(400);
+      throw new Error(`Invalid source: ${invalid.join(', ')}. Must be one of ${VERSION_SOURCES.join(', ')}.`);
+    }
+    filter.source = { $in: sources };
+  }
+
+  // Pinned Filtering
+  if (req.query.pinned !== undefined) {
+    filter.pinned = req.query.pinned === 'true';
+  }
 
   // First, verify the user owns the parent entry
   const entry = await Entry.findOne({ _id: entryId, user: req.user.id });
@@ -22,22 +60,100 @@ const getEntryVersions = asyncHandler(async (req, res) => {
     throw new Error('Entry not found or you do not have permission to view it.');
   }
 
-  // Fetch all associated versions, sorted from newest to oldest
-  const versions = await Version.find({ entryId }).sort({ createdAt: -1 });
+  // Fetch the matching versions, sorted from newest to oldest
+  const totalResults = await Version.countDocuments(filter);
+  const versions = await Version.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit);
+
+  res.status(200).json({
+    page,
+    limit,
+    totalResults,
+    totalPages: Math.ceil(totalResults / limit),
+    versions,
+  });
+});
+
+/**
+ * @desc    Save a named checkpoint of an entry's current state
+ * @route   POST /api/versions/:entryId/checkpoints
+ * @access  Private
+ */
+const createCheckpoint = asyncHandler(async (req, res) => {
+  const { entryId } = req.params;
+  const { note, pinned = false } = req.body;
+
+  if (typeof note !== 'string' || !note.trim()) {
+    res.status(400);
+    throw new Error('Please provide a note to label the checkpoint.');
+  }
+
+  const entry = await Entry.findOne({ _id: entryId, user: req.user.id, deletedAt: null });
+  if (!entry) {
+    res.status(404);
+    throw new Error('Entry not found or you do not have permission to modify it.');
+  }
+
+  const checkpoint = await Version.createFromEntry(entry, 'manual', { note, pinned: Boolean(pinned) });
+
+  res.status(201).json(checkpoint);
+});
+
+/**
+ * @desc    Rename/annotate a version or change its pinned state
+ * @route   PATCH /api/versions/:entryId/:versionId
+ * @access  Private
+ */
+const updateVersion = asyncHandler(async (req, res) => {
+  const { entryId, versionId } = req.params;
+  const { note, pinned } = req.body;
+
+  if (note === undefined && pinned === undefined) {
+    res.status(400);
+    throw new Error('Please provide a note or pinned value to update.');
+  }
+  if (note !== undefined && note !== null && typeof note !== 'string') {
+    res.status(400);
+    throw new Error('The note must be a string, or null to remove it.');
+  }
+  if (!mongoose.Types.ObjectId.isValid(versionId)) {
+    res.status(400);
+    throw new Error(`Invalid version ID: ${versionId}`);
+  }
+
+  const entry = await Entry.findOne({ _id: entryId, user: req.user.id });
+  if (!entry) {
+    res.status(404);
+    throw new Error('Entry not found or you do not have permission to modify it.');
+  }
+
+  const version = await Version.findOne({ _id: versionId, entry: entryId });
+  if (!version) {
+    res.status(404);
+    throw new Error('Version not found for the specified entry.');
+  }
+
+  if (note !== undefined) version.note = note;
+  if (pinned !== undefined) version.pinned = Boolean(pinned);
 
-  res.status(200).json(versions);
+  const updatedVersion = await version.save();
+  res.status(200).json(updatedVersion);
 });
 
 /**
  * @desc    Get a specific version of a journal entry
- * @route   GET /api/entries/:entryId/versions/:versionId
+ * @route   GET /api/versions/:entryId/:versionId
  * @access  Private
  */
 const getSpecificVersion = asyncHandler(async (req, res) => {
   const { entryId, versionId } = req.params;
 
+  if (!mongoose.Types.ObjectId.isValid(versionId)) {
+    res.status(400);
+    throw new Error(`Invalid version ID: ${versionId}`);
+  }
+
   // Find the specific version and ensure it belongs to the correct entry
-  const version = await Version.findOne({ _id: versionId, entryId });
+  const version = await Version.findOne({ _id: versionId, entry: entryId });
 
   if (!version) {
     res.status(404);
@@ -56,34 +172,51 @@ const getSpecificVersion = asyncHandler(async (req, res) => {
 
 /**
  * @desc    Restore an entry to a previous version
- * @route   POST /api/entries/:entryId/versions/:versionId/restore
+ * @route   POST /api/versions/:entryId/restore/:versionId
  * @access  Private
+ *
+ * Restoring an end-to-end encrypted version restores its key-wrapping metadata
+ * with it. Its search tokens are not kept in the history, so clients should
+ * send fresh `searchTokens` (and `wordCount`) after restoring one.
  */
 const restoreVersion = asyncHandler(async (req, res) => {
   const { entryId, versionId } = req.params;
 
-  const entry = await Entry.findById(entryId);
+  if (!mongoose.Types.ObjectId.isValid(entryId)) {
+    res.status(400);
+    throw new Error(`Invalid entry ID: ${entryId}`);
+  }
+  if (!mongoose.Types.ObjectId.isValid(versionId)) {
+    res.status(400);
+    throw new Error(`Invalid version ID: ${versionId}`);
+  }
+
+  const entry = await Entry.findOne({ _id: entryId, deletedAt: null });
   if (!entry || entry.user.toString() !== req.user.id) {
     res.status(403);
     throw new Error('You are not authorized to modify this entry.');
   }
 
   const versionToRestore = await Version.findById(versionId);
-  if (!versionToRestore || versionToRestore.entryId.toString() !== entryId) {
+  if (!versionToRestore || versionToRestore.entry.toString() !== entryId) {
     res.status(404);
     throw new Error('Version to restore not found for this entry.');
   }
+  if (!isEncrypted(versionToRestore) && req.user.e2e?.enabled) {
+    res.status(409);
+    throw new Error('This version is stored in plaintext, but end-to-end encryption is enabled for your account. Open it and save it again as an encrypted entry instead.');
+  }
 
-  // Before overwriting, save the current state as a new version to avoid data loss
-  await Version.create({
-    entryId: entry._id,
-    title: entry.title,
-    content: entry.content,
-  });
+  // Before overwriting, save the current state as a new version to avoid data loss.
+  // Restore snapshots are never coalesced or pruned.
+  await recordVersion(entry, 'restore');
 
   // Restore the entry's content from the selected historical version
   entry.title = versionToRestore.title;
   entry.content = versionToRestore.content;
+  entry.encryption = versionToRestore.encryption || null;
+  entry.searchTokens = isEncrypted(versionToRestore) ? [] : undefined;
+  entry.tags = versionToRestore.tags;
   // The `updatedAt` timestamp will be automatically updated on save
   const updatedEntry = await entry.save();
 
@@ -93,4 +226,77 @@ const restoreVersion = asyncHandler(async (req, res) => {
   });
 });
 
-export { getEntryVersions, getSpecificVersion, restoreVersion };
+/**
+ * @desc    Compare two versions of an entry (or a version and the current entry)
+ * @route   GET /api/versions/:entryId/diff?from=<versionId|current>&to=<versionId|current>&format=json|unified
+ * @access  Private
+ */
+const compareVersions = asyncHandler(async (req, res) => {
+  const { entryId } = req.params;
+  const { from, to = CURRENT, format = 'json' } = req.query;
+
+  if (!from) {
+    res.status(400);
+    throw new Error('A "from" version ID is required.');
+  }
+  if (!['json', 'unified'].includes(format)) {
+    res.status(400);
+    throw new Error('Invalid format. Must be json or unified.');
+  }
+  for (const id of [from, to]) {
+    if (id !== CURRENT && !mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400);
+      throw new Error(`Invalid version ID: ${id}`);
+    }
+  }
+
+  const entry = await Entry.findOne({ _id: entryId, user: req.user.id });
+  if (!entry) {
+    res.status(404);
+    throw new Error('Entry not found or you do not have permission to view it.');
+  }
+
+  // Resolve each side of the comparison to a snapshot
+  const resolveSnapshot = async (id) => {
+    if (id === CURRENT) return entry;
+    const version = await Version.findOne({ _id: id, entry: entryId });
+    if (!version) {
+      res.status(404);
+      throw new Error(`Version ${id} not found for the specified entry.`);
+    }
+    return version;
+  };
+  const fromSnapshot = await resolveSnapshot(from);
+  const toSnapshot = await resolveSnapshot(to);
+  assertNotEncrypted(fromSnapshot, 'Comparing versions');
+  assertNotEncrypted(toSnapshot, 'Comparing versions');
+
+  const label = (id) => (id === CURRENT ? CURRENT : `version-${id}`);
+  // A version's timestamp is when it was captured; the current entry's is its last update.
+  const describe = (id, snapshot) =>
+    id === CURRENT
+      ? { id, timestamp: snapshot.updatedAt }
+      : { id, timestamp: snapshot.createdAt, source: snapshot.source };
+  const diff = diffSnapshots(fromSnapshot, toSnapshot, { from: label(from), to: label(to) });
+
+  if (format === 'unified') {
+    res.type('text/plain');
+    return res.status(200).send(diff.unified);
+  }
+
+  res.status(200).json({
+    entryId,
+    from: describe(from, fromSnapshot),
+    to: describe(to, toSnapshot),
+    ...diff,
+  });
+});
+
+export {
+  getEntryVersions,
+  getSpecificVersion,
+  restoreVersion,
+  compareVersions,
+  createCheckpoint,
+  updateVersion,
+};
@@ -0,0 +1,52 @@
+// =================================================================
+// BATCHBOOK API | EMAIL VERIFICATION BACKFILL JOB (jobs/emailVerificationBackfill.js)
+// =================================================================
+
+import User from '../models/User.js';
+import { defineJob, scheduleJob } from './scheduler.js';
+
+const EMAIL_VERIFICATION_BACKFILL_JOB = 'backfillEmailVerification';
+// A single pending job is kept, however often it is scheduled.
+const EMAIL_VERIFICATION_BACKFILL_JOB_KEY = 'backfill-email-verification';
+
+/**
+ * Marks accounts created before email addresses were verified as verified, so
+ * they keep their reminder and digest emails. Those accounts are the ones with
+ * no `emailVerified` field stored; accounts created since always store it.
+ * They are updated directly, so `updatedAt` is left alone.
+ *
+ * @returns {Promise<null>} Nothing to run afterwards.
+ */
+const backfillEmailVerification = async () => {
+  const { modifiedCount } = await User.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } },
+    { timestamps: false }
+  );
+  if (modifiedCount > 0) {
+    console.log(`✉️ Email verification backfill marked ${modifiedCount} existing account${modifiedCount === 1 ? '' : 's'} as verified.`);
+  }
+  return null;
+};
+
+/**
+ * Registers the email verification backfill job with the scheduler.
+ */
+const registerEmailVerificationBackfillJob = () => {
+  defineJob(EMAIL_VERIFICATION_BACKFILL_JOB, backfillEmailVerification);
+};
+
+/**
+ * Schedules a backfill pass now. Called on startup; once every account stores
+ * `emailVerified`, the pass finds nothing to do.
+ * @returns {Promise<object>} The job document.
+ */
+const scheduleEmailVerificationBackfill = () =>
+  scheduleJob(EMAIL_VERIFICATION_BACKFILL_JOB, new Date(), {}, { key: EMAIL_VERIFICATION_BACKFILL_JOB_KEY });
+
+export {
+  EMAIL_VERIFICATION_BACKFILL_JOB,
+  backfillEmailVerification,
+  registerEmailVerificationBackfillJob,
+  scheduleEmailVerificationBackfill,
+};
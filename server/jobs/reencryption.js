@@ -0,0 +1,64 @@
+// =================================================================
+// BATCHBOOK API | RE-ENCRYPTION JOB (jobs/reencryption.js)
+// =================================================================
+
+import User from '../models/User.js';
+import Entry from '../models/Entry.js';
+import Version from '../models/Version.js';
+import { defineJob, scheduleJob } from './scheduler.js';
+import { isEncryptionConfigured } from '../utils/encryption.js';
+
+const REENCRYPTION_JOB = 'reencryptFields';
+// A single pending job is kept, however often it is scheduled.
+const REENCRYPTION_JOB_KEY = 'reencrypt-fields';
+
+// The models with fields encrypted at rest (see utils/fieldEncryption.js).
+const ENCRYPTED_MODELS = [User, Entry, Version];
+// How many values of each field are processed per run.
+const BATCH_SIZE = 200;
+
+/**
+ * Processes one batch of stored values that do not match the encryption
+ * configuration: plaintext to encrypt, values under a retired master key to
+ * re-wrap, or values to decrypt once entry content encryption is turned off.
+ * Runs again right away until nothing is left.
+ *
+ * @returns {Promise<Date|null>} When to run the next batch, or null when done.
+ */
+const reencryptBatch = async () => {
+  let processed = 0;
+  for (const Model of ENCRYPTED_MODELS) {
+    processed += await Model.reencryptFields(BATCH_SIZE);
+  }
+
+  if (processed > 0) {
+    console.log(`🔐 Re-encryption updated ${processed} stored value${processed === 1 ? '' : 's'}.`);
+    return new Date();
+  }
+  return null;
+};
+
+/**
+ * Registers the re-encryption job with the scheduler.
+ */
+const registerReencryptionJob = () => {
+  defineJob(REENCRYPTION_JOB, reencryptBatch);
+};
+
+/**
+ * Schedules a re-encryption pass now, if encryption at rest is configured.
+ * Called on startup, so that a change of keys or settings is applied to the
+ * existing data: to rotate the master key, add a new key to ENCRYPTION_KEYS,
+ * make it the ENCRYPTION_ACTIVE_KEY and restart, then remove the old key
+ * once the pass is done.
+ *
+ * @returns {Promise<object|null>} The job document, or null if encryption is not configured.
+ * @throws {Error} right away if the encryption settings are malformed, so a bad
+ *   configuration stops the server on startup.
+ */
+const scheduleReencryption = () => {
+  if (!isEncryptionConfigured()) return Promise.resolve(null);
+  return scheduleJob(REENCRYPTION_JOB, new Date(), {}, { key: REENCRYPTION_JOB_KEY });
+};
+
+export { REENCRYPTION_JOB, registerReencryptionJob, scheduleReencryption };
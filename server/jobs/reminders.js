@@ -0,0 +1,60 @@
+// =================================================================
+// BATCHBOOK API | JOURNALING REMINDER JOB (jobs/reminders.js)
+// =================================================================
+
+import User from '../models/User.js';
+import { defineJob } from './scheduler.js';
+import { emitToUser } from '../realtime/notifier.js';
+import { sendMail } from '../mail/index.js';
+import { REMINDER_JOB, nextReminderAt, hasWrittenOn } from '../utils/reminders.js';
+import { DEFAULT_TIMEZONE, formatDateInZone } from '../utils/timezone.js';
+
+// A reminder more than this late (e.g. the server was down at the time) is
+// skipped rather than sent out of context.
+const MISSED_REMINDER_GRACE_MS = 60 * 60 * 1000;
+
+/**
+ * Sends a user's reminder, unless they have already written an entry that day,
+ * and returns the time of their next one.
+ *
+ * The `reminder` socket event carries `{ message, scheduledFor }`. Emails are only
+ * sent to verified addresses; a failed email is logged rather than retried,
+ * since a late reminder is not worth much.
+ *
+ * @param {{userId: string}} data - The job data.
+ * @param {object} job - The job document (`runAt` is when the reminder was due).
+ * @returns {Promise<Date|null>} The next reminder time, or null to stop.
+ */
+const sendReminder = async ({ userId }, job) => {
+  const user = await User.findById(userId).select('name email emailVerified timezone reminders');
+  if (!user) return null;
+
+  const timeZone = user.timezone || DEFAULT_TIMEZONE;
+  const now = new Date();
+  const isMissed = now - job.runAt > MISSED_REMINDER_GRACE_MS;
+
+  if (user.reminders?.enabled && !isMissed && !(await hasWrittenOn(user._id, formatDateInZone(job.runAt, timeZone), timeZone))) {
+    const message = "You haven't written in your journal today. Take a few minutes to reflect.";
+
+    if (user.reminders.channels?.socket !== false) {
+      emitToUser(user._id, 'reminder', { message, scheduledFor: job.runAt });
+    }
+    // Emails only go to verified addresses
+    if (user.reminders.channels?.email && user.emailVerified) {
+      try {
+        await sendMail({ to: user.email, subject: 'Time to write in your journal', text: `Hi ${user.name},\n\n${message}` });
+      } catch (error) {
+        console.error(`Reminder email to user ${user._id} failed: ${error.message}`);
+      }
+    }
+  }
+
+  return nextReminderAt(user.reminders, timeZone, now);
+};
+
+/**
+ * Registers the reminder job with the scheduler. Call before `startScheduler`.
+ */
+const registerReminderJob = () => defineJob(REMINDER_JOB, sendReminder);
+
+export { sendReminder, registerReminderJob };
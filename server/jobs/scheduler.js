@@ -0,0 +1,157 @@
+// =================================================================
+// BATCHBOOK API | JOB SCHEDULER (jobs/scheduler.js)
+// =================================================================
+
+import crypto from 'crypto';
+import os from 'os';
+import Job from '../models/Job.js';
+import getSchedulerConfig from '../config/scheduler.js';
+
+// Identifies this process in job locks.
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+
+// The maximum number of jobs run per poll, so that a job rescheduling itself
+// into the past cannot keep a poll going forever.
+const MAX_JOBS_PER_RUN = 100;
+
+// The handlers for each job type, registered with `defineJob`.
+const handlers = new Map();
+
+// --- JOB REGISTRY ---
+
+/**
+ * Registers the handler for a job type. A handler receives the job's `data`
+ * and the job document. To run again later (a recurring job), it returns the
+ * Date of the next run; otherwise the job is removed once it succeeds.
+ *
+ * @param {string} name - The job type.
+ * @param {(data: object, job: object) => Promise<Date|null|void>} handler
+ */
+const defineJob = (name, handler) => {
+  handlers.set(name, handler);
+};
+
+/**
+ * Schedules a job. With a `key`, the pending job with that key (if any) is
+ * replaced, so a job can be rescheduled without creating duplicates.
+ *
+ * @param {string} name - The job type.
+ * @param {Date} runAt - When the job is due.
+ * @param {object} [data={}] - The handler's input.
+ * @param {object} [options]
+ * @param {string} [options.key] - A unique key for the job.
+ * @returns {Promise<object>} The job document.
+ */
+const scheduleJob = (name, runAt, data = {}, { key } = {}) => {
+  if (!key) return Job.create({ name, runAt, data });
+
+  // Clearing the lock also stops a run in progress from rescheduling over this one
+  return Job.findOneAndUpdate(
+    { key },
+    { $set: { name, runAt, data, lockedAt: null, lockedBy: null, attempts: 0, lastError: null, failedAt: null } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Removes the job with a key, if there is one.
+ * @param {string} key - The job's key.
+ * @returns {Promise<boolean>} Whether a job was removed.
+ */
+const cancelJob = async (key) => {
+  const { deletedCount } = await Job.deleteOne({ key });
+  return deletedCount > 0;
+};
+
+// --- JOB EXECUTION ---
+
+/**
+ * Atomically claims the next due job this process has a handler for.
+ * A job locked for longer than the lock timeout is claimed again.
+ */
+const claimNextJob = (now, lockTimeoutMs) =>
+  Job.findOneAndUpdate(
+    {
+      name: { $in: [...handlers.keys()] },
+      failedAt: null,
+      runAt: { $lte: now },
+      $or: [{ lockedAt: null }, { lockedAt: { $lte: new Date(now.getTime() - lockTimeoutMs) } }],
+    },
+    { $set: { lockedAt: now, lockedBy: WORKER_ID }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+
+/**
+ * Runs a claimed job and records the outcome. Updates only apply while this
+ * process still holds the lock, so a job rescheduled during the run keeps its
+ * new schedule.
+ */
+const runJob = async (job, { maxAttempts, retryDelayMs }) => {
+  const lock = { _id: job._id, lockedBy: WORKER_ID, lockedAt: job.lockedAt };
+  const unlock = { lockedAt: null, lockedBy: null, lastRunAt: new Date() };
+
+  try {
+    const nextRunAt = await handlers.get(job.name)(job.data || {}, job);
+    if (nextRunAt instanceof Date) {
+      await Job.updateOne(lock, { $set: { ...unlock, runAt: nextRunAt, attempts: 0, lastError: null } });
+    } else {
+      await Job.deleteOne(lock);
+    }
+    return true;
+  } catch (error) {
+    const failed = job.attempts >= maxAttempts;
+    const retryAt = new Date(Date.now() + retryDelayMs * 2 ** (job.attempts - 1));
+    await Job.updateOne(lock, {
+      $set: { ...unlock, lastError: error.message, ...(failed ? { failedAt: new Date() } : { runAt: retryAt }) },
+    });
+    console.error(`Job ${job.name} (${job._id}) failed${failed ? ' permanently' : ''}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Runs the jobs that are due, one at a time (at most `MAX_JOBS_PER_RUN`).
+ * @param {Date} [now=new Date()] - The reference time.
+ * @returns {Promise<number>} The number of jobs run.
+ */
+const runDueJobs = async (now = new Date()) => {
+  const config = getSchedulerConfig();
+  let count = 0;
+  while (count < MAX_JOBS_PER_RUN) {
+    const job = await claimNextJob(now, config.lockTimeoutMs);
+    if (!job) break;
+    await runJob(job, config);
+    count += 1;
+  }
+  return count;
+};
+
+/**
+ * Starts polling for due jobs on the configured interval. A poll is skipped
+ * while the previous one is still running.
+ * The timer is unref'd so it never keeps the process alive on its own.
+ * @returns {NodeJS.Timeout|null} The interval handle, or null if disabled (interval of 0).
+ */
+const startScheduler = () => {
+  const { pollIntervalMs } = getSchedulerConfig();
+  if (pollIntervalMs === 0) return null;
+
+  let running = false;
+  const poll = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runDueJobs();
+    } catch (error) {
+      console.error(`Job scheduler failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(poll, pollIntervalMs);
+  timer.unref();
+  return timer;
+};
+
+export { defineJob, scheduleJob, cancelJob, runDueJobs, startScheduler };
@@ -0,0 +1,82 @@
+// =================================================================
+// BATCHBOOK API | TAG BACKFILL JOB (jobs/tagBackfill.js)
+// =================================================================
+
+import Entry from '../models/Entry.js';
+import Version from '../models/Version.js';
+import { defineJob, scheduleJob } from './scheduler.js';
+import { normalizeTagExpression, normalizeTags } from '../utils/tags.js';
+
+const TAG_BACKFILL_JOB = 'backfillTags';
+// A single pending job is kept, however often it is scheduled.
+const TAG_BACKFILL_JOB_KEY = 'backfill-tags';
+
+// How many entries or versions are normalized per run.
+const BATCH_SIZE = 200;
+
+// Matches documents with a tag stored before tags were normalized, e.g. `Work / ProjectA`.
+const LEGACY_TAGS_FILTER = {
+  'tags.0': { $exists: true },
+  $expr: { $ne: ['$tags', { $map: { input: '$tags', as: 'tag', in: normalizeTagExpression('$$tag') } }] },
+};
+
+/**
+ * Normalizes the tags of one batch of documents of a model, updated directly
+ * so their revision and `updatedAt` are left alone. Documents whose tags
+ * normalize to what is stored (the server only lowercases ASCII) are skipped.
+ * @returns {Promise<number>} The number of documents updated.
+ */
+const normalizeBatch = async (Model) => {
+  const docs = await Model.find(LEGACY_TAGS_FILTER).select('tags').limit(BATCH_SIZE).lean();
+  const updates = docs
+    .map(({ _id, tags }) => ({ _id, tags, normalized: normalizeTags(tags) }))
+    .filter(({ tags, normalized }) => normalized.join('\n') !== tags.join('\n'));
+  if (updates.length === 0) return 0;
+
+  await Model.bulkWrite(
+    updates.map(({ _id, tags, normalized }) => ({
+      updateOne: {
+        filter: { _id, tags },
+        update: { $set: { tags: normalized } },
+        timestamps: false,
+      },
+    }))
+  );
+  return updates.length;
+};
+
+/**
+ * Normalizes the tags of one batch of entries saved before tags were
+ * normalized, then of their versions, so that tag filters (which look for
+ * normalized tags) find them. Runs again right away until nothing is left.
+ *
+ * @returns {Promise<Date|null>} When to run the next batch, or null when done.
+ */
+const backfillTags = async () => {
+  const entries = await normalizeBatch(Entry);
+  const versions = entries > 0 ? 0 : await normalizeBatch(Version);
+  if (entries === 0 && versions === 0) return null;
+
+  console.log(
+    entries > 0
+      ? `🏷️ Tag backfill normalized ${entries} entr${entries === 1 ? 'y' : 'ies'}.`
+      : `🏷️ Tag backfill normalized ${versions} version${versions === 1 ? '' : 's'}.`
+  );
+  return new Date();
+};
+
+/**
+ * Registers the tag backfill job with the scheduler.
+ */
+const registerTagBackfillJob = () => {
+  defineJob(TAG_BACKFILL_JOB, backfillTags);
+};
+
+/**
+ * Schedules a backfill pass now. Called on startup; once every tag is
+ * normalized, the pass finds nothing to do and ends.
+ * @returns {Promise<object>} The job document.
+ */
+const scheduleTagBackfill = () => scheduleJob(TAG_BACKFILL_JOB, new Date(), {}, { key: TAG_BACKFILL_JOB_KEY });
+
+export { TAG_BACKFILL_JOB, backfillTags, registerTagBackfillJob, scheduleTagBackfill };
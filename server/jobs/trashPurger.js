@@ -0,0 +1,51 @@
+// =================================================================
+// BATCHBOOK API | TRASH PURGE JOB (jobs/trashPurger.js)
+// =================================================================
+
+import Entry from '../models/Entry.js';
+import getTrashConfig from '../config/trash.js';
+import { purgeEntries } from '../utils/trash.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Permanently deletes every entry that has been in the trash for longer than
+ * the configured retention period, along with its versions.
+ *
+ * @param {Date} [now=new Date()] - The reference time.
+ * @returns {Promise<number>} The number of entries purged.
+ */
+const purgeExpiredTrash = async (now = new Date()) => {
+  const { retentionDays } = getTrashConfig();
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+
+  const expired = await Entry.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id').lean();
+  return purgeEntries(expired.map((entry) => entry._id));
+};
+
+/**
+ * Starts the background trash purge on the configured interval.
+ * The timer is unref'd so it never keeps the process alive on its own.
+ * @returns {NodeJS.Timeout|null} The interval handle, or null if disabled (interval of 0).
+ */
+const startTrashPurger = () => {
+  const { purgeIntervalMs } = getTrashConfig();
+  if (purgeIntervalMs === 0) return null;
+
+  const run = async () => {
+    try {
+      const purgedCount = await purgeExpiredTrash();
+      if (purgedCount > 0) {
+        console.log(`🗑️  Trash purge removed ${purgedCount} expired entr${purgedCount === 1 ? 'y' : 'ies'}.`);
+      }
+    } catch (error) {
+      console.error(`Trash purge failed: ${error.message}`);
+    }
+  };
+
+  const timer = setInterval(run, purgeIntervalMs);
+  timer.unref();
+  return timer;
+};
+
+export { purgeExpiredTrash, startTrashPurger };
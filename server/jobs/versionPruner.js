@@ -0,0 +1,77 @@
+// =================================================================
+// BATCHBOOK API | VERSION RETENTION PRUNER (jobs/versionPruner.js)
+// =================================================================
+
+import Version from '../models/Version.js';
+import User from '../models/User.js';
+import getVersioningConfig from '../config/versioning.js';
+import { resolveRetentionPolicy, selectVersionsToPrune } from '../utils/versionHistory.js';
+
+/**
+ * Applies each user's retention policy to the unpinned automatic versions of every entry.
+ * Only entries with more automatic versions than the owner's `keepLast` are
+ * inspected, since anything at or below that count is always retained.
+ *
+ * @param {Date} [now=new Date()] - The reference time for the daily retention window.
+ * @returns {Promise<number>} The number of versions deleted.
+ */
+const pruneVersions = async (now = new Date()) => {
+  const entryGroups = await Version.aggregate([
+    { $match: { source: 'auto', pinned: { $ne: true } } },
+    { $group: { _id: '$entry', user: { $first: '$user' }, count: { $sum: 1 } } },
+  ]);
+
+  const policies = new Map();
+  let deletedCount = 0;
+
+  for (const group of entryGroups) {
+    const userId = group.user.toString();
+    if (!policies.has(userId)) {
+      const user = await User.findById(userId).select('versionRetention').lean();
+      policies.set(userId, resolveRetentionPolicy(user));
+    }
+    const policy = policies.get(userId);
+
+    if (group.count <= policy.keepLast) continue;
+
+    const versions = await Version.find({ entry: group._id, source: 'auto', pinned: { $ne: true } })
+      .select('_id source pinned createdAt')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const toPrune = selectVersionsToPrune(versions, policy, now);
+    if (toPrune.length > 0) {
+      const result = await Version.deleteMany({ _id: { $in: toPrune } });
+      deletedCount += result.deletedCount;
+    }
+  }
+
+  return deletedCount;
+};
+
+/**
+ * Starts the background pruner on the configured interval.
+ * The timer is unref'd so it never keeps the process alive on its own.
+ * @returns {NodeJS.Timeout|null} The interval handle, or null if disabled (interval of 0).
+ */
+const startVersionPruner = () => {
+  const { pruneIntervalMs } = getVersioningConfig();
+  if (pruneIntervalMs === 0) return null;
+
+  const run = async () => {
+    try {
+      const deletedCount = await pruneVersions();
+      if (deletedCount > 0) {
+        console.log(`🧹 Version pruner removed ${deletedCount} expired version(s).`);
+      }
+    } catch (error) {
+      console.error(`Version pruner failed: ${error.message}`);
+    }
+  };
+
+  const timer = setInterval(run, pruneIntervalMs);
+  timer.unref();
+  return timer;
+};
+
+export { pruneVersions, startVersionPruner };
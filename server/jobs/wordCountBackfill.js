@@ -0,0 +1,59 @@
+// =================================================================
+// BATCHBOOK API | WORD COUNT BACKFILL JOB (jobs/wordCountBackfill.js)
+// =================================================================
+
+import Entry from '../models/Entry.js';
+import { defineJob, scheduleJob } from './scheduler.js';
+import { countWords } from '../utils/wordCount.js';
+
+const WORD_COUNT_BACKFILL_JOB = 'backfillWordCounts';
+// A single pending job is kept, however often it is scheduled.
+const WORD_COUNT_BACKFILL_JOB_KEY = 'backfill-word-counts';
+
+// How many entries are counted per run.
+const BATCH_SIZE = 200;
+
+/**
+ * Stores the word count of one batch of entries saved before `wordCount` was
+ * maintained. The entries are loaded through the model, so content encrypted
+ * at rest is counted as plaintext, and updated directly, so their revision and
+ * `updatedAt` are left alone. Runs again right away until nothing is left.
+ *
+ * @returns {Promise<Date|null>} When to run the next batch, or null when done.
+ */
+const backfillWordCounts = async () => {
+  const entries = await Entry.find({ wordCount: { $exists: false } })
+    .select('content encryption')
+    .limit(BATCH_SIZE);
+  if (entries.length === 0) return null;
+
+  await Entry.bulkWrite(
+    entries.map((entry) => ({
+      updateOne: {
+        filter: { _id: entry._id, wordCount: { $exists: false } },
+        // End-to-end encrypted entries are counted by the client; their content is ciphertext
+        update: { $set: { wordCount: entry.encryption ? 0 : countWords(entry.content) } },
+        timestamps: false,
+      },
+    }))
+  );
+  console.log(`📝 Word count backfill updated ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}.`);
+  return new Date();
+};
+
+/**
+ * Registers the word count backfill job with the scheduler.
+ */
+const registerWordCountBackfillJob = () => {
+  defineJob(WORD_COUNT_BACKFILL_JOB, backfillWordCounts);
+};
+
+/**
+ * Schedules a backfill pass now. Called on startup; once every entry has a
+ * word count, the pass finds nothing to do and ends.
+ * @returns {Promise<object>} The job document.
+ */
+const scheduleWordCountBackfill = () =>
+  scheduleJob(WORD_COUNT_BACKFILL_JOB, new Date(), {}, { key: WORD_COUNT_BACKFILL_JOB_KEY });
+
+export { WORD_COUNT_BACKFILL_JOB, backfillWordCounts, registerWordCountBackfillJob, scheduleWordCountBackfill };
@@ -0,0 +1,36 @@
+// =================================================================
+// BATCHBOOK API | FILE MAIL TRANSPORT (mail/fileTransport.js)
+// =================================================================
+
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+/**
+ * Creates a transport that writes each message to a directory as an .eml file
+ * (openable in any mail client) instead of delivering it, for local testing
+ * of emails with their formatting and attachments.
+ *
+ * @param {string} directory - Where to write the messages (created if missing).
+ * @returns {import('./index.js').MailTransport}
+ */
+const createFileTransport = (directory) => {
+  // Builds the raw message without sending it anywhere
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: 'file',
+
+    async send(message) {
+      const info = await composer.sendMail(message);
+      const messageId = info.messageId.replace(/^<|>$/g, '');
+      const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${messageId.replace(/[^\w.-]/g, '_')}.eml`;
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(path.join(directory, filename), info.message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+export { createFileTransport };
@@ -0,0 +1,65 @@
+// =================================================================
+// BATCHBOOK API | OUTGOING MAIL (mail/index.js)
+// =================================================================
+
+import getMailConfig from '../config/mail.js';
+import { createLogTransport } from './logTransport.js';
+import { createMemoryTransport } from './memoryTransport.js';
+import { createFileTransport } from './fileTransport.js';
+import { createSmtpTransport } from './smtpTransport.js';
+
+/**
+ * A message to send. `from` defaults to MAIL_FROM.
+ *
+ * @typedef {object} MailMessage
+ * @property {string} to - The recipient address.
+ * @property {string} subject - The subject line.
+ * @property {string} text - The plain-text body.
+ * @property {string} [html] - An optional HTML body.
+ * @property {Array<{filename: string, content: Buffer, contentType: string}>} [attachments]
+ */
+
+/**
+ * The interface every mail transport implements.
+ *
+ * @typedef {object} MailTransport
+ * @property {string} name - The driver name.
+ * @property {(message: MailMessage) => Promise<{messageId: string}>} send - Delivers a message.
+ */
+
+// Factories for the available drivers, keyed by MAIL_TRANSPORT value.
+const drivers = {
+  log: () => createLogTransport(),
+  console: () => createLogTransport({ includeBody: true }),
+  file: (config) => createFileTransport(config.directory),
+  memory: () => createMemoryTransport(),
+  smtp: (config) => createSmtpTransport(config.smtp),
+};
+
+let transport = null;
+
+/**
+ * Returns the configured mail transport, creating it on first use.
+ * @returns {MailTransport}
+ * @throws {Error} if the configured driver is unknown.
+ */
+const getMailTransport = () => {
+  if (!transport) {
+    const config = getMailConfig();
+    const createDriver = drivers[config.driver];
+    if (!createDriver) {
+      throw new Error(`Unknown mail transport: ${config.driver}`);
+    }
+    transport = createDriver(config);
+  }
+  return transport;
+};
+
+/**
+ * Sends a message through the configured transport.
+ * @param {MailMessage} message - The message to send.
+ * @returns {Promise<{messageId: string}>}
+ */
+const sendMail = (message) => getMailTransport().send({ from: getMailConfig().from, ...message });
+
+export { getMailTransport, sendMail };
@@ -0,0 +1,30 @@
+// =================================================================
+// BATCHBOOK API | LOGGING MAIL TRANSPORT (mail/logTransport.js)
+// =================================================================
+
+import crypto from 'crypto';
+
+/**
+ * Creates a transport that only logs messages to the console, for development
+ * setups without a mail server.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.includeBody=false] - Whether to log the plain-text
+ *   body too (the 'console' driver), e.g. to follow a verification link locally.
+ *   Off by default, since bodies can carry secrets such as password reset links.
+ * @returns {import('./index.js').MailTransport}
+ */
+const createLogTransport = ({ includeBody = false } = {}) => ({
+  name: includeBody ? 'console' : 'log',
+
+  async send(message) {
+    const attachments = (message.attachments || []).map((attachment) => attachment.filename);
+    console.log(`📧 Mail to ${message.to}: "${message.subject}"${attachments.length > 0 ? ` [${attachments.join(', ')}]` : ''}`);
+    if (includeBody && message.text) {
+      console.log(message.text.replace(/^/gm, '    '));
+    }
+    return { messageId: crypto.randomUUID() };
+  },
+});
+
+export { createLogTransport };
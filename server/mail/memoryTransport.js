@@ -0,0 +1,27 @@
+// =================================================================
+// BATCHBOOK API | IN-MEMORY MAIL TRANSPORT (mail/memoryTransport.js)
+// =================================================================
+
+import crypto from 'crypto';
+
+/**
+ * Creates a transport that keeps sent messages in an `outbox` array instead of
+ * delivering them, so tests can inspect what would have been sent.
+ * @returns {import('./index.js').MailTransport & {outbox: Array<object>}}
+ */
+const createMemoryTransport = () => {
+  const outbox = [];
+
+  return {
+    name: 'memory',
+    outbox,
+
+    async send(message) {
+      const messageId = crypto.randomUUID();
+      outbox.push({ ...message, messageId, sentAt: new Date() });
+      return { messageId };
+    },
+  };
+};
+
+export { createMemoryTransport };
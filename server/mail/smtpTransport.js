@@ -0,0 +1,33 @@
+// =================================================================
+// BATCHBOOK API | SMTP MAIL TRANSPORT (mail/smtpTransport.js)
+// =================================================================
+
+import nodemailer from 'nodemailer';
+
+/**
+ * Creates a transport that delivers messages to an SMTP server. Pointed at a
+ * local capture server (the default localhost:1025), it doubles as a stand-in
+ * for a real mail provider in development and tests.
+ *
+ * @param {object} options - The `smtp` settings from `getMailConfig`.
+ * @returns {import('./index.js').MailTransport}
+ */
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user ? { auth: { user, pass } } : {}),
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+export { createSmtpTransport };
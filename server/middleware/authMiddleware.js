@@ -6,8 +6,7 @@
 // IMPORTS
 // -----------------------------------------------------------------
 
-import jwt from 'jsonwebtoken';
-import User from '../models/User.js'; // Import the User model to fetch user data
+import { authenticateAccessToken, touchSession } from '../utils/tokenService.js'; // Verifies tokens and loads their session
 
 // -----------------------------------------------------------------
 // PROTECTION MIDDLEWARE
@@ -15,9 +14,10 @@ import User from '../models/User.js'; // Import the User model to fetch user dat
 
 /**
  * Middleware to protect routes that require authentication.
- * It verifies a JWT from the Authorization header.
- * If the token is valid, it fetches the user from the database and
- * attaches them to the request object as `req.user`.
+ * It verifies an access token from the Authorization header and checks that
+ * its session is still active (not logged out or revoked).
+ * If so, it attaches the user to the request object as `req.user` and the
+ * session as `req.authSession`.
  */
 const protect = async (req, res, next) => {
   let token;
@@ -27,37 +27,46 @@ const protect = async (req, res, next) => {
     req.headers.authorization &&
     req.headers.authorization.startsWith('Bearer')
   ) {
-    try {
-      // 2. Extract the token from the "Bearer <token>" string
-      token = req.headers.authorization.split(' ')[1];
-
-      // 3. Verify the token using the secret key
-      // This will throw an error if the token is invalid or expired
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // 4. Fetch the user associated with the token's ID
-      // We attach the user object to the request (`req.user`) for use in subsequent route handlers.
-      // We explicitly exclude the password field for security.
-      req.user = await User.findById(decoded.id).select('-password');
-
-      // If user is not found with this ID (e.g., user was deleted), deny access
-      if (!req.user) {
-          return res.status(401).json({ message: 'Not authorized, user not found' });
-      }
-
-      // 5. Proceed to the next middleware or route handler
-      next();
-    } catch (error) {
-      // This block catches errors from jwt.verify (e.g., token expired, invalid signature)
-      console.error('Token verification failed:', error.message);
-      return res.status(401).json({ message: 'Not authorized, token failed' });
-    }
+    // 2. Extract the token from the "Bearer <token>" string
+    token = req.headers.authorization.split(' ')[1];
   }
 
   // If no token is found in the header at all
   if (!token) {
     return res.status(401).json({ message: 'Not authorized, no token provided' });
   }
+
+  let user;
+  let session;
+  try {
+    // 3. Verify the token and fetch its user (without the password) and session.
+    // This will throw an error if the token is invalid or expired.
+    ({ user, session } = await authenticateAccessToken(token));
+  } catch (error) {
+    // This block catches errors from token verification (e.g., token expired, invalid signature)
+    console.error('Token verification failed:', error.message);
+    return res.status(401).json({ message: 'Not authorized, token failed' });
+  }
+
+  // If user is not found with this ID (e.g., user was deleted), deny access
+  if (!user) {
+    return res.status(401).json({ message: 'Not authorized, user not found' });
+  }
+
+  // If the session was logged out, revoked or has expired, deny access
+  if (!session) {
+    return res.status(401).json({ message: 'Not authorized, session has ended' });
+  }
+
+  // 4. Attach the user and session for use in subsequent route handlers
+  req.user = user;
+  req.authSession = session;
+
+  // Keep the session's "last seen" time current for the session list (without waiting for it)
+  touchSession(session, { ip: req.ip }).catch((error) => console.error('Session update error:', error));
+
+  // 5. Proceed to the next middleware or route handler
+  next();
 };
 
 // -----------------------------------------------------------------
@@ -2,6 +2,12 @@
 // BATCHBOOK API | ERROR HANDLING MIDDLEWARE (middleware/errorMiddleware.js)
 // =================================================================
 
+// -----------------------------------------------------------------
+// IMPORTS
+// -----------------------------------------------------------------
+
+import HttpError from '../utils/httpError.js';
+
 // -----------------------------------------------------------------
 // 404 NOT FOUND HANDLER
 // -----------------------------------------------------------------
@@ -37,6 +43,12 @@ const notFound = (req, res, next) => {
  * @param {function} next - The next middleware function (unused here, but required for Express to recognize it as an error handler).
  */
 const errorHandler = (err, req, res, next) => {
+  // Errors thrown away from the response (e.g. by the filter builders, or a
+  // ConcurrentWriteError from an optimistic concurrency save) carry their status.
+  if (err instanceof HttpError) {
+    res.status(err.statusCode);
+  }
+
   // If the status code is 200 (default success), it means an error was thrown
   // without a specific status code being set. In that case, default to 500.
   const statusCode = res.statusCode === 200 ? 500 : res.statusCode;
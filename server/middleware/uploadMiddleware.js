@@ -0,0 +1,42 @@
+// =================================================================
+// BATCHBOOK API | FILE UPLOAD MIDDLEWARE (middleware/uploadMiddleware.js)
+// =================================================================
+
+// -----------------------------------------------------------------
+// IMPORTS
+// -----------------------------------------------------------------
+
+import multer from 'multer';
+import getAttachmentConfig from '../config/attachments.js';
+
+// -----------------------------------------------------------------
+// UPLOAD MIDDLEWARE
+// -----------------------------------------------------------------
+
+/**
+ * Parses a multipart upload with the files under the `files` field.
+ * Files are buffered in memory (bounded by ATTACHMENT_MAX_FILE_MB) and handed
+ * to the storage backend by the controller as `req.files`.
+ * Upload errors are passed on with a 413 or 400 status for the error handler.
+ */
+const uploadAttachments = (req, res, next) => {
+  const { maxFileBytes, maxFiles } = getAttachmentConfig();
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileBytes, files: maxFiles },
+  }).array('files', maxFiles);
+
+  upload(req, res, (err) => {
+    if (err) {
+      res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400);
+      return next(err);
+    }
+    next();
+  });
+};
+
+// -----------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------
+
+export { uploadAttachments };
@@ -7,11 +7,104 @@
 // -----------------------------------------------------------------
 
 import mongoose from 'mongoose';
+import { countWords } from '../utils/wordCount.js';
+import { ConcurrentWriteError } from '../utils/concurrency.js';
+import { normalizeTags } from '../utils/tags.js';
+import { encryptedFieldsPlugin } from '../utils/fieldEncryption.js';
+import getEncryptionConfig from '../config/encryption.js';
+
+// -----------------------------------------------------------------
+// CONSTANTS
+// -----------------------------------------------------------------
+
+// The moods an entry can be tagged with.
+const MOODS = [
+  'happy',
+  'sad',
+  'neutral',
+  'angry',
+  'excited',
+  'anxious',
+  'grateful',
+  'tired',
+  'other',
+];
+
+// The longest (plaintext) title an entry may have.
+const MAX_TITLE_LENGTH = 100;
 
 // -----------------------------------------------------------------
 // SCHEMA DEFINITION
 // -----------------------------------------------------------------
 
+/**
+ * Metadata for a file attached to an entry. The file itself lives in the
+ * attachment storage backend under `storageKey`.
+ */
+const attachmentSchema = new mongoose.Schema(
+  {
+    filename: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    contentType: {
+      type: String,
+      required: true,
+    },
+    // Size in bytes, used for per-user quotas.
+    size: {
+      type: Number,
+      required: true,
+    },
+    storageKey: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+/**
+ * Key-wrapping metadata of an end-to-end encrypted entry. The client encrypts
+ * the title and content with a random per-entry key, and stores that key
+ * wrapped (encrypted) with a key derived from the user's passphrase (see
+ * `e2e` on the User model). The server never sees either key, so it treats
+ * every value here as opaque Base64 text.
+ */
+const encryptionSchema = new mongoose.Schema(
+  {
+    // The content cipher, e.g. 'AES-GCM-256'.
+    algorithm: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Identifies the user key that wrapped `wrappedKey`, e.g. after a passphrase change.
+    keyId: {
+      type: String,
+      required: true,
+    },
+    // The per-entry key, wrapped with the user key.
+    wrappedKey: {
+      type: String,
+      required: true,
+    },
+    // The initialization vectors of the title and content ciphertext.
+    titleIv: {
+      type: String,
+      required: true,
+    },
+    contentIv: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
 /**
  * Defines the schema for the Entry collection in MongoDB.
  */
@@ -28,7 +121,13 @@ const entrySchema = new mongoose.Schema(
       type: String,
       required: [true, 'Please provide a title for your entry.'],
       trim: true, // Removes leading/trailing whitespace.
-      maxlength: [100, 'Title cannot be more than 100 characters.'],
+      // The limit applies to plaintext; an encrypted title is longer than the text it hides.
+      validate: {
+        validator(title) {
+          return Boolean(this.encryption) || title.length <= MAX_TITLE_LENGTH;
+        },
+        message: `Title cannot be more than ${MAX_TITLE_LENGTH} characters.`,
+      },
     },
     content: {
       type: String,
@@ -37,24 +136,56 @@ const entrySchema = new mongoose.Schema(
     mood: {
       type: String,
       // The 'enum' validator ensures that the mood can only be one of the specified values.
-      enum: [
-        'happy',
-        'sad',
-        'neutral',
-        'angry',
-        'excited',
-        'anxious',
-        'grateful',
-        'tired',
-        'other',
-      ],
+      enum: MOODS,
       // This field is optional.
     },
     // NEW FIELD: An array of strings for tagging entries.
+    // Tags may be hierarchical, e.g. 'work/projecta/bugs' (see utils/tags.js).
     tags: {
       type: [String],
       default: [], // Defaults to an empty array if not provided.
     },
+    // Incremented on every update. Exposed to clients as an ETag / expected
+    // revision so that stale writes can be rejected instead of overwriting.
+    revision: {
+      type: Number,
+      default: 0,
+    },
+    // The number of words in `content`, maintained by the pre-save hook so that
+    // listings can be sorted by length. For encrypted entries it is reported by the client.
+    wordCount: {
+      type: Number,
+      default: 0,
+    },
+    // Files attached to the entry (metadata only).
+    attachments: {
+      type: [attachmentSchema],
+      default: [],
+    },
+    // The notebook this entry is filed in. `null` means the entry is unfiled.
+    notebook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Notebook',
+      default: null,
+    },
+    // Set for end-to-end encrypted entries, whose `title` and `content` then hold
+    // Base64 ciphertext. `null` means the entry is stored in plaintext.
+    encryption: {
+      type: encryptionSchema,
+      default: null,
+    },
+    // Blind search tokens for encrypted entries: keyed hashes of the entry's words
+    // computed by the client, which sends the same hashes of its query words to search.
+    searchTokens: {
+      type: [String],
+      default: undefined,
+    },
+    // Soft-delete marker. Entries with a `deletedAt` date are in the trash: they are
+    // hidden from listings, search, exports and sync, and are purged after a retention period.
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
   },
   // ---------------------------------------------------------------
   // SCHEMA OPTIONS
@@ -68,6 +199,29 @@ const entrySchema = new mongoose.Schema(
   }
 );
 
+// -----------------------------------------------------------------
+// INDEXES
+// -----------------------------------------------------------------
+
+// Supports listing a user's live entries and their trash, and the purge job's scan.
+entrySchema.index({ user: 1, deletedAt: 1, createdAt: -1 });
+// Supports notebook filters and per-notebook entry counts.
+entrySchema.index({ user: 1, notebook: 1 });
+// Supports tag listings, renames and merges across a user's entries.
+entrySchema.index({ user: 1, tags: 1 });
+// Supports token searches of encrypted entries.
+entrySchema.index({ user: 1, searchTokens: 1 }, { sparse: true });
+// Support the sortable listing orders (paired with `_id` as a cursor tie-breaker).
+entrySchema.index({ user: 1, updatedAt: -1, _id: -1 });
+entrySchema.index({ user: 1, title: 1, _id: 1 });
+entrySchema.index({ user: 1, wordCount: -1, _id: -1 });
+// Full-text search over titles and content with English stemming.
+// Title matches weigh five times as much as content matches in the relevance score.
+entrySchema.index(
+  { title: 'text', content: 'text' },
+  { name: 'entry_text_search', weights: { title: 5, content: 1 }, default_language: 'english' }
+);
+
 // -----------------------------------------------------------------
 // MIDDLEWARE (MONGOOSE HOOKS)
 // -----------------------------------------------------------------
@@ -77,13 +231,49 @@ const entrySchema = new mongoose.Schema(
 entrySchema.pre('save', function (next) {
   // Check if the tags field has been modified.
   if (this.isModified('tags')) {
-    // Trim whitespace from each tag and filter out any empty strings
-    // that might result from trimming.
-    this.tags = this.tags.map(tag => tag.trim()).filter(tag => tag.length > 0);
+    // Trim and lowercase each tag, dropping empty strings and the duplicates
+    // that differ only in case (e.g. `Work` and `work`).
+    this.tags = normalizeTags(this.tags);
+  }
+  next();
+});
+
+// Pre-save hook for optimistic concurrency control.
+// Every update of an existing entry is made conditional on the revision it was
+// loaded with, and bumps that revision. If another write got there first, the
+// save matches no document and fails with a ConcurrentWriteError instead of
+// silently overwriting the other change.
+entrySchema.pre('save', function (next) {
+  if (!this.isNew && this.isModified()) {
+    // Entries created before revisions existed have no stored value yet.
+    this.$where = { ...this.$where, revision: this.revision || { $in: [0, null] } };
+    this.revision += 1;
   }
   next();
 });
 
+// Reports a conditional save that matched no document (see above) as a
+// ConcurrentWriteError, so it is not confused with other missing documents.
+entrySchema.post('save', function (error, doc, next) {
+  next(error.name === 'DocumentNotFoundError' ? new ConcurrentWriteError() : error);
+});
+
+// Pre-save hook to keep the stored word count in sync with the content.
+// Encrypted content cannot be counted, so the client's count is kept.
+entrySchema.pre('save', function (next) {
+  if (this.isModified('content') && !this.encryption) {
+    this.wordCount = countWords(this.content);
+  }
+  next();
+});
+
+// Encrypts the content at rest when ENCRYPT_ENTRY_CONTENT is set. Applied last,
+// so the hooks above (e.g. the word count) still see the plaintext.
+entrySchema.plugin(encryptedFieldsPlugin, {
+  fields: ['content'],
+  isEnabled: () => getEncryptionConfig().encryptEntryContent,
+});
+
 
 // -----------------------------------------------------------------
 // EXPORT
@@ -91,4 +281,5 @@ entrySchema.pre('save', function (next) {
 
 // Create and export the Entry model based on the schema.
 const Entry = mongoose.model('Entry', entrySchema);
+export { MOODS, MAX_TITLE_LENGTH, encryptionSchema };
 export default Entry;
@@ -0,0 +1,95 @@
+// =================================================================
+// BATCHBOOK API | SCHEDULED JOB MODEL (models/Job.js)
+// =================================================================
+
+// -----------------------------------------------------------------
+// IMPORTS
+// -----------------------------------------------------------------
+
+import mongoose from 'mongoose';
+
+// -----------------------------------------------------------------
+// SCHEMA DEFINITION
+// -----------------------------------------------------------------
+
+/**
+ * Defines the schema for the Job collection in MongoDB.
+ * A job is a unit of deferred work run by the in-process scheduler (see
+ * jobs/scheduler.js). Keeping jobs in the database lets them survive restarts
+ * and lets several server processes share them: a process claims a due job by
+ * locking it, so each run happens once.
+ */
+const jobSchema = new mongoose.Schema(
+  {
+    // The job type; selects the handler registered with `defineJob`.
+    name: {
+      type: String,
+      required: true,
+    },
+    // An optional unique key (e.g. `reminder:<userId>`) so that scheduling
+    // again replaces the pending job instead of adding another.
+    key: {
+      type: String,
+    },
+    // The handler's input.
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // When the job is due.
+    runAt: {
+      type: Date,
+      required: true,
+    },
+    // Set while a process runs the job. A lock older than the scheduler's
+    // lock timeout is considered abandoned (e.g. the process crashed).
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    // The number of runs since the job was scheduled or last succeeded.
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    // Set once the job has failed too many times; failed jobs are not retried.
+    failedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  // ---------------------------------------------------------------
+  // SCHEMA OPTIONS
+  // ---------------------------------------------------------------
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// -----------------------------------------------------------------
+// INDEXES
+// -----------------------------------------------------------------
+
+jobSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { key: { $type: 'string' } } });
+// Supports the scheduler's query for the next due job.
+jobSchema.index({ failedAt: 1, runAt: 1 });
+
+// -----------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------
+
+const Job = mongoose.model('Job', jobSchema);
+export default Job;
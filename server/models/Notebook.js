@@ -0,0 +1,101 @@
+// =================================================================
+// BATCHBOOK API | NOTEBOOK MODEL (models/Notebook.js)
+// =================================================================
+
+// -----------------------------------------------------------------
+// IMPORTS
+// -----------------------------------------------------------------
+
+import mongoose from 'mongoose';
+
+// -----------------------------------------------------------------
+// SCHEMA DEFINITION
+// -----------------------------------------------------------------
+
+/**
+ * Defines the schema for the Notebook collection in MongoDB.
+ * Notebooks group a user's entries and can be nested inside one another.
+ */
+const notebookSchema = new mongoose.Schema(
+  {
+    // The user who owns the notebook.
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    name: {
+      type: String,
+      required: [true, 'Please provide a name for your notebook.'],
+      trim: true,
+      maxlength: [100, 'Notebook name cannot be more than 100 characters.'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot be more than 500 characters.'],
+    },
+    // The parent notebook. A `null` parent means this is a top-level notebook.
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Notebook',
+      default: null,
+    },
+  },
+  // ---------------------------------------------------------------
+  // SCHEMA OPTIONS
+  // ---------------------------------------------------------------
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// -----------------------------------------------------------------
+// INDEXES
+// -----------------------------------------------------------------
+
+// Sibling notebooks must have unique names.
+notebookSchema.index({ user: 1, parent: 1, name: 1 }, { unique: true });
+
+// -----------------------------------------------------------------
+// STATIC METHODS
+// -----------------------------------------------------------------
+
+/**
+ * Collects the IDs of all notebooks nested (at any depth) under a notebook.
+ * The user's notebooks are loaded once and walked in memory.
+ *
+ * @param {string} userId - The owner of the notebooks.
+ * @param {string} notebookId - The root notebook.
+ * @returns {Promise<Array>} The descendant notebook IDs (not including the root).
+ */
+notebookSchema.statics.findDescendantIds = async function (userId, notebookId) {
+  const notebooks = await this.find({ user: userId }).select('_id parent').lean();
+
+  const childrenByParent = new Map();
+  for (const notebook of notebooks) {
+    const parentKey = notebook.parent ? notebook.parent.toString() : null;
+    if (!childrenByParent.has(parentKey)) childrenByParent.set(parentKey, []);
+    childrenByParent.get(parentKey).push(notebook._id);
+  }
+
+  const descendants = [];
+  const queue = [notebookId.toString()];
+  while (queue.length > 0) {
+    const children = childrenByParent.get(queue.shift()) || [];
+    for (const childId of children) {
+      descendants.push(childId);
+      queue.push(childId.toString());
+    }
+  }
+
+  return descendants;
+};
+
+// -----------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------
+
+const Notebook = mongoose.model('Notebook', notebookSchema);
+export default Notebook;
@@ -0,0 +1,111 @@
+// =================================================================
+// BATCHBOOK API | SAVED SEARCH MODEL (models/SavedSearch.js)
+// =================================================================
+
+// -----------------------------------------------------------------
+// IMPORTS
+// -----------------------------------------------------------------
+
+import mongoose from 'mongoose';
+
+// -----------------------------------------------------------------
+// SCHEMA DEFINITION
+// -----------------------------------------------------------------
+
+/**
+ * Defines the schema for the SavedSearch collection in MongoDB.
+ * A saved search stores the parameters of an entry search (see
+ * `controllers/searchController.js`) so it can be rerun by ID. Pinned saved
+ * searches are shown as "smart collections" alongside the entry listing.
+ */
+const savedSearchSchema = new mongoose.Schema(
+  {
+    // The user who owns the saved search.
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    name: {
+      type: String,
+      required: [true, 'Please provide a name for your saved search.'],
+      trim: true,
+      maxlength: [100, 'Saved search name cannot be more than 100 characters.'],
+    },
+    // The search box query, in the search query language (utils/searchQuery.js).
+    query: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    // The separate search filters, mirroring the `searchEntries` parameters.
+    filters: {
+      exactMatch: { type: Boolean, default: false },
+      tags: { type: [String], default: [] },
+      startDate: { type: String, default: null }, // YYYY-MM-DD
+      endDate: { type: String, default: null }, // YYYY-MM-DD
+      notebook: { type: String, default: null }, // A notebook ID, or 'none' for unfiled entries
+      includeDescendants: { type: Boolean, default: true },
+    },
+    // The result order; null uses the search default (relevance for keyword searches).
+    sort: {
+      type: String,
+      default: null,
+    },
+    order: {
+      type: String,
+      enum: ['asc', 'desc'],
+      default: 'desc',
+    },
+    // Pinned saved searches appear as smart collections in the entry listing.
+    pinned: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  // ---------------------------------------------------------------
+  // SCHEMA OPTIONS
+  // ---------------------------------------------------------------
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// -----------------------------------------------------------------
+// INDEXES
+// -----------------------------------------------------------------
+
+savedSearchSchema.index({ user: 1, name: 1 }, { unique: true });
+
+// -----------------------------------------------------------------
+// INSTANCE METHODS
+// -----------------------------------------------------------------
+
+/**
+ * Converts the saved search into the query-string style parameters accepted by
+ * `buildSearchFilter` and `paginateEntries`.
+ * @returns {object}
+ */
+savedSearchSchema.methods.toSearchParams = function () {
+  const { exactMatch, tags, startDate, endDate, notebook, includeDescendants } = this.filters;
+  const params = {
+    q: this.query || undefined,
+    exactMatch: String(exactMatch),
+    tags: tags.length > 0 ? tags.join(',') : undefined,
+    startDate: startDate || undefined,
+    endDate: endDate || undefined,
+    notebook: notebook || undefined,
+    includeDescendants: String(includeDescendants),
+    order: this.order,
+  };
+  if (this.sort) params.sort = this.sort;
+  return params;
+};
+
+// -----------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+export default SavedSearch;
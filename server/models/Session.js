@@ -0,0 +1,89 @@
+// =================================================================
+// BATCHBOOK API | SESSION MODEL (models/Session.js)
+// =================================================================
+
+// -----------------------------------------------------------------
+// IMPORTS
+// -----------------------------------------------------------------
+
+import mongoose from 'mongoose';
+
+// -----------------------------------------------------------------
+// SCHEMA DEFINITION
+// -----------------------------------------------------------------
+
+/**
+ * Defines the schema for the Session collection in MongoDB.
+ * A session is created at login and lasts until it is revoked (logout) or its
+ * refresh token expires. Access tokens name their session, so revoking it
+ * locks them out too (see utils/tokenService.js).
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    // A SHA-256 hash of the current refresh token. Refresh tokens rotate on
+    // every use, and only their hash is stored.
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    // Hashes of the latest rotated-out refresh tokens, to recognise a reused one.
+    rotatedTokenHashes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    // When the current refresh token expires; expired sessions are removed.
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Set when the session is logged out or revoked.
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    // When the session was last used, to within a few minutes (see `touchSession`).
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // The client that logged in, to help users recognise their sessions.
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    // The IP address the session was last used from.
+    ip: {
+      type: String,
+      default: null,
+    },
+  },
+  // ---------------------------------------------------------------
+  // SCHEMA OPTIONS
+  // ---------------------------------------------------------------
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// -----------------------------------------------------------------
+// INDEXES
+// -----------------------------------------------------------------
+
+// For listing and revoking a user's sessions.
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// MongoDB deletes sessions once their refresh token has expired.
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// -----------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------
+
+const Session = mongoose.model('Session', sessionSchema);
+export default Session;
@@ -0,0 +1,75 @@
+// =================================================================
+// BATCHBOOK API | ENTRY TEMPLATE MODEL (models/Template.js)
+// =================================================================
+
+// -----------------------------------------------------------------
+// IMPORTS
+// -----------------------------------------------------------------
+
+import mongoose from 'mongoose';
+import { MOODS } from './Entry.js';
+
+// -----------------------------------------------------------------
+// SCHEMA DEFINITION
+// -----------------------------------------------------------------
+
+/**
+ * Defines the schema for the Template collection in MongoDB.
+ * A template is a reusable skeleton for new entries; its title and content
+ * may contain tokens such as `{{date}}` (see utils/templateRenderer.js).
+ */
+const templateSchema = new mongoose.Schema(
+  {
+    // The user who owns the template.
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    name: {
+      type: String,
+      required: [true, 'Please provide a name for your template.'],
+      trim: true,
+      maxlength: [100, 'Template name cannot be more than 100 characters.'],
+    },
+    // The title of new entries, e.g. "Standup {{date:ddd D MMM}}".
+    titlePattern: {
+      type: String,
+      required: [true, 'Please provide a title pattern for your template.'],
+      trim: true,
+    },
+    // The content skeleton of new entries.
+    content: {
+      type: String,
+      required: [true, 'Please provide content for your template.'],
+    },
+    defaultTags: {
+      type: [String],
+      default: [],
+    },
+    defaultMood: {
+      type: String,
+      enum: MOODS,
+    },
+  },
+  // ---------------------------------------------------------------
+  // SCHEMA OPTIONS
+  // ---------------------------------------------------------------
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// -----------------------------------------------------------------
+// INDEXES
+// -----------------------------------------------------------------
+
+templateSchema.index({ user: 1, name: 1 }, { unique: true });
+
+// -----------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------
+
+const Template = mongoose.model('Template', templateSchema);
+export default Template;
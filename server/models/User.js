@@ -12,6 +12,13 @@ import mongoose from 'mongoose';
 // Import bcryptjs for hashing passwords securely
 import bcrypt from 'bcryptjs';
 
+// Import the time zone and time-of-day checks used to validate the user's settings
+import { isValidTimeZone, TIME_PATTERN } from '../utils/timezone.js';
+
+// Import the plugin that encrypts secrets at rest
+import { encryptedFieldsPlugin } from '../utils/fieldEncryption.js';
+import { isEncryptionConfigured } from '../utils/encryption.js';
+
 // -----------------------------------------------------------------
 // SCHEMA DEFINITION
 // -----------------------------------------------------------------
@@ -36,6 +43,16 @@ const userSchema = new mongoose.Schema({
       'Please provide a valid email address',
     ],
   },
+  // Whether the user has confirmed that `email` is theirs, through the link in a
+  // verification email. Reset whenever the email address changes.
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null,
+  },
   password: {
     type: String,
     required: [true, 'Please provide a password'],
@@ -47,6 +64,92 @@ const userSchema = new mongoose.Schema({
     enum: ['user', 'admin'], // The role must be one of these values
     default: 'user', // Default role for new users
   },
+  // Per-user overrides for the version history retention policy.
+  // Unset fields fall back to the server defaults (see config/versioning.js).
+  versionRetention: {
+    keepLast: {
+      type: Number,
+      min: [1, 'At least one recent version must be kept'],
+    },
+    keepDailyDays: {
+      type: Number,
+      min: [0, 'Daily retention cannot be negative'],
+    },
+  },
+  // The IANA time zone (e.g. "Europe/Berlin") that analytics bucket days in.
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: [isValidTimeZone, 'Please provide a valid IANA time zone'],
+  },
+  // Writing goals; null means the goal is not set.
+  goals: {
+    entriesPerWeek: {
+      type: Number,
+      min: [1, 'An entries-per-week goal must be at least 1'],
+      default: null,
+    },
+    wordsPerDay: {
+      type: Number,
+      min: [1, 'A words-per-day goal must be at least 1'],
+      default: null,
+    },
+  },
+  // The period (day or ISO week) each goal was last reached in, so that a
+  // `goalReached` notification is sent only once per period.
+  goalsReachedFor: {
+    entriesPerWeek: { type: String, default: null },
+    wordsPerDay: { type: String, default: null },
+  },
+  // Journaling reminders, sent at each of `times` (HH:MM in the user's time zone)
+  // on each of `days` (ISO weekdays, 1 = Monday; empty means every day), unless
+  // the user has already written an entry that day.
+  reminders: {
+    enabled: { type: Boolean, default: false },
+    times: {
+      type: [{ type: String, match: [TIME_PATTERN, 'Reminder times must use the 24-hour HH:MM format'] }],
+      default: [],
+    },
+    days: {
+      type: [{ type: Number, min: 1, max: 7 }],
+      default: [],
+    },
+    // How reminders are delivered: a `reminder` socket event and/or an email.
+    channels: {
+      socket: { type: Boolean, default: true },
+      email: { type: Boolean, default: false },
+    },
+  },
+  // Opt-in end-to-end encryption. The server only stores what a client needs to
+  // derive the user's key from their passphrase (`kdf`) and to check it
+  // (`keyCheck`, a value encrypted with the key); it never sees the key itself.
+  // While enabled, new entries must be encrypted (see utils/e2e.js).
+  e2e: {
+    enabled: { type: Boolean, default: false },
+    // Identifies the current key, matching `encryption.keyId` on entries.
+    keyId: { type: String, default: null },
+    kdf: {
+      algorithm: { type: String, default: null },
+      salt: { type: String, default: null },
+      iterations: { type: Number, default: null },
+    },
+    keyCheck: { type: String, default: null },
+  },
+  // The total size of the user's attachment files, kept by utils/storageQuota.js.
+  // Unset for users created before it was tracked, until it is first needed.
+  storageUsedBytes: {
+    type: Number,
+    default: 0,
+  },
+  // The linked GitHub account used to sync entries (see githubSyncController).
+  // The access token is encrypted at rest when ENCRYPTION_KEYS is configured,
+  // and only loaded when selected explicitly (`+github.accessToken`).
+  github: {
+    username: { type: String },
+    accessToken: { type: String, select: false },
+    repoName: { type: String },
+    repoUrl: { type: String },
+  },
   createdAt: {
     type: Date,
     default: Date.now, // Sets the current date and time when a user is created
@@ -76,6 +179,9 @@ userSchema.pre('save', async function (next) {
   next();
 });
 
+// Encrypts the GitHub access token at rest. Applied after the hooks above.
+userSchema.plugin(encryptedFieldsPlugin, { fields: ['github.accessToken'], isEnabled: isEncryptionConfigured });
+
 // -----------------------------------------------------------------
 // SCHEMA METHODS
 // -----------------------------------------------------------------
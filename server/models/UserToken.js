@@ -0,0 +1,81 @@
+// =================================================================
+// BATCHBOOK API | ONE-TIME USER TOKEN MODEL (models/UserToken.js)
+// =================================================================
+
+// -----------------------------------------------------------------
+// IMPORTS
+// -----------------------------------------------------------------
+
+import mongoose from 'mongoose';
+
+// -----------------------------------------------------------------
+// CONSTANTS
+// -----------------------------------------------------------------
+
+// What a token can be used for.
+const USER_TOKEN_PURPOSES = ['emailVerification', 'passwordReset'];
+
+// -----------------------------------------------------------------
+// SCHEMA DEFINITION
+// -----------------------------------------------------------------
+
+/**
+ * Defines the schema for the UserToken collection in MongoDB.
+ * A user token is a single-use secret sent by email, such as an email
+ * verification or password reset link. Only a hash of the secret is stored,
+ * and a token is deleted when it is used (see utils/userTokens.js).
+ */
+const userTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    purpose: {
+      type: String,
+      required: true,
+      enum: USER_TOKEN_PURPOSES,
+    },
+    // A SHA-256 hash of the secret sent to the user.
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    // The address the token was sent to. A token only applies while the
+    // account still has this address.
+    email: {
+      type: String,
+      required: true,
+    },
+    // Expired tokens are rejected, and removed by MongoDB.
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  // ---------------------------------------------------------------
+  // SCHEMA OPTIONS
+  // ---------------------------------------------------------------
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// -----------------------------------------------------------------
+// INDEXES
+// -----------------------------------------------------------------
+
+userTokenSchema.index({ tokenHash: 1 }, { unique: true });
+// For replacing a user's earlier tokens of the same kind.
+userTokenSchema.index({ user: 1, purpose: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// -----------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------
+
+const UserToken = mongoose.model('UserToken', userTokenSchema);
+export { USER_TOKEN_PURPOSES };
+export default UserToken;
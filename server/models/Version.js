@@ -3,6 +3,9 @@
 // =================================================================
 
 import mongoose from 'mongoose';
+import { encryptionSchema } from './Entry.js';
+import { encryptedFieldsPlugin } from '../utils/fieldEncryption.js';
+import getEncryptionConfig from '../config/encryption.js';
 
 /**
  * Defines the schema for the Version collection in MongoDB.
@@ -33,6 +36,12 @@ const versionSchema = new mongoose.Schema(
       type: String,
       required: [true, 'Content is required for the version.'],
     },
+    // The entry's key-wrapping metadata at that point in time, if it was end-to-end
+    // encrypted (`title` and `content` are then ciphertext).
+    encryption: {
+      type: encryptionSchema,
+      default: null,
+    },
     // The tags associated with the entry at that point in time.
     tags: {
       type: [String],
@@ -53,6 +62,11 @@ const versionSchema = new mongoose.Schema(
       },
       default: 'auto',
     },
+    // Pinned versions are exempt from the retention policy and are never pruned.
+    pinned: {
+      type: Boolean,
+      default: false,
+    },
   },
   {
     // Automatically adds `createdAt` and `updatedAt` fields.
@@ -65,6 +79,11 @@ const versionSchema = new mongoose.Schema(
 // Create indexes to optimize queries for finding versions by entry or user.
 versionSchema.index({ entry: 1, createdAt: -1 }); // For fetching versions of an entry quickly.
 versionSchema.index({ user: 1, createdAt: -1 }); // For any user-level version analytics.
+// For searching across version history; weighted like the entry text index.
+versionSchema.index(
+  { title: 'text', content: 'text' },
+  { name: 'version_text_search', weights: { title: 5, content: 1 }, default_language: 'english' }
+);
 
 
 // --- STATIC METHODS ---
@@ -75,9 +94,13 @@ versionSchema.index({ user: 1, createdAt: -1 }); // For any user-level version a
  *
  * @param {object} entry - A Mongoose document instance of an Entry.
  * @param {string} source - The reason for creating this version ('auto', 'manual', 'restore').
+ * @param {object} [options]
+ * @param {string} [options.note] - An optional label for the version (e.g., "before rewrite").
+ * @param {boolean} [options.pinned=false] - Whether the version is exempt from retention pruning.
+ * @param {object} [options.session] - A Mongoose session to run in, when part of a transaction.
  * @returns {Promise<object>} A promise that resolves to the newly created Version document.
  */
-versionSchema.statics.createFromEntry = async function (entry, source = 'auto') {
+versionSchema.statics.createFromEntry = async function (entry, source = 'auto', { note, pinned = false, session } = {}) {
   if (!entry || !entry._id) {
     throw new Error('A valid entry document must be provided to create a version.');
   }
@@ -87,14 +110,55 @@ versionSchema.statics.createFromEntry = async function (entry, source = 'auto')
     user: entry.user,
     title: entry.title,
     content: entry.content,
+    encryption: entry.encryption || null,
     tags: entry.tags,
     source: source,
+    note,
+    pinned,
   };
 
-  return this.create(versionData);
+  return new this(versionData).save({ session });
+};
+
+/**
+ * Snapshots an entry's state ahead of a content-changing write.
+ * Automatic snapshots are coalesced: if the entry already has an 'auto' version
+ * younger than `coalesceWindowMs`, no new version is created, so a burst of
+ * autosaves produces a single version per window. Manual and restore snapshots
+ * are never coalesced.
+ *
+ * @param {object} entry - The entry (document or plain object) in its pre-write state.
+ * @param {string} source - The reason for creating this version ('auto', 'manual', 'restore').
+ * @param {object} [options]
+ * @param {number} [options.coalesceWindowMs=0] - The coalescing window for automatic snapshots.
+ * @param {object} [options.session] - A Mongoose session to run in, when part of a transaction.
+ * @returns {Promise<object|null>} The new Version document, or null if it was coalesced.
+ */
+versionSchema.statics.snapshotEntry = async function (entry, source = 'auto', { coalesceWindowMs = 0, session } = {}) {
+  if (source === 'auto' && coalesceWindowMs > 0) {
+    const recentSnapshot = await this.exists({
+      entry: entry._id,
+      source: 'auto',
+      createdAt: { $gte: new Date(Date.now() - coalesceWindowMs) },
+    }).session(session || null);
+    if (recentSnapshot) {
+      return null;
+    }
+  }
+
+  return this.createFromEntry(entry, source, { session });
 };
 
 
+// --- ENCRYPTION AT REST ---
+
+// Encrypts the content at rest when ENCRYPT_ENTRY_CONTENT is set, like the entry's.
+versionSchema.plugin(encryptedFieldsPlugin, {
+  fields: ['content'],
+  isEnabled: () => getEncryptionConfig().encryptEntryContent,
+});
+
+
 // --- EXPORT ---
 
 const Version = mongoose.model('Version', versionSchema);
@@ -0,0 +1,67 @@
+// =================================================================
+// BATCHBOOK API | REAL-TIME NOTIFIER (realtime/notifier.js)
+// =================================================================
+
+/*
+ * Lets code outside the socket server (controllers, jobs) push events to a
+ * user's connected clients, or disconnect the clients of revoked sessions.
+ * Every authenticated socket joins its user's room and its login session's
+ * room (see realtime/socketServer.js); until the socket server has started,
+ * events are dropped.
+ */
+
+let socketServer = null;
+
+/**
+ * The name of the room that all of a user's sockets join.
+ * @param {string} userId - The user's ID.
+ * @returns {string}
+ */
+const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * The name of the room that all sockets of a login session join.
+ * @param {string} sessionId - The session's ID.
+ * @returns {string}
+ */
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+/**
+ * Registers the Socket.IO server that events are sent through.
+ * @param {import('socket.io').Server} io - The Socket.IO server instance.
+ */
+const setSocketServer = (io) => {
+  socketServer = io;
+};
+
+/**
+ * Sends an event to all of a user's connected clients.
+ * @param {string} userId - The user's ID.
+ * @param {string} event - The event name.
+ * @param {object} payload - The event data.
+ * @returns {boolean} Whether the socket server was available to send it.
+ */
+const emitToUser = (userId, event, payload) => {
+  if (!socketServer) return false;
+  socketServer.to(userRoom(userId.toString())).emit(event, payload);
+  return true;
+};
+
+/**
+ * Disconnects the live sockets of login sessions that have been revoked. Each
+ * socket is sent a `sessionRevoked` event (`{ sessionId }`) first, so the
+ * client can tell a revocation from a network failure.
+ * @param {Array<string>} sessionIds - The sessions' IDs.
+ * @returns {boolean} Whether the socket server was available.
+ */
+const disconnectSessions = (sessionIds) => {
+  if (!socketServer) return false;
+  for (const sessionId of sessionIds) {
+    const room = sessionRoom(sessionId.toString());
+    socketServer.to(room).emit('sessionRevoked', { sessionId: sessionId.toString() });
+    socketServer.in(room).disconnectSockets(true);
+  }
+  return true;
+};
+
+export { userRoom, sessionRoom, setSocketServer, emitToUser, disconnectSessions };
@@ -3,9 +3,15 @@
 // =================================================================
 
 import { Server } from 'socket.io';
-import jwt from 'jsonwebtoken';
-import User from '../models/User.js';
 import Entry from '../models/Entry.js';
+import User from '../models/User.js';
+import { hasVersionedChanges, recordVersion } from '../utils/versionHistory.js';
+import { isConcurrentWriteError } from '../utils/concurrency.js';
+import { readEncryptedUpdate } from '../utils/e2e.js';
+import HttpError from '../utils/httpError.js';
+import { checkGoalsReached } from '../utils/writingProgress.js';
+import { userRoom, sessionRoom, setSocketServer } from './notifier.js';
+import { authenticateAccessToken, touchSession } from '../utils/tokenService.js';
 
 /**
  * Initializes and configures the Socket.IO server and its event listeners.
@@ -19,6 +25,7 @@ const initSocketServer = (server) => {
       methods: ['GET', 'POST'],
     },
   });
+  setSocketServer(io);
 
   // --- Socket.IO Authentication Middleware ---
   // This runs for every incoming connection before it's established.
@@ -29,29 +36,39 @@ const initSocketServer = (server) => {
       return next(new Error('Authentication error: No token provided.'));
     }
 
+    let user;
+    let session;
     try {
-      // Verify the JWT
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Optional but recommended: Check if the user still exists in the database
-      const user = await User.findById(decoded.id);
-      if (!user) {
-        return next(new Error('Authentication error: User not found.'));
-      }
-
-      // Attach the user's ID to the socket object for use in event handlers
-      socket.userId = decoded.id;
-      next();
+      // Verify the access token and load its user and session
+      ({ user, session } = await authenticateAccessToken(token));
     } catch (err) {
       // If token is invalid or expired
-      next(new Error('Authentication error: Invalid token.'));
+      return next(new Error('Authentication error: Invalid token.'));
+    }
+
+    // Check that the user still exists and the session has not been logged out or revoked
+    if (!user) {
+      return next(new Error('Authentication error: User not found.'));
+    }
+    if (!session) {
+      return next(new Error('Authentication error: Session has ended.'));
     }
+
+    // Attach the user's and session's IDs to the socket object for use in event handlers
+    socket.userId = user._id.toString();
+    socket.sessionId = session._id.toString();
+    touchSession(session, { ip: socket.handshake.address }).catch((error) => console.error('Session update error:', error));
+    next();
   });
 
   // --- Main Connection Handler ---
   io.on('connection', (socket) => {
     console.log(`✅ User connected: ${socket.id} (UserID: ${socket.userId})`);
 
+    // Every socket joins its user's room, for notifications such as `goalReached`,
+    // and its session's room, so it is disconnected when the session is revoked
+    socket.join([userRoom(socket.userId), sessionRoom(socket.sessionId)]);
+
     // Event: Join a room specific to a journal entry
     socket.on('joinEntry', ({ entryId }) => {
       if (entryId) {
@@ -72,29 +89,70 @@ const initSocketServer = (server) => {
     });
 
     // Event: Auto-save entry content
-    socket.on('save', async ({ entryId, content, title }) => {
+    // `expectedRevision` (optional) is the revision the client's edit is based on; if the
+    // entry has moved on since, a `saveConflict` with the current server state is sent back.
+    // End-to-end encrypted entries follow the same rules as `PUT /api/entries/:id`: new
+    // ciphertext comes with its `encryption` metadata (and optionally `searchTokens` and
+    // `wordCount`), and users with end-to-end encryption enabled cannot save plaintext.
+    socket.on('save', async ({ entryId, content, title, expectedRevision, encryption, searchTokens, wordCount }) => {
       if (!entryId) return;
 
+      // Tell the sender their edit is stale, including the current state to merge with
+      const emitConflict = (current) => {
+        socket.emit('saveConflict', {
+          entryId,
+          message: 'Save rejected: the entry was changed since your last sync.',
+          current,
+        });
+      };
+
       try {
-        // Find and update the entry, but only if it belongs to the authenticated user
-        const entry = await Entry.findOneAndUpdate(
-          { _id: entryId, user: socket.userId }, // Security check: ensures ownership
-          { content, title },
-          { new: true } // Return the updated document
-        );
-
-        if (entry) {
+        // Find the entry, but only if it belongs to the authenticated user
+        const entry = await Entry.findOne({ _id: entryId, user: socket.userId, deletedAt: null }); // Security check: ensures ownership
+
+        // Clients may send the revision as a string (e.g. read from an ETag)
+        if (entry && expectedRevision !== undefined && Number(expectedRevision) !== entry.revision) {
+          emitConflict(entry);
+        } else if (entry) {
+          const user = await User.findById(socket.userId).select('e2e');
+          const encryptedFields = readEncryptedUpdate({ title, content, encryption, searchTokens, wordCount }, entry, user);
+          const previousState = entry.toObject();
+          if (title !== undefined) entry.title = title;
+          if (content !== undefined) entry.content = content;
+          entry.set(encryptedFields);
+
+          const versioned = hasVersionedChanges(entry);
+          await entry.save();
+
+          // Snapshot the prior state once it is replaced; rapid autosaves are coalesced into one version per window
+          if (versioned) {
+            await recordVersion(previousState, 'auto');
+          }
+
           // Broadcast to all clients in the room (including sender) that the entry is synced
           io.to(entryId).emit('synced', {
             entryId: entry._id,
+            revision: entry.revision,
             updatedAt: entry.updatedAt,
             message: 'Entry saved successfully.',
           });
+
+          // Celebrate a writing goal reached by this save (sent to the user's room)
+          checkGoalsReached(socket.userId).catch((error) => console.error('Goal check error:', error));
         } else {
           // If entry is not found or user is not the owner, send an error to the sender
           socket.emit('saveError', { entryId, message: 'Save failed: Entry not found or permission denied.' });
         }
       } catch (error) {
+        // Another write landed between our read and our save
+        if (isConcurrentWriteError(error)) {
+          const current = await Entry.findOne({ _id: entryId, user: socket.userId, deletedAt: null }).catch(() => null);
+          if (current) return emitConflict(current);
+        }
+        // A save the end-to-end encryption rules do not allow
+        if (error instanceof HttpError) {
+          return socket.emit('saveError', { entryId, message: `Save failed: ${error.message}` });
+        }
         console.error('Socket save error:', error);
         socket.emit('saveError', { entryId, message: 'An error occurred on the server while saving.' });
       }
@@ -0,0 +1,50 @@
+// =================================================================
+// BATCHBOOK API | ANALYTICS ROUTES (routes/analyticsRoutes.js)
+// =================================================================
+
+// -----------------------------------------------------------------
+// IMPORTS
+// -----------------------------------------------------------------
+
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import {
+  getMoodDistribution,
+  getMoodTimeline,
+  getMoodTagCorrelation,
+  getMoodRuns,
+  getWritingStreaks,
+  getGoals,
+  updateGoals,
+  getActivityHeatmap,
+} from '../controllers/analyticsController.js';
+
+// -----------------------------------------------------------------
+// INITIALIZATION
+// -----------------------------------------------------------------
+
+const router = express.Router();
+
+// -----------------------------------------------------------------
+// ROUTE DEFINITIONS
+// -----------------------------------------------------------------
+
+// All routes defined here are prefixed with `/api/analytics` (as configured in server.js).
+
+router.route('/moods').get(protect, getMoodDistribution);          // Handles GET /api/analytics/moods
+router.route('/moods/timeline').get(protect, getMoodTimeline);     // Handles GET /api/analytics/moods/timeline
+router.route('/moods/tags').get(protect, getMoodTagCorrelation);   // Handles GET /api/analytics/moods/tags
+router.route('/moods/runs').get(protect, getMoodRuns);             // Handles GET /api/analytics/moods/runs
+router.route('/streaks').get(protect, getWritingStreaks);          // Handles GET /api/analytics/streaks
+router.route('/heatmap').get(protect, getActivityHeatmap);         // Handles GET /api/analytics/heatmap
+
+router
+  .route('/goals')
+  .get(protect, getGoals)       // Handles GET /api/analytics/goals
+  .put(protect, updateGoals);   // Handles PUT /api/analytics/goals
+
+// -----------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------
+
+export default router;
@@ -0,0 +1,47 @@
+// =================================================================
+// BATCHBOOK API | ATTACHMENT ROUTES (routes/attachmentRoutes.js)
+// =================================================================
+
+// -----------------------------------------------------------------
+// IMPORTS
+// -----------------------------------------------------------------
+
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import { uploadAttachments } from '../middleware/uploadMiddleware.js';
+import {
+  addAttachments,
+  getAttachments,
+  downloadAttachment,
+  deleteAttachment,
+} from '../controllers/attachmentController.js';
+
+// -----------------------------------------------------------------
+// INITIALIZATION
+// -----------------------------------------------------------------
+
+// `mergeParams` exposes the parent route's `:id` (the entry ID) to these handlers.
+const router = express.Router({ mergeParams: true });
+
+// -----------------------------------------------------------------
+// ROUTE DEFINITIONS
+// -----------------------------------------------------------------
+
+// All routes defined here are prefixed with `/api/entries/:id/attachments` (as configured in server.js).
+// `protect` runs before the upload so that unauthenticated requests are never buffered.
+
+router
+  .route('/')
+  .get(protect, getAttachments)                      // Handles GET /api/entries/:id/attachments
+  .post(protect, uploadAttachments, addAttachments); // Handles POST /api/entries/:id/attachments (multipart)
+
+router
+  .route('/:attachmentId')
+  .get(protect, downloadAttachment)  // Handles GET /api/entries/:id/attachments/:attachmentId
+  .delete(protect, deleteAttachment); // Handles DELETE /api/entries/:id/attachments/:attachmentId
+
+// -----------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------
+
+export default router;
@@ -0,0 +1,32 @@
+// =================================================================
+// BATCHBOOK API | DIGEST ROUTES (routes/digestRoutes.js)
+// =================================================================
+
+// -----------------------------------------------------------------
+// IMPORTS
+// -----------------------------------------------------------------
+
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import { getDigest, emailDigest } from '../controllers/digestController.js';
+
+// -----------------------------------------------------------------
+// INITIALIZATION
+// -----------------------------------------------------------------
+
+const router = express.Router();
+
+// -----------------------------------------------------------------
+// ROUTE DEFINITIONS
+// -----------------------------------------------------------------
+
+// All routes defined here are prefixed with `/api/digests` (as configured in server.js).
+
+router.route('/:period').get(protect, getDigest);          // Handles GET /api/digests/:period (weekly or monthly)
+router.route('/:period/email').post(protect, emailDigest); // Handles POST /api/digests/:period/email
+
+// -----------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------
+
+export default router;
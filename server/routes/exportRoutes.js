@@ -9,8 +9,8 @@
 import express from 'express';
 import { protect } from '../middleware/authMiddleware.js';
 import {
-  exportEntriesAsPDF,
-  exportEntriesAsJSON,
+  exportAllEntriesAsPDF,
+  exportAllEntriesAsJSON,
 } from '../controllers/exportController.js';
 
 // -----------------------------------------------------------------
@@ -30,14 +30,14 @@ const router = express.Router();
  * @route   GET /api/exports/pdf
  * @access  Private
  */
-router.route('/pdf').get(protect, exportEntriesAsPDF);
+router.route('/pdf').get(protect, exportAllEntriesAsPDF);
 
 /**
  * @desc    Export user's journal entries as a JSON object
  * @route   GET /api/exports/json
  * @access  Private
  */
-router.route('/json').get(protect, exportEntriesAsJSON);
+router.route('/json').get(protect, exportAllEntriesAsJSON);
 
 
 // -----------------------------------------------------------------
@@ -10,11 +10,18 @@ import express from 'express';
 import { protect } from '../middleware/authMiddleware.js';
 import {
   createJournal,
+  createJournalFromTemplate,
   getUserJournals,
   getJournalById,
   updateJournal,
   deleteJournal,
+  moveJournal,
+  getTrashedJournals,
+  restoreJournal,
+  purgeJournal,
 } from '../controllers/journalController.js';
+import { batchEntries } from '../controllers/batchController.js';
+import { getOnThisDay } from '../controllers/digestController.js';
 
 // -----------------------------------------------------------------
 // INITIALIZATION
@@ -36,13 +43,30 @@ router
     .get(protect, getUserJournals)  // Handles GET requests to /api/entries
     .post(protect, createJournal); // Handles POST requests to /api/entries
 
+// Applying one action (tag, mood, move, delete, export) to many entries at once.
+router.route('/batch').post(protect, batchEntries); // Handles POST /api/entries/batch
+
+// Creating an entry from one of the user's templates.
+router.route('/from-template/:templateId').post(protect, createJournalFromTemplate); // Handles POST /api/entries/from-template/:templateId
+
+// The trash and on-this-day listings are declared before '/:id' so that they are not treated as IDs.
+router.route('/trash').get(protect, getTrashedJournals); // Handles GET requests to /api/entries/trash
+router.route('/on-this-day').get(protect, getOnThisDay); // Handles GET requests to /api/entries/on-this-day
+
 // Similarly, we chain methods for routes that include an ID parameter.
 // The 'protect' middleware secures all these operations as well.
 router
     .route('/:id')
     .get(protect, getJournalById)       // Handles GET requests to /api/entries/:id
     .put(protect, updateJournal)      // Handles PUT requests to /api/entries/:id
-    .delete(protect, deleteJournal);  // Handles DELETE requests to /api/entries/:id
+    .delete(protect, deleteJournal);  // Handles DELETE requests to /api/entries/:id (moves to trash)
+
+// Filing an entry into a notebook.
+router.route('/:id/notebook').patch(protect, moveJournal);     // Handles PATCH requests to /api/entries/:id/notebook
+
+// Trash operations on a single entry.
+router.route('/:id/restore').post(protect, restoreJournal);    // Handles POST requests to /api/entries/:id/restore
+router.route('/:id/permanent').delete(protect, purgeJournal);  // Handles DELETE requests to /api/entries/:id/permanent
 
 // -----------------------------------------------------------------
 // EXPORT
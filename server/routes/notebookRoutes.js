@@ -0,0 +1,46 @@
+// =================================================================
+// BATCHBOOK API | NOTEBOOK ROUTES (routes/notebookRoutes.js)
+// =================================================================
+
+// -----------------------------------------------------------------
+// IMPORTS
+// -----------------------------------------------------------------
+
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import {
+  createNotebook,
+  getNotebooks,
+  getNotebookById,
+  updateNotebook,
+  deleteNotebook,
+} from '../controllers/notebookController.js';
+
+// -----------------------------------------------------------------
+// INITIALIZATION
+// -----------------------------------------------------------------
+
+const router = express.Router();
+
+// -----------------------------------------------------------------
+// ROUTE DEFINITIONS
+// -----------------------------------------------------------------
+
+// All routes defined here are prefixed with `/api/notebooks` (as configured in server.js).
+
+router
+  .route('/')
+  .get(protect, getNotebooks)     // Handles GET /api/notebooks
+  .post(protect, createNotebook); // Handles POST /api/notebooks
+
+router
+  .route('/:id')
+  .get(protect, getNotebookById)  // Handles GET /api/notebooks/:id
+  .put(protect, updateNotebook)   // Handles PUT /api/notebooks/:id
+  .delete(protect, deleteNotebook); // Handles DELETE /api/notebooks/:id
+
+// -----------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------
+
+export default router;
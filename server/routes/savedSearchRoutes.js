@@ -0,0 +1,51 @@
+// =================================================================
+// BATCHBOOK API | SAVED SEARCH ROUTES (routes/savedSearchRoutes.js)
+// =================================================================
+
+// -----------------------------------------------------------------
+// IMPORTS
+// -----------------------------------------------------------------
+
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import {
+  createSavedSearch,
+  getSavedSearches,
+  getSavedSearchById,
+  updateSavedSearch,
+  deleteSavedSearch,
+  runSavedSearch,
+  getSavedSearchCount,
+} from '../controllers/savedSearchController.js';
+
+// -----------------------------------------------------------------
+// INITIALIZATION
+// -----------------------------------------------------------------
+
+const router = express.Router();
+
+// -----------------------------------------------------------------
+// ROUTE DEFINITIONS
+// -----------------------------------------------------------------
+
+// All routes defined here are prefixed with `/api/searches` (as configured in server.js).
+
+router
+  .route('/')
+  .get(protect, getSavedSearches)     // Handles GET /api/searches
+  .post(protect, createSavedSearch);  // Handles POST /api/searches
+
+router
+  .route('/:id')
+  .get(protect, getSavedSearchById)   // Handles GET /api/searches/:id
+  .put(protect, updateSavedSearch)    // Handles PUT /api/searches/:id
+  .delete(protect, deleteSavedSearch); // Handles DELETE /api/searches/:id
+
+router.route('/:id/entries').get(protect, runSavedSearch);    // Handles GET /api/searches/:id/entries
+router.route('/:id/count').get(protect, getSavedSearchCount); // Handles GET /api/searches/:id/count
+
+// -----------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------
+
+export default router;
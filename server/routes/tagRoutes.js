@@ -0,0 +1,39 @@
+// =================================================================
+// BATCHBOOK API | TAG ROUTES (routes/tagRoutes.js)
+// =================================================================
+
+// -----------------------------------------------------------------
+// IMPORTS
+// -----------------------------------------------------------------
+
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import { getTags, getTagTree, renameTag, mergeTags, deleteTag } from '../controllers/tagController.js';
+
+// -----------------------------------------------------------------
+// INITIALIZATION
+// -----------------------------------------------------------------
+
+const router = express.Router();
+
+// -----------------------------------------------------------------
+// ROUTE DEFINITIONS
+// -----------------------------------------------------------------
+
+// All routes defined here are prefixed with `/api/tags` (as configured in server.js).
+
+router.route('/').get(protect, getTags);           // Handles GET /api/tags
+router.route('/tree').get(protect, getTagTree);    // Handles GET /api/tags/tree
+router.route('/merge').post(protect, mergeTags);   // Handles POST /api/tags/merge
+
+// Hierarchical tags are passed URL-encoded, e.g. /api/tags/work%2Fprojecta.
+router
+  .route('/:tag')
+  .put(protect, renameTag)     // Handles PUT /api/tags/:tag
+  .delete(protect, deleteTag); // Handles DELETE /api/tags/:tag
+
+// -----------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------
+
+export default router;
@@ -0,0 +1,52 @@
+// =================================================================
+// BATCHBOOK API | TEMPLATE ROUTES (routes/templateRoutes.js)
+// =================================================================
+
+// -----------------------------------------------------------------
+// IMPORTS
+// -----------------------------------------------------------------
+
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import {
+  createTemplate,
+  getTemplates,
+  getTemplateById,
+  updateTemplate,
+  deleteTemplate,
+  getPromptLibrary,
+  getPromptOfTheDay,
+} from '../controllers/templateController.js';
+
+// -----------------------------------------------------------------
+// INITIALIZATION
+// -----------------------------------------------------------------
+
+const router = express.Router();
+
+// -----------------------------------------------------------------
+// ROUTE DEFINITIONS
+// -----------------------------------------------------------------
+
+// All routes defined here are prefixed with `/api/templates` (as configured in server.js).
+
+router
+  .route('/')
+  .get(protect, getTemplates)     // Handles GET /api/templates
+  .post(protect, createTemplate); // Handles POST /api/templates
+
+// The prompt routes are declared before '/:id' so that "prompts" is not treated as an ID.
+router.route('/prompts').get(protect, getPromptLibrary);        // Handles GET /api/templates/prompts
+router.route('/prompts/daily').get(protect, getPromptOfTheDay); // Handles GET /api/templates/prompts/daily
+
+router
+  .route('/:id')
+  .get(protect, getTemplateById)  // Handles GET /api/templates/:id
+  .put(protect, updateTemplate)   // Handles PUT /api/templates/:id
+  .delete(protect, deleteTemplate); // Handles DELETE /api/templates/:id
+
+// -----------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------
+
+export default router;
@@ -11,6 +11,10 @@ import { protect } from '../middleware/authMiddleware.js';
 import {
   getUserProfile,
   updateUserProfile,
+  getReminders,
+  updateReminders,
+  getEncryption,
+  updateEncryption,
 } from '../controllers/userController.js';
 
 // -----------------------------------------------------------------
@@ -33,6 +37,16 @@ router
   .get(protect, getUserProfile) // Handles GET /api/users/profile
   .put(protect, updateUserProfile); // Handles PUT /api/users/profile
 
+router
+  .route('/reminders')
+  .get(protect, getReminders) // Handles GET /api/users/reminders
+  .put(protect, updateReminders); // Handles PUT /api/users/reminders
+
+router
+  .route('/encryption')
+  .get(protect, getEncryption) // Handles GET /api/users/encryption
+  .put(protect, updateEncryption); // Handles PUT /api/users/encryption
+
 // -----------------------------------------------------------------
 // EXPORT
 // -----------------------------------------------------------------
@@ -8,6 +8,9 @@ import {
   getEntryVersions,
   getSpecificVersion,
   restoreVersion,
+  compareVersions,
+  createCheckpoint,
+  updateVersion,
   // deleteVersion, // Assuming this will be created in the controller
 } from '../controllers/versionController.js';
 
@@ -16,18 +19,36 @@ const router = express.Router();
 // Note: All routes in this file will be mounted under `/api/versions` in server.js.
 
 /**
- * @desc    Get all historical versions for a single entry
+ * @desc    Get the historical versions for a single entry (filterable by source, paginated)
  * @route   GET /api/versions/:entryId
  * @access  Private
  */
 router.route('/:entryId').get(protect, getEntryVersions);
 
 /**
- * @desc    Get a specific version of an entry
- * @route   GET /api/versions/:entryId/:versionId
+ * @desc    Diff two versions of an entry, or a version against the current entry
+ * @route   GET /api/versions/:entryId/diff?from=<versionId|current>&to=<versionId|current>
  * @access  Private
  */
-router.route('/:entryId/:versionId').get(protect, getSpecificVersion);
+// Declared before `/:entryId/:versionId` so that "diff" is not treated as a version ID.
+router.route('/:entryId/diff').get(protect, compareVersions);
+
+/**
+ * @desc    Save a named, manual checkpoint of an entry
+ * @route   POST /api/versions/:entryId/checkpoints
+ * @access  Private
+ */
+router.route('/:entryId/checkpoints').post(protect, createCheckpoint);
+
+/**
+ * @desc    Get a specific version of an entry, or rename/annotate/pin it
+ * @route   GET|PATCH /api/versions/:entryId/:versionId
+ * @access  Private
+ */
+router
+  .route('/:entryId/:versionId')
+  .get(protect, getSpecificVersion)
+  .patch(protect, updateVersion);
 // .delete(protect, deleteVersion); // Uncomment when deleteVersion controller is implemented
 
 /**
@@ -11,17 +11,34 @@ import express from 'express';
 import dotenv from 'dotenv';
 import cors from 'cors';
 import http from 'http';
-import { Server } from 'socket.io';
 
 // Custom modules
 import connectDB from './config/db.js';
-import initSocket from './socket.js';
+import { initSocketServer } from './realtime/socketServer.js';
 
 // Route handlers
 import authRoutes from './routes/authRoutes.js';
 import userRoutes from './routes/userRoutes.js';
-import entryRoutes from './routes/entryRoutes.js';
+import entryRoutes from './routes/journalRoutes.js';
 import exportRoutes from './routes/exportRoutes.js';
+import versionRoutes from './routes/versionRoutes.js';
+import notebookRoutes from './routes/notebookRoutes.js';
+import templateRoutes from './routes/templateRoutes.js';
+import savedSearchRoutes from './routes/savedSearchRoutes.js';
+import tagRoutes from './routes/tagRoutes.js';
+import analyticsRoutes from './routes/analyticsRoutes.js';
+import digestRoutes from './routes/digestRoutes.js';
+import attachmentRoutes from './routes/attachmentRoutes.js';
+
+// Background jobs
+import { startVersionPruner } from './jobs/versionPruner.js';
+import { startTrashPurger } from './jobs/trashPurger.js';
+import { startScheduler } from './jobs/scheduler.js';
+import { registerReminderJob } from './jobs/reminders.js';
+import { registerReencryptionJob, scheduleReencryption } from './jobs/reencryption.js';
+import { registerWordCountBackfillJob, scheduleWordCountBackfill } from './jobs/wordCountBackfill.js';
+import { registerEmailVerificationBackfillJob, scheduleEmailVerificationBackfill } from './jobs/emailVerificationBackfill.js';
+import { registerTagBackfillJob, scheduleTagBackfill } from './jobs/tagBackfill.js';
 
 // Middleware
 import { notFound, errorHandler } from './middleware/errorMiddleware.js';
@@ -39,19 +56,39 @@ const app = express();
 // Connect to MongoDB database
 connectDB();
 
+// Start the background pruner that enforces version history retention
+startVersionPruner();
+
+// Start the background job that permanently purges expired trash
+startTrashPurger();
+
+// Start the scheduler that runs persisted jobs, such as journaling reminders, when they are due
+registerReminderJob();
+registerReencryptionJob();
+registerWordCountBackfillJob();
+registerEmailVerificationBackfillJob();
+registerTagBackfillJob();
+startScheduler();
+
+// Bring the stored data in line with the encryption-at-rest settings (e.g. after a key rotation)
+scheduleReencryption().catch((error) => console.error(`Re-encryption could not be scheduled: ${error.message}`));
+
+// Count the words of entries saved before word counts were stored, so they sort correctly by length
+scheduleWordCountBackfill().catch((error) => console.error(`Word count backfill could not be scheduled: ${error.message}`));
+
+// Treat accounts created before email verification existed as verified
+scheduleEmailVerificationBackfill().catch((error) =>
+  console.error(`Email verification backfill could not be scheduled: ${error.message}`)
+);
+
+// Normalize tags stored before tags were normalized, so tag filters find them
+scheduleTagBackfill().catch((error) => console.error(`Tag backfill could not be scheduled: ${error.message}`));
+
 // Create an HTTP server instance from the Express app to be used with Socket.IO
 const server = http.createServer(app);
 
-// Initialize Socket.IO server and configure CORS
-const io = new Server(server, {
-  cors: {
-    origin: process.env.FRONTEND_URL || '*', // Restrict to frontend URL in production
-    methods: ['GET', 'POST'],
-  },
-});
-
-// Pass the Socket.IO instance to our custom event handler module
-initSocket(io);
+// Initialize the Socket.IO server (authentication, autosave and notifications)
+initSocketServer(server);
 
 
 // -----------------------------------------------------------------
@@ -78,7 +115,15 @@ app.get('/', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/entries', entryRoutes);
+app.use('/api/entries/:id/attachments', attachmentRoutes);
 app.use('/api/exports', exportRoutes);
+app.use('/api/versions', versionRoutes);
+app.use('/api/notebooks', notebookRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/searches', savedSearchRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/digests', digestRoutes);
 
 
 // -----------------------------------------------------------------
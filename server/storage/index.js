@@ -0,0 +1,45 @@
+// =================================================================
+// BATCHBOOK API | ATTACHMENT STORAGE (storage/index.js)
+// =================================================================
+
+import getAttachmentConfig from '../config/attachments.js';
+import { createLocalStorage } from './localStorage.js';
+
+/**
+ * The interface every storage backend implements. It mirrors the basic
+ * operations of S3-compatible object stores, so a bucket-backed driver can
+ * be added alongside the local one without touching the controllers.
+ *
+ * @typedef {object} StorageBackend
+ * @property {string} name - The driver name.
+ * @property {(key: string, buffer: Buffer, contentType: string) => Promise<void>} put - Stores an object.
+ * @property {(key: string) => Promise<Buffer>} get - Reads a whole object.
+ * @property {(key: string) => import('stream').Readable} createReadStream - Streams an object.
+ * @property {(key: string) => Promise<void>} remove - Deletes an object (missing objects are ignored).
+ */
+
+// Factories for the available drivers, keyed by ATTACHMENT_STORAGE_DRIVER value.
+const drivers = {
+  local: (config) => createLocalStorage(config.storageDir),
+};
+
+let storage = null;
+
+/**
+ * Returns the configured storage backend, creating it on first use.
+ * @returns {StorageBackend}
+ * @throws {Error} if the configured driver is unknown.
+ */
+const getStorage = () => {
+  if (!storage) {
+    const config = getAttachmentConfig();
+    const createDriver = drivers[config.driver];
+    if (!createDriver) {
+      throw new Error(`Unknown attachment storage driver: ${config.driver}`);
+    }
+    storage = createDriver(config);
+  }
+  return storage;
+};
+
+export { getStorage };
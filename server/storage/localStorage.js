@@ -0,0 +1,51 @@
+// =================================================================
+// BATCHBOOK API | LOCAL FILESYSTEM STORAGE BACKEND (storage/localStorage.js)
+// =================================================================
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Creates a storage backend that keeps objects as files under a root directory.
+ * Keys are relative paths such as `<userId>/<entryId>/<uuid>`.
+ *
+ * @param {string} rootDir - The directory to store files in (created on demand).
+ * @returns {import('./index.js').StorageBackend}
+ */
+const createLocalStorage = (rootDir) => {
+  const root = path.resolve(rootDir);
+
+  // Resolve a key to a path, refusing anything that escapes the root directory.
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    async get(key) {
+      return fs.promises.readFile(resolveKey(key));
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      // Removing a missing object is not an error
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+export { createLocalStorage };
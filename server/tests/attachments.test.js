@@ -0,0 +1,120 @@
+// =================================================================
+// BATCHBOOK API | ATTACHMENT TESTS (tests/attachments.test.js)
+// =================================================================
+
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import Entry from '../models/Entry.js';
+import User from '../models/User.js';
+import { getStorage } from '../storage/index.js';
+import { getStorageUsage } from '../utils/storageQuota.js';
+import { addAttachments, deleteAttachment } from '../controllers/attachmentController.js';
+import { callController, queryResult } from './helpers.js';
+
+// Fail fast on any query that is not mocked below, instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+const userId = new mongoose.Types.ObjectId();
+const user = { _id: userId, id: userId.toString() };
+const file = (name, text) => ({ originalname: name, mimetype: 'text/plain', size: Buffer.byteLength(text), buffer: Buffer.from(text) });
+
+describe('attachments', () => {
+  let storageDir;
+  let entry;
+  let usedBytes;
+
+  before(() => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batchbook-attachments-'));
+    process.env.ATTACHMENT_STORAGE_DIR = storageDir;
+    process.env.ATTACHMENT_QUOTA_MB = '1';
+  });
+  after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+  beforeEach(() => {
+    entry = Entry.hydrate({ _id: new mongoose.Types.ObjectId(), user: userId, title: 'Trip', content: 'Photos', attachments: [] });
+    usedBytes = 0;
+    mock.method(Entry, 'findOne', async () => entry);
+    // The user's storage counter, updated as the quota module would
+    mock.method(User, 'findById', () => queryResult({ _id: userId, storageUsedBytes: usedBytes }));
+    mock.method(User, 'findOneAndUpdate', (filter, update) => {
+      if (usedBytes > filter.storageUsedBytes.$lte) return queryResult(null);
+      usedBytes += update.$inc.storageUsedBytes;
+      return queryResult({ _id: userId, storageUsedBytes: usedBytes });
+    });
+    mock.method(User, 'updateOne', async (filter, update) => {
+      usedBytes += update.$inc.storageUsedBytes;
+      return { modifiedCount: 1 };
+    });
+    mock.method(entry, 'save', async function () {
+      return this;
+    });
+  });
+  afterEach(() => mock.restoreAll());
+
+  const upload = (files) => callController(addAttachments, { user, params: { id: entry.id }, files });
+  const storedFiles = () => fs.readdirSync(storageDir, { recursive: true }).filter((name) => fs.statSync(path.join(storageDir, name)).isFile());
+
+  it('stores the files and records their metadata on the entry', async () => {
+    const { res } = await upload([file('notes.txt', 'hello')]);
+    assert.equal(res.statusCode, 201);
+    const [attachment] = res.body.attachments;
+    assert.equal(attachment.filename, 'notes.txt');
+    assert.equal(attachment.size, 5);
+    assert.ok(attachment.storageKey.startsWith(`${userId}/${entry._id}/`));
+    assert.equal((await getStorage().get(attachment.storageKey)).toString(), 'hello');
+    assert.deepEqual(res.body.usage, { usedBytes: 5, quotaBytes: 1024 * 1024 });
+  });
+
+  it('rejects uploads that would exceed the quota with a 413', async () => {
+    usedBytes = 1024 * 1024 - 2;
+    const before = storedFiles().length;
+    const { res } = await upload([file('big.txt', 'too much')]);
+    assert.equal(res.statusCode, 413);
+    assert.equal(entry.attachments.length, 0);
+    assert.equal(storedFiles().length, before);
+  });
+
+  it('removes the stored files again when the entry cannot be saved', async () => {
+    mock.method(entry, 'save', async () => {
+      throw new Error('write failed');
+    });
+    const before = storedFiles().length;
+    const { error } = await upload([file('a.txt', 'a'), file('b.txt', 'b')]);
+    assert.match(error.message, /write failed/);
+    assert.equal(storedFiles().length, before);
+    assert.equal(usedBytes, 0);
+  });
+
+  it('deletes the file along with the attachment', async () => {
+    const { res } = await upload([file('gone.txt', 'bye')]);
+    const { _id, storageKey } = res.body.attachments[0];
+
+    const deleted = await callController(deleteAttachment, { user, params: { id: entry.id, attachmentId: _id.toString() } });
+    assert.equal(deleted.res.statusCode, 200);
+    assert.equal(entry.attachments.length, 0);
+    assert.equal(usedBytes, 0);
+    await assert.rejects(getStorage().get(storageKey), { code: 'ENOENT' });
+  });
+
+  it('counts the usage of users from before the counter from their attachments', async () => {
+    let counter = null;
+    mock.method(User, 'findById', () => queryResult({ _id: userId, storageUsedBytes: counter }));
+    mock.method(Entry, 'aggregate', async () => [{ usedBytes: 1000 }]);
+    mock.method(User, 'updateOne', async (filter, update) => {
+      assert.equal(filter.storageUsedBytes, null);
+      counter = update.$set.storageUsedBytes;
+      return { modifiedCount: 1 };
+    });
+
+    assert.equal(await getStorageUsage(userId), 1000);
+    assert.equal(User.updateOne.mock.callCount(), 1);
+  });
+
+  it('refuses storage keys that escape the storage directory', async () => {
+    await assert.rejects(getStorage().put('../outside.txt', Buffer.from('x')), /Invalid storage key/);
+  });
+});
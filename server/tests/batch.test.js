@@ -0,0 +1,138 @@
+// =================================================================
+// BATCHBOOK API | BATCH OPERATION TESTS (tests/batch.test.js)
+// =================================================================
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Entry from '../models/Entry.js';
+import Version from '../models/Version.js';
+import { batchEntries } from '../controllers/batchController.js';
+import { callController, queryResult } from './helpers.js';
+
+// Fail fast on any query that is not mocked below, instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+const userId = new mongoose.Types.ObjectId();
+const user = { _id: userId, id: userId.toString() };
+
+describe('batch operations', () => {
+  let entries;
+  let saved;
+  let versions;
+
+  const batch = (body) => callController(batchEntries, { user, body });
+  const ids = () => entries.map((entry) => entry.id);
+
+  beforeEach(() => {
+    entries = [
+      Entry.hydrate({ _id: new mongoose.Types.ObjectId(), user: userId, title: 'One', content: 'First', tags: ['work'] }),
+      Entry.hydrate({ _id: new mongoose.Types.ObjectId(), user: userId, title: 'Two', content: 'Second', tags: ['home'] }),
+    ];
+    saved = [];
+    versions = [];
+    // Only the user's live entries are found
+    mock.method(Entry, 'find', (filter) =>
+      queryResult(filter._id ? entries.filter((entry) => filter._id.$in.includes(entry.id)) : entries)
+    );
+    mock.method(Entry.prototype, 'save', async function () {
+      saved.push(this.id);
+      return this;
+    });
+    mock.method(Version, 'exists', () => queryResult(null));
+    mock.method(Version.prototype, 'save', async function () {
+      versions.push(this);
+      return this;
+    });
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('adds tags to the listed entries, snapshotting each, and reports missing IDs', async () => {
+    const missing = new mongoose.Types.ObjectId().toString();
+    const { res } = await batch({ action: 'addTags', params: { tags: ['work', ' ideas '] }, ids: [...ids(), missing] });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.results.map(({ status }) => status), ['updated', 'updated', 'not_found']);
+    assert.deepEqual([...entries[0].tags], ['work', 'ideas']);
+    assert.deepEqual([...entries[1].tags], ['home', 'work', 'ideas']);
+    assert.equal(saved.length, 2);
+    assert.deepEqual(versions.map((version) => [...version.tags]), [['work'], ['home']]);
+  });
+
+  it('leaves entries that the action does not change alone', async () => {
+    const { res } = await batch({ action: 'removeTags', params: { tags: ['home'] }, ids: ids() });
+    assert.deepEqual(res.body.results.map(({ status }) => status), ['unchanged', 'updated']);
+    assert.deepEqual(saved, [entries[1].id]);
+  });
+
+  it('compares tags in normalized form, including tags stored before normalization', async () => {
+    entries[0].tags = ['Work / Launch'];
+    const added = await batch({ action: 'addTags', params: { tags: ['work/launch', 'Ideas', 'ideas '] }, ids: ids() });
+    assert.deepEqual([...entries[0].tags], ['Work / Launch', 'ideas']);
+    assert.deepEqual([...entries[1].tags], ['home', 'work/launch', 'ideas']);
+    assert.deepEqual(added.res.body.results.map(({ status }) => status), ['updated', 'updated']);
+
+    await batch({ action: 'removeTags', params: { tags: [' WORK/launch'] }, ids: ids() });
+    assert.deepEqual([...entries[0].tags], ['ideas']);
+    assert.deepEqual([...entries[1].tags], ['home', 'ideas']);
+  });
+
+  it('reports the changes of a dry run without saving anything', async () => {
+    const { res } = await batch({ action: 'setMood', params: { mood: 'happy' }, ids: ids(), dryRun: true });
+    assert.deepEqual(res.body.results.map(({ status }) => status), ['updated', 'updated']);
+    assert.equal(saved.length, 0);
+    assert.equal(versions.length, 0);
+  });
+
+  it('moves entries to the trash', async () => {
+    const { res } = await batch({ action: 'delete', ids: ids() });
+    assert.deepEqual(res.body.results.map(({ status }) => status), ['deleted', 'deleted']);
+    assert.ok(entries.every((entry) => entry.deletedAt instanceof Date));
+  });
+
+  it('exports the entries matched by a search filter', async () => {
+    const { res } = await batch({ action: 'export', filter: { tags: 'work' } });
+    assert.equal(res.body.export.entryCount, 2);
+    assert.deepEqual(Entry.find.mock.calls[0].arguments[0].tags, { $in: ['work', /^work\//] });
+  });
+
+  it('accepts filter tags as an array', async () => {
+    await batch({ action: 'export', filter: { tags: ['Work', 'home'] } });
+    assert.deepEqual(Entry.find.mock.calls[0].arguments[0].tags, { $in: ['work', /^work\//, 'home', /^home\//] });
+  });
+
+  it('aborts a transactional batch when an entry is missing', async () => {
+    const session = { withTransaction: async (work) => work(), endSession: async () => {} };
+    mock.method(mongoose, 'startSession', async () => session);
+
+    const missing = new mongoose.Types.ObjectId().toString();
+    const { res } = await batch({ action: 'setMood', params: { mood: 'sad' }, ids: [...ids(), missing], transactional: true });
+    assert.equal(res.statusCode, 409);
+    assert.match(res.body.message, /no changes were applied/);
+    assert.deepEqual(res.body.results, [{ id: missing, status: 'not_found' }]);
+    assert.equal(saved.length, 0);
+  });
+
+  for (const [body, message] of [
+    [{ action: 'rename', ids: ['x'] }, /Invalid action/],
+    [{ action: 'addTags', params: { tags: [' '] }, ids: ['x'] }, /non-empty "params.tags"/],
+    [{ action: 'setMood', params: { mood: 'elated' }, ids: ['x'] }, /setMood action requires/],
+    [{ action: 'delete' }, /either "ids" or "filter"/],
+    [{ action: 'delete', ids: [] }, /non-empty array/],
+    [{ action: 'delete', filter: { tags: { $ne: 'x' } } }, /Invalid tags/],
+  ]) {
+    it(`rejects ${JSON.stringify(body)} with a 400`, async () => {
+      const { res, error } = await batch(body);
+      assert.equal(res.statusCode, 400);
+      assert.match(error.message, message);
+    });
+  }
+
+  it('refuses filters that match too many entries', async () => {
+    entries = Array.from({ length: 501 }, () => Entry.hydrate({ _id: new mongoose.Types.ObjectId(), user: userId, title: 'T', content: 'C' }));
+    const { res, error } = await batch({ action: 'delete', filter: {} });
+    assert.equal(res.statusCode, 400);
+    assert.match(error.message, /more than 500 entries/);
+    assert.equal(saved.length, 0);
+  });
+});
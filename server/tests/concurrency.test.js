@@ -0,0 +1,121 @@
+// =================================================================
+// BATCHBOOK API | OPTIMISTIC CONCURRENCY TESTS (tests/concurrency.test.js)
+// =================================================================
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Entry from '../models/Entry.js';
+import Version from '../models/Version.js';
+import { entryETag, matchesIfMatch, ConcurrentWriteError } from '../utils/concurrency.js';
+import { errorHandler } from '../middleware/errorMiddleware.js';
+import { updateJournal } from '../controllers/journalController.js';
+import { callController, createResponse, queryResult } from './helpers.js';
+
+// Fail fast on any query that is not mocked below, instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+const userId = new mongoose.Types.ObjectId();
+const user = { _id: userId, id: userId.toString() };
+
+describe('If-Match', () => {
+  const entry = { _id: 'abc', revision: 3 };
+
+  it('matches the current ETag, weak or in a list', () => {
+    assert.equal(entryETag(entry), '"abc:3"');
+    assert.equal(matchesIfMatch('"abc:3"', entry), true);
+    assert.equal(matchesIfMatch('W/"abc:3"', entry), true);
+    assert.equal(matchesIfMatch('"abc:1", "abc:3"', entry), true);
+    assert.equal(matchesIfMatch('"abc:2"', entry), false);
+  });
+
+  it('lets writes without the header through', () => {
+    assert.equal(matchesIfMatch(undefined, entry), true);
+    assert.equal(matchesIfMatch('*', entry), true);
+  });
+});
+
+describe('conditional entry updates', () => {
+  let entry;
+  let stored;
+  let writes;
+
+  beforeEach(() => {
+    stored = { _id: new mongoose.Types.ObjectId(), user: userId, title: 'Draft', content: 'One', revision: 2, deletedAt: null };
+    entry = Entry.hydrate(stored);
+    writes = [];
+    // The first lookup loads the entry; later ones re-read what is stored
+    mock.method(Entry, 'findOne', async () => Entry.hydrate(stored));
+    mock.method(Entry, 'findOne', async () => entry, { times: 1 });
+    // The database applies an update only while the stored revision is still the loaded one
+    mock.method(Entry.collection, 'updateOne', async (filter, update) => {
+      writes.push(filter);
+      const matches = String(filter._id) === String(stored._id) && filter.revision === stored.revision;
+      if (matches) Object.assign(stored, update.$set);
+      return { matchedCount: matches ? 1 : 0, modifiedCount: matches ? 1 : 0 };
+    });
+    mock.method(Version, 'exists', () => queryResult(null));
+    mock.method(Version.prototype, 'save', async function () {
+      return this;
+    });
+  });
+  afterEach(() => mock.restoreAll());
+
+  const update = (body, headers = {}) => callController(updateJournal, { user, params: { id: stored._id.toString() }, body, headers });
+
+  it('bumps the revision and returns the new ETag', async () => {
+    const { res } = await update({ content: 'Two' }, { 'if-match': `"${stored._id}:2"` });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.revision, 3);
+    assert.equal(res.headers.etag, `"${stored._id}:3"`);
+    assert.deepEqual(writes.map((filter) => filter.revision), [2]);
+    assert.equal(Version.prototype.save.mock.callCount(), 1);
+  });
+
+  it('answers 409 with the current state when If-Match is stale', async () => {
+    const { res } = await update({ content: 'Two' }, { 'if-match': `"${stored._id}:1"` });
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.current.content, 'One');
+    assert.equal(res.headers.etag, `"${stored._id}:2"`);
+    assert.equal(writes.length, 0);
+  });
+
+  it('answers 409 when another write lands between the read and the save', async () => {
+    stored.revision = 3;
+    stored.content = 'Written elsewhere';
+
+    const { res } = await update({ content: 'Two' });
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.current.content, 'Written elsewhere');
+    assert.equal(res.headers.etag, `"${stored._id}:3"`);
+    // The rejected write leaves no snapshot behind
+    assert.equal(Version.prototype.save.mock.callCount(), 0);
+  });
+
+  it('fails a conflicting save with a ConcurrentWriteError that the error handler answers with 409', async () => {
+    stored.revision = 3;
+    entry.content = 'Two';
+
+    const error = await entry.save().catch((saveError) => saveError);
+    assert.ok(error instanceof ConcurrentWriteError);
+
+    const res = createResponse();
+    errorHandler(error, {}, res, () => {});
+    assert.equal(res.statusCode, 409);
+    assert.match(res.body.message, /modified by another request/);
+  });
+
+  it('treats entries saved before revisions existed as revision 0', async () => {
+    delete stored.revision;
+    entry = Entry.hydrate(stored);
+    entry.content = 'Two';
+    mock.method(Entry.collection, 'updateOne', async (filter) => {
+      writes.push(filter);
+      return { matchedCount: 1, modifiedCount: 1 };
+    });
+
+    await entry.save();
+    assert.deepEqual(writes[0].revision, { $in: [0, null] });
+    assert.equal(entry.revision, 1);
+  });
+});
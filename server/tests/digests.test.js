@@ -0,0 +1,142 @@
+// =================================================================
+// BATCHBOOK API | RESURFACING & DIGEST TESTS (tests/digests.test.js)
+// =================================================================
+
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Entry from '../models/Entry.js';
+import { digestPeriod, findOnThisDay, buildDigest } from '../utils/digests.js';
+import { getOnThisDay, getDigest, emailDigest } from '../controllers/digestController.js';
+import { getMailTransport } from '../mail/index.js';
+import { callController, queryResult } from './helpers.js';
+
+// Fail fast on any query that is not mocked below, instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+// Keep sent mail in memory; the transport is created on first use.
+process.env.MAIL_TRANSPORT = 'memory';
+
+const userId = new mongoose.Types.ObjectId();
+const user = { _id: userId, id: userId.toString(), name: 'Ada', email: 'ada@example.com', emailVerified: true, timezone: 'UTC' };
+
+const entries = [
+  { _id: new mongoose.Types.ObjectId(), title: 'Monday', content: 'A short day', tags: ['work'], mood: 'happy', createdAt: new Date('2026-03-09T08:00:00Z') },
+  { _id: new mongoose.Types.ObjectId(), title: 'Friday', content: 'Long week', tags: ['work', 'home'], mood: 'tired', createdAt: new Date('2026-03-13T20:00:00Z') },
+];
+
+describe('digest periods', () => {
+  it('covers the ISO week or calendar month containing the date', () => {
+    assert.deepEqual(digestPeriod('weekly', '2026-03-11'), { from: '2026-03-09', to: '2026-03-15', label: 'Week 2026-W11' });
+    assert.deepEqual(digestPeriod('monthly', '2028-02-10'), { from: '2028-02-01', to: '2028-02-29', label: 'February 2028' });
+  });
+});
+
+describe('on this day', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('groups the entries of the same day in earlier years, most recent first', async () => {
+    mock.method(Entry, 'aggregate', async () => [
+      { _id: 1, title: 'Last year', day: '2025-03-11' },
+      { _id: 2, title: 'Morning', day: '2023-03-11' },
+      { _id: 3, title: 'Evening', day: '2023-03-11' },
+    ]);
+
+    const groups = await findOnThisDay(userId, { date: '2026-03-11', timeZone: 'UTC' });
+    assert.deepEqual(groups.map(({ ago, entries: found }) => [ago, found.length]), [[1, 1], [3, 2]]);
+    assert.deepEqual(groups[0].entries[0], { _id: 1, title: 'Last year' });
+
+    const [first, , dayMatch] = Entry.aggregate.mock.calls[0].arguments[0];
+    assert.deepEqual(first.$match.createdAt, { $lt: new Date('2026-01-01T00:00:00Z') });
+    assert.deepEqual(dayMatch.$match.$expr.$in[1], ['03-11']);
+  });
+
+  it('resurfaces the days a shorter month lacks on its last day', async () => {
+    mock.method(Entry, 'aggregate', async () => []);
+
+    await findOnThisDay(userId, { date: '2027-02-28', timeZone: 'UTC' });
+    const [, , dayMatch] = Entry.aggregate.mock.calls[0].arguments[0];
+    assert.deepEqual(dayMatch.$match.$expr.$in[1], ['02-28', '02-29', '02-30', '02-31']);
+
+    await findOnThisDay(userId, { date: '2026-04-30', timeZone: 'UTC', scope: 'months' });
+    const [, , monthMatch] = Entry.aggregate.mock.calls[1].arguments[0];
+    assert.deepEqual(monthMatch.$match.$expr.$in[1], ['30', '31']);
+  });
+
+  it('rejects an unknown scope or date with a 400', async () => {
+    const scope = await callController(getOnThisDay, { user, query: { scope: 'weeks' } });
+    assert.equal(scope.res.statusCode, 400);
+    const date = await callController(getOnThisDay, { user, query: { date: '2026-02-30' } });
+    assert.equal(date.res.statusCode, 400);
+    assert.match(date.error.message, /Invalid date/);
+  });
+});
+
+describe('digests', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('summarizes the entries of the period', async () => {
+    mock.method(Entry, 'find', () => queryResult(entries));
+
+    const digest = await buildDigest(user, { period: 'weekly', date: '2026-03-11', timeZone: 'UTC' });
+    assert.equal(digest.totalEntries, 2);
+    assert.equal(digest.totalWords, 5);
+    assert.deepEqual(digest.topTags, [{ tag: 'work', count: 2 }, { tag: 'home', count: 1 }]);
+    assert.equal(digest.moodScore, 0);
+    assert.equal(digest.entries[0].wordCount, 3);
+    assert.equal(digest.entries[0].content, undefined);
+    assert.deepEqual(Entry.find.mock.calls[0].arguments[0].createdAt, {
+      $gte: new Date('2026-03-09T00:00:00Z'),
+      $lt: new Date('2026-03-16T00:00:00Z'),
+    });
+  });
+
+  it('downloads a digest as a PDF', async () => {
+    mock.method(Entry, 'find', () => queryResult(entries));
+
+    const { res } = await callController(getDigest, { user, params: { period: 'monthly' }, query: { date: '2026-03-11', format: 'pdf' } });
+    assert.equal(res.headers['content-type'], 'application/pdf');
+    assert.match(res.headers['content-disposition'], /journal-digest-monthly-2026-03-01\.pdf/);
+    assert.equal(res.body.subarray(0, 5).toString(), '%PDF-');
+  });
+
+  it('emails a digest with the PDF attached', async () => {
+    mock.method(Entry, 'find', () => queryResult(entries));
+
+    const { res } = await callController(emailDigest, { user, params: { period: 'weekly' }, body: { date: '2026-03-11' } });
+    assert.equal(res.statusCode, 200);
+    const [message] = getMailTransport().outbox;
+    assert.equal(message.to, 'ada@example.com');
+    assert.equal(message.subject, 'Your weekly journal digest: Week 2026-W11');
+    assert.match(message.text, /Top tags: work \(2\), home \(1\)/);
+    assert.equal(message.attachments[0].contentType, 'application/pdf');
+  });
+
+  it('only emails verified addresses', async () => {
+    const { res, error } = await callController(emailDigest, { user: { ...user, emailVerified: false }, params: { period: 'weekly' } });
+    assert.equal(res.statusCode, 403);
+    assert.match(error.message, /verify your email address/);
+  });
+
+  it('answers 502 when the digest cannot be sent', async () => {
+    mock.method(Entry, 'find', () => queryResult(entries));
+    mock.method(getMailTransport(), 'send', async () => {
+      throw new Error('connection refused');
+    });
+    mock.method(console, 'error', () => {});
+
+    const { res, error } = await callController(emailDigest, { user, params: { period: 'weekly' } });
+    assert.equal(res.statusCode, 502);
+    assert.match(error.message, /could not be sent/);
+  });
+
+  for (const [params, query, message] of [
+    [{ period: 'daily' }, {}, /Invalid digest period/],
+    [{ period: 'weekly' }, { format: 'csv' }, /Invalid format/],
+  ]) {
+    it(`rejects ${JSON.stringify({ ...params, ...query })} with a 400`, async () => {
+      const { res, error } = await callController(getDigest, { user, params, query });
+      assert.equal(res.statusCode, 400);
+      assert.match(error.message, message);
+    });
+  }
+});
@@ -0,0 +1,267 @@
+// =================================================================
+// BATCHBOOK API | END-TO-END ENCRYPTION TESTS (tests/e2e.test.js)
+// =================================================================
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import mongoose from 'mongoose';
+import Entry from '../models/Entry.js';
+import User from '../models/User.js';
+import Version from '../models/Version.js';
+import { readEncryptedFields, readEncryptedUpdate, parseSearchTokens, assertNotEncrypted } from '../utils/e2e.js';
+import { buildSearchFilter } from '../utils/entryFilters.js';
+import { updateJournal } from '../controllers/journalController.js';
+import { updateEncryption } from '../controllers/userController.js';
+import { initSocketServer } from '../realtime/socketServer.js';
+import { setSocketServer } from '../realtime/notifier.js';
+import { callController, queryResult } from './helpers.js';
+
+// Fail fast on any query that is not mocked below, instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+const userId = new mongoose.Types.ObjectId();
+const plainUser = { _id: userId, id: userId.toString(), e2e: { enabled: false } };
+const e2eUser = { ...plainUser, e2e: { enabled: true } };
+
+const encryption = { algorithm: 'AES-GCM-256', keyId: 'key-1', wrappedKey: 'd3JhcHBlZA==', titleIv: 'aXYx', contentIv: 'aXYy' };
+const tokens = ['tokenAAAA1', 'tokenBBBB2'];
+
+describe('encrypted entry fields', () => {
+  it('reads the metadata, tokens and word count of a new encrypted entry', () => {
+    const fields = readEncryptedFields({ encryption: { ...encryption, extra: 'x' }, searchTokens: tokens, wordCount: 12 }, plainUser);
+    assert.deepEqual(fields, { encryption, searchTokens: tokens, wordCount: 12 });
+    assert.deepEqual(readEncryptedFields({}, plainUser), {});
+  });
+
+  for (const [body, user, message] of [
+    [{}, e2eUser, /Please encrypt the entry/],
+    [{ encryption: 'AES' }, plainUser, /encryption must be an object/],
+    [{ encryption: { ...encryption, titleIv: 'not base64!' } }, plainUser, /titleIv must be Base64/],
+    [{ encryption, wordCount: -1 }, plainUser, /wordCount must be a non-negative integer/],
+  ]) {
+    it(`rejects ${JSON.stringify(body)} with a 400`, () => {
+      assert.throws(() => readEncryptedFields(body, user), (error) => error.statusCode === 400 && message.test(error.message));
+    });
+  }
+
+  it('refuses features that need the plaintext of an encrypted entry with a 409', () => {
+    assert.doesNotThrow(() => assertNotEncrypted({ encryption: null }, 'PDF export'));
+    assert.throws(
+      () => assertNotEncrypted({ encryption }, 'PDF export'),
+      (error) => error.statusCode === 409 && /^PDF export is not available/.test(error.message)
+    );
+  });
+
+  it('parses comma-separated tokens without duplicates', () => {
+    assert.deepEqual(parseSearchTokens('tokenAAAA1, tokenBBBB2,tokenAAAA1'), tokens);
+    assert.throws(
+      () => readEncryptedFields({ encryption, searchTokens: ['short'] }, plainUser),
+      (error) => error.statusCode === 400 && /Search tokens must be/.test(error.message)
+    );
+  });
+});
+
+describe('encrypted entry updates', () => {
+  const encrypted = { encryption };
+  const plain = { encryption: null };
+
+  const rejects = (body, entry, user, message) => {
+    assert.throws(() => readEncryptedUpdate(body, entry, user), (error) => error.statusCode === 400 && message.test(error.message));
+  };
+
+  it('only changes the text of an encrypted entry together with new metadata', () => {
+    rejects({ content: 'new ciphertext' }, encrypted, plainUser, /Send its new encryption metadata/);
+    rejects({ encryption, content: 'new ciphertext' }, encrypted, plainUser, /both the title and the content/);
+
+    const fields = readEncryptedUpdate({ encryption, title: 'Y2lwaGVy', content: 'Y2lwaGVy' }, encrypted, plainUser);
+    assert.deepEqual(fields.encryption, encryption);
+  });
+
+  it('updates the tokens and word count of an encrypted entry on their own', () => {
+    const fields = readEncryptedUpdate({ searchTokens: tokens, wordCount: 3 }, encrypted, plainUser);
+    assert.deepEqual(fields, { searchTokens: tokens, wordCount: 3 });
+    assert.deepEqual(readEncryptedUpdate({ searchTokens: tokens }, plain, plainUser), {});
+  });
+
+  it('decrypts an entry only for users without end-to-end encryption', () => {
+    const body = { encryption: null, title: 'Plain', content: 'Text' };
+    assert.deepEqual(readEncryptedUpdate(body, encrypted, plainUser), { encryption: null, searchTokens: undefined });
+    rejects(body, encrypted, e2eUser, /cannot be stored in plaintext/);
+    rejects({ content: 'Plain text' }, plain, e2eUser, /Please encrypt the entry/);
+  });
+});
+
+describe('encrypted entries', () => {
+  it('keeps the client word count and allows long ciphertext titles', async () => {
+    const entry = new Entry({ user: userId, title: 'x'.repeat(200), content: 'Y2lwaGVy dGV4dA==', encryption, wordCount: 7 });
+    await entry.validate();
+    mock.method(Entry.collection, 'insertOne', async () => ({ acknowledged: true }));
+    try {
+      await entry.save();
+    } finally {
+      mock.restoreAll();
+    }
+    assert.equal(entry.wordCount, 7);
+
+    const plain = new Entry({ user: userId, title: 'x'.repeat(200), content: 'Plain text' });
+    await assert.rejects(plain.validate(), /Title cannot be more than 100 characters/);
+  });
+
+  it('searches plaintext entries by keyword and encrypted ones by token', async () => {
+    const req = { user: plainUser, query: {} };
+    const keyword = await buildSearchFilter({ q: '"launch"' }, req);
+    assert.equal(keyword.encryption, null);
+
+    const token = await buildSearchFilter({ tokens: tokens.join(',') }, req);
+    assert.deepEqual(token.encryption, { $ne: null });
+    assert.deepEqual(token.searchTokens, { $all: tokens });
+
+    await assert.rejects(
+      buildSearchFilter({ q: 'launch', tokens: tokens[0] }, req),
+      (error) => error.statusCode === 400 && /one or the other/.test(error.message)
+    );
+  });
+});
+
+describe('encrypted entry endpoints', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = { _id: new mongoose.Types.ObjectId(), user: userId, title: 'VGl0bGU=', content: 'Q29udGVudA==', encryption, wordCount: 2, revision: 1, deletedAt: null };
+    mock.method(Entry, 'findOne', async () => Entry.hydrate(stored));
+    mock.method(Entry.collection, 'updateOne', async (filter, update) => {
+      Object.assign(stored, update.$set);
+      return { matchedCount: 1, modifiedCount: 1 };
+    });
+    mock.method(Version, 'exists', () => queryResult(null));
+    mock.method(Version.prototype, 'save', async function () {
+      return this;
+    });
+    // The goal check after a save finds no goals to report
+    mock.method(User, 'findById', () => queryResult(null));
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('re-encrypts an entry with new ciphertext, keeping the client word count', async () => {
+    const rekeyed = { ...encryption, titleIv: 'aXYz', contentIv: 'aXY0' };
+    const { res } = await callController(updateJournal, {
+      user: plainUser,
+      params: { id: stored._id.toString() },
+      body: { title: 'TmV3', content: 'TmV3IGNvbnRlbnQ=', encryption: rekeyed, wordCount: 5 },
+    });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.encryption.titleIv, 'aXYz');
+    assert.equal(res.body.wordCount, 5);
+    assert.equal(Version.prototype.save.mock.callCount(), 1);
+  });
+
+  it('rejects a plaintext edit of an encrypted entry', async () => {
+    const { res, error } = await callController(updateJournal, {
+      user: plainUser,
+      params: { id: stored._id.toString() },
+      body: { content: 'Plain text' },
+    });
+    assert.equal(res.statusCode, 400);
+    assert.match(error.message, /end-to-end encrypted/);
+    assert.equal(Entry.collection.updateOne.mock.callCount(), 0);
+  });
+
+  it('enables end-to-end encryption with the key metadata', async () => {
+    const user = User.hydrate({ _id: userId, e2e: { enabled: false } });
+    mock.method(User, 'findById', () => queryResult(user));
+    mock.method(user, 'save', async () => user);
+    mock.method(Entry, 'countDocuments', async () => 4);
+
+    const kdf = { algorithm: 'PBKDF2-SHA256', salt: 'c2FsdA==', iterations: 600000 };
+    const { res } = await callController(updateEncryption, {
+      user: plainUser,
+      body: { enabled: true, keyId: 'key-1', kdf, keyCheck: 'Y2hlY2s=' },
+    });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { enabled: true, keyId: 'key-1', kdf, keyCheck: 'Y2hlY2s=', encryptedEntries: 4 });
+
+    const { res: rejected, error } = await callController(updateEncryption, {
+      user: plainUser,
+      body: { enabled: true, keyId: 'key-1', kdf: { ...kdf, iterations: 0 }, keyCheck: 'Y2hlY2s=' },
+    });
+    assert.equal(rejected.statusCode, 400);
+    assert.match(error.message, /positive integer number of iterations/);
+  });
+});
+
+describe('encrypted entry autosaves', () => {
+  let io;
+  let stored;
+  let account;
+
+  // Connects a stand-in socket of the user and returns its `save` handler and the events sent to it
+  const connect = () => {
+    const handlers = {};
+    const emitted = [];
+    const socket = {
+      id: 'socket-1',
+      userId: userId.toString(),
+      sessionId: 'session-1',
+      join: () => {},
+      on: (event, handler) => {
+        handlers[event] = handler;
+      },
+      emit: (event, payload) => emitted.push({ event, payload }),
+    };
+    io.sockets.listeners('connection')[0](socket);
+    return { save: handlers.save, emitted };
+  };
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    io = initSocketServer(http.createServer());
+    stored = { _id: new mongoose.Types.ObjectId(), user: userId, title: 'VGl0bGU=', content: 'Q29udGVudA==', encryption, wordCount: 2, revision: 1, deletedAt: null };
+    account = { _id: userId, e2e: { enabled: false } };
+    mock.method(Entry, 'findOne', async () => Entry.hydrate(stored));
+    mock.method(Entry.collection, 'updateOne', async (filter, update) => {
+      Object.assign(stored, update.$set);
+      return { matchedCount: 1, modifiedCount: 1 };
+    });
+    mock.method(Version, 'exists', () => queryResult(null));
+    mock.method(Version.prototype, 'save', async function () {
+      return this;
+    });
+    mock.method(User, 'findById', () => queryResult(account));
+  });
+  afterEach(() => {
+    io.close();
+    setSocketServer(null);
+    mock.restoreAll();
+  });
+
+  it('refuses a plaintext autosave of an encrypted entry', async () => {
+    const { save, emitted } = connect();
+    await save({ entryId: stored._id.toString(), content: 'Plain text' });
+
+    assert.equal(emitted[0].event, 'saveError');
+    assert.match(emitted[0].payload.message, /end-to-end encrypted/);
+    assert.equal(Entry.collection.updateOne.mock.callCount(), 0);
+  });
+
+  it('refuses a plaintext autosave from a user with end-to-end encryption enabled', async () => {
+    stored.encryption = null;
+    account.e2e.enabled = true;
+    const { save, emitted } = connect();
+    await save({ entryId: stored._id.toString(), content: 'Plain text' });
+
+    assert.equal(emitted[0].event, 'saveError');
+    assert.match(emitted[0].payload.message, /Please encrypt the entry/);
+  });
+
+  it('saves new ciphertext with its metadata', async () => {
+    const { save, emitted } = connect();
+    const rekeyed = { ...encryption, titleIv: 'aXYz', contentIv: 'aXY0' };
+    await save({ entryId: stored._id.toString(), title: 'TmV3', content: 'TmV3IGNvbnRlbnQ=', encryption: rekeyed, wordCount: 5 });
+
+    assert.equal(emitted.length, 0);
+    assert.equal(stored.content, 'TmV3IGNvbnRlbnQ=');
+    assert.equal(stored.encryption.titleIv, 'aXYz');
+    assert.equal(stored.wordCount, 5);
+  });
+});
@@ -0,0 +1,37 @@
+// =================================================================
+// BATCHBOOK API | EMAIL VERIFICATION TESTS (tests/emailVerification.test.js)
+// =================================================================
+
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { backfillEmailVerification } from '../jobs/emailVerificationBackfill.js';
+
+// Fail fast on any query that is not mocked below, instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+describe('email verification backfill', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('marks accounts from before verification as verified, leaving their timestamps alone', async () => {
+    mock.method(User, 'updateMany', async () => ({ modifiedCount: 2 }));
+    mock.method(console, 'log', () => {});
+
+    assert.equal(await backfillEmailVerification(), null);
+    assert.deepEqual(User.updateMany.mock.calls[0].arguments, [
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true } },
+      { timestamps: false },
+    ]);
+    assert.equal(console.log.mock.callCount(), 1);
+  });
+
+  it('leaves accounts that store their verification state alone', async () => {
+    mock.method(User, 'updateMany', async () => ({ modifiedCount: 0 }));
+    mock.method(console, 'log', () => {});
+
+    await backfillEmailVerification();
+    assert.equal(console.log.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,97 @@
+// =================================================================
+// BATCHBOOK API | ENCRYPTION AT REST TESTS (tests/encryption.test.js)
+// =================================================================
+
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { isEncryptedValue, encryptValue, decryptValue, rewrapValue } from '../utils/encryption.js';
+
+const OLD_KEY = `old:${crypto.randomBytes(32).toString('base64')}`;
+const NEW_KEY = `new:${crypto.randomBytes(32).toString('base64')}`;
+
+// The configuration is read on every call, so each test sets its own keys.
+const useKeys = (keys, activeKey) => {
+  process.env.ENCRYPTION_KEYS = keys.join(',');
+  if (activeKey) process.env.ENCRYPTION_ACTIVE_KEY = activeKey;
+  else delete process.env.ENCRYPTION_ACTIVE_KEY;
+};
+
+// Splits an encrypted value into keyId, wrapped key, iv, tag and ciphertext.
+const partsOf = (value) => value.split(':').slice(2);
+
+describe('envelope encryption', () => {
+  beforeEach(() => useKeys([OLD_KEY]));
+  after(() => useKeys([]));
+
+  it('round-trips a value under the active key', () => {
+    const value = encryptValue('Dear diary, ünïcode too.');
+    assert.ok(isEncryptedValue(value));
+    assert.equal(partsOf(value)[0], 'old');
+    assert.ok(!value.includes('diary'));
+    assert.equal(decryptValue(value), 'Dear diary, ünïcode too.');
+  });
+
+  it('uses a new data key and IV for every value', () => {
+    const [first, second] = [encryptValue('same'), encryptValue('same')];
+    assert.notEqual(first, second);
+    assert.notEqual(partsOf(first)[1], partsOf(second)[1]);
+  });
+
+  it('returns values stored before encryption unchanged', () => {
+    assert.equal(decryptValue('plain text'), 'plain text');
+    assert.equal(decryptValue(null), null);
+  });
+
+  it('detects a tampered ciphertext', () => {
+    const parts = partsOf(encryptValue('secret'));
+    const ciphertext = Buffer.from(parts[4], 'base64');
+    ciphertext[0] ^= 1;
+    const tampered = `enc:v1:${[...parts.slice(0, 4), ciphertext.toString('base64')].join(':')}`;
+    assert.throws(() => decryptValue(tampered));
+  });
+
+  it('binds the wrapped data key to its key id', () => {
+    useKeys([OLD_KEY, `new:${OLD_KEY.split(':')[1]}`]);
+    const parts = partsOf(encryptValue('secret'));
+    assert.throws(() => decryptValue(`enc:v1:${['new', ...parts.slice(1)].join(':')}`));
+  });
+
+  it('refuses to encrypt without keys', () => {
+    useKeys([]);
+    assert.throws(() => encryptValue('secret'), /not configured/);
+  });
+});
+
+describe('master key rotation', () => {
+  after(() => useKeys([]));
+
+  it('re-wraps the data key under the new active key, leaving the ciphertext as it is', () => {
+    useKeys([OLD_KEY]);
+    const value = encryptValue('rotate me');
+
+    useKeys([OLD_KEY, NEW_KEY], 'new');
+    const rewrapped = rewrapValue(value);
+    const [original, rotated] = [partsOf(value), partsOf(rewrapped)];
+    assert.equal(rotated[0], 'new');
+    assert.notEqual(rotated[1], original[1]);
+    assert.deepEqual(rotated.slice(2), original.slice(2));
+    assert.equal(decryptValue(rewrapped), 'rotate me');
+
+    // Once every value is re-wrapped, the old key can be retired
+    useKeys([NEW_KEY]);
+    assert.equal(decryptValue(rewrapped), 'rotate me');
+    assert.throws(() => decryptValue(value), /Encryption key "old" is not configured/);
+  });
+
+  it('leaves values already under the active key alone', () => {
+    useKeys([OLD_KEY, NEW_KEY], 'new');
+    const value = encryptValue('current');
+    assert.equal(rewrapValue(value), value);
+  });
+
+  it('rejects an active key that is not configured', () => {
+    useKeys([OLD_KEY], 'missing');
+    assert.throws(() => encryptValue('secret'), /ENCRYPTION_ACTIVE_KEY "missing"/);
+  });
+});
@@ -0,0 +1,95 @@
+// =================================================================
+// BATCHBOOK API | FULL-TEXT SEARCH TESTS (tests/fullTextSearch.test.js)
+// =================================================================
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Entry from '../models/Entry.js';
+import { extractSearchTerms, buildHighlights } from '../utils/searchHighlighter.js';
+import { paginateEntries } from '../utils/pagination.js';
+import { searchEntries } from '../controllers/searchController.js';
+import { callController, createResponse } from './helpers.js';
+
+// Fail fast on any query that is not mocked below, instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+const userId = new mongoose.Types.ObjectId();
+const user = { _id: userId, id: userId.toString() };
+
+describe('search highlights', () => {
+  it('stems words, keeps phrases whole and skips negated terms', () => {
+    assert.deepEqual(extractSearchTerms('Running "Release Blocker" -draft -"old notes"'), [
+      { value: 'runn', phrase: false },
+      { value: 'release blocker', phrase: true },
+    ]);
+  });
+
+  it('marks matches in the title and in content snippets by offset', () => {
+    const entry = { title: 'Morning run', content: `${'x '.repeat(100)}I ran and kept running.` };
+    const [title, snippet] = buildHighlights(entry, extractSearchTerms('run'));
+
+    assert.deepEqual(title, { field: 'title', text: 'Morning run', matches: [{ start: 8, length: 3 }] });
+    assert.equal(snippet.field, 'content');
+    assert.ok(snippet.text.startsWith('…'));
+    const [match] = snippet.matches;
+    assert.equal(snippet.text.slice(match.start, match.start + match.length), 'running');
+  });
+
+  it('does not match inside other words', () => {
+    assert.deepEqual(buildHighlights({ title: 'Brunch', content: '' }, extractSearchTerms('run')), []);
+  });
+});
+
+describe('relevance-ranked search', () => {
+  let res;
+
+  beforeEach(() => {
+    res = createResponse();
+    mock.method(Entry, 'countDocuments', async () => 2);
+    mock.method(Entry, 'aggregate', async () => [
+      { _id: new mongoose.Types.ObjectId(), title: 'Run log', content: 'A long run', score: 6.5 },
+      { _id: new mongoose.Types.ObjectId(), title: 'Notes', content: 'Ran late', score: 1.1 },
+    ]);
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('sorts keyword searches by text score and highlights each result', async () => {
+    const { res: response } = await callController(searchEntries, { user, query: { q: 'run' } });
+
+    const [pipeline] = Entry.aggregate.mock.calls[0].arguments;
+    assert.deepEqual(pipeline[0].$match.$text, { $search: 'run' });
+    assert.deepEqual(pipeline[1], { $addFields: { score: { $meta: 'textScore' } } });
+    assert.deepEqual(pipeline[2], { $sort: { score: -1, _id: -1 } });
+    assert.equal(response.body.pagination.sort, 'relevance');
+    assert.equal(response.body.entries[0].highlights[0].field, 'title');
+  });
+
+  it('pages through results by score', async () => {
+    const { pagination } = await paginateEntries({ $text: { $search: 'run' } }, { limit: '1' }, res);
+    await paginateEntries({ $text: { $search: 'run' } }, { limit: '1', cursor: pagination.nextCursor }, res);
+
+    const [pipeline] = Entry.aggregate.mock.calls[1].arguments;
+    assert.deepEqual(pipeline[2].$match.$or[0], { score: { $lt: 6.5 } });
+  });
+
+  it('searches an exact phrase', async () => {
+    await callController(searchEntries, { user, query: { q: 'long "run"', exactMatch: 'true' } });
+    const [pipeline] = Entry.aggregate.mock.calls[0].arguments;
+    assert.deepEqual(pipeline[0].$match.$text, { $search: '"long run"' });
+  });
+
+  it('rejects a query that is not a string, with or without exactMatch', async () => {
+    for (const exactMatch of ['true', undefined]) {
+      const { res: response, error } = await callController(searchEntries, { user, query: { q: ['long', 'run'], exactMatch } });
+      assert.equal(response.statusCode, 400);
+      assert.match(error.message, /Invalid query/);
+    }
+    assert.equal(Entry.aggregate.mock.callCount(), 0);
+  });
+
+  it('only sorts by relevance when there is a search query', async () => {
+    await assert.rejects(paginateEntries({ user: userId }, { sort: 'relevance' }, res), /requires a search query/);
+    assert.equal(res.statusCode, 400);
+  });
+});
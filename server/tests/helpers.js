@@ -0,0 +1,71 @@
+// =================================================================
+// BATCHBOOK API | TEST HELPERS (tests/helpers.js)
+// =================================================================
+
+import HttpError from '../utils/httpError.js';
+
+/**
+ * A stand-in for an Express response that records the status, headers and body.
+ */
+const createResponse = () => ({
+  statusCode: 200,
+  headers: {},
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  set(name, value) {
+    this.headers[name.toLowerCase()] = value;
+    return this;
+  },
+  setHeader(name, value) {
+    return this.set(name, value);
+  },
+  type(value) {
+    return this.set('content-type', value);
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+  send(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+/**
+ * Calls a controller the way Express would, returning the response and the
+ * error passed to `next`, if any. `req` defaults its `params`, `query`,
+ * `body` and `headers` to empty objects. The status of an `HttpError` is
+ * applied to the response, as the error handler would.
+ */
+const callController = async (controller, req = {}) => {
+  const res = createResponse();
+  let error = null;
+  await controller({ params: {}, query: {}, body: {}, headers: {}, ...req }, res, (err) => {
+    error = err;
+  });
+  if (error instanceof HttpError) res.status(error.statusCode);
+  return { res, error };
+};
+
+/**
+ * Stands in for a Mongoose query: awaiting it, or calling `lean()`, `exec()`,
+ * `select()`, `sort()`, `skip()` or `limit()` on it, yields `result`.
+ * `distinct(field)` yields that field of each document in `result`.
+ */
+const queryResult = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    exec: async () => result,
+  };
+  for (const method of ['lean', 'select', 'sort', 'skip', 'limit', 'populate', 'session']) {
+    query[method] = () => query;
+  }
+  query.distinct = (field) => queryResult(result.map((doc) => doc[field]));
+  return query;
+};
+
+export { createResponse, callController, queryResult };
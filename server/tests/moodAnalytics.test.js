@@ -0,0 +1,134 @@
+// =================================================================
+// BATCHBOOK API | MOOD ANALYTICS TESTS (tests/moodAnalytics.test.js)
+// =================================================================
+
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Entry from '../models/Entry.js';
+import { averageMoodScore, findMoodRuns } from '../utils/moodAnalytics.js';
+import { startOfDayInZone, formatDateInZone, buildDateRange } from '../utils/timezone.js';
+import { getMoodDistribution, getMoodTimeline, getMoodTagCorrelation } from '../controllers/analyticsController.js';
+import { callController, createResponse, queryResult } from './helpers.js';
+
+// Fail fast on any query that is not mocked below, instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+const userId = new mongoose.Types.ObjectId();
+const user = { _id: userId, id: userId.toString(), timezone: 'America/New_York' };
+
+describe('time zones', () => {
+  it('finds where a calendar day starts, across daylight saving changes', () => {
+    assert.equal(startOfDayInZone('2026-03-07', 'America/New_York').toISOString(), '2026-03-07T05:00:00.000Z');
+    assert.equal(startOfDayInZone('2026-03-09', 'America/New_York').toISOString(), '2026-03-09T04:00:00.000Z');
+    assert.equal(startOfDayInZone('2026-02-30', 'UTC'), null);
+  });
+
+  it('buckets an instant by the calendar day of the time zone', () => {
+    const lateEvening = new Date('2026-03-10T02:30:00Z');
+    assert.equal(formatDateInZone(lateEvening, 'America/New_York'), '2026-03-09');
+    assert.equal(formatDateInZone(lateEvening, 'UTC'), '2026-03-10');
+  });
+
+  it('builds an inclusive date range', () => {
+    const range = buildDateRange({ from: '2026-03-01', to: '2026-03-01' }, 'UTC', createResponse());
+    assert.deepEqual(range, { $gte: new Date('2026-03-01T00:00:00Z'), $lt: new Date('2026-03-02T00:00:00Z') });
+    assert.equal(buildDateRange({}, 'UTC', createResponse()), null);
+
+    const res = createResponse();
+    assert.throws(() => buildDateRange({ to: '03/01/2026' }, 'UTC', res), /Invalid to date/);
+    assert.equal(res.statusCode, 400);
+  });
+});
+
+describe('mood scores', () => {
+  it('averages positive, neutral and negative moods', () => {
+    assert.equal(averageMoodScore({ happy: 2, neutral: 1, sad: 1 }), 0.25);
+    assert.equal(averageMoodScore({ happy: 1, null: 3 }), 1);
+    assert.equal(averageMoodScore({}), null);
+  });
+
+  it('finds the longest runs of positive and negative days', () => {
+    const runs = findMoodRuns([
+      { date: '2026-03-01', score: 1 },
+      { date: '2026-03-02', score: 0.5 },
+      { date: '2026-03-03', score: 1 },
+      { date: '2026-03-05', score: 1 }, // A day without entries ends the run
+      { date: '2026-03-06', score: -1 },
+      { date: '2026-03-07', score: -0.5 },
+    ]);
+    assert.deepEqual(runs.longestPositive, { valence: 'positive', length: 3, start: '2026-03-01', end: '2026-03-03' });
+    assert.deepEqual(runs.longestNegative, { valence: 'negative', length: 2, start: '2026-03-06', end: '2026-03-07' });
+    assert.deepEqual(runs.current, runs.longestNegative);
+  });
+});
+
+describe('mood analytics endpoints', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('reports the mood distribution in the user time zone', async () => {
+    mock.method(Entry, 'aggregate', async () => [
+      { _id: 'happy', count: 3 },
+      { _id: 'sad', count: 1 },
+      { _id: null, count: 2 },
+    ]);
+
+    const { res } = await callController(getMoodDistribution, { user, query: { from: '2026-03-01' } });
+    assert.equal(res.body.timeZone, 'America/New_York');
+    assert.equal(res.body.trackedEntries, 4);
+    assert.equal(res.body.untracked, 2);
+    assert.equal(res.body.averageScore, 0.5);
+    assert.deepEqual(res.body.distribution.find(({ mood }) => mood === 'happy'), { mood: 'happy', count: 3, share: 0.75 });
+
+    const [{ $match }] = Entry.aggregate.mock.calls[0].arguments[0];
+    assert.deepEqual($match.createdAt, { $gte: new Date('2026-03-01T05:00:00Z') });
+  });
+
+  it('buckets the timeline by ISO week in the requested time zone', async () => {
+    mock.method(Entry, 'aggregate', async () => [
+      { _id: { period: '2026-W10', mood: 'happy' }, count: 2 },
+      { _id: { period: '2026-W10', mood: 'tired' }, count: 2 },
+      { _id: { period: '2026-W11', mood: 'excited' }, count: 1 },
+    ]);
+
+    const { res } = await callController(getMoodTimeline, { user, query: { interval: 'week', tz: 'Asia/Tokyo' } });
+    assert.deepEqual(res.body.series, [
+      { period: '2026-W10', counts: { happy: 2, tired: 2 }, total: 4, averageScore: 0 },
+      { period: '2026-W11', counts: { excited: 1 }, total: 1, averageScore: 1 },
+    ]);
+    const [, group] = Entry.aggregate.mock.calls[0].arguments[0];
+    assert.deepEqual(group.$group._id.period.$dateToString, { date: '$createdAt', format: '%G-W%V', timezone: 'Asia/Tokyo' });
+  });
+
+  it('orders tags by how much better than average the mood is with them', async () => {
+    mock.method(Entry, 'aggregate', async () => [{ _id: 'happy', count: 3 }, { _id: 'sad', count: 3 }]);
+    mock.method(Entry, 'find', () =>
+      queryResult([
+        { tags: ['running'], mood: 'happy' },
+        { tags: ['Running ', 'running'], mood: 'happy' },
+        { tags: ['running'], mood: 'happy' },
+        { tags: ['work/launch'], mood: 'sad' },
+        { tags: ['work'], mood: 'sad' },
+        { tags: ['work'], mood: 'happy' },
+        { tags: ['rare'], mood: 'sad' },
+      ])
+    );
+
+    const { res } = await callController(getMoodTagCorrelation, { user, query: { minEntries: '2' } });
+    assert.equal(res.body.overallAverageScore, 0);
+    // `work/launch` counts for `work` too; each entry counts once per tag
+    assert.deepEqual(res.body.tags.map(({ tag, scoreDelta }) => [tag, scoreDelta]), [['running', 1], ['work', -0.33]]);
+    assert.equal(res.body.tags[1].negativeShare, 0.667);
+  });
+
+  for (const [query, message] of [
+    [{ interval: 'year' }, /Invalid interval/],
+    [{ tz: 'Mars/Olympus' }, /Unknown time zone/],
+  ]) {
+    it(`rejects ${JSON.stringify(query)} with a 400`, async () => {
+      const { res, error } = await callController(getMoodTimeline, { user, query });
+      assert.equal(res.statusCode, 400);
+      assert.match(error.message, message);
+    });
+  }
+});
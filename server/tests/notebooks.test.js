@@ -0,0 +1,175 @@
+// =================================================================
+// BATCHBOOK API | NOTEBOOK TESTS (tests/notebooks.test.js)
+// =================================================================
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Entry from '../models/Entry.js';
+import Notebook from '../models/Notebook.js';
+import { createNotebook, getNotebooks, updateNotebook, deleteNotebook } from '../controllers/notebookController.js';
+import { createJournal } from '../controllers/journalController.js';
+import { applyNotebookFilter } from '../utils/entryFilters.js';
+import { callController, queryResult } from './helpers.js';
+
+// Fail fast on any query that is not mocked below, instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+const userId = new mongoose.Types.ObjectId();
+const user = { _id: userId, id: userId.toString() };
+const id = () => new mongoose.Types.ObjectId();
+
+// A user's notebooks: Work > Projects > Launch, and Home
+const work = { _id: id(), user: userId, name: 'Work', parent: null };
+const projects = { _id: id(), user: userId, name: 'Projects', parent: work._id };
+const launch = { _id: id(), user: userId, name: 'Launch', parent: projects._id };
+const home = { _id: id(), user: userId, name: 'Home', parent: null };
+
+// Matches the `_id` exclusion and `parent` conditions the controllers query notebooks by
+const matches = (notebook, { _id, parent }) =>
+  (!_id?.$ne || String(notebook._id) !== String(_id.$ne)) && (parent === undefined || String(notebook.parent) === String(parent));
+
+describe('notebooks', () => {
+  let notebooks;
+
+  beforeEach(() => {
+    notebooks = [work, projects, launch, home].map((notebook) => ({ ...notebook }));
+    mock.method(Notebook, 'find', (filter) => queryResult(notebooks.filter((notebook) => matches(notebook, filter))));
+    mock.method(Notebook, 'exists', async (filter) => {
+      const found = notebooks.find(
+        (notebook) =>
+          (!filter._id || (filter._id.$ne ? String(notebook._id) !== String(filter._id.$ne) : String(notebook._id) === String(filter._id))) &&
+          (filter.parent === undefined || String(notebook.parent) === String(filter.parent)) &&
+          (filter.name === undefined || notebook.name === filter.name)
+      );
+      return found ? { _id: found._id } : null;
+    });
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('nests notebooks and totals entry counts up the tree', async () => {
+    mock.method(Entry, 'aggregate', async () => [
+      { _id: projects._id, count: 2 },
+      { _id: launch._id, count: 3 },
+      { _id: home._id, count: 1 },
+    ]);
+
+    const { res } = await callController(getNotebooks, { user, query: { tree: 'true' } });
+    const [workNode, homeNode] = [...res.body].sort((a, b) => (a.name < b.name ? 1 : -1));
+    assert.equal(workNode.entryCount, 0);
+    assert.equal(workNode.totalEntryCount, 5);
+    assert.equal(workNode.children[0].children[0].name, 'Launch');
+    assert.equal(homeNode.totalEntryCount, 1);
+  });
+
+  it('finds every notebook nested under one', async () => {
+    const ids = await Notebook.findDescendantIds(userId, work._id);
+    assert.deepEqual(ids.map(String).sort(), [projects._id, launch._id].map(String).sort());
+  });
+
+  it('refuses to move a notebook inside one of its sub-notebooks', async () => {
+    const notebook = Notebook.hydrate(notebooks[0]);
+    mock.method(Notebook, 'findOne', async () => notebook);
+    mock.method(notebook, 'save', async function () {
+      return this;
+    });
+
+    const { res, error } = await callController(updateNotebook, { user, params: { id: work._id.toString() }, body: { parent: launch._id.toString() } });
+    assert.equal(res.statusCode, 400);
+    assert.match(error.message, /cannot be moved inside itself/);
+    assert.equal(notebook.save.mock.callCount(), 0);
+  });
+
+  it('refuses a name already used at the same level', async () => {
+    const notebook = Notebook.hydrate(notebooks[3]);
+    mock.method(Notebook, 'findOne', async () => notebook);
+
+    const { res } = await callController(updateNotebook, { user, params: { id: home._id.toString() }, body: { name: 'Work' } });
+    assert.equal(res.statusCode, 400);
+  });
+
+  it('moves the entries and sub-notebooks of a deleted notebook up one level', async () => {
+    const notebook = Notebook.hydrate(notebooks[1]);
+    mock.method(Notebook, 'findOne', async () => notebook);
+    mock.method(notebook, 'deleteOne', async () => ({ deletedCount: 1 }));
+    mock.method(Entry, 'updateMany', async () => ({ modifiedCount: 2 }));
+    mock.method(Notebook, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+    const { res } = await callController(deleteNotebook, { user, params: { id: projects._id.toString() } });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(Entry.updateMany.mock.calls[0].arguments[1], { notebook: work._id });
+    assert.deepEqual(Notebook.updateMany.mock.calls[0].arguments[1], { parent: work._id });
+    assert.equal(notebook.deleteOne.mock.callCount(), 1);
+  });
+
+  it('refuses to delete a notebook whose sub-notebook would clash with a sibling', async () => {
+    notebooks.push({ _id: id(), user: userId, name: 'Launch', parent: work._id });
+    const notebook = Notebook.hydrate(notebooks[1]);
+    mock.method(Notebook, 'findOne', async () => notebook);
+    mock.method(notebook, 'deleteOne', async () => ({ deletedCount: 1 }));
+
+    const { res, error } = await callController(deleteNotebook, { user, params: { id: projects._id.toString() } });
+    assert.equal(res.statusCode, 400);
+    assert.match(error.message, /"Launch" would clash/);
+    assert.equal(notebook.deleteOne.mock.callCount(), 0);
+  });
+
+  it('deletes a notebook whose sub-notebook has the same name', async () => {
+    notebooks.push({ _id: id(), user: userId, name: 'Projects', parent: projects._id });
+    const notebook = Notebook.hydrate(notebooks[1]);
+    mock.method(Notebook, 'findOne', async () => notebook);
+    mock.method(notebook, 'deleteOne', async () => ({ deletedCount: 1 }));
+    mock.method(Entry, 'updateMany', async () => ({ modifiedCount: 0 }));
+    mock.method(Notebook, 'updateMany', async () => ({ modifiedCount: 2 }));
+
+    const { res } = await callController(deleteNotebook, { user, params: { id: projects._id.toString() } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(notebook.deleteOne.mock.callCount(), 1);
+  });
+
+  it('rejects a name that is not a string', async () => {
+    mock.method(Notebook, 'create', async () => ({}));
+    mock.method(Notebook, 'findOne', async () => Notebook.hydrate(notebooks[3]));
+
+    const created = await callController(createNotebook, { user, body: { name: ['Work'] } });
+    assert.equal(created.res.statusCode, 400);
+    assert.match(created.error.message, /provide a name/);
+    assert.equal(Notebook.create.mock.callCount(), 0);
+
+    const updated = await callController(updateNotebook, { user, params: { id: home._id.toString() }, body: { name: { $gt: '' } } });
+    assert.equal(updated.res.statusCode, 400);
+    assert.equal(Notebook.findOne.mock.callCount(), 0);
+  });
+
+  describe('entry notebook filter', () => {
+    // The filter is also used in aggregations, which do not cast IDs
+    const filterFor = (query) => applyNotebookFilter({}, { user, query });
+
+    it('includes nested notebooks unless asked not to', async () => {
+      const { notebook } = await filterFor({ notebook: projects._id.toString() });
+      assert.deepEqual(notebook.$in, [projects._id, launch._id]);
+      assert.deepEqual((await filterFor({ notebook: projects._id.toString(), includeDescendants: 'false' })).notebook, projects._id);
+    });
+
+    it('selects unfiled entries with "none"', async () => {
+      assert.deepEqual(await filterFor({ notebook: 'none' }), { notebook: null });
+    });
+
+    it('rejects malformed and unknown notebooks', async () => {
+      await assert.rejects(filterFor({ notebook: 'abc' }), { statusCode: 400, message: /Invalid notebook ID/ });
+      mock.method(Notebook, 'exists', async () => null);
+      await assert.rejects(filterFor({ notebook: id().toString() }), { statusCode: 404, message: /Notebook not found/ });
+    });
+  });
+
+  it('files new entries only in notebooks of the user', async () => {
+    const body = { title: 'Plan', content: 'Steps' };
+    const malformed = await callController(createJournal, { user, body: { ...body, notebook: 'abc' } });
+    assert.equal(malformed.res.statusCode, 400);
+    assert.match(malformed.error.message, /Invalid notebook ID/);
+
+    mock.method(Notebook, 'exists', async () => null);
+    const unknown = await callController(createJournal, { user, body: { ...body, notebook: id().toString() } });
+    assert.equal(unknown.res.statusCode, 404);
+  });
+});
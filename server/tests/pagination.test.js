@@ -0,0 +1,123 @@
+// =================================================================
+// BATCHBOOK API | CURSOR PAGINATION TESTS (tests/pagination.test.js)
+// =================================================================
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Entry from '../models/Entry.js';
+import { paginateEntries } from '../utils/pagination.js';
+import { countWords } from '../utils/wordCount.js';
+import { backfillWordCounts } from '../jobs/wordCountBackfill.js';
+import { createResponse, queryResult } from './helpers.js';
+
+// Fail fast on any query that is not mocked below, instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+const filter = { user: new mongoose.Types.ObjectId(), deletedAt: null };
+const doc = (title, createdAt) => ({ _id: new mongoose.Types.ObjectId(), title, createdAt: new Date(createdAt) });
+
+describe('paginateEntries', () => {
+  let docs;
+  let res;
+
+  beforeEach(() => {
+    docs = [doc('C', '2026-03-03'), doc('B', '2026-03-02'), doc('A', '2026-03-01')];
+    res = createResponse();
+    mock.method(Entry, 'countDocuments', async () => docs.length);
+    mock.method(Entry, 'find', () => queryResult(docs));
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('returns a page and a cursor for the next one, newest first by default', async () => {
+    const { entries, pagination } = await paginateEntries(filter, { limit: '2' }, res);
+    assert.deepEqual(entries.map((entry) => entry.title), ['C', 'B']);
+    assert.equal(pagination.sort, 'createdAt');
+    assert.equal(pagination.order, 'desc');
+    assert.equal(pagination.totalResults, 3);
+    assert.equal(pagination.hasMore, true);
+    assert.equal(typeof pagination.nextCursor, 'string');
+
+    // The first page is the filter as it is, with every field
+    assert.deepEqual(Entry.find.mock.calls[0].arguments, [filter, null]);
+
+    // The next page starts strictly after the last entry, breaking ties by _id
+    await paginateEntries(filter, { limit: '2', cursor: pagination.nextCursor }, res);
+    const [pageFilter] = Entry.find.mock.calls[1].arguments;
+    assert.deepEqual(pageFilter.$and[0], filter);
+    assert.deepEqual(pageFilter.$and[1].$or, [
+      { createdAt: { $lt: docs[1].createdAt } },
+      { createdAt: docs[1].createdAt, _id: { $lt: docs[1]._id } },
+    ]);
+  });
+
+  it('reports the last page without a cursor', async () => {
+    const { pagination } = await paginateEntries(filter, {}, res);
+    assert.equal(pagination.hasMore, false);
+    assert.equal(pagination.nextCursor, null);
+    assert.equal(pagination.limit, 20);
+  });
+
+  it('caps the page size', async () => {
+    const { pagination } = await paginateEntries(filter, { limit: '1000' }, res);
+    assert.equal(pagination.limit, 100);
+  });
+
+  it('selects fields, always including the sort field', async () => {
+    await paginateEntries(filter, { fields: 'tags,mood', sort: 'title', order: 'asc' }, res);
+    assert.deepEqual(Entry.find.mock.calls[0].arguments[1], { tags: 1, mood: 1, title: 1 });
+
+    await paginateEntries(filter, { fields: '-content,-attachments' }, res);
+    assert.deepEqual(Entry.find.mock.calls[1].arguments[1], { content: 0, attachments: 0 });
+
+    // A repeated parameter is one list
+    await paginateEntries(filter, { fields: ['title', 'tags,mood'] }, res);
+    assert.deepEqual(Entry.find.mock.calls[2].arguments[1], { title: 1, tags: 1, mood: 1, createdAt: 1 });
+  });
+
+  for (const [params, message] of [
+    [{ sort: 'mood' }, /Invalid sort field/],
+    [{ order: 'up' }, /Invalid order/],
+    [{ cursor: 'not-a-cursor' }, /Invalid cursor/],
+    [{ fields: 'title,password' }, /Unknown field\(s\): password/],
+    [{ fields: 'title,-content' }, /cannot mix/],
+    [{ fields: '-createdAt' }, /cannot be excluded/],
+    [{ fields: { title: '1' } }, /Invalid fields/],
+  ]) {
+    it(`rejects ${JSON.stringify(params)} with a 400`, async () => {
+      await assert.rejects(paginateEntries(filter, params, res), message);
+      assert.equal(res.statusCode, 400);
+    });
+  }
+});
+
+describe('countWords', () => {
+  it('counts runs of non-whitespace', () => {
+    assert.equal(countWords('  Dear diary,\n\ttoday   was fine. '), 5);
+    assert.equal(countWords(''), 0);
+    assert.equal(countWords(undefined), 0);
+  });
+});
+
+describe('word count backfill', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('counts a batch of entries without a stored word count, leaving their timestamps alone', async () => {
+    const plain = { _id: new mongoose.Types.ObjectId(), content: 'One two three', encryption: null };
+    const encrypted = { _id: new mongoose.Types.ObjectId(), content: 'Y2lwaGVy', encryption: { keyId: 'key-1' } };
+    mock.method(Entry, 'find', () => queryResult([plain, encrypted]));
+    mock.method(Entry, 'bulkWrite', async () => ({}));
+    mock.method(console, 'log', () => {});
+
+    assert.ok((await backfillWordCounts()) instanceof Date);
+    assert.deepEqual(Entry.find.mock.calls[0].arguments[0], { wordCount: { $exists: false } });
+    const [first, second] = Entry.bulkWrite.mock.calls[0].arguments[0].map(({ updateOne }) => updateOne);
+    assert.deepEqual(first, { filter: { _id: plain._id, wordCount: { $exists: false } }, update: { $set: { wordCount: 3 } }, timestamps: false });
+    assert.deepEqual(second.update, { $set: { wordCount: 0 } });
+  });
+
+  it('stops once every entry has a word count', async () => {
+    mock.method(Entry, 'find', () => queryResult([]));
+    assert.equal(await backfillWordCounts(), null);
+  });
+});
@@ -0,0 +1,173 @@
+// =================================================================
+// BATCHBOOK API | PASSWORD RESET TESTS (tests/passwordReset.test.js)
+// =================================================================
+
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import UserToken from '../models/UserToken.js';
+import Session from '../models/Session.js';
+import { forgotPassword, resetPassword } from '../controllers/authController.js';
+import { getMailTransport } from '../mail/index.js';
+
+// Fail fast on any query that is not mocked below, instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+/**
+ * A stand-in for an Express response that records the status and body.
+ */
+const createResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+/**
+ * Calls a controller the way Express would, returning the response and the
+ * error passed to `next`, if any.
+ */
+const call = async (controller, body) => {
+  const res = createResponse();
+  let error = null;
+  await controller({ body }, res, (err) => {
+    error = err;
+  });
+  return { res, error };
+};
+
+// Waits for the reset email, which may be sent after the response.
+const nextEmail = async (outbox) => {
+  for (let i = 0; i < 50 && outbox.length === 0; i += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  return outbox.shift();
+};
+
+const tokenFrom = (email) => new URL(/https?:\/\/\S+/.exec(email.text)[0]).searchParams.get('token');
+
+describe('password reset', () => {
+  let outbox;
+  let user;
+  let tokens;
+  let revokedSessions;
+
+  before(() => {
+    process.env.MAIL_TRANSPORT = 'memory';
+    process.env.JWT_SECRET = 'test-secret';
+    outbox = getMailTransport().outbox;
+  });
+
+  beforeEach(() => {
+    outbox.length = 0;
+    tokens = [];
+    revokedSessions = 0;
+    user = new User({ name: 'Ada', email: 'ada@example.com', password: 'old-password', emailVerified: false });
+    mock.method(user, 'save', async function () {
+      return this;
+    });
+
+    mock.method(User, 'findOne', async ({ email }) => (email === user.email ? user : null));
+    mock.method(User, 'findById', async (id) => (String(id) === String(user._id) ? user : null));
+
+    // The one-time token store (see utils/userTokens.js)
+    mock.method(UserToken, 'exists', async ({ purpose, createdAt }) =>
+      tokens.some((token) => token.purpose === purpose && token.createdAt > createdAt.$gt) ? {} : null
+    );
+    mock.method(UserToken, 'deleteMany', async ({ purpose }) => {
+      tokens = tokens.filter((token) => token.purpose !== purpose);
+    });
+    mock.method(UserToken, 'create', async (fields) => tokens.push({ ...fields, createdAt: new Date() }));
+    mock.method(UserToken, 'findOneAndDelete', async ({ tokenHash, purpose, expiresAt }) => {
+      const token = tokens.find((t) => t.tokenHash === tokenHash && t.purpose === purpose && t.expiresAt > expiresAt.$gt);
+      tokens = tokens.filter((t) => t !== token);
+      return token || null;
+    });
+
+    mock.method(Session, 'distinct', async () => [new mongoose.Types.ObjectId()]);
+    mock.method(Session, 'updateMany', async () => {
+      revokedSessions += 1;
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('emails a single-use link that sets the new password and logs out every session', async () => {
+    const { res } = await call(forgotPassword, { email: ' Ada@Example.com ' });
+    assert.equal(res.statusCode, 200);
+
+    const email = await nextEmail(outbox);
+    assert.equal(email.to, 'ada@example.com');
+    const token = tokenFrom(email);
+
+    const reset = await call(resetPassword, { token, password: 'new-password' });
+    assert.equal(reset.error, null);
+    assert.equal(reset.res.statusCode, 200);
+    assert.equal(user.password, 'new-password'); // `save` is stubbed, so the hook that hashes it does not run
+    assert.equal(user.save.mock.callCount(), 1);
+    assert.equal(user.emailVerified, true);
+    assert.equal(revokedSessions, 1);
+
+    const reused = await call(resetPassword, { token, password: 'another-password' });
+    assert.equal(reused.res.statusCode, 400);
+    assert.match(reused.error.message, /Invalid or expired password reset link/);
+  });
+
+  it('gives the same answer for unknown addresses, without sending anything', async () => {
+    const known = await call(forgotPassword, { email: 'ada@example.com' });
+    const unknown = await call(forgotPassword, { email: 'nobody@example.com' });
+
+    assert.equal(unknown.res.statusCode, known.res.statusCode);
+    assert.deepEqual(unknown.res.body, known.res.body);
+    await nextEmail(outbox);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(outbox.length, 0);
+  });
+
+  it('sends at most one email per minute', async () => {
+    await call(forgotPassword, { email: 'ada@example.com' });
+    await nextEmail(outbox);
+    await call(forgotPassword, { email: 'ada@example.com' });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(outbox.length, 0);
+  });
+
+  it('only accepts the latest link', async () => {
+    await call(forgotPassword, { email: 'ada@example.com' });
+    const first = tokenFrom(await nextEmail(outbox));
+    tokens.forEach((token) => {
+      token.createdAt = new Date(Date.now() - 2 * 60 * 1000);
+    });
+    await call(forgotPassword, { email: 'ada@example.com' });
+    const second = tokenFrom(await nextEmail(outbox));
+
+    assert.equal((await call(resetPassword, { token: first, password: 'new-password' })).res.statusCode, 400);
+    assert.equal((await call(resetPassword, { token: second, password: 'new-password' })).res.statusCode, 200);
+  });
+
+  it('rejects a link sent to an address the account no longer uses', async () => {
+    await call(forgotPassword, { email: 'ada@example.com' });
+    const token = tokenFrom(await nextEmail(outbox));
+    user.email = 'ada@new.example.com';
+
+    const { res } = await call(resetPassword, { token, password: 'new-password' });
+    assert.equal(res.statusCode, 400);
+    assert.equal(user.save.mock.callCount(), 0);
+  });
+
+  it('rejects short passwords before using up the token', async () => {
+    await call(forgotPassword, { email: 'ada@example.com' });
+    const token = tokenFrom(await nextEmail(outbox));
+
+    assert.equal((await call(resetPassword, { token, password: '123' })).res.statusCode, 400);
+    assert.equal((await call(resetPassword, { token, password: 'new-password' })).res.statusCode, 200);
+  });
+});
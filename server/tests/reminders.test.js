@@ -0,0 +1,144 @@
+// =================================================================
+// BATCHBOOK API | JOURNALING REMINDER TESTS (tests/reminders.test.js)
+// =================================================================
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Entry from '../models/Entry.js';
+import Job from '../models/Job.js';
+import User from '../models/User.js';
+import { nextReminderAt, syncReminderJob } from '../utils/reminders.js';
+import { sendReminder } from '../jobs/reminders.js';
+import { updateReminders } from '../controllers/userController.js';
+import { setSocketServer } from '../realtime/notifier.js';
+import { callController, queryResult } from './helpers.js';
+
+// Fail fast on any query that is not mocked below, instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+const userId = new mongoose.Types.ObjectId();
+
+describe('reminder times', () => {
+  const reminders = { enabled: true, times: ['21:30', '08:00'], days: [] };
+
+  it('finds the next time in the user time zone', () => {
+    // 10:00 in Berlin: the evening reminder is next
+    const at = nextReminderAt(reminders, 'Europe/Berlin', new Date('2026-03-11T09:00:00Z'));
+    assert.equal(at.toISOString(), '2026-03-11T20:30:00.000Z');
+
+    // After the last time of the day, the first one tomorrow
+    const tomorrow = nextReminderAt(reminders, 'Europe/Berlin', new Date('2026-03-11T21:00:00Z'));
+    assert.equal(tomorrow.toISOString(), '2026-03-12T07:00:00.000Z');
+  });
+
+  it('skips the days that are not selected', () => {
+    // Wednesday 11 March; only Mondays are selected
+    const at = nextReminderAt({ ...reminders, days: [1] }, 'UTC', new Date('2026-03-11T09:00:00Z'));
+    assert.equal(at.toISOString(), '2026-03-16T08:00:00.000Z');
+  });
+
+  it('keeps the wall-clock time across a daylight saving change', () => {
+    const at = nextReminderAt({ ...reminders, times: ['08:00'] }, 'America/New_York', new Date('2026-03-08T00:00:00Z'));
+    assert.equal(at.toISOString(), '2026-03-08T12:00:00.000Z');
+  });
+
+  it('has no next time when reminders are off', () => {
+    assert.equal(nextReminderAt({ ...reminders, enabled: false }, 'UTC'), null);
+    assert.equal(nextReminderAt({ enabled: true, times: [] }, 'UTC'), null);
+  });
+});
+
+describe('reminder job', () => {
+  let user;
+  let events;
+
+  beforeEach(() => {
+    user = User.hydrate({
+      _id: userId,
+      name: 'Ada',
+      email: 'ada@example.com',
+      timezone: 'UTC',
+      reminders: { enabled: true, times: ['20:00'], days: [], channels: { socket: true, email: false } },
+    });
+    events = [];
+    setSocketServer({ to: (room) => ({ emit: (event, payload) => events.push({ room, event, payload }) }) });
+    mock.method(User, 'findById', () => queryResult(user));
+    mock.method(Entry, 'exists', async () => null);
+  });
+  afterEach(() => {
+    mock.restoreAll();
+    setSocketServer(null);
+  });
+
+  it('reminds a user who has not written today and returns the next time', async () => {
+    const runAt = new Date(Date.now() - 1000);
+    const next = await sendReminder({ userId: userId.toString() }, { runAt });
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].event, 'reminder');
+    assert.equal(events[0].payload.scheduledFor, runAt);
+    assert.ok(next > new Date());
+  });
+
+  it('stays quiet when the user has already written that day', async () => {
+    mock.method(Entry, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+    await sendReminder({ userId: userId.toString() }, { runAt: new Date() });
+    assert.equal(events.length, 0);
+  });
+
+  it('skips a reminder that is hours late', async () => {
+    const next = await sendReminder({ userId: userId.toString() }, { runAt: new Date(Date.now() - 2 * 60 * 60 * 1000) });
+    assert.equal(events.length, 0);
+    assert.ok(next instanceof Date);
+  });
+
+  it('stops for a user who no longer exists', async () => {
+    mock.method(User, 'findById', () => queryResult(null));
+    assert.equal(await sendReminder({ userId: userId.toString() }, { runAt: new Date() }), null);
+  });
+
+  it('replaces the pending job when the settings change, and cancels it when they are off', async () => {
+    mock.method(Job, 'findOneAndUpdate', async () => ({}));
+    mock.method(Job, 'deleteOne', async () => ({ deletedCount: 1 }));
+
+    const runAt = await syncReminderJob(user);
+    const [filter, update] = Job.findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(filter, { key: `reminder:${userId}` });
+    assert.equal(update.$set.runAt, runAt);
+    assert.deepEqual(update.$set.data, { userId: userId.toString() });
+
+    user.reminders.enabled = false;
+    assert.equal(await syncReminderJob(user), null);
+    assert.deepEqual(Job.deleteOne.mock.calls[0].arguments[0], { key: `reminder:${userId}` });
+  });
+
+  it('saves new settings, sorting the times and days', async () => {
+    mock.method(user, 'save', async () => user);
+    mock.method(Job, 'findOneAndUpdate', async () => ({}));
+
+    const { res } = await callController(updateReminders, {
+      user: { _id: userId },
+      body: { times: ['21:30', '08:00', '08:00'], days: [5, 1], channels: { email: true } },
+    });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.times, ['08:00', '21:30']);
+    assert.deepEqual(res.body.days, [1, 5]);
+    assert.deepEqual(res.body.channels, { socket: true, email: true });
+    assert.ok(res.body.nextReminderAt instanceof Date);
+  });
+
+  for (const [body, message] of [
+    [{ enabled: 'yes' }, /enabled must be true or false/],
+    [{ times: ['8:00'] }, /HH:MM format/],
+    [{ days: [0] }, /ISO weekdays/],
+    [{ channels: { email: 1 } }, /channels.email must be true or false/],
+    [{ times: [] }, /at least one reminder time/],
+  ]) {
+    it(`rejects ${JSON.stringify(body)} with a 400`, async () => {
+      const { res, error } = await callController(updateReminders, { user: { _id: userId }, body });
+      assert.equal(res.statusCode, 400);
+      assert.match(error.message, message);
+    });
+  }
+});
@@ -0,0 +1,157 @@
+// =================================================================
+// BATCHBOOK API | SAVED SEARCH TESTS (tests/savedSearches.test.js)
+// =================================================================
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Entry from '../models/Entry.js';
+import Notebook from '../models/Notebook.js';
+import SavedSearch from '../models/SavedSearch.js';
+import { createSavedSearch, updateSavedSearch, runSavedSearch } from '../controllers/savedSearchController.js';
+import { getUserJournals } from '../controllers/journalController.js';
+import { exportAllEntriesAsJSON } from '../controllers/exportController.js';
+import { countSavedSearch } from '../utils/savedSearches.js';
+import { callController, queryResult } from './helpers.js';
+
+// Fail fast on any query that is not mocked below, instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+const userId = new mongoose.Types.ObjectId();
+const user = { _id: userId, id: userId.toString() };
+
+const savedSearch = (fields) => SavedSearch.hydrate({ _id: new mongoose.Types.ObjectId(), user: userId, name: 'Standups', ...fields });
+
+describe('saved searches', () => {
+  let entries;
+
+  beforeEach(() => {
+    entries = [{ _id: new mongoose.Types.ObjectId(), title: 'Standup', content: 'Daily standup', createdAt: new Date('2026-03-02') }];
+    mock.method(Entry, 'find', () => queryResult(entries));
+    mock.method(Entry, 'aggregate', async () => entries.map((entry) => ({ ...entry, score: 1 })));
+    mock.method(Entry, 'countDocuments', async () => entries.length);
+    mock.method(SavedSearch, 'exists', async () => null);
+    mock.method(SavedSearch.prototype, 'save', async function () {
+      return this;
+    });
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('turns its query and filters back into search parameters', () => {
+    const search = savedSearch({ query: 'standup', filters: { tags: ['work', 'ideas'], startDate: '2026-03-01' }, sort: 'title', order: 'asc' });
+    assert.deepEqual(search.toSearchParams(), {
+      q: 'standup',
+      exactMatch: 'false',
+      tags: 'work,ideas',
+      startDate: '2026-03-01',
+      endDate: undefined,
+      notebook: undefined,
+      includeDescendants: 'true',
+      order: 'asc',
+      sort: 'title',
+    });
+  });
+
+  it('saves a search, normalizing tags given as a string', async () => {
+    const { res } = await callController(createSavedSearch, {
+      user,
+      body: { name: 'Standups', query: 'standup -draft', filters: { tags: 'Work, ideas ,' }, pinned: true },
+    });
+    assert.equal(res.statusCode, 201);
+    assert.deepEqual([...res.body.filters.tags], ['work', 'ideas']);
+    assert.equal(res.body.pinned, true);
+  });
+
+  for (const [body, message] of [
+    [{ name: ' ' }, /provide a name/],
+    [{ name: 'Broken', query: '"release blocker' }, /missing closing quote/],
+    [{ name: 'Dated', filters: { startDate: '03/01/2026' } }, /Invalid startDate/],
+    [{ name: 'Sorted', sort: 'mood' }, /Invalid sort field/],
+  ]) {
+    it(`refuses to save ${JSON.stringify(body)} with a 400`, async () => {
+      const { res, error } = await callController(createSavedSearch, { user, body });
+      assert.equal(res.statusCode, 400);
+      assert.match(error.message, message);
+      assert.equal(SavedSearch.prototype.save.mock.callCount(), 0);
+    });
+  }
+
+  it('refuses a name used by another saved search', async () => {
+    mock.method(SavedSearch, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+    const { res, error } = await callController(createSavedSearch, { user, body: { name: 'Standups' } });
+    assert.equal(res.statusCode, 400);
+    assert.match(error.message, /already exists/);
+  });
+
+  it('only checks the name again when it changes', async () => {
+    const search = savedSearch({ query: 'standup' });
+    mock.method(SavedSearch, 'findOne', async () => search);
+
+    const { res } = await callController(updateSavedSearch, { user, params: { id: search.id }, body: { pinned: true } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(SavedSearch.exists.mock.callCount(), 0);
+  });
+
+  it('runs with its own sort unless the request overrides it', async () => {
+    const search = savedSearch({ filters: { tags: ['work'] }, sort: 'title', order: 'asc' });
+    mock.method(SavedSearch, 'findOne', async () => search);
+
+    const { res } = await callController(runSavedSearch, { user, params: { id: search.id } });
+    assert.equal(res.body.pagination.sort, 'title');
+    assert.deepEqual(Entry.find.mock.calls[0].arguments[0].tags, { $in: ['work', /^work\//] });
+
+    const { res: overridden } = await callController(runSavedSearch, { user, params: { id: search.id }, query: { sort: 'createdAt' } });
+    assert.equal(overridden.body.pagination.sort, 'createdAt');
+  });
+
+  it('highlights the results of a keyword search', async () => {
+    const search = savedSearch({ query: 'standup' });
+    mock.method(SavedSearch, 'findOne', async () => search);
+
+    const { res } = await callController(runSavedSearch, { user, params: { id: search.id } });
+    assert.equal(res.body.pagination.sort, 'relevance');
+    assert.equal(res.body.entries[0].highlights[0].field, 'title');
+  });
+
+  it('answers 404 for a search the user does not own and 400 for a malformed ID', async () => {
+    mock.method(SavedSearch, 'findOne', async () => null);
+    const missing = await callController(runSavedSearch, { user, params: { id: new mongoose.Types.ObjectId().toString() } });
+    assert.equal(missing.res.statusCode, 404);
+    const malformed = await callController(runSavedSearch, { user, params: { id: 'abc' } });
+    assert.equal(malformed.res.statusCode, 400);
+  });
+
+  it('exports the results of a saved search, narrowed by the tags given', async () => {
+    mock.method(SavedSearch, 'findOne', async () => savedSearch({ filters: { tags: ['work'] } }));
+    const { res } = await callController(exportAllEntriesAsJSON, {
+      user,
+      query: { search: new mongoose.Types.ObjectId().toString(), tags: 'standup' },
+    });
+    assert.equal(res.body.entryCount, 1);
+
+    const [filter] = Entry.find.mock.calls[0].arguments;
+    assert.deepEqual(filter.tags, { $in: ['work', /^work\//] });
+    assert.deepEqual(filter.$and, [{ tags: { $in: ['standup', /^standup\//] } }]);
+  });
+
+  it('counts a search whose notebook was deleted as null instead of failing', async () => {
+    mock.method(Notebook, 'exists', async () => null);
+    const search = savedSearch({ filters: { notebook: new mongoose.Types.ObjectId().toString() } });
+
+    assert.deepEqual(await countSavedSearch(search, { user }), { count: null, error: 'Notebook not found.' });
+  });
+
+  it('lists pinned searches as smart collections on the first page of entries', async () => {
+    const pinned = savedSearch({ pinned: true });
+    mock.method(SavedSearch, 'find', () => queryResult([pinned]));
+    entries.push({ _id: new mongoose.Types.ObjectId(), title: 'Retro', content: 'Sprint retro', createdAt: new Date('2026-03-01') });
+
+    const { res } = await callController(getUserJournals, { user, query: { limit: '1' } });
+    assert.deepEqual(res.body.collections, [{ _id: pinned._id, name: 'Standups', count: 2 }]);
+    assert.deepEqual(SavedSearch.find.mock.calls[0].arguments[0], { user: userId, pinned: true });
+
+    const { res: nextPage } = await callController(getUserJournals, { user, query: { limit: '1', cursor: res.body.pagination.nextCursor } });
+    assert.equal(nextPage.statusCode, 200);
+    assert.equal(nextPage.body.collections, undefined);
+  });
+});
@@ -0,0 +1,107 @@
+// =================================================================
+// BATCHBOOK API | JOB SCHEDULER TESTS (tests/scheduler.test.js)
+// =================================================================
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+import { defineJob, scheduleJob, runDueJobs } from '../jobs/scheduler.js';
+
+// Fail fast on any query that is not mocked below, instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+const now = new Date('2026-03-11T12:00:00Z');
+const minutes = (count) => count * 60 * 1000;
+
+describe('job scheduler', () => {
+  let due;
+  let handler;
+
+  beforeEach(() => {
+    handler = async () => {};
+    defineJob('test', (data, job) => handler(data, job));
+
+    due = [];
+    // Claiming hands out each due job once, as the lock would
+    mock.method(Job, 'findOneAndUpdate', async (filter, update) => {
+      const job = due.shift();
+      return job ? { ...job, lockedAt: update.$set.lockedAt, lockedBy: update.$set.lockedBy, attempts: job.attempts + 1 } : null;
+    });
+    mock.method(Job, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(Job, 'deleteOne', async () => ({ deletedCount: 1 }));
+    mock.method(console, 'error', () => {});
+  });
+  afterEach(() => mock.restoreAll());
+
+  const job = (fields) => ({ _id: new mongoose.Types.ObjectId(), name: 'test', data: { n: 1 }, attempts: 0, ...fields });
+
+  it('claims due jobs, including those whose lock has expired', async () => {
+    await runDueJobs(now);
+
+    const [filter, update, options] = Job.findOneAndUpdate.mock.calls[0].arguments;
+    assert.ok(filter.name.$in.includes('test'));
+    assert.deepEqual(filter.runAt, { $lte: now });
+    assert.equal(filter.failedAt, null);
+    assert.deepEqual(filter.$or, [{ lockedAt: null }, { lockedAt: { $lte: new Date(now.getTime() - minutes(10)) } }]);
+    assert.deepEqual(update.$inc, { attempts: 1 });
+    assert.deepEqual(options.sort, { runAt: 1 });
+  });
+
+  it('removes a finished job while it still holds the lock', async () => {
+    const finished = job();
+    due.push(finished);
+    handler = async (data) => assert.deepEqual(data, { n: 1 });
+
+    assert.equal(await runDueJobs(now), 1);
+    const [lock] = Job.deleteOne.mock.calls[0].arguments;
+    assert.equal(lock._id, finished._id);
+    assert.equal(lock.lockedAt, now);
+    assert.equal(typeof lock.lockedBy, 'string');
+  });
+
+  it('reschedules a recurring job for the time its handler returns', async () => {
+    const nextRunAt = new Date('2026-03-12T12:00:00Z');
+    due.push(job());
+    handler = async () => nextRunAt;
+
+    await runDueJobs(now);
+    const [, update] = Job.updateOne.mock.calls[0].arguments;
+    assert.equal(update.$set.runAt, nextRunAt);
+    assert.equal(update.$set.attempts, 0);
+    assert.equal(update.$set.lockedAt, null);
+    assert.equal(Job.deleteOne.mock.callCount(), 0);
+  });
+
+  it('retries a failing job with an exponential backoff, then gives up', async () => {
+    handler = async () => {
+      throw new Error('mail server down');
+    };
+    due.push(job({ attempts: 2 }));
+
+    const before = Date.now();
+    await runDueJobs(now);
+    const [, retry] = Job.updateOne.mock.calls[0].arguments;
+    assert.equal(retry.$set.lastError, 'mail server down');
+    // The third attempt waits four times the base delay of a minute
+    assert.ok(retry.$set.runAt.getTime() >= before + minutes(4));
+    assert.equal(retry.$set.failedAt, undefined);
+
+    due.push(job({ attempts: 4 }));
+    await runDueJobs(now);
+    const [, failed] = Job.updateOne.mock.calls[1].arguments;
+    assert.ok(failed.$set.failedAt instanceof Date);
+    assert.equal(failed.$set.runAt, undefined);
+  });
+
+  it('replaces the pending job with the same key', async () => {
+    const runAt = new Date('2026-03-12T08:00:00Z');
+    await scheduleJob('test', runAt, { n: 2 }, { key: 'test:1' });
+
+    const [filter, update, options] = Job.findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(filter, { key: 'test:1' });
+    assert.equal(update.$set.runAt, runAt);
+    assert.equal(update.$set.lockedAt, null);
+    assert.equal(options.upsert, true);
+  });
+});
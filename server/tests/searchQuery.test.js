@@ -0,0 +1,120 @@
+// =================================================================
+// BATCHBOOK API | SEARCH QUERY LANGUAGE TESTS (tests/searchQuery.test.js)
+// =================================================================
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSearchQuery, compileSearchQuery } from '../utils/searchQuery.js';
+
+// Text terms and `title:`/`mood:`/`tag:` terms compile without the database.
+const req = { user: { _id: 'user-1' } };
+
+// Reduces a syntax tree to a compact string, e.g. `(and standup (not draft))`.
+const show = (node) => {
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      return `(${node.type} ${node.children.map(show).join(' ')})`;
+    case 'not':
+      return `(not ${show(node.child)})`;
+    default: {
+      const value = node.phrase ? `"${node.value}"` : node.value;
+      return node.field ? `${node.field}:${value}` : value;
+    }
+  }
+};
+
+const compile = (query) => compileSearchQuery(parseSearchQuery(query), req);
+
+describe('parseSearchQuery', () => {
+  it('returns null for a blank query', () => {
+    assert.equal(parseSearchQuery('   '), null);
+  });
+
+  it('ANDs terms by default and reads phrases, negations and operators', () => {
+    const ast = parseSearchQuery('standup tag:work -draft "release blocker" NOT mood:tired');
+    assert.equal(show(ast), '(and standup tag:work (not draft) "release blocker" (not mood:tired))');
+  });
+
+  it('binds AND tighter than OR and honours parentheses', () => {
+    assert.equal(show(parseSearchQuery('a b OR c')), '(or (and a b) c)');
+    assert.equal(show(parseSearchQuery('a (b OR c)')), '(and a (or b c))');
+    assert.equal(show(parseSearchQuery('-(a OR b) AND c')), '(and (not (or a b)) c)');
+  });
+
+  it('reads quoted operator values and keeps text with colons as words', () => {
+    assert.equal(show(parseSearchQuery('in:"Side projects" 10:30')), '(and in:"Side projects" 10:30)');
+  });
+
+  it('only treats uppercase keywords as operators', () => {
+    assert.equal(show(parseSearchQuery('cats or dogs')), '(and cats or dogs)');
+  });
+
+  for (const [query, message] of [
+    ['"release blocker', /missing closing quote \(at position 1: "release blocker\)/],
+    ['a OR', /OR must be followed by a term/],
+    ['(a b', /missing closing parenthesis \(at position 1: \(\)/],
+    ['a b)', /unexpected "\)" \(at position 4: \)\)/],
+    ['color:red', /unknown operator "color:"/],
+    ['tag:', /missing value for "tag:"/],
+    ['a - b', /"-" must be followed by the term to exclude \(at position 3: -\)/],
+  ]) {
+    it(`rejects ${JSON.stringify(query)} with a 400 naming the offending token`, () => {
+      assert.throws(
+        () => parseSearchQuery(query),
+        (error) => error.statusCode === 400 && message.test(error.message)
+      );
+    });
+  }
+});
+
+describe('compileSearchQuery', () => {
+  it('sends a single word to the text index as it is, so it is stemmed', async () => {
+    assert.deepEqual(await compile('running'), { textSearch: 'running', conditions: [] });
+  });
+
+  it('quotes phrases and words with punctuation, but not plain words', async () => {
+    const { textSearch } = await compile('standup "release blocker" e-mail -draft -"old notes"');
+    assert.equal(textSearch, 'standup "release blocker" "e-mail" -draft -"old notes"');
+  });
+
+  it('also matches each word with a pattern when several terms are required', async () => {
+    const { textSearch, conditions } = await compile('standup retro');
+    assert.equal(textSearch, 'standup retro');
+    assert.equal(conditions.length, 2);
+    assert.match('Daily standup notes', conditions[0].$or[1].content);
+    assert.doesNotMatch('Sprint review', conditions[0].$or[1].content);
+  });
+
+  it('matches required words as literal word prefixes, without stemming', async () => {
+    const { conditions } = await compile('run plans');
+    const [run] = conditions.map((condition) => condition.$or[1].content);
+    assert.match('Running late', run);
+    assert.doesNotMatch('Rerun the tests', run);
+
+    const { conditions: stemmed } = await compile('running plans');
+    assert.doesNotMatch('She runs daily', stemmed[0].$or[1].content);
+  });
+
+  it('sends a group of alternative words to the text index', async () => {
+    assert.deepEqual(await compile('(standup OR retro) -draft'), { textSearch: 'standup retro -draft', conditions: [] });
+  });
+
+  it('matches queries without required text with patterns only', async () => {
+    const { textSearch, conditions } = await compile('-draft mood:happy');
+    assert.equal(textSearch, null);
+    assert.deepEqual(conditions[1], { mood: 'happy' });
+    assert.ok(conditions[0].$nor);
+  });
+
+  it('escapes user input in patterns', async () => {
+    const { conditions } = await compile('title:c++');
+    assert.match('Notes on C++', conditions[0].title);
+    assert.doesNotMatch('Notes on cc', conditions[0].title);
+  });
+
+  it('rejects invalid operator values with a 400', async () => {
+    await assert.rejects(compile('mood:sleepy'), (error) => error.statusCode === 400 && /unknown mood "sleepy"/.test(error.message));
+    await assert.rejects(compile('before:2026-13-01'), (error) => error.statusCode === 400 && /YYYY-MM-DD/.test(error.message));
+  });
+});
@@ -0,0 +1,105 @@
+// =================================================================
+// BATCHBOOK API | SESSION MANAGEMENT TESTS (tests/sessions.test.js)
+// =================================================================
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import { touchSession, revokeAllSessions } from '../utils/tokenService.js';
+import { describeUserAgent } from '../utils/userAgent.js';
+import { getSessions, deleteSession } from '../controllers/authController.js';
+import { setSocketServer } from '../realtime/notifier.js';
+import { callController, queryResult } from './helpers.js';
+
+// Fail fast on any query that is not mocked below, instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+const userId = new mongoose.Types.ObjectId();
+const current = { _id: new mongoose.Types.ObjectId(), user: userId };
+const user = { _id: userId, id: userId.toString() };
+const minutes = (count) => count * 60 * 1000;
+
+describe('device names', () => {
+  it('names the browser and operating system of a user agent', () => {
+    const edge = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36 Edg/120.0';
+    assert.equal(describeUserAgent(edge), 'Edge on Windows');
+    assert.equal(describeUserAgent('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Version/17.0 Mobile Safari/604.1'), 'Safari on iOS');
+    assert.equal(describeUserAgent('curl/8.4.0'), 'curl');
+    assert.equal(describeUserAgent(null), 'Unknown device');
+  });
+});
+
+describe('session management', () => {
+  let events;
+  let disconnected;
+
+  beforeEach(() => {
+    events = [];
+    disconnected = [];
+    setSocketServer({
+      to: (room) => ({ emit: (event, payload) => events.push({ room, event, payload }) }),
+      in: (room) => ({ disconnectSockets: () => disconnected.push(room) }),
+    });
+  });
+  afterEach(() => {
+    mock.restoreAll();
+    setSocketServer(null);
+  });
+
+  it('lists the active sessions, marking the current one', async () => {
+    const other = { _id: new mongoose.Types.ObjectId(), userAgent: 'curl/8.4.0', ip: '10.0.0.2', lastSeenAt: new Date() };
+    mock.method(Session, 'find', () => queryResult([{ ...current, userAgent: null, ip: '10.0.0.1' }, other]));
+
+    const { res } = await callController(getSessions, { user, authSession: current });
+    assert.deepEqual(res.body.map(({ device, current: isCurrent }) => [device, isCurrent]), [['Unknown device', true], ['curl', false]]);
+    const [filter] = Session.find.mock.calls[0].arguments;
+    assert.equal(filter.revokedAt, null);
+    assert.ok(filter.expiresAt.$gt instanceof Date);
+  });
+
+  it('revokes a session and disconnects its sockets', async () => {
+    const sessionId = new mongoose.Types.ObjectId().toString();
+    mock.method(Session, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const { res } = await callController(deleteSession, { user, authSession: current, params: { id: sessionId } });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(Session.updateOne.mock.calls[0].arguments[0], { _id: sessionId, user: userId, revokedAt: null });
+    assert.deepEqual(events, [{ room: `session:${sessionId}`, event: 'sessionRevoked', payload: { sessionId } }]);
+    assert.deepEqual(disconnected, [`session:${sessionId}`]);
+  });
+
+  it('answers 404 for an unknown, ended or malformed session', async () => {
+    mock.method(Session, 'updateOne', async () => ({ modifiedCount: 0 }));
+
+    for (const id of [new mongoose.Types.ObjectId().toString(), 'not-an-id']) {
+      const { res, error } = await callController(deleteSession, { user, authSession: current, params: { id } });
+      assert.equal(res.statusCode, 404);
+      assert.match(error.message, /Session not found/);
+    }
+    assert.equal(Session.updateOne.mock.callCount(), 1);
+    assert.equal(disconnected.length, 0);
+  });
+
+  it('revokes every other session, disconnecting them all', async () => {
+    const others = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    mock.method(Session, 'distinct', async () => others);
+    mock.method(Session, 'updateMany', async () => ({ modifiedCount: 2 }));
+
+    assert.equal(await revokeAllSessions(userId, { exceptSessionId: current._id }), 2);
+    assert.deepEqual(Session.distinct.mock.calls[0].arguments[1], { user: userId, revokedAt: null, _id: { $ne: current._id } });
+    assert.deepEqual(disconnected, others.map((id) => `session:${id}`));
+  });
+
+  it('records the last use of a session at most every few minutes', async () => {
+    mock.method(Session, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    await touchSession({ _id: current._id, lastSeenAt: new Date(Date.now() - minutes(1)) }, { ip: '10.0.0.3' });
+    assert.equal(Session.updateOne.mock.callCount(), 0);
+
+    await touchSession({ _id: current._id, lastSeenAt: new Date(Date.now() - minutes(10)) }, { ip: '10.0.0.3' });
+    const [filter, update] = Session.updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: current._id });
+    assert.equal(update.$set.ip, '10.0.0.3');
+  });
+});
@@ -0,0 +1,228 @@
+// =================================================================
+// BATCHBOOK API | TAG MANAGEMENT TESTS (tests/tags.test.js)
+// =================================================================
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Entry from '../models/Entry.js';
+import Version from '../models/Version.js';
+import { getTags, getTagTree, renameTag, mergeTags, deleteTag } from '../controllers/tagController.js';
+import { backfillTags } from '../jobs/tagBackfill.js';
+import { normalizeTag, normalizeTags, storedTagPatterns, tagAncestry, tagCondition } from '../utils/tags.js';
+import { callController, queryResult } from './helpers.js';
+
+// Fail fast on any query that is not mocked below, instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+const userId = new mongoose.Types.ObjectId();
+const user = { _id: userId, id: userId.toString() };
+
+describe('tag normalization', () => {
+  it('trims and lowercases tags, dropping blanks and duplicates', () => {
+    assert.deepEqual(normalizeTags(['Work', ' ideas ', 'work', ' ', 'IDEAS']), ['work', 'ideas']);
+  });
+
+  it('normalizes each level of a hierarchical tag', () => {
+    assert.equal(normalizeTag(' Work / ProjectA/ '), 'work/projecta');
+    assert.equal(normalizeTag('/'), '');
+  });
+
+  it('lists a tag with its ancestors and matches its descendants', () => {
+    assert.deepEqual(tagAncestry('work/projecta/bugs'), ['work', 'work/projecta', 'work/projecta/bugs']);
+    const [exact, nested] = tagCondition(['work']).$in;
+    assert.equal(exact, 'work');
+    assert.ok(nested.test('work/projecta'));
+    assert.ok(!nested.test('workshop'));
+  });
+
+  it('matches the stored spellings that normalize to a tag', () => {
+    const [exact, nested] = storedTagPatterns('work/project a', true);
+    for (const stored of ['work/project a', ' Work / Project A ', 'work//project a/']) {
+      assert.match(stored, exact);
+    }
+    assert.doesNotMatch('work/project ab', exact);
+    assert.match('Work / Project A / Launch', nested);
+    assert.doesNotMatch('work/project a/', nested);
+    assert.equal(storedTagPatterns('work').length, 1);
+  });
+
+  it('normalizes tags when an entry is saved', async () => {
+    mock.method(Entry.collection, 'insertOne', async () => ({ acknowledged: true }));
+    try {
+      const entry = new Entry({ user: userId, title: 'Plans', content: 'Launch', tags: ['Work', 'work ', 'Ideas'] });
+      await entry.save();
+      assert.deepEqual([...entry.tags], ['work', 'ideas']);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+});
+
+describe('tag backfill', () => {
+  afterEach(() => mock.restoreAll());
+
+  const entryId = new mongoose.Types.ObjectId();
+  const versionId = new mongoose.Types.ObjectId();
+
+  it('normalizes the tags of entries stored before tags were normalized, leaving their timestamps alone', async () => {
+    mock.method(Entry, 'find', () => queryResult([{ _id: entryId, tags: ['Work / ProjectA', 'work/projecta', 'Ideas'] }]));
+    mock.method(Entry, 'bulkWrite', async () => ({}));
+    mock.method(Version, 'find', () => queryResult([]));
+    mock.method(console, 'log', () => {});
+
+    assert.ok((await backfillTags()) instanceof Date);
+    const [filter] = Entry.find.mock.calls[0].arguments;
+    assert.deepEqual(filter['tags.0'], { $exists: true });
+    assert.ok(filter.$expr.$ne);
+    assert.deepEqual(Entry.bulkWrite.mock.calls[0].arguments[0], [
+      {
+        updateOne: {
+          filter: { _id: entryId, tags: ['Work / ProjectA', 'work/projecta', 'Ideas'] },
+          update: { $set: { tags: ['work/projecta', 'ideas'] } },
+          timestamps: false,
+        },
+      },
+    ]);
+    assert.equal(Version.find.mock.callCount(), 0);
+  });
+
+  it('normalizes the tags of versions once the entries are done', async () => {
+    mock.method(Entry, 'find', () => queryResult([]));
+    mock.method(Version, 'find', () => queryResult([{ _id: versionId, tags: [' Travel '] }]));
+    mock.method(Version, 'bulkWrite', async () => ({}));
+    mock.method(console, 'log', () => {});
+
+    assert.ok((await backfillTags()) instanceof Date);
+    assert.deepEqual(Version.bulkWrite.mock.calls[0].arguments[0][0].updateOne.update, { $set: { tags: ['travel'] } });
+  });
+
+  it('ends when no tag changes, so documents it cannot normalize further are not retried forever', async () => {
+    mock.method(Entry, 'find', () => queryResult([{ _id: entryId, tags: ['work'] }]));
+    mock.method(Entry, 'bulkWrite', async () => ({}));
+    mock.method(Version, 'find', () => queryResult([]));
+
+    assert.equal(await backfillTags(), null);
+    assert.equal(Entry.bulkWrite.mock.callCount(), 0);
+  });
+});
+
+describe('tag management', () => {
+  beforeEach(() => {
+    mock.method(Entry, 'updateMany', async () => ({ modifiedCount: 3 }));
+    mock.method(Version, 'updateMany', async () => ({ modifiedCount: 5 }));
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('lists tags case-insensitively, with the spellings still stored', async () => {
+    const lastUsedAt = new Date('2026-03-02');
+    mock.method(Entry, 'aggregate', async () => [
+      { _id: 'work', count: 3, lastUsedAt, variants: ['work', 'Work'] },
+      { _id: 'ideas', count: 1, lastUsedAt, variants: ['ideas'] },
+    ]);
+
+    const { res } = await callController(getTags, { user, query: { sort: 'name' } });
+    assert.deepEqual(res.body, [
+      { tag: 'work', count: 3, lastUsedAt, variants: ['work', 'Work'] },
+      { tag: 'ideas', count: 1, lastUsedAt },
+    ]);
+    const [pipeline] = Entry.aggregate.mock.calls[0].arguments;
+    assert.deepEqual(pipeline[0].$match, { user: userId, deletedAt: null });
+    assert.deepEqual(pipeline.at(-1), { $sort: { _id: 1 } });
+  });
+
+  it('builds a tag tree, counting each entry once per level', async () => {
+    const createdAt = (day) => new Date(`2026-03-0${day}`);
+    mock.method(Entry, 'find', () =>
+      queryResult([
+        { tags: ['work/projecta', 'work/projecta/bugs'], createdAt: createdAt(1) },
+        { tags: ['Work'], createdAt: createdAt(3) },
+        { tags: ['home'], createdAt: createdAt(2) },
+      ])
+    );
+
+    const { res } = await callController(getTagTree, { user });
+    const [home, work] = res.body;
+    assert.deepEqual(home, { tag: 'home', path: 'home', count: 1, totalCount: 1, lastUsedAt: createdAt(2), children: [] });
+    assert.equal(work.count, 1);
+    assert.equal(work.totalCount, 2);
+    assert.deepEqual(work.lastUsedAt, createdAt(3));
+
+    const [projecta] = work.children;
+    assert.equal(projecta.path, 'work/projecta');
+    assert.equal(projecta.totalCount, 1);
+    assert.equal(projecta.children[0].tag, 'bugs');
+  });
+
+  it('rejects an unknown sort', async () => {
+    const { res, error } = await callController(getTags, { user, query: { sort: 'size' } });
+    assert.equal(res.statusCode, 400);
+    assert.match(error.message, /Invalid sort/);
+  });
+
+  it('renames a tag in every spelling, bumping each entry revision', async () => {
+    const { res } = await callController(renameTag, { user, params: { tag: 'Wrk' }, body: { name: ' Work ' } });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { message: 'Tag "wrk" renamed to "work".', entriesUpdated: 3, versionsUpdated: 0 });
+    const [filter, [update], options] = Entry.updateMany.mock.calls[0].arguments;
+    assert.equal(filter.user, userId);
+    assert.ok(filter.tags.$in[0].test(' WRK'));
+    assert.ok(!filter.tags.$in[0].test('wrks'));
+    assert.deepEqual(update.$set.revision, { $add: [{ $ifNull: ['$revision', 0] }, 1] });
+    assert.deepEqual(options, { timestamps: false });
+    assert.equal(Version.updateMany.mock.callCount(), 0);
+  });
+
+  it('moves the nested tags of a renamed tag', async () => {
+    await callController(renameTag, { user, params: { tag: 'work' }, body: { name: 'job' } });
+    const [filter, [update]] = Entry.updateMany.mock.calls[0].arguments;
+    assert.ok(filter.tags.$in.some((pattern) => pattern.test('Work/ProjectA')));
+    const [, nested] = update.$set.tags.$reduce.input.$map.in.$let.in.$switch.branches;
+    assert.deepEqual(nested.then.$concat[0], 'job');
+  });
+
+  it('renames the tags in version history on request', async () => {
+    const { res } = await callController(renameTag, { user, params: { tag: 'wrk' }, body: { name: 'work', includeVersions: true } });
+    assert.equal(res.body.versionsUpdated, 5);
+    assert.deepEqual(Version.updateMany.mock.calls[0].arguments[0], Entry.updateMany.mock.calls[0].arguments[0]);
+  });
+
+  it('merges tags into one, dropping the duplicates this creates', async () => {
+    const { res } = await callController(mergeTags, { user, body: { tags: ['wrk', 'Work-Stuff', 'wrk'], into: 'work' } });
+
+    assert.equal(res.body.message, 'Merged 2 tag(s) into "work".');
+    const [filter, [update]] = Entry.updateMany.mock.calls[0].arguments;
+    // Each merged tag and the tags nested under it
+    assert.equal(filter.tags.$in.length, 4);
+    assert.ok(update.$set.tags.$reduce);
+  });
+
+  it('deletes a tag from all entries', async () => {
+    const { res } = await callController(deleteTag, { user, params: { tag: 'old' }, query: { includeVersions: 'true' } });
+
+    assert.equal(res.body.message, 'Tag "old" deleted.');
+    const [, [update]] = Entry.updateMany.mock.calls[0].arguments;
+    assert.equal(update.$set.tags.$filter.input, '$tags');
+    assert.equal(Version.updateMany.mock.callCount(), 1);
+    // Nested tags are kept unless asked otherwise
+    assert.ok(!Entry.updateMany.mock.calls[0].arguments[0].tags.$in.some((pattern) => pattern.test('old/notes')));
+
+    await callController(deleteTag, { user, params: { tag: 'old' }, query: { includeDescendants: 'true' } });
+    assert.ok(Entry.updateMany.mock.calls[1].arguments[0].tags.$in.some((pattern) => pattern.test('old/notes')));
+  });
+
+  for (const [controller, req, message] of [
+    [renameTag, { params: { tag: 'wrk' }, body: { name: '  ' } }, /a new name/],
+    [mergeTags, { body: { tags: [], into: 'work' } }, /non-empty "tags" array/],
+    [mergeTags, { body: { tags: ['wrk', ''], into: 'work' } }, /only non-empty tags/],
+    [mergeTags, { body: { tags: ['wrk'] } }, /the tag to merge into/],
+  ]) {
+    it(`rejects ${JSON.stringify(req)} with a 400`, async () => {
+      const { res, error } = await callController(controller, { user, ...req });
+      assert.equal(res.statusCode, 400);
+      assert.match(error.message, message);
+      assert.equal(Entry.updateMany.mock.callCount(), 0);
+    });
+  }
+});
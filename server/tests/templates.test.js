@@ -0,0 +1,118 @@
+// =================================================================
+// BATCHBOOK API | ENTRY TEMPLATE TESTS (tests/templates.test.js)
+// =================================================================
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Entry from '../models/Entry.js';
+import Template from '../models/Template.js';
+import { renderTemplateString } from '../utils/templateRenderer.js';
+import { PROMPT_LIBRARY, getDailyPrompt } from '../utils/prompts.js';
+import { createJournalFromTemplate } from '../controllers/journalController.js';
+import { callController } from './helpers.js';
+
+// Fail fast on any query that is not mocked below, instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+// Monday 30 March 2026, 09:05 local time
+const monday = new Date(2026, 2, 30, 9, 5);
+
+describe('renderTemplateString', () => {
+  it('replaces date, time, weekday and week tokens', () => {
+    assert.equal(renderTemplateString('{{date}} {{time}} {{weekday}} week {{week}}', monday), '2026-03-30 09:05 Monday week 14');
+    assert.equal(renderTemplateString('Standup {{date:ddd D MMM}}', monday), 'Standup Mon 30 Mar');
+  });
+
+  it('inserts the prompt of the day', () => {
+    assert.equal(renderTemplateString('{{prompt:work}}', monday), getDailyPrompt('work', monday).prompt);
+    assert.ok(PROMPT_LIBRARY.work.includes(renderTemplateString('{{prompt:work}}', monday)));
+  });
+
+  it('shows the date and time in the given time zone', () => {
+    const lateEvening = new Date('2026-03-30T23:30:00Z');
+    assert.equal(renderTemplateString('{{date}} {{time}}', lateEvening, 'Asia/Tokyo'), '2026-03-31 08:30');
+    assert.equal(renderTemplateString('{{date}} {{time}}', lateEvening, 'America/New_York'), '2026-03-30 19:30');
+  });
+
+  it('leaves unknown tokens and unknown prompt categories untouched', () => {
+    assert.equal(renderTemplateString('{{mood}} {{prompt:dreams}}', monday), '{{mood}} {{prompt:dreams}}');
+  });
+});
+
+describe('getDailyPrompt', () => {
+  it('returns the same prompt all day and rotates daily', () => {
+    const evening = new Date(2026, 2, 30, 22, 0);
+    const tuesday = new Date(2026, 2, 31, 9, 0);
+    assert.equal(getDailyPrompt('retro', evening).prompt, getDailyPrompt('retro', monday).prompt);
+    assert.notEqual(getDailyPrompt('retro', tuesday).prompt, getDailyPrompt('retro', monday).prompt);
+    assert.equal(getDailyPrompt('retro', monday).date, '2026-03-30');
+  });
+
+  it('returns null for an unknown category', () => {
+    assert.equal(getDailyPrompt('dreams'), null);
+  });
+});
+
+describe('createJournalFromTemplate', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const user = { _id: userId, id: userId.toString() };
+  const template = {
+    _id: new mongoose.Types.ObjectId(),
+    titlePattern: 'Standup {{date}}',
+    content: 'Yesterday:\nToday:\n{{prompt:work}}',
+    defaultTags: ['work', 'standup'],
+    defaultMood: 'neutral',
+  };
+  const create = (body) => callController(createJournalFromTemplate, { user, params: { templateId: template._id.toString() }, body });
+
+  beforeEach(() => {
+    mock.method(Template, 'findOne', async () => template);
+    mock.method(Entry.prototype, 'save', async function () {
+      return this;
+    });
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('renders the template for the requested date', async () => {
+    const { res } = await create({ date: '2026-03-30T12:00:00' });
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.title, 'Standup 2026-03-30');
+    assert.match(res.body.content, /^Yesterday:\nToday:\n\S/);
+    assert.deepEqual([...res.body.tags], ['work', 'standup']);
+    assert.equal(res.body.mood, 'neutral');
+  });
+
+  it('renders a requested day in the user time zone and cuts long titles', async () => {
+    const tokyo = { ...user, timezone: 'Asia/Tokyo' };
+    const { res } = await callController(createJournalFromTemplate, {
+      user: tokyo,
+      params: { templateId: template._id.toString() },
+      body: { date: '2026-03-30' },
+    });
+    assert.equal(res.body.title, 'Standup 2026-03-30');
+
+    mock.method(Template, 'findOne', async () => ({ ...template, titlePattern: `${'x'.repeat(95)} {{date}}` }));
+    const { res: long } = await create({});
+    assert.equal(long.statusCode, 201);
+    assert.equal(long.body.title.length, 100);
+  });
+
+  it('lets the body override the template values', async () => {
+    const { res } = await create({ title: 'Custom', tags: ['solo'], mood: 'happy' });
+    assert.equal(res.body.title, 'Custom');
+    assert.deepEqual([...res.body.tags], ['solo']);
+    assert.equal(res.body.mood, 'happy');
+  });
+
+  it('rejects an invalid date', async () => {
+    const { res } = await create({ date: 'someday' });
+    assert.equal(res.statusCode, 400);
+  });
+
+  it('answers 404 for a template of another user', async () => {
+    mock.method(Template, 'findOne', async () => null);
+    const { res } = await create({});
+    assert.equal(res.statusCode, 404);
+  });
+});
@@ -0,0 +1,125 @@
+// =================================================================
+// BATCHBOOK API | SESSION TOKEN TESTS (tests/tokenService.test.js)
+// =================================================================
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { createSession, refreshSession, authenticateAccessToken } from '../utils/tokenService.js';
+
+// Fail fast on any query that is not mocked below, instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+const userId = new mongoose.Types.ObjectId();
+const req = { get: () => 'node-test', ip: '127.0.0.1' };
+
+/**
+ * Replaces the Session queries the token service runs with an in-memory store
+ * that evaluates the same conditions.
+ */
+const useSessionStore = () => {
+  const sessions = new Map();
+  const isActive = (session, now = new Date()) => session.revokedAt === null && session.expiresAt > now;
+
+  mock.method(Session, 'create', async (fields) => {
+    const session = { _id: new mongoose.Types.ObjectId(), rotatedTokenHashes: [], revokedAt: null, lastSeenAt: new Date(), ...fields };
+    sessions.set(session._id.toString(), session);
+    return { ...session };
+  });
+
+  // Refresh: `{ _id, tokenHash, revokedAt: null, expiresAt: { $gt } }` with `$set` and `$push`
+  mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    const session = sessions.get(String(filter._id));
+    if (!session || session.tokenHash !== filter.tokenHash || !isActive(session, filter.expiresAt.$gt)) return null;
+    Object.assign(session, update.$set);
+    session.rotatedTokenHashes = [...session.rotatedTokenHashes, ...update.$push.rotatedTokenHashes.$each].slice(
+      update.$push.rotatedTokenHashes.$slice
+    );
+    return { ...session };
+  });
+
+  // Reuse detection: `{ _id, revokedAt: null, rotatedTokenHashes: <hash> }` with `$set: { revokedAt }`
+  mock.method(Session, 'updateOne', async (filter, update) => {
+    const session = sessions.get(String(filter._id));
+    if (!session || session.revokedAt !== null || !session.rotatedTokenHashes.includes(filter.rotatedTokenHashes)) {
+      return { modifiedCount: 0 };
+    }
+    Object.assign(session, update.$set);
+    return { modifiedCount: 1 };
+  });
+
+  mock.method(Session, 'findOne', async (filter) => {
+    const session = sessions.get(String(filter._id));
+    return session && isActive(session) ? { ...session } : null;
+  });
+
+  mock.method(User, 'exists', async () => ({ _id: userId }));
+  mock.method(User, 'findById', () => ({ select: async () => ({ _id: userId, name: 'Test' }) }));
+
+  return sessions;
+};
+
+describe('session tokens', () => {
+  let sessions;
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    sessions = useSessionStore();
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('issues an access token naming the user and session, and a refresh token', async () => {
+    const tokens = await createSession({ _id: userId }, req);
+    const [sessionId] = tokens.refreshToken.split('.');
+
+    const payload = jwt.verify(tokens.token, 'test-secret');
+    assert.equal(payload.id, userId.toString());
+    assert.equal(payload.sid, sessionId);
+    assert.ok(tokens.tokenExpiresAt > new Date());
+
+    // Only a hash of the refresh token's secret is stored
+    const session = sessions.get(sessionId);
+    assert.ok(!Object.values(session).includes(tokens.refreshToken.split('.')[1]));
+  });
+
+  it('rotates the refresh token on every use', async () => {
+    const first = await createSession({ _id: userId }, req);
+    const second = await refreshSession(first.refreshToken);
+
+    assert.ok(second);
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    assert.equal(second.refreshToken.split('.')[0], first.refreshToken.split('.')[0]);
+    assert.ok(await refreshSession(second.refreshToken));
+  });
+
+  it('revokes the session when a rotated-out refresh token is used again', async () => {
+    const first = await createSession({ _id: userId }, req);
+    const second = await refreshSession(first.refreshToken);
+
+    // The copied token is refused, and so is the legitimate holder's current one
+    assert.equal(await refreshSession(first.refreshToken), null);
+    assert.ok(sessions.get(first.refreshToken.split('.')[0]).revokedAt instanceof Date);
+    assert.equal(await refreshSession(second.refreshToken), null);
+
+    // Access tokens of the session stop working too
+    const { session } = await authenticateAccessToken(second.token);
+    assert.equal(session, null);
+  });
+
+  it('refuses malformed, unknown and expired refresh tokens', async () => {
+    assert.equal(await refreshSession('not-a-token'), null);
+    assert.equal(await refreshSession(`${new mongoose.Types.ObjectId()}.secret`), null);
+
+    const tokens = await createSession({ _id: userId }, req);
+    sessions.get(tokens.refreshToken.split('.')[0]).expiresAt = new Date(Date.now() - 1000);
+    assert.equal(await refreshSession(tokens.refreshToken), null);
+  });
+
+  it('refuses access tokens issued without a session', async () => {
+    const legacyToken = jwt.sign({ id: userId.toString() }, 'test-secret');
+    await assert.rejects(authenticateAccessToken(legacyToken), /not tied to a session/);
+  });
+});
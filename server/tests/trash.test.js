@@ -0,0 +1,119 @@
+// =================================================================
+// BATCHBOOK API | TRASH BIN TESTS (tests/trash.test.js)
+// =================================================================
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Entry from '../models/Entry.js';
+import User from '../models/User.js';
+import Version from '../models/Version.js';
+import { deleteJournal, restoreJournal, purgeJournal } from '../controllers/journalController.js';
+import { purgeExpiredTrash } from '../jobs/trashPurger.js';
+import { purgeEntries } from '../utils/trash.js';
+import { getStorage } from '../storage/index.js';
+import { callController, queryResult } from './helpers.js';
+
+// Fail fast on any query that is not mocked below, instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+const userId = new mongoose.Types.ObjectId();
+const user = { _id: userId, id: userId.toString() };
+
+describe('trash bin', () => {
+  let entry;
+  let deleted;
+
+  beforeEach(() => {
+    entry = Entry.hydrate({ _id: new mongoose.Types.ObjectId(), user: userId, title: 'Today', content: 'Text', deletedAt: null });
+    deleted = [];
+    mock.method(entry, 'save', async function () {
+      return this;
+    });
+    // Only entries whose trash state matches the query are found
+    mock.method(Entry, 'findOne', async ({ deletedAt }) => {
+      const inTrash = entry.deletedAt !== null;
+      return (deletedAt === null ? !inTrash : inTrash) ? entry : null;
+    });
+    mock.method(Version, 'deleteMany', async (filter) => {
+      deleted.push(['versions', filter]);
+      return { deletedCount: 3 };
+    });
+    // Purging detaches the attachments of the entries still in the trash, then deletes them
+    mock.method(Entry, 'findOneAndUpdate', (filter, update) => {
+      deleted.push(['detach', update.$set]);
+      return queryResult(entry.deletedAt === null ? null : { _id: entry._id, user: userId, attachments: entry.attachments });
+    });
+    mock.method(Entry, 'deleteOne', async (filter) => {
+      deleted.push(['entry', filter]);
+      return { deletedCount: 1 };
+    });
+    mock.method(User, 'updateOne', async (filter, update) => {
+      deleted.push(['storage', update.$inc.storageUsedBytes]);
+      return { modifiedCount: 1 };
+    });
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('moves a deleted entry to the trash instead of removing it', async () => {
+    const { res } = await callController(deleteJournal, { user, params: { id: entry.id } });
+    assert.equal(res.statusCode, 200);
+    assert.ok(entry.deletedAt instanceof Date);
+    assert.equal(deleted.length, 0);
+
+    // Entries in the trash can no longer be deleted again
+    const again = await callController(deleteJournal, { user, params: { id: entry.id } });
+    assert.equal(again.res.statusCode, 404);
+  });
+
+  it('restores an entry from the trash', async () => {
+    entry.deletedAt = new Date();
+    const { res } = await callController(restoreJournal, { user, params: { id: entry.id } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(entry.deletedAt, null);
+  });
+
+  it('only purges entries that are in the trash, together with their versions and files', async () => {
+    entry.attachments = [{ storageKey: 'a/b/c', size: 40 }];
+    mock.method(getStorage(), 'remove', async (key) => deleted.push(['file', key]));
+
+    const notTrashed = await callController(purgeJournal, { user, params: { id: entry.id } });
+    assert.equal(notTrashed.res.statusCode, 404);
+
+    entry.deletedAt = new Date();
+    const { res } = await callController(purgeJournal, { user, params: { id: entry.id } });
+    assert.equal(res.statusCode, 200);
+    // The attachments are detached before their files go, so a restart never releases them twice
+    assert.deepEqual(deleted, [
+      ['detach', { attachments: [] }],
+      ['file', 'a/b/c'],
+      ['storage', -40],
+      ['versions', { entry: entry._id }],
+      ['entry', { _id: entry._id, deletedAt: { $ne: null } }],
+    ]);
+    assert.deepEqual(Entry.findOneAndUpdate.mock.calls[0].arguments[0], { _id: entry._id, deletedAt: { $ne: null } });
+  });
+
+  it('skips entries restored before they are purged', async () => {
+    assert.equal(await purgeEntries([entry._id]), 0);
+    assert.deepEqual(deleted.map(([kind]) => kind), ['detach']);
+  });
+
+  it('purges entries that have been in the trash for longer than the retention period', async () => {
+    process.env.TRASH_RETENTION_DAYS = '30';
+    entry.deletedAt = new Date('2026-02-01T00:00:00Z');
+    mock.method(Entry, 'find', () => queryResult([{ _id: entry._id }]));
+    const now = new Date('2026-03-31T00:00:00Z');
+
+    assert.equal(await purgeExpiredTrash(now), 1);
+    const [filter] = Entry.find.mock.calls[0].arguments;
+    assert.deepEqual(filter.deletedAt, { $ne: null, $lte: new Date('2026-03-01T00:00:00Z') });
+    delete process.env.TRASH_RETENTION_DAYS;
+  });
+
+  it('does nothing when no entry has expired', async () => {
+    mock.method(Entry, 'find', () => queryResult([]));
+    assert.equal(await purgeExpiredTrash(), 0);
+    assert.equal(deleted.length, 0);
+  });
+});
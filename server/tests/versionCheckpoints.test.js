@@ -0,0 +1,148 @@
+// =================================================================
+// BATCHBOOK API | CHECKPOINT AND VERSION LISTING TESTS (tests/versionCheckpoints.test.js)
+// =================================================================
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Entry from '../models/Entry.js';
+import Version from '../models/Version.js';
+import { selectVersionsToPrune } from '../utils/versionHistory.js';
+import { getEntryVersions, createCheckpoint, updateVersion, restoreVersion } from '../controllers/versionController.js';
+import { callController, queryResult } from './helpers.js';
+
+// Fail fast on any query that is not mocked below, instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+const user = { id: new mongoose.Types.ObjectId().toString() };
+const entryId = new mongoose.Types.ObjectId().toString();
+
+describe('version history endpoints', () => {
+  let entry;
+  let version;
+
+  beforeEach(() => {
+    entry = Entry.hydrate({ _id: entryId, user: user.id, title: 'Today', content: 'Current text', tags: ['work'] });
+    version = Version.hydrate({ _id: new mongoose.Types.ObjectId(), entry: entryId, user: user.id, title: 'Earlier', content: 'Old text', tags: [], source: 'auto' });
+    mock.method(Entry, 'findOne', async ({ user: owner }) => (owner === undefined || owner === user.id ? entry : null));
+    mock.method(Entry, 'findById', async () => entry);
+    mock.method(Version, 'findOne', async () => version);
+    mock.method(Version, 'findById', async () => version);
+    mock.method(Version.prototype, 'save', async function () {
+      return this;
+    });
+    mock.method(entry, 'save', async function () {
+      return this;
+    });
+    mock.method(version, 'save', async function () {
+      return this;
+    });
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('filters the listing by source and pinned state, a page at a time', async () => {
+    mock.method(Version, 'countDocuments', async () => 45);
+    mock.method(Version, 'find', () => queryResult([version]));
+
+    const { res } = await callController(getEntryVersions, {
+      user,
+      params: { entryId },
+      query: { source: 'manual, restore', pinned: 'true', page: '2', limit: '20' },
+    });
+    assert.deepEqual(Version.find.mock.calls[0].arguments[0], { entry: entryId, source: { $in: ['manual', 'restore'] }, pinned: true });
+    assert.equal(res.body.page, 2);
+    assert.equal(res.body.totalPages, 3);
+  });
+
+  it('keeps the page size between 1 and 100', async () => {
+    mock.method(Version, 'countDocuments', async () => 500);
+    mock.method(Version, 'find', () => queryResult([version]));
+
+    const { res } = await callController(getEntryVersions, { user, params: { entryId }, query: { page: '-3', limit: '5000' } });
+    assert.equal(res.body.page, 1);
+    assert.equal(res.body.totalPages, 5);
+  });
+
+  it('rejects unknown sources with a 400', async () => {
+    const { res, error } = await callController(getEntryVersions, { user, params: { entryId }, query: { source: 'auto,imported' } });
+    assert.equal(res.statusCode, 400);
+    assert.match(error.message, /Invalid source: imported/);
+  });
+
+  it('rejects a repeated source parameter with a 400', async () => {
+    const { res, error } = await callController(getEntryVersions, { user, params: { entryId }, query: { source: ['auto', 'manual'] } });
+    assert.equal(res.statusCode, 400);
+    assert.match(error.message, /comma-separated list/);
+  });
+
+  it('saves a checkpoint as a labelled manual version', async () => {
+    const { res } = await callController(createCheckpoint, { user, params: { entryId }, body: { note: 'Before rewrite', pinned: true } });
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.source, 'manual');
+    assert.equal(res.body.note, 'Before rewrite');
+    assert.equal(res.body.pinned, true);
+    assert.equal(res.body.content, 'Current text');
+  });
+
+  it('requires a note for a checkpoint', async () => {
+    for (const note of ['  ', 42]) {
+      const { res } = await callController(createCheckpoint, { user, params: { entryId }, body: { note } });
+      assert.equal(res.statusCode, 400);
+    }
+  });
+
+  it('rejects a malformed note or version ID with a 400', async () => {
+    const note = await callController(updateVersion, { user, params: { entryId, versionId: version.id }, body: { note: ['Keep'] } });
+    assert.equal(note.res.statusCode, 400);
+    const id = await callController(updateVersion, { user, params: { entryId, versionId: 'latest' }, body: { pinned: true } });
+    assert.equal(id.res.statusCode, 400);
+    assert.match(id.error.message, /Invalid version ID: latest/);
+  });
+
+  it('pins and labels an existing version', async () => {
+    const { res } = await callController(updateVersion, { user, params: { entryId, versionId: version.id }, body: { pinned: true, note: 'Keep' } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(version.pinned, true);
+    assert.equal(version.note, 'Keep');
+  });
+
+  it('keeps the current state as a restore version before restoring an older one', async () => {
+    const { res } = await callController(restoreVersion, { user, params: { entryId, versionId: version.id } });
+    assert.equal(res.statusCode, 200);
+    const snapshot = Version.prototype.save.mock.calls[0].this;
+    assert.equal(snapshot.source, 'restore');
+    assert.equal(snapshot.content, 'Current text');
+    assert.equal(entry.content, 'Old text');
+    assert.deepEqual([...entry.tags], []);
+  });
+
+  it('does not restore entries of other users', async () => {
+    const { res } = await callController(restoreVersion, { user: { id: new mongoose.Types.ObjectId().toString() }, params: { entryId, versionId: version.id } });
+    assert.equal(res.statusCode, 403);
+    assert.equal(entry.save.mock.callCount(), 0);
+  });
+
+  it('rejects malformed entry and version IDs with a 400', async () => {
+    const badEntry = await callController(restoreVersion, { user, params: { entryId: 'nope', versionId: version.id } });
+    assert.equal(badEntry.res.statusCode, 400);
+    assert.match(badEntry.error.message, /Invalid entry ID: nope/);
+
+    const badVersion = await callController(restoreVersion, { user, params: { entryId, versionId: 'nope' } });
+    assert.equal(badVersion.res.statusCode, 400);
+    assert.match(badVersion.error.message, /Invalid version ID: nope/);
+    assert.equal(entry.save.mock.callCount(), 0);
+  });
+});
+
+describe('pinned versions', () => {
+  it('are never pruned and do not count towards keepLast', () => {
+    const now = new Date('2026-03-31T12:00:00Z');
+    const versions = [
+      { _id: 'pinned', source: 'auto', pinned: true, createdAt: new Date('2026-03-31T11:00:00Z') },
+      { _id: 'kept', source: 'auto', createdAt: new Date('2026-03-30T11:00:00Z') },
+      { _id: 'old', source: 'auto', createdAt: new Date('2025-01-01T00:00:00Z') },
+      { _id: 'old-pinned', source: 'auto', pinned: true, createdAt: new Date('2025-01-01T00:00:00Z') },
+    ];
+    assert.deepEqual(selectVersionsToPrune(versions, { keepLast: 1, keepDailyDays: 0 }, now), ['old']);
+  });
+});
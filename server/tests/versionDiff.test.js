@@ -0,0 +1,101 @@
+// =================================================================
+// BATCHBOOK API | VERSION DIFF TESTS (tests/versionDiff.test.js)
+// =================================================================
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Entry from '../models/Entry.js';
+import Version from '../models/Version.js';
+import { diffSnapshots } from '../utils/versionDiff.js';
+import { compareVersions } from '../controllers/versionController.js';
+import { callController } from './helpers.js';
+
+// Fail fast on any query that is not mocked below, instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+describe('diffSnapshots', () => {
+  const from = { title: 'Monday', content: 'Line one\nLine two\n', tags: ['work', 'draft'] };
+  const to = { title: 'Monday', content: 'Line one\nLine 2\n', tags: ['work', 'ideas'] };
+  const diff = diffSnapshots(from, to, { from: 'version-1', to: 'current' });
+
+  it('reports which fields changed', () => {
+    assert.equal(diff.title.changed, false);
+    assert.equal(diff.content.changed, true);
+    assert.equal(diff.tags.changed, true);
+  });
+
+  it('lists word changes, line hunks and tag changes', () => {
+    assert.deepEqual(
+      diff.content.words.filter((change) => change.type !== 'unchanged').map(({ type, value }) => ({ type, value: value.trim() })),
+      [
+        { type: 'removed', value: 'two' },
+        { type: 'added', value: '2' },
+      ]
+    );
+    assert.deepEqual(diff.content.hunks[0].lines, [' Line one', '-Line two', '+Line 2']);
+    assert.deepEqual(diff.tags.added, ['ideas']);
+    assert.deepEqual(diff.tags.removed, ['draft']);
+  });
+
+  it('renders a unified patch labelled with both sides', () => {
+    assert.match(diff.unified, /^--- version-1\n\+\+\+ current\n/m);
+    assert.match(diff.unified, /^-Tags: work, draft$/m);
+    assert.match(diff.unified, /^\+Line 2$/m);
+  });
+});
+
+describe('compareVersions', () => {
+  const user = { id: new mongoose.Types.ObjectId().toString() };
+  const entryId = new mongoose.Types.ObjectId().toString();
+  const versionId = new mongoose.Types.ObjectId().toString();
+  const entry = { _id: entryId, title: 'Now', content: 'new text', tags: [], updatedAt: new Date() };
+  const version = { _id: versionId, title: 'Then', content: 'old text', tags: [], source: 'manual', createdAt: new Date() };
+
+  const compare = (query) => callController(compareVersions, { user, params: { entryId }, query });
+
+  beforeEach(() => {
+    mock.method(Entry, 'findOne', async ({ user: owner }) => (owner === user.id ? entry : null));
+    mock.method(Version, 'findOne', async ({ _id }) => (_id === versionId ? version : null));
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('compares a version with the current entry by default', async () => {
+    const { res, error } = await compare({ from: versionId });
+    assert.equal(error, null);
+    assert.deepEqual(res.body.from, { id: versionId, timestamp: version.createdAt, source: 'manual' });
+    assert.deepEqual(res.body.to, { id: 'current', timestamp: entry.updatedAt });
+    assert.equal(res.body.title.changed, true);
+  });
+
+  it('refuses to compare an end-to-end encrypted version with a 409', async () => {
+    version.encryption = { algorithm: 'AES-GCM-256' };
+    const { res, error } = await compare({ from: versionId });
+    delete version.encryption;
+    assert.equal(res.statusCode, 409);
+    assert.match(error.message, /Comparing versions is not available/);
+  });
+
+  it('answers with plain text in the unified format', async () => {
+    const { res } = await compare({ from: versionId, format: 'unified' });
+    assert.equal(res.headers['content-type'], 'text/plain');
+    assert.match(res.body, /^-old text$/m);
+  });
+
+  for (const [query, message] of [
+    [{}, /"from" version ID is required/],
+    [{ from: versionId, format: 'html' }, /Invalid format/],
+    [{ from: 'nope' }, /Invalid version ID: nope/],
+  ]) {
+    it(`rejects ${JSON.stringify(query)} with a 400`, async () => {
+      const { res, error } = await compare(query);
+      assert.equal(res.statusCode, 400);
+      assert.match(error.message, message);
+    });
+  }
+
+  it('answers 404 for a version of another entry', async () => {
+    const { res } = await compare({ from: new mongoose.Types.ObjectId().toString() });
+    assert.equal(res.statusCode, 404);
+  });
+});
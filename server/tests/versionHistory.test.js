@@ -0,0 +1,104 @@
+// =================================================================
+// BATCHBOOK API | VERSION HISTORY TESTS (tests/versionHistory.test.js)
+// =================================================================
+
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Entry from '../models/Entry.js';
+import Version from '../models/Version.js';
+import { hasVersionedChanges, recordVersion, resolveRetentionPolicy, selectVersionsToPrune } from '../utils/versionHistory.js';
+import { queryResult } from './helpers.js';
+
+// Fail fast on any query that is not mocked below, instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+const now = new Date('2026-03-31T12:00:00Z');
+const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+const version = (id, source, createdAt) => ({ _id: id, source, createdAt });
+
+describe('selectVersionsToPrune', () => {
+  it('keeps the newest automatic versions and one per day within the daily window', () => {
+    const versions = [
+      version('a', 'auto', hoursAgo(1)),
+      version('b', 'auto', hoursAgo(2)),
+      version('c', 'auto', hoursAgo(3)), // same day as the kept ones
+      version('d', 'auto', hoursAgo(48)),
+      version('e', 'auto', hoursAgo(49)), // second of its day
+      version('f', 'auto', hoursAgo(24 * 10)), // outside the daily window
+    ];
+    assert.deepEqual(selectVersionsToPrune(versions, { keepLast: 2, keepDailyDays: 3 }, now), ['c', 'e', 'f']);
+  });
+
+  it('never prunes manual or restore versions', () => {
+    const versions = [
+      version('a', 'auto', hoursAgo(1)),
+      version('b', 'manual', hoursAgo(24 * 100)),
+      version('c', 'restore', hoursAgo(24 * 200)),
+      version('d', 'auto', hoursAgo(24 * 300)),
+    ];
+    assert.deepEqual(selectVersionsToPrune(versions, { keepLast: 1, keepDailyDays: 0 }, now), ['d']);
+  });
+});
+
+describe('resolveRetentionPolicy', () => {
+  afterEach(() => {
+    delete process.env.VERSION_KEEP_LAST;
+    delete process.env.VERSION_KEEP_DAILY_DAYS;
+  });
+
+  it('layers the user settings over the server defaults', () => {
+    process.env.VERSION_KEEP_LAST = '20';
+    process.env.VERSION_KEEP_DAILY_DAYS = '7';
+    assert.deepEqual(resolveRetentionPolicy(null), { keepLast: 20, keepDailyDays: 7 });
+    assert.deepEqual(resolveRetentionPolicy({ versionRetention: { keepLast: 5 } }), { keepLast: 5, keepDailyDays: 7 });
+  });
+
+  it('falls back to the defaults for malformed settings', () => {
+    process.env.VERSION_KEEP_LAST = 'lots';
+    assert.deepEqual(resolveRetentionPolicy({}), { keepLast: 50, keepDailyDays: 30 });
+  });
+});
+
+describe('recording versions', () => {
+  const entry = { _id: new mongoose.Types.ObjectId(), user: new mongoose.Types.ObjectId(), title: 'Draft', content: 'Hello', tags: ['work'] };
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.VERSION_COALESCE_WINDOW_SECONDS;
+  });
+
+  it('only counts changes to the title, content and tags', () => {
+    const doc = Entry.hydrate({ ...entry, mood: 'happy' }); // as loaded from the database
+    doc.mood = 'sad';
+    assert.equal(hasVersionedChanges(doc), false);
+    doc.tags = ['work', 'ideas'];
+    assert.equal(hasVersionedChanges(doc), true);
+  });
+
+  it('coalesces automatic snapshots within the window, but not manual ones', async () => {
+    process.env.VERSION_COALESCE_WINDOW_SECONDS = '60';
+    mock.method(Version, 'exists', () => queryResult({ _id: 'recent' }));
+    mock.method(Version.prototype, 'save', async function () {
+      return this;
+    });
+
+    assert.equal(await recordVersion(entry, 'auto'), null);
+    const manual = await recordVersion(entry, 'manual');
+    assert.equal(manual.source, 'manual');
+    assert.equal(manual.content, 'Hello');
+    assert.deepEqual(manual.tags, ['work']);
+    assert.equal(Version.prototype.save.mock.callCount(), 1);
+  });
+
+  it('snapshots every write when the window is zero', async () => {
+    process.env.VERSION_COALESCE_WINDOW_SECONDS = '0';
+    mock.method(Version, 'exists', () => queryResult({ _id: 'recent' }));
+    mock.method(Version.prototype, 'save', async function () {
+      return this;
+    });
+
+    assert.ok(await recordVersion(entry, 'auto'));
+    assert.equal(Version.exists.mock.callCount(), 0);
+  });
+});
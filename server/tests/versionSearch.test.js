@@ -0,0 +1,111 @@
+// =================================================================
+// BATCHBOOK API | VERSION HISTORY SEARCH TESTS (tests/versionSearch.test.js)
+// =================================================================
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Entry from '../models/Entry.js';
+import Version from '../models/Version.js';
+import { buildVersionSearchFilter } from '../utils/entryFilters.js';
+import { searchEntries } from '../controllers/searchController.js';
+import { callController, queryResult } from './helpers.js';
+
+// Fail fast on any query that is not mocked below, instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+const userId = new mongoose.Types.ObjectId();
+const user = { _id: userId, id: userId.toString() };
+const id = () => new mongoose.Types.ObjectId();
+
+// Two entries: "Plans" mentions the launch now and in an old version, "Notes" only did before.
+const plans = { _id: id(), title: 'Plans', content: 'The launch is on Friday', updatedAt: new Date('2026-03-05') };
+const notes = { _id: id(), title: 'Notes', content: 'Nothing much', updatedAt: new Date('2026-03-06') };
+const version = (entry, content, score, createdAt) => ({
+  _id: id(),
+  entry: entry._id,
+  title: entry.title,
+  content,
+  source: 'auto',
+  pinned: false,
+  score,
+  createdAt: new Date(createdAt),
+});
+
+describe('version history search', () => {
+  beforeEach(() => {
+    mock.method(Entry, 'distinct', async () => [plans._id, notes._id]);
+    mock.method(Entry, 'aggregate', async () => [{ ...plans, score: 1.5 }]);
+    mock.method(Version, 'aggregate', async () => [
+      version(notes, 'Launch checklist', 2, '2026-03-01'),
+      version(plans, 'The launch is on Monday', 1.2, '2026-03-02'),
+    ]);
+    mock.method(Entry, 'find', () => queryResult([plans, notes]));
+  });
+  afterEach(() => mock.restoreAll());
+
+  const search = (query) => callController(searchEntries, { user, query: { history: 'true', ...query } });
+
+  it('groups current and past matches by entry, best match first', async () => {
+    const { res } = await search({ q: 'launch' });
+
+    assert.equal(res.statusCode, 200);
+    const [first, second] = res.body.results;
+    assert.equal(first.entry.title, 'Notes');
+    assert.equal(first.currentMatch, null);
+    assert.equal(first.totalVersionMatches, 1);
+    assert.equal(first.versions[0].highlights[0].field, 'content');
+
+    assert.equal(second.entry.title, 'Plans');
+    assert.equal(second.currentMatch.score, 1.5);
+    assert.equal(second.versions.length, 1);
+    assert.deepEqual(res.body.pagination, { page: 1, limit: 20, totalResults: 2, totalPages: 1, totalCapped: false });
+  });
+
+  it('searches both collections with the text index, by relevance', async () => {
+    await search({ q: 'launch' });
+    const [entryPipeline] = Entry.aggregate.mock.calls[0].arguments;
+    const [versionPipeline] = Version.aggregate.mock.calls[0].arguments;
+
+    assert.deepEqual(entryPipeline[0].$match.$text, { $search: 'launch' });
+    assert.deepEqual(versionPipeline[0].$match, { user: userId, entry: { $in: [plans._id, notes._id] }, $text: { $search: 'launch' }, encryption: null });
+    assert.deepEqual(versionPipeline[2], { $sort: { score: -1, createdAt: -1 } });
+  });
+
+  it('pages through the groups', async () => {
+    const { res } = await search({ q: 'launch', limit: '1', page: '2' });
+    assert.equal(res.body.results.length, 1);
+    assert.equal(res.body.results[0].entry.title, 'Plans');
+    assert.equal(res.body.pagination.totalPages, 2);
+  });
+
+  it('flags totals that stop at the cap on the hits considered', async () => {
+    mock.method(Version, 'aggregate', async () => Array.from({ length: 1000 }, () => version(notes, 'Launch checklist', 1, '2026-03-01')));
+    const { res } = await search({ q: 'launch' });
+    assert.equal(res.body.pagination.totalCapped, true);
+  });
+
+  it('requires a keyword query', async () => {
+    const { res, error } = await search({ tags: 'work' });
+    assert.equal(res.statusCode, 400);
+    assert.match(error.message, /requires a keyword query/);
+  });
+
+  describe('version filter', () => {
+    it('limits versions to the live entries matching the other filters', async () => {
+      const filter = await buildVersionSearchFilter({ q: 'launch', tags: 'work' }, { user });
+      const [, entryFilter] = Entry.distinct.mock.calls[0].arguments;
+      assert.deepEqual(entryFilter, { user: userId, deletedAt: null, tags: { $in: ['work', /^work\//] } });
+      assert.deepEqual(filter.entry, { $in: [plans._id, notes._id] });
+    });
+
+    it('applies entry operators to the entry each version belongs to', async () => {
+      const filter = await buildVersionSearchFilter({ q: 'launch mood:happy title:plans' }, { user });
+      const [moodCondition, titleCondition] = filter.$and;
+
+      assert.deepEqual(Entry.distinct.mock.calls[1].arguments[1], { user: userId, deletedAt: null, mood: 'happy' });
+      assert.deepEqual(moodCondition, { entry: { $in: [plans._id, notes._id] } });
+      assert.match('Old plans', titleCondition.title);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+// =================================================================
+// BATCHBOOK API | WRITING PROGRESS TESTS (tests/writingProgress.test.js)
+// =================================================================
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Entry from '../models/Entry.js';
+import User from '../models/User.js';
+import { isoWeekOf } from '../utils/timezone.js';
+import { computeStreaks, getGoalProgress, checkGoalsReached } from '../utils/writingProgress.js';
+import { updateGoals, getActivityHeatmap } from '../controllers/analyticsController.js';
+import { setSocketServer } from '../realtime/notifier.js';
+import { callController, queryResult } from './helpers.js';
+
+// Fail fast on any query that is not mocked below, instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+const userId = new mongoose.Types.ObjectId();
+// Wednesday 11 March 2026, 23:30 in New York (already Thursday in UTC)
+const now = new Date('2026-03-12T03:30:00Z');
+
+describe('ISO weeks', () => {
+  it('starts weeks on Monday and numbers them by the year of their Thursday', () => {
+    assert.deepEqual(isoWeekOf('2026-03-11'), { key: '2026-W11', start: '2026-03-09' });
+    assert.deepEqual(isoWeekOf('2026-01-01'), { key: '2026-W01', start: '2025-12-29' });
+    assert.deepEqual(isoWeekOf('2027-01-01'), { key: '2026-W53', start: '2026-12-28' });
+  });
+});
+
+describe('streaks', () => {
+  const dates = ['2026-03-01', '2026-03-02', '2026-03-03', '2026-03-09', '2026-03-10'];
+
+  it('keeps the current streak alive until a whole day passes without an entry', () => {
+    const { current, longest } = computeStreaks(dates, '2026-03-11');
+    assert.deepEqual(current, { length: 2, start: '2026-03-09', end: '2026-03-10' });
+    assert.deepEqual(longest, { length: 3, start: '2026-03-01', end: '2026-03-03' });
+
+    assert.equal(computeStreaks(dates, '2026-03-12').current.length, 0);
+    assert.equal(computeStreaks([], '2026-03-12').longest.length, 0);
+  });
+});
+
+describe('goals', () => {
+  let user;
+  let events;
+
+  beforeEach(() => {
+    user = User.hydrate({ _id: userId, timezone: 'America/New_York', goals: { entriesPerWeek: 3, wordsPerDay: 500 } });
+    events = [];
+    setSocketServer({ to: (room) => ({ emit: (event, payload) => events.push({ room, event, payload }) }) });
+    mock.method(Entry, 'aggregate', async () => [
+      { _id: '2026-03-09', entries: 2, words: 900 },
+      { _id: '2026-03-11', entries: 1, words: 200 },
+    ]);
+  });
+  afterEach(() => {
+    mock.restoreAll();
+    setSocketServer(null);
+  });
+
+  it('reports progress for the current day and week in the user time zone', async () => {
+    const { timeZone, progress } = await getGoalProgress(user, { now });
+
+    assert.equal(timeZone, 'America/New_York');
+    assert.deepEqual(progress.wordsPerDay, { date: '2026-03-11', target: 500, current: 200, met: false, remaining: 300 });
+    assert.deepEqual(progress.entriesPerWeek, { week: '2026-W11', weekStart: '2026-03-09', target: 3, current: 3, met: true, remaining: 0 });
+
+    const [{ $match }] = Entry.aggregate.mock.calls[0].arguments[0];
+    assert.deepEqual($match.createdAt, { $gte: new Date('2026-03-09T04:00:00Z'), $lt: new Date('2026-03-16T04:00:00Z') });
+  });
+
+  it('notifies the user once per period when a goal is reached', async () => {
+    mock.method(User, 'findById', () => queryResult(user));
+    mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    assert.deepEqual(await checkGoalsReached(userId, now), ['entriesPerWeek']);
+    assert.deepEqual(User.updateOne.mock.calls[0].arguments, [
+      { _id: userId, 'goalsReachedFor.entriesPerWeek': { $ne: '2026-W11' } },
+      { $set: { 'goalsReachedFor.entriesPerWeek': '2026-W11' } },
+    ]);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].room, `user:${userId}`);
+    assert.equal(events[0].event, 'goalReached');
+
+    // Another save in the same week has already been celebrated
+    mock.method(User, 'updateOne', async () => ({ modifiedCount: 0 }));
+    assert.deepEqual(await checkGoalsReached(userId, now), []);
+    assert.equal(events.length, 1);
+  });
+
+  it('sets and clears goals, rejecting anything but positive integers', async () => {
+    mock.method(user, 'save', async () => user);
+
+    const { res } = await callController(updateGoals, { user, body: { wordsPerDay: null, entriesPerWeek: 5 } });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.goals, { entriesPerWeek: 5, wordsPerDay: null });
+
+    const { res: rejected, error } = await callController(updateGoals, { user, body: { wordsPerDay: 2.5 } });
+    assert.equal(rejected.statusCode, 400);
+    assert.match(error.message, /wordsPerDay must be a positive integer/);
+  });
+});
+
+describe('activity heatmap', () => {
+  const user = { _id: userId, timezone: 'UTC' };
+
+  beforeEach(() => {
+    mock.method(Entry, 'aggregate', async () => [
+      { _id: '2026-03-01', entries: 2, words: 300 },
+      { _id: '2026-03-04', entries: 1, words: 800 },
+    ]);
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('lists the days with entries and the maxima to scale colours by', async () => {
+    const { res } = await callController(getActivityHeatmap, { user, query: { to: '2026-03-10' } });
+    assert.equal(res.body.from, '2025-03-11');
+    assert.equal(res.body.maxEntries, 2);
+    assert.equal(res.body.maxWords, 800);
+    assert.deepEqual(res.body.days[0], { date: '2026-03-01', entries: 2, words: 300 });
+  });
+
+  for (const [query, message] of [
+    [{ to: '2026-02-30' }, /Invalid to date/],
+    [{ from: '2026-03-11', to: '2026-03-10' }, /must not be after/],
+    [{ from: '2020-01-01', to: '2026-03-10' }, /at most 1830 days/],
+  ]) {
+    it(`rejects ${JSON.stringify(query)} with a 400`, async () => {
+      const { res, error } = await callController(getActivityHeatmap, { user, query });
+      assert.equal(res.statusCode, 400);
+      assert.match(error.message, message);
+    });
+  }
+});
@@ -0,0 +1,78 @@
+// =================================================================
+// BATCHBOOK API | ACCOUNT EMAILS (utils/accountEmails.js)
+// =================================================================
+
+import { sendMail } from '../mail/index.js';
+import getMailConfig from '../config/mail.js';
+import { issueUserToken } from './userTokens.js';
+
+// --- HELPER FUNCTIONS ---
+
+/**
+ * Builds a link into the web app carrying a token.
+ */
+const appLink = (pathname, token) => `${getMailConfig().appUrl}${pathname}?token=${encodeURIComponent(token)}`;
+
+/**
+ * Describes how long a link stays valid, e.g. "48 hours" or "60 minutes".
+ */
+const describeValidity = (expiresAt) => {
+  const minutes = Math.round((expiresAt - Date.now()) / 60000);
+  return minutes >= 120 ? `${Math.round(minutes / 60)} hours` : `${minutes} minutes`;
+};
+
+// --- MAIN EXPORT FUNCTIONS ---
+
+/**
+ * Sends a user a link to verify their (current) email address. The web app
+ * posts the link's token to `POST /api/auth/verify-email`.
+ *
+ * @param {object} user - The user document.
+ * @returns {Promise<{messageId: string}>}
+ */
+const sendVerificationEmail = async (user) => {
+  const { token, expiresAt } = await issueUserToken(user, 'emailVerification');
+  const link = appLink('/verify-email', token);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Please verify your email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Please confirm that this is your email address by opening the link below:',
+      '',
+      link,
+      '',
+      `The link is valid for ${describeValidity(expiresAt)}. If you did not sign up or change your email address, you can ignore this email.`,
+    ].join('\n'),
+  });
+};
+
+/**
+ * Sends a user a link to choose a new password. The web app posts the link's
+ * token with the new password to `POST /api/auth/reset-password`.
+ *
+ * @param {object} user - The user document.
+ * @returns {Promise<{messageId: string}>}
+ */
+const sendPasswordResetEmail = async (user) => {
+  const { token, expiresAt } = await issueUserToken(user, 'passwordReset');
+  const link = appLink('/reset-password', token);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Someone (hopefully you) asked to reset the password of your journal account. To choose a new password, open the link below:',
+      '',
+      link,
+      '',
+      `The link is valid for ${describeValidity(expiresAt)} and can be used once. If you did not ask for this, you can ignore this email; your password stays the same.`,
+    ].join('\n'),
+  });
+};
+
+export { sendVerificationEmail, sendPasswordResetEmail };
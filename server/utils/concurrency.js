@@ -0,0 +1,49 @@
+// =================================================================
+// BATCHBOOK API | OPTIMISTIC CONCURRENCY UTILITY (utils/concurrency.js)
+// =================================================================
+
+import HttpError from './httpError.js';
+
+/**
+ * Builds the ETag for an entry from its ID and revision number.
+ * @param {object} entry - An entry document.
+ * @returns {string} A strong ETag, e.g. `"64b0...:3"`.
+ */
+const entryETag = (entry) => `"${entry._id}:${entry.revision}"`;
+
+/**
+ * Checks an `If-Match` header against an entry's current ETag.
+ * A missing header or `*` always matches, so clients that don't send the
+ * header keep last-write-wins behavior.
+ *
+ * @param {string|undefined} header - The raw `If-Match` header value.
+ * @param {object} entry - The entry document as currently stored.
+ * @returns {boolean} True if the write may proceed.
+ */
+const matchesIfMatch = (header, entry) => {
+  if (!header || header.trim() === '*') return true;
+  const current = entryETag(entry);
+  // The header may carry a comma-separated list; weak validators (W/) are accepted too.
+  return header.split(',').some((tag) => tag.trim().replace(/^W\//, '') === current);
+};
+
+/**
+ * Raised when a conditional (optimistic concurrency) save of an entry matched
+ * no document, i.e. the entry changed (or disappeared) after it was loaded.
+ * Carries the 409 status the error handler responds with.
+ */
+class ConcurrentWriteError extends HttpError {
+  constructor(message = 'This record was modified by another request. Please reload it and try again.') {
+    super(409, message);
+    this.name = 'ConcurrentWriteError';
+  }
+}
+
+/**
+ * Checks whether an error is a `ConcurrentWriteError`.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isConcurrentWriteError = (error) => error instanceof ConcurrentWriteError;
+
+export { entryETag, matchesIfMatch, ConcurrentWriteError, isConcurrentWriteError };
@@ -0,0 +1,236 @@
+// =================================================================
+// BATCHBOOK API | RESURFACING & DIGEST UTILITY (utils/digests.js)
+// =================================================================
+
+/*
+ * "On this day" resurfacing and the weekly / monthly digests. Days, weeks
+ * (ISO weeks, starting on Monday) and months are calendar periods in the
+ * user's time zone.
+ */
+
+import mongoose from 'mongoose';
+import PDFDocument from 'pdfkit';
+import Entry from '../models/Entry.js';
+import { sendMail } from '../mail/index.js';
+import { summarizeEntries, addSummaryToPdf, TOP_TAG_COUNT } from './journalSummary.js';
+import { countEntryWords } from './wordCount.js';
+import { startOfDayInZone, formatDateInZone, addDays, nextDay, isoWeekOf } from './timezone.js';
+
+// --- CONSTANTS ---
+
+// The periods a digest can cover.
+const DIGEST_PERIODS = ['weekly', 'monthly'];
+
+// How far back "on this day" looks: the same day in earlier years, or in earlier months.
+const ON_THIS_DAY_SCOPES = ['years', 'months'];
+
+// The maximum number of entries returned by "on this day".
+const MAX_ON_THIS_DAY_ENTRIES = 100;
+
+// --- HELPER FUNCTIONS ---
+
+/**
+ * The days of the month an anniversary of `date` falls on. On the last day of
+ * a month, days the month doesn't have are included (Feb 29 entries resurface
+ * on Feb 28 in other years, the 31st on the 30th of shorter months).
+ */
+const anniversaryDays = (date) => {
+  const day = Number(date.slice(8, 10));
+  if (nextDay(date).slice(5, 7) === date.slice(5, 7)) return [day];
+  return Array.from({ length: 32 - day }, (_, index) => day + index);
+};
+
+/**
+ * Renders a PDF into a Buffer.
+ * @param {(doc: PDFDocument) => void} write - Writes the document's content.
+ * @returns {Promise<Buffer>}
+ */
+const renderPdf = (write) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 72 });
+    const buffers = [];
+    doc.on('data', (chunk) => buffers.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(buffers)));
+    doc.on('error', reject);
+    write(doc);
+    doc.end();
+  });
+
+// --- MAIN EXPORT FUNCTIONS ---
+
+/**
+ * Finds the entries written on the same calendar day in earlier years (or months).
+ *
+ * @param {string} userId - The owner of the entries.
+ * @param {object} options
+ * @param {string} options.date - The day to look back from (YYYY-MM-DD).
+ * @param {string} options.timeZone - The IANA time zone name.
+ * @param {string} [options.scope='years'] - 'years' or 'months'.
+ * @returns {Promise<Array<{ago: number, date: string, entries: Array<object>}>>} Groups, most recent first.
+ */
+const findOnThisDay = async (userId, { date, timeZone, scope = 'years' }) => {
+  // Compare the month and day (MM-DD) in earlier years, or the day (DD) in earlier months
+  const byYear = scope === 'years';
+  const dayKeys = anniversaryDays(date).map((day) => (byYear ? date.slice(5, 8) : '') + String(day).padStart(2, '0'));
+  const periodStart = byYear ? `${date.slice(0, 4)}-01-01` : `${date.slice(0, 7)}-01`;
+
+  const entries = await Entry.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(userId.toString()),
+        deletedAt: null,
+        createdAt: { $lt: startOfDayInZone(periodStart, timeZone) },
+      },
+    },
+    {
+      $addFields: {
+        day: { $dateToString: { date: '$createdAt', format: '%Y-%m-%d', timezone: timeZone } },
+      },
+    },
+    {
+      $match: {
+        $expr: {
+          $in: [{ $substrCP: ['$day', byYear ? 5 : 8, byYear ? 5 : 2] }, dayKeys],
+        },
+      },
+    },
+    { $sort: { createdAt: -1 } },
+    { $limit: MAX_ON_THIS_DAY_ENTRIES },
+    { $project: { title: 1, content: 1, encryption: 1, tags: 1, mood: 1, notebook: 1, createdAt: 1, day: 1 } },
+  ]);
+
+  const [year, month] = date.split('-').map(Number);
+  const groups = new Map();
+  for (const { day, ...entry } of entries) {
+    const [entryYear, entryMonth] = day.split('-').map(Number);
+    const ago = byYear ? year - entryYear : (year - entryYear) * 12 + (month - entryMonth);
+    if (!groups.has(ago)) groups.set(ago, { ago, date: day, entries: [] });
+    groups.get(ago).entries.push(entry);
+  }
+  return [...groups.values()];
+};
+
+/**
+ * Resolves the calendar period of a digest containing a date.
+ * @param {string} period - 'weekly' or 'monthly'.
+ * @param {string} date - A day inside the period (YYYY-MM-DD).
+ * @returns {{from: string, to: string, label: string}} The first and last day (inclusive) and a display label.
+ */
+const digestPeriod = (period, date) => {
+  if (period === 'weekly') {
+    const week = isoWeekOf(date);
+    return { from: week.start, to: addDays(week.start, 6), label: `Week ${week.key}` };
+  }
+
+  const from = `${date.slice(0, 7)}-01`;
+  const nextMonth = addDays(from, 31).slice(0, 7);
+  const label = new Intl.DateTimeFormat('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' }).format(new Date(from));
+  return { from, to: addDays(`${nextMonth}-01`, -1), label };
+};
+
+/**
+ * Builds the digest of a user's entries over a week or month: the statistics of
+ * the summary export, the top tags, and a list of the entries written (the titles
+ * of end-to-end encrypted entries stay ciphertext, with their `encryption`).
+ *
+ * @param {object} user - The user document.
+ * @param {object} options
+ * @param {string} options.period - 'weekly' or 'monthly'.
+ * @param {string} options.date - A day inside the period (YYYY-MM-DD).
+ * @param {string} options.timeZone - The IANA time zone name.
+ * @returns {Promise<object>} The digest.
+ */
+const buildDigest = async (user, { period, date, timeZone }) => {
+  const { from, to, label } = digestPeriod(period, date);
+
+  const entries = await Entry.find({
+    user: user._id,
+    deletedAt: null,
+    createdAt: { $gte: startOfDayInZone(from, timeZone), $lt: startOfDayInZone(nextDay(to), timeZone) },
+  })
+    .select('title content encryption wordCount tags mood notebook createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const { tags, ...summary } = summarizeEntries(entries);
+
+  return {
+    period,
+    label,
+    from,
+    to,
+    timeZone,
+    ...summary,
+    topTags: tags.slice(0, TOP_TAG_COUNT),
+    entries: entries.map(({ content, ...entry }) => ({ ...entry, wordCount: countEntryWords({ ...entry, content }) })),
+  };
+};
+
+/**
+ * Renders a digest as a PDF, with the same sections as the summary export.
+ * @param {object} digest - The result of `buildDigest`.
+ * @returns {Promise<Buffer>}
+ */
+const renderDigestPdf = (digest) =>
+  renderPdf((doc) => {
+    const title = digest.period === 'weekly' ? 'Weekly Journal Digest' : 'Monthly Journal Digest';
+    doc.fontSize(22).font('Helvetica-Bold').text(title, { align: 'center' });
+    doc.fontSize(12).font('Helvetica').text(`${digest.label} (${digest.from} to ${digest.to})`, { align: 'center', paragraphGap: 20 });
+
+    addSummaryToPdf(doc, { ...digest, tags: digest.topTags });
+    doc.moveDown(2);
+
+    doc.fontSize(14).font('Helvetica-Bold').text('Entries', { underline: true });
+    if (digest.entries.length > 0) {
+      digest.entries.forEach((entry) => {
+        const day = formatDateInZone(entry.createdAt, digest.timeZone);
+        const details = [`${entry.wordCount} words`, entry.mood].filter(Boolean).join(', ');
+        const title = entry.encryption ? '(end-to-end encrypted entry)' : entry.title;
+        doc.fontSize(12).font('Helvetica').text(`- ${day}: ${title} (${details})`);
+      });
+    } else {
+      doc.fontSize(12).font('Helvetica').text('No entries were written in this period.');
+    }
+  });
+
+/**
+ * Emails a digest to its user, with the PDF attached.
+ * @param {object} user - The user document (with `name` and `email`).
+ * @param {object} digest - The result of `buildDigest`.
+ * @returns {Promise<{messageId: string}>}
+ * @throws {Error} if the mail transport fails.
+ */
+const sendDigestEmail = async (user, digest) => {
+  const pdf = await renderDigestPdf(digest);
+  const topTags = digest.topTags.map(({ tag, count }) => `${tag} (${count})`).join(', ');
+
+  const text = [
+    `Hi ${user.name},`,
+    '',
+    `Here is your ${digest.period} journal digest for ${digest.label} (${digest.from} to ${digest.to}).`,
+    '',
+    `Entries written: ${digest.totalEntries}`,
+    `Words written: ${digest.totalWords}`,
+    ...(topTags ? [`Top tags: ${topTags}`] : []),
+    ...(digest.moodScore !== null ? [`Average mood score: ${digest.moodScore}`] : []),
+    '',
+    'The full digest is attached as a PDF.',
+  ].join('\n');
+
+  return sendMail({
+    to: user.email,
+    subject: `Your ${digest.period} journal digest: ${digest.label}`,
+    text,
+    attachments: [{ filename: `digest-${digest.from}.pdf`, content: pdf, contentType: 'application/pdf' }],
+  });
+};
+
+export {
+  DIGEST_PERIODS,
+  ON_THIS_DAY_SCOPES,
+  findOnThisDay,
+  digestPeriod,
+  buildDigest,
+  renderDigestPdf,
+  sendDigestEmail,
+};
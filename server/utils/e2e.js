@@ -0,0 +1,183 @@
+// =================================================================
+// BATCHBOOK API | END-TO-END ENCRYPTION UTILITY (utils/e2e.js)
+// =================================================================
+
+/*
+ * Server-side support for end-to-end encrypted entries. Clients encrypt the
+ * title and content themselves; the server stores the ciphertext with its
+ * key-wrapping metadata (`encryption` on the Entry model) and optional blind
+ * search tokens, and can never read them. Features that need the text either
+ * skip encrypted entries or refuse them with a 409 (see `assertNotEncrypted`).
+ */
+
+import HttpError from './httpError.js';
+
+// --- CONSTANTS ---
+
+// The key-wrapping metadata fields (see `encryptionSchema` in models/Entry.js).
+const ENCRYPTION_FIELDS = ['algorithm', 'keyId', 'wrappedKey', 'titleIv', 'contentIv'];
+// The fields that must hold Base64 (standard or URL-safe) data.
+const BASE64_FIELDS = ['wrappedKey', 'titleIv', 'contentIv'];
+const BASE64_PATTERN = /^[A-Za-z0-9+/_-]+={0,2}$/;
+
+// The longest accepted metadata value, and the limits on search tokens.
+const MAX_FIELD_LENGTH = 1024;
+const MAX_SEARCH_TOKENS = 5000;
+const SEARCH_TOKEN_PATTERN = /^[A-Za-z0-9+/_=-]{8,128}$/;
+
+// --- HELPER FUNCTIONS ---
+
+/**
+ * Creates the 400 error to throw for a malformed or disallowed request body.
+ */
+const badRequest = (message) => new HttpError(400, message);
+
+/**
+ * Validates key-wrapping metadata from a request body.
+ * @returns {object} The metadata, limited to the known fields.
+ */
+const parseEncryption = (encryption) => {
+  if (typeof encryption !== 'object' || Array.isArray(encryption)) {
+    throw badRequest(`encryption must be an object with ${ENCRYPTION_FIELDS.join(', ')}.`);
+  }
+  for (const field of ENCRYPTION_FIELDS) {
+    const value = encryption[field];
+    if (typeof value !== 'string' || !value || value.length > MAX_FIELD_LENGTH) {
+      throw badRequest(`encryption.${field} must be a non-empty string of at most ${MAX_FIELD_LENGTH} characters.`);
+    }
+    if (BASE64_FIELDS.includes(field) && !BASE64_PATTERN.test(value)) {
+      throw badRequest(`encryption.${field} must be Base64-encoded.`);
+    }
+  }
+  return Object.fromEntries(ENCRYPTION_FIELDS.map((field) => [field, encryption[field]]));
+};
+
+/**
+ * Reads the client-reported word count of an encrypted entry (0 when not given).
+ */
+const parseWordCount = (wordCount) => {
+  if (wordCount === undefined || wordCount === null) return 0;
+  if (!Number.isInteger(wordCount) || wordCount < 0) {
+    throw badRequest('wordCount must be a non-negative integer.');
+  }
+  return wordCount;
+};
+
+// --- MAIN EXPORT FUNCTIONS ---
+
+/**
+ * Checks whether an entry or version is end-to-end encrypted.
+ * @param {object} entry - An entry or version (document or plain object).
+ * @returns {boolean}
+ */
+const isEncrypted = (entry) => Boolean(entry?.encryption);
+
+/**
+ * Refuses a feature that needs the plaintext of an encrypted entry.
+ *
+ * @param {object} entry - The entry or version.
+ * @param {string} feature - What was attempted, e.g. "PDF export".
+ * @throws {HttpError} 409 if the entry is encrypted.
+ */
+const assertNotEncrypted = (entry, feature) => {
+  if (!isEncrypted(entry)) return;
+  throw new HttpError(
+    409,
+    `${feature} is not available for end-to-end encrypted entries, because the server cannot read them. ` +
+      'Decrypt the entry in a client that holds your key instead.'
+  );
+};
+
+/**
+ * Parses blind search tokens, given as an array or a comma-separated string.
+ * @param {Array<string>|string} tokens - The tokens.
+ * @returns {Array<string>} The distinct tokens.
+ * @throws {HttpError} 400 for malformed tokens.
+ */
+const parseSearchTokens = (tokens) => {
+  const list = Array.isArray(tokens) ? tokens : String(tokens).split(',');
+  const distinct = [...new Set(list.map((token) => String(token).trim()).filter(Boolean))];
+  if (distinct.length > MAX_SEARCH_TOKENS || !distinct.every((token) => SEARCH_TOKEN_PATTERN.test(token))) {
+    throw new HttpError(400, `Search tokens must be at most ${MAX_SEARCH_TOKENS} Base64 strings of 8 to 128 characters.`);
+  }
+  return distinct;
+};
+
+/**
+ * Reads the encryption fields for a new entry from a request body:
+ * `encryption`, `searchTokens` and `wordCount` (which the server cannot count).
+ * Users with end-to-end encryption enabled may only create encrypted entries.
+ *
+ * @param {object} body - The request body.
+ * @param {object} user - The logged-in user.
+ * @returns {object} The fields to set on the entry (empty for a plaintext entry).
+ * @throws {HttpError} 400 for malformed fields, or a plaintext entry from an end-to-end user.
+ */
+const readEncryptedFields = (body, user) => {
+  if (!body.encryption) {
+    if (user.e2e?.enabled) {
+      throw badRequest('End-to-end encryption is enabled for your account. Please encrypt the entry before saving it.');
+    }
+    return {};
+  }
+
+  return {
+    encryption: parseEncryption(body.encryption),
+    searchTokens: body.searchTokens === undefined ? [] : parseSearchTokens(body.searchTokens),
+    wordCount: parseWordCount(body.wordCount),
+  };
+};
+
+/**
+ * Reads the encryption fields for an update of an existing entry.
+ *
+ * - `encryption: {...}` (re)encrypts the entry; `title` and `content` must both
+ *   be sent as ciphertext made with the given IVs.
+ * - `encryption: null` turns an encrypted entry back into plaintext (not for
+ *   users with end-to-end encryption enabled); `title` and `content` must both be sent.
+ * - Without `encryption`, the text of an encrypted entry cannot change (new
+ *   ciphertext needs new IVs), but `searchTokens` and `wordCount` can.
+ *
+ * @param {object} body - The request body.
+ * @param {object} entry - The entry being updated.
+ * @param {object} user - The logged-in user.
+ * @returns {object} The fields to set on the entry.
+ * @throws {HttpError} 400 for malformed or inconsistent fields.
+ */
+const readEncryptedUpdate = (body, entry, user) => {
+  const changesText = Boolean(body.title || body.content);
+
+  if (body.encryption === undefined) {
+    if (changesText && isEncrypted(entry)) {
+      throw badRequest('This entry is end-to-end encrypted. Send its new encryption metadata with the new title and content.');
+    }
+    if (changesText && user.e2e?.enabled) {
+      throw badRequest('End-to-end encryption is enabled for your account. Please encrypt the entry before saving it.');
+    }
+    if (!isEncrypted(entry)) return {};
+
+    const fields = {};
+    if (body.searchTokens !== undefined) fields.searchTokens = parseSearchTokens(body.searchTokens);
+    if (body.wordCount !== undefined) fields.wordCount = parseWordCount(body.wordCount);
+    return fields;
+  }
+
+  if (!body.title || !body.content) {
+    throw badRequest('Please send both the title and the content when changing how an entry is encrypted.');
+  }
+  if (body.encryption === null) {
+    if (user.e2e?.enabled) {
+      throw badRequest('End-to-end encryption is enabled for your account, so entries cannot be stored in plaintext.');
+    }
+    return { encryption: null, searchTokens: undefined };
+  }
+  return readEncryptedFields(body, user);
+};
+
+export {
+  isEncrypted,
+  assertNotEncrypted,
+  parseSearchTokens,
+  readEncryptedFields,
+  readEncryptedUpdate,
+};
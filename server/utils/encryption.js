@@ -0,0 +1,185 @@
+// =================================================================
+// BATCHBOOK API | ENVELOPE ENCRYPTION SERVICE (utils/encryption.js)
+// =================================================================
+
+/*
+ * Encrypts values at rest with envelope encryption: each value is encrypted
+ * with its own random data key (AES-256-GCM), and the data key is encrypted
+ * ("wrapped") with a master key from the configuration. An encrypted value is
+ * a single string,
+ *
+ *   enc:v1:<keyId>:<wrapped data key>:<iv>:<auth tag>:<ciphertext>
+ *
+ * (Base64 parts), so it fits the String fields it replaces. Rotating the master
+ * key only re-wraps the data keys; the ciphertext itself is left untouched.
+ */
+
+import crypto from 'crypto';
+import getEncryptionConfig from '../config/encryption.js';
+
+// --- CONSTANTS ---
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const ENCRYPTED_VALUE_PATTERN = /^enc:v1:[A-Za-z0-9_-]+(?::[A-Za-z0-9+/]*={0,2}){4}$/;
+
+// --- HELPER FUNCTIONS ---
+
+/**
+ * Encrypts a buffer with AES-256-GCM.
+ * @returns {{iv: Buffer, tag: Buffer, ciphertext: Buffer}}
+ */
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv, { authTagLength: TAG_LENGTH });
+  if (aad) cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+};
+
+/**
+ * Decrypts and authenticates a buffer sealed with `seal`.
+ * @throws {Error} if the key is wrong or the data was tampered with.
+ */
+const open = (key, { iv, tag, ciphertext }, aad) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv, { authTagLength: TAG_LENGTH });
+  if (aad) decipher.setAAD(aad);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+/**
+ * Returns a master key by id.
+ * @throws {Error} if the key is not configured.
+ */
+const getMasterKey = (config, keyId) => {
+  const key = config.keys.get(keyId);
+  if (!key) {
+    throw new Error(`Encryption key "${keyId}" is not configured. Add it to ENCRYPTION_KEYS to read this data.`);
+  }
+  return key;
+};
+
+/**
+ * Wraps a data key with a master key. The key id is bound to the result, so
+ * a wrapped key cannot be passed off as belonging to another master key.
+ */
+const wrapDataKey = (config, keyId, dataKey) => {
+  const { iv, tag, ciphertext } = seal(getMasterKey(config, keyId), dataKey, Buffer.from(keyId));
+  return Buffer.concat([iv, tag, ciphertext]);
+};
+
+const unwrapDataKey = (config, keyId, wrappedKey) =>
+  open(
+    getMasterKey(config, keyId),
+    {
+      iv: wrappedKey.subarray(0, IV_LENGTH),
+      tag: wrappedKey.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH),
+      ciphertext: wrappedKey.subarray(IV_LENGTH + TAG_LENGTH),
+    },
+    Buffer.from(keyId)
+  );
+
+/**
+ * Splits an encrypted value into its parts.
+ */
+const parseValue = (value) => {
+  const [keyId, wrappedKey, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+  return {
+    keyId,
+    wrappedKey: Buffer.from(wrappedKey, 'base64'),
+    iv: Buffer.from(iv, 'base64'),
+    tag: Buffer.from(tag, 'base64'),
+    ciphertext: Buffer.from(ciphertext, 'base64'),
+  };
+};
+
+const formatValue = ({ keyId, wrappedKey, iv, tag, ciphertext }) =>
+  PREFIX + [keyId, ...[wrappedKey, iv, tag, ciphertext].map((part) => part.toString('base64'))].join(':');
+
+// --- MAIN EXPORT FUNCTIONS ---
+
+/**
+ * Checks whether encryption at rest is configured (ENCRYPTION_KEYS is set).
+ * @returns {boolean}
+ */
+const isEncryptionConfigured = () => getEncryptionConfig().keys.size > 0;
+
+/**
+ * Checks whether a stored value is encrypted by this service.
+ * @param {*} value - The stored value.
+ * @returns {boolean}
+ */
+const isEncryptedValue = (value) => typeof value === 'string' && ENCRYPTED_VALUE_PATTERN.test(value);
+
+/**
+ * Encrypts a string with a new data key, wrapped with the active master key.
+ * @param {string} plaintext - The value to encrypt.
+ * @returns {string} The encrypted value.
+ * @throws {Error} if no encryption keys are configured.
+ */
+const encryptValue = (plaintext) => {
+  const config = getEncryptionConfig();
+  if (!config.activeKeyId) {
+    throw new Error('Encryption at rest is not configured. Please set ENCRYPTION_KEYS.');
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  try {
+    const { iv, tag, ciphertext } = seal(dataKey, Buffer.from(String(plaintext), 'utf8'));
+    return formatValue({ keyId: config.activeKeyId, wrappedKey: wrapDataKey(config, config.activeKeyId, dataKey), iv, tag, ciphertext });
+  } finally {
+    dataKey.fill(0);
+  }
+};
+
+/**
+ * Decrypts a value encrypted with `encryptValue`. Other values (e.g. data
+ * stored before encryption was enabled) are returned unchanged.
+ * @param {*} value - The stored value.
+ * @returns {*} The plaintext.
+ * @throws {Error} if the value's master key is not configured or the value was tampered with.
+ */
+const decryptValue = (value) => {
+  if (!isEncryptedValue(value)) return value;
+
+  const config = getEncryptionConfig();
+  const parts = parseValue(value);
+  const dataKey = unwrapDataKey(config, parts.keyId, parts.wrappedKey);
+  try {
+    return open(dataKey, parts).toString('utf8');
+  } finally {
+    dataKey.fill(0);
+  }
+};
+
+/**
+ * Re-wraps the data key of an encrypted value with the active master key,
+ * leaving the ciphertext unchanged. Used to retire a master key.
+ * @param {string} value - The encrypted value.
+ * @returns {string} The value under the active master key.
+ */
+const rewrapValue = (value) => {
+  const config = getEncryptionConfig();
+  const parts = parseValue(value);
+  if (parts.keyId === config.activeKeyId) return value;
+
+  const dataKey = unwrapDataKey(config, parts.keyId, parts.wrappedKey);
+  try {
+    return formatValue({ ...parts, keyId: config.activeKeyId, wrappedKey: wrapDataKey(config, config.activeKeyId, dataKey) });
+  } finally {
+    dataKey.fill(0);
+  }
+};
+
+export {
+  PREFIX as ENCRYPTED_VALUE_PREFIX,
+  ENCRYPTED_VALUE_PATTERN,
+  isEncryptionConfigured,
+  isEncryptedValue,
+  encryptValue,
+  decryptValue,
+  rewrapValue,
+};
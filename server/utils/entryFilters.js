@@ -0,0 +1,212 @@
+// =================================================================
+// BATCHBOOK API | ENTRY FILTER HELPERS (utils/entryFilters.js)
+// =================================================================
+
+import mongoose from 'mongoose';
+import moment from 'moment';
+import Entry from '../models/Entry.js';
+import Notebook from '../models/Notebook.js';
+import { parseSearchQuery, compileSearchQuery } from './searchQuery.js';
+import { normalizeTag, tagCondition } from './tags.js';
+import { parseSearchTokens } from './e2e.js';
+import HttpError from './httpError.js';
+
+// The `notebook` query value that selects entries not filed in any notebook.
+const UNFILED = 'none';
+
+/**
+ * Adds a notebook constraint to an entry filter from the `notebook` and
+ * `includeDescendants` parameters (the request's query string by default).
+ *
+ * - `notebook=<id>` matches entries in that notebook and, unless
+ *   `includeDescendants=false`, in any notebook nested under it.
+ * - `notebook=none` matches entries that are not in any notebook.
+ *
+ * @param {object} filter - The Mongoose filter to extend (mutated in place).
+ * @param {object} req - The Express request object.
+ * @param {object} [params=req.query] - Where to read the parameters from.
+ * @returns {Promise<object>} The same filter.
+ * @throws {HttpError} 400 for a malformed ID, 404 for a notebook the user does not own.
+ */
+const applyNotebookFilter = async (filter, req, params = req.query) => {
+  const { notebook, includeDescendants } = params;
+  if (!notebook) return filter;
+
+  if (notebook === UNFILED) {
+    filter.notebook = null;
+    return filter;
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(notebook)) {
+    throw new HttpError(400, 'Invalid notebook ID.');
+  }
+
+  const exists = await Notebook.exists({ _id: notebook, user: req.user._id });
+  if (!exists) {
+    throw new HttpError(404, 'Notebook not found.');
+  }
+
+  // Cast explicitly: the filter may also be used in aggregations, which do not cast.
+  const notebookId = new mongoose.Types.ObjectId(notebook);
+  if (includeDescendants === 'false') {
+    filter.notebook = notebookId;
+  } else {
+    const descendantIds = await Notebook.findDescendantIds(req.user._id, notebookId);
+    filter.notebook = { $in: [notebookId, ...descendantIds] };
+  }
+  return filter;
+};
+
+/**
+ * Adds a tag constraint to an entry filter from a `tags` parameter: entries
+ * with at least one of the tags, or with a tag nested under one of them (e.g.
+ * `work` also matches `work/projecta/bugs`).
+ *
+ * @param {object} filter - The Mongoose filter to extend (mutated in place).
+ * @param {string|Array<string>} [tags] - The tags, comma-separated or as an array (e.g. in a JSON body).
+ * @returns {object} The same filter.
+ * @throws {HttpError} 400 if `tags` is neither a string nor an array of strings.
+ */
+const applyTagFilter = (filter, tags) => {
+  if (!tags) return filter;
+
+  const tagList = typeof tags === 'string' ? tags.split(',') : tags;
+  if (!Array.isArray(tagList) || !tagList.every((tag) => typeof tag === 'string')) {
+    throw new HttpError(400, 'Invalid tags. Please provide a comma-separated string or an array of tags.');
+  }
+  const tagArray = tagList.map(normalizeTag).filter(Boolean);
+  if (tagArray.length > 0) filter.tags = tagCondition(tagArray);
+  return filter;
+};
+
+/**
+ * Adds the keyword query `q` to a filter. `q` is written in the search query
+ * language (see `utils/searchQuery.js`), unless `exactMatch=true`, in which
+ * case it is matched as a single phrase. The text index is used where it can
+ * be; user input is always escaped. End-to-end encrypted entries (and versions)
+ * are excluded, since their text is ciphertext.
+ *
+ * @param {object} filter - The Mongoose filter to extend (mutated in place).
+ * @param {object} params - The search parameters.
+ * @param {object} req - The Express request object.
+ * @param {string} [target='entries'] - Whether the filter is for entries or versions.
+ * @returns {Promise<object>} The same filter.
+ * @throws {HttpError} 400 for a malformed query, or one that is not a string.
+ */
+const applyKeywordQuery = async (filter, params, req, target = 'entries') => {
+  const { q, exactMatch } = params;
+  if (!q) return filter;
+  if (typeof q !== 'string') {
+    throw new HttpError(400, 'Invalid query. Please provide q once, as a string.');
+  }
+
+  filter.encryption = null;
+  if (exactMatch === 'true') {
+    filter.$text = { $search: `"${q.replace(/"/g, '')}"` };
+    return filter;
+  }
+
+  const { textSearch, conditions } = await compileSearchQuery(parseSearchQuery(q), req, { target });
+  if (textSearch) filter.$text = { $search: textSearch };
+  if (conditions.length > 0) filter.$and = conditions;
+  return filter;
+};
+
+/**
+ * Restricts a filter to end-to-end encrypted entries carrying all of the given
+ * blind search tokens (comma-separated), which the client derives from its
+ * query words the same way it derived the entries' tokens.
+ *
+ * @param {object} filter - The Mongoose filter to extend (mutated in place).
+ * @param {string} [tokens] - The comma-separated search tokens.
+ * @returns {object} The same filter.
+ * @throws {HttpError} 400 for malformed tokens.
+ */
+const applySearchTokens = (filter, tokens) => {
+  if (!tokens) return filter;
+
+  const tokenList = parseSearchTokens(tokens);
+  if (tokenList.length > 0) {
+    filter.encryption = { $ne: null };
+    filter.searchTokens = { $all: tokenList };
+  }
+  return filter;
+};
+
+/**
+ * Builds the Mongoose filter for an entry search from the search parameters
+ * accepted by `searchEntries`: `q`, `exactMatch`, `tokens`, `tags`,
+ * `startDate`, `endDate`, `notebook` and `includeDescendants`. The filter is
+ * always scoped to the logged-in user's live (non-trashed) entries.
+ *
+ * `q` is written in the search query language (see `utils/searchQuery.js`),
+ * unless `exactMatch=true`, in which case it is matched as a single phrase.
+ * The separate parameters are still honoured and combine with it.
+ *
+ * `q` only searches plaintext entries; `tokens` searches end-to-end encrypted
+ * ones, so the two cannot be combined.
+ *
+ * @param {object} params - The search parameters (e.g. `req.query`).
+ * @param {object} req - The Express request object.
+ * @returns {Promise<object>} The Mongoose filter.
+ * @throws {HttpError} 400 for malformed queries, tokens, tags, dates or notebook IDs, 404 for an unknown notebook.
+ */
+const buildSearchFilter = async (params, req) => {
+  const { tags, tokens, startDate, endDate } = params;
+  const filter = { user: req.user._id, deletedAt: null }; // Base filter: always scope to the logged-in user's live entries
+
+  if (params.q && tokens) {
+    throw new HttpError(400, 'Keyword queries (q) search plaintext entries and tokens search encrypted ones; please send one or the other.');
+  }
+
+  // Keyword Search (a query language expression, or an exact phrase)
+  await applyKeywordQuery(filter, params, req);
+
+  // Blind Token Search (end-to-end encrypted entries)
+  applySearchTokens(filter, tokens);
+
+  // Tag Filtering (at least one of the tags, or a tag nested under one of them)
+  applyTagFilter(filter, tags);
+
+  // Date Range Filtering
+  if (startDate || endDate) {
+    filter.createdAt = {};
+    if (startDate) {
+      if (!moment(startDate, 'YYYY-MM-DD', true).isValid()) {
+        throw new HttpError(400, 'Invalid startDate format. Please use YYYY-MM-DD.');
+      }
+      filter.createdAt.$gte = moment(startDate).startOf('day').toDate();
+    }
+    if (endDate) {
+      if (!moment(endDate, 'YYYY-MM-DD', true).isValid()) {
+        throw new HttpError(400, 'Invalid endDate format. Please use YYYY-MM-DD.');
+      }
+      filter.createdAt.$lte = moment(endDate).endOf('day').toDate();
+    }
+  }
+
+  // Notebook Filtering (includes nested notebooks unless includeDescendants=false)
+  await applyNotebookFilter(filter, req, params);
+
+  return filter;
+};
+
+/**
+ * Builds the Mongoose filter for a search across version history: the Version
+ * documents whose snapshot matches the keyword query `q`, among the versions of
+ * the live entries matching the other search parameters (tags, dates, notebook).
+ *
+ * @param {object} params - The search parameters (e.g. `req.query`).
+ * @param {object} req - The Express request object.
+ * @returns {Promise<object>} The Mongoose filter for the Version collection.
+ * @throws {HttpError} As `buildSearchFilter`.
+ */
+const buildVersionSearchFilter = async (params, req) => {
+  const entryFilter = await buildSearchFilter({ ...params, q: undefined, tokens: undefined }, req);
+  const entryIds = await Entry.distinct('_id', entryFilter);
+
+  const filter = { user: req.user._id, entry: { $in: entryIds } };
+  return applyKeywordQuery(filter, params, req, 'versions');
+};
+
+export { applyNotebookFilter, applyTagFilter, buildSearchFilter, buildVersionSearchFilter };
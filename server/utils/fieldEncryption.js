@@ -0,0 +1,151 @@
+// =================================================================
+// BATCHBOOK API | FIELD ENCRYPTION PLUGIN (utils/fieldEncryption.js)
+// =================================================================
+
+/*
+ * A Mongoose plugin that transparently encrypts String fields at rest with
+ * the envelope encryption service (utils/encryption.js). Values are encrypted
+ * when a document is saved and decrypted when it is loaded, whether through a
+ * document query, a `.lean()` query or an aggregation returning the field at
+ * the top level, so the rest of the code only ever sees plaintext.
+ *
+ * Query updates (`updateOne`, `updateMany`, ...) bypass the plugin and store
+ * plaintext; the re-encryption job (jobs/reencryption.js) encrypts it later.
+ */
+
+import mongoose from 'mongoose';
+import { escapeRegExp } from './regex.js';
+import getEncryptionConfig from '../config/encryption.js';
+import {
+  ENCRYPTED_VALUE_PREFIX,
+  ENCRYPTED_VALUE_PATTERN,
+  isEncryptionConfigured,
+  isEncryptedValue,
+  encryptValue,
+  decryptValue,
+  rewrapValue,
+} from './encryption.js';
+
+// --- HELPER FUNCTIONS ---
+
+/**
+ * Reads a (possibly nested, e.g. `github.accessToken`) path of a plain object.
+ */
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((current, key) => current?.[key], object);
+  if (parent != null) parent[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Decrypts the encrypted fields of a raw (plain object) document in place.
+ */
+const decryptRaw = (raw, fields) => {
+  if (raw == null || typeof raw !== 'object' || raw instanceof mongoose.Document) return;
+  for (const field of fields) {
+    const value = getPath(raw, field);
+    if (isEncryptedValue(value)) setPath(raw, field, decryptValue(value));
+  }
+};
+
+/**
+ * Restores the plaintext a document held before `pre('save')` encrypted it.
+ */
+const restorePlaintext = (doc) => {
+  const plaintexts = doc.$locals.encryptedFieldPlaintexts;
+  if (!plaintexts) return;
+  delete doc.$locals.encryptedFieldPlaintexts;
+  for (const [field, value] of Object.entries(plaintexts)) {
+    doc.set(field, value);
+    doc.unmarkModified(field);
+  }
+};
+
+// --- PLUGIN ---
+
+/**
+ * Encrypts String fields of a schema at rest.
+ *
+ * Also adds the static `reencryptFields(limit)`, which brings up to `limit`
+ * stored values per field in line with the configuration: encrypted with the
+ * active master key while encryption is enabled (encrypting plaintext and
+ * re-wrapping values under retired keys), or decrypted once it is disabled.
+ * It returns the number of values it processed (0 when there is nothing left).
+ *
+ * @param {mongoose.Schema} schema - The schema.
+ * @param {object} options
+ * @param {Array<string>} options.fields - The paths to encrypt.
+ * @param {() => boolean} options.isEnabled - Whether new values should be encrypted.
+ */
+const encryptedFieldsPlugin = (schema, { fields, isEnabled }) => {
+  // Registered by the model after its other hooks, so that they see plaintext
+  schema.pre('save', function (next) {
+    if (!isEnabled()) return next();
+
+    const plaintexts = {};
+    for (const field of fields) {
+      const value = this.get(field);
+      if (typeof value === 'string' && (this.isNew || this.isModified(field)) && !isEncryptedValue(value)) {
+        plaintexts[field] = value;
+        this.set(field, encryptValue(value));
+      }
+    }
+    this.$locals.encryptedFieldPlaintexts = plaintexts;
+    next();
+  });
+
+  // Keep the saved document usable: callers go on to read and return it
+  schema.post('save', function (doc, next) {
+    restorePlaintext(doc);
+    next();
+  });
+  schema.post('save', function (error, doc, next) {
+    restorePlaintext(doc);
+    next(error);
+  });
+
+  schema.pre('init', function (raw) {
+    decryptRaw(raw, fields);
+  });
+
+  // Lean query results skip `init`; hydrated documents are already decrypted
+  schema.post(['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete', 'findOneAndReplace'], function (result) {
+    for (const raw of Array.isArray(result) ? result : [result]) decryptRaw(raw, fields);
+  });
+
+  schema.post('aggregate', function (results) {
+    for (const raw of results) decryptRaw(raw, fields);
+  });
+
+  schema.statics.reencryptFields = async function (limit) {
+    const enabled = isEnabled();
+    // Without keys, values encrypted earlier cannot be read, let alone decrypted
+    if (!isEncryptionConfigured()) return 0;
+
+    const activePrefix = new RegExp(`^${escapeRegExp(`${ENCRYPTED_VALUE_PREFIX}${getEncryptionConfig().activeKeyId}:`)}`);
+    let processed = 0;
+
+    for (const field of fields) {
+      // Raw collection access, so the stored values are read and written as they are
+      const filter = enabled
+        ? { [field]: { $type: 'string', $not: activePrefix } }
+        : { [field]: ENCRYPTED_VALUE_PATTERN };
+      const docs = await this.collection.find(filter, { projection: { [field]: 1 } }).limit(limit).toArray();
+      if (docs.length === 0) continue;
+
+      const operations = docs.map((doc) => {
+        const value = getPath(doc, field);
+        const target = !enabled ? decryptValue(value) : isEncryptedValue(value) ? rewrapValue(value) : encryptValue(value);
+        // Only if unchanged since it was read, so a concurrent save is not overwritten
+        return { updateOne: { filter: { _id: doc._id, [field]: value }, update: { $set: { [field]: target } } } };
+      });
+      await this.collection.bulkWrite(operations, { ordered: false });
+      processed += docs.length;
+    }
+    return processed;
+  };
+};
+
+export { encryptedFieldsPlugin };
@@ -0,0 +1,22 @@
+// =================================================================
+// BATCHBOOK API | HTTP ERROR (utils/httpError.js)
+// =================================================================
+
+/**
+ * An error carrying the HTTP status code the error handler responds with.
+ * Thrown by helpers that are not tied to a response (e.g. the entry filter
+ * builders), where controllers would set `res.status()` before throwing.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} statusCode - The HTTP status code, e.g. 400.
+   * @param {string} message - The error message sent to the client.
+   */
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+  }
+}
+
+export default HttpError;
@@ -0,0 +1,94 @@
+// =================================================================
+// BATCHBOOK API | JOURNAL SUMMARY UTILITY (utils/journalSummary.js)
+// =================================================================
+
+/*
+ * The statistics behind the summary export and the periodic digests, and the
+ * PDFKit sections that present them.
+ */
+
+import { averageMoodScore } from './moodAnalytics.js';
+import { countEntryWords } from './wordCount.js';
+
+// The number of tags listed in a summary.
+const TOP_TAG_COUNT = 10;
+
+/**
+ * Lists a `{ value: count }` tally as `{ [key]: value, count }` objects by descending count.
+ * @returns {Array<object>}
+ */
+const sortByCount = (tally, key) =>
+  Object.entries(tally)
+    .sort((a, b) => b[1] - a[1])
+    .map(([value, count]) => ({ [key]: value, count }));
+
+/**
+ * Computes word, tag and mood statistics for a set of entries.
+ * Word counts of end-to-end encrypted entries are the ones reported by the client.
+ * @param {Array<object>} entries - The entries to summarize.
+ * @returns {{totalEntries: number, totalWords: number, averageWords: number, encryptedEntries: number, tags: Array<{tag: string, count: number}>, moods: Array<{mood: string, count: number}>, moodScore: number|null}}
+ */
+const summarizeEntries = (entries) => {
+  let totalWords = 0;
+  let encryptedEntries = 0;
+  const tagFrequency = {};
+  const moodFrequency = {};
+  entries.forEach((entry) => {
+    totalWords += countEntryWords(entry);
+    (entry.tags || []).forEach((tag) => {
+      tagFrequency[tag] = (tagFrequency[tag] || 0) + 1;
+    });
+    if (entry.mood) {
+      moodFrequency[entry.mood] = (moodFrequency[entry.mood] || 0) + 1;
+    }
+    if (entry.encryption) encryptedEntries += 1;
+  });
+
+  return {
+    totalEntries: entries.length,
+    totalWords,
+    averageWords: entries.length > 0 ? Math.round(totalWords / entries.length) : 0,
+    encryptedEntries,
+    tags: sortByCount(tagFrequency, 'tag'),
+    moods: sortByCount(moodFrequency, 'mood'),
+    moodScore: averageMoodScore(moodFrequency),
+  };
+};
+
+/**
+ * Writes the statistics, top tags and mood overview sections of a summary to a PDF.
+ * @param {PDFDocument} doc - The pdfkit document instance.
+ * @param {object} summary - The result of `summarizeEntries`.
+ */
+const addSummaryToPdf = (doc, summary) => {
+  doc.fontSize(14).font('Helvetica-Bold').text('Overall Statistics', { underline: true });
+  doc.fontSize(12).font('Helvetica').text(`Total Entries: ${summary.totalEntries}`);
+  doc.text(`Total Words Written: ${summary.totalWords}`);
+  doc.text(`Average Words Per Entry: ${summary.averageWords}`);
+  if (summary.encryptedEntries > 0) {
+    doc.text(`End-to-End Encrypted Entries: ${summary.encryptedEntries} (word counts as reported by your devices)`);
+  }
+  doc.moveDown(2);
+
+  doc.fontSize(14).font('Helvetica-Bold').text('Most Used Tags', { underline: true });
+  if (summary.tags.length > 0) {
+    summary.tags.slice(0, TOP_TAG_COUNT).forEach(({ tag, count }) => {
+      doc.fontSize(12).font('Helvetica').text(`- ${tag} (${count} times)`);
+    });
+  } else {
+    doc.fontSize(12).font('Helvetica').text('No tags have been used yet.');
+  }
+  doc.moveDown(2);
+
+  doc.fontSize(14).font('Helvetica-Bold').text('Mood Overview', { underline: true });
+  if (summary.moods.length > 0) {
+    summary.moods.forEach(({ mood, count }) => {
+      doc.fontSize(12).font('Helvetica').text(`- ${mood} (${count} entries)`);
+    });
+    doc.text(`Average Mood Score: ${summary.moodScore} (from -1, all negative, to 1, all positive)`);
+  } else {
+    doc.fontSize(12).font('Helvetica').text('No moods have been recorded yet.');
+  }
+};
+
+export { TOP_TAG_COUNT, summarizeEntries, addSummaryToPdf };
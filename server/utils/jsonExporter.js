@@ -6,16 +6,19 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import moment from 'moment';
+import { isEncrypted } from './e2e.js';
 
 /**
  * A helper function to sanitize a journal entry for export,
- * removing internal or unnecessary fields.
+ * removing internal or unnecessary fields. End-to-end encrypted entries keep
+ * their key-wrapping metadata so that the export can be decrypted.
  * @param {object} entry - A Mongoose entry document.
  * @returns {object} A clean entry object suitable for export.
  */
 const sanitizeEntry = (entry) => ({
   title: entry.title,
   content: entry.content,
+  ...(isEncrypted(entry) ? { encryption: entry.encryption, wordCount: entry.wordCount } : {}),
   mood: entry.mood,
   tags: entry.tags,
   createdAt: entry.createdAt,
@@ -69,4 +72,4 @@ const exportEntriesToJSON = async (entries, user) => {
   }
 };
 
-export { exportEntriesToJSON };
+export { sanitizeEntry, exportEntriesToJSON };
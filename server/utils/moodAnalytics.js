@@ -0,0 +1,71 @@
+// =================================================================
+// BATCHBOOK API | MOOD ANALYTICS UTILITY (utils/moodAnalytics.js)
+// =================================================================
+
+import { nextDay } from './timezone.js';
+
+// --- CONSTANTS ---
+
+// How positive or negative each mood is, for averages and runs.
+const MOOD_SCORES = {
+  happy: 1,
+  excited: 1,
+  grateful: 1,
+  neutral: 0,
+  other: 0,
+  sad: -1,
+  angry: -1,
+  anxious: -1,
+  tired: -1,
+};
+
+// --- HELPER FUNCTIONS ---
+
+/**
+ * Averages the mood scores of a set of mood counts. Counts for anything other
+ * than a mood (e.g. entries without one, grouped under `null`) are ignored.
+ * @param {object} counts - Entry counts keyed by mood, e.g. `{ happy: 2, sad: 1 }`.
+ * @returns {number|null} The average score in [-1, 1], rounded to two decimals, or null without entries.
+ */
+const averageMoodScore = (counts) => {
+  let total = 0;
+  let sum = 0;
+  for (const [mood, count] of Object.entries(counts)) {
+    if (!(mood in MOOD_SCORES)) continue;
+    total += count;
+    sum += MOOD_SCORES[mood] * count;
+  }
+  return total > 0 ? Math.round((sum / total) * 100) / 100 : null;
+};
+
+/**
+ * Finds the longest runs of consecutive positive and negative days, and the
+ * run the most recent day belongs to. A day is positive or negative by the
+ * average score of its entries; a day without entries ends a run.
+ *
+ * @param {Array<{date: string, score: number}>} days - Days (YYYY-MM-DD) in ascending order.
+ * @returns {{longestPositive: object|null, longestNegative: object|null, current: object|null}}
+ *   Runs as `{ valence, length, start, end }`.
+ */
+const findMoodRuns = (days) => {
+  const longest = { positive: null, negative: null };
+  let run = null;
+
+  for (const { date, score } of days) {
+    const valence = score > 0 ? 'positive' : score < 0 ? 'negative' : 'neutral';
+    const continues = run && run.valence === valence && nextDay(run.end) === date;
+    run = continues ? { ...run, length: run.length + 1, end: date } : { valence, length: 1, start: date, end: date };
+
+    if (valence !== 'neutral' && (!longest[valence] || run.length > longest[valence].length)) {
+      longest[valence] = run;
+    }
+  }
+
+  return {
+    longestPositive: longest.positive,
+    longestNegative: longest.negative,
+    current: run,
+  };
+};
+
+export { MOOD_SCORES, averageMoodScore, findMoodRuns };
@@ -0,0 +1,219 @@
+// =================================================================
+// BATCHBOOK API | CURSOR PAGINATION UTILITY (utils/pagination.js)
+// =================================================================
+
+import mongoose from 'mongoose';
+import Entry from '../models/Entry.js';
+
+// --- CONSTANTS ---
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// The fields entries can be sorted by, mapped to how cursor values are revived.
+const SORT_FIELDS = {
+  createdAt: (value) => new Date(value),
+  updatedAt: (value) => new Date(value),
+  title: (value) => value,
+  wordCount: (value) => value,
+};
+
+// Sorting by relevance (text score) is available, and the default, for keyword searches.
+const RELEVANCE = 'relevance';
+
+// How cursor values are revived, including the computed relevance `score`.
+const CURSOR_FIELDS = { ...SORT_FIELDS, score: (value) => value };
+
+// The entry fields a client may select with `fields`. `_id` is always returned.
+const SELECTABLE_FIELDS = [
+  'user',
+  'title',
+  'content',
+  'mood',
+  'tags',
+  'wordCount',
+  'revision',
+  'attachments',
+  'notebook',
+  'encryption',
+  'createdAt',
+  'updatedAt',
+];
+
+// --- HELPER FUNCTIONS ---
+
+/**
+ * Encodes the position after a document as an opaque cursor string.
+ * @param {object} doc - The last document of the current page.
+ * @param {string} sortField - The field the listing is sorted by.
+ * @returns {string}
+ */
+const encodeCursor = (doc, sortField) =>
+  Buffer.from(JSON.stringify({ v: doc[sortField] ?? null, id: doc._id })).toString('base64url');
+
+/**
+ * Decodes a cursor produced by `encodeCursor`.
+ * @returns {{value: any, id: object}|null} The position, or null if the cursor is malformed.
+ */
+const decodeCursor = (cursor, sortField) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return { value: v === null ? null : CURSOR_FIELDS[sortField](v), id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Builds the condition selecting documents strictly after a cursor position,
+ * using `_id` to break ties between equal sort values. Documents without a
+ * value for the sort field sort before every other value in MongoDB.
+ */
+const afterCursor = (sortField, direction, { value, id }) => {
+  const idComparison = { [direction === 1 ? '$gt' : '$lt']: id };
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [sortField]: null, _id: idComparison }, { [sortField]: { $ne: null } }] }
+      : { [sortField]: null, _id: idComparison };
+  }
+
+  return {
+    $or: [
+      { [sortField]: { [direction === 1 ? '$gt' : '$lt']: value } },
+      { [sortField]: value, _id: idComparison },
+    ],
+  };
+};
+
+/**
+ * Parses the `fields` parameter into a projection. Either list fields to
+ * include (`fields=title,tags`) or prefix them with `-` to exclude them
+ * (`fields=-content,-attachments`), but not both. A repeated parameter
+ * (`fields=title&fields=tags`) is read as one list.
+ *
+ * @returns {object|null} A Mongoose projection, or null to return all fields.
+ */
+const parseFields = (fields, sortField, res) => {
+  if (!fields) return null;
+
+  const list = Array.isArray(fields) ? fields : [fields];
+  if (!list.every((field) => typeof field === 'string')) {
+    res.status(400);
+    throw new Error('Invalid fields. Please provide a comma-separated list of field names.');
+  }
+  const names = list.join(',').split(',').map((field) => field.trim()).filter(Boolean);
+  const excluded = names.filter((name) => name.startsWith('-')).map((name) => name.slice(1));
+  const included = names.filter((name) => !name.startsWith('-'));
+
+  const unknown = [...excluded, ...included].filter((name) => !SELECTABLE_FIELDS.includes(name));
+  if (unknown.length > 0) {
+    res.status(400);
+    throw new Error(`Unknown field(s): ${unknown.join(', ')}. Selectable fields are ${SELECTABLE_FIELDS.join(', ')}.`);
+  }
+  if (excluded.length > 0 && included.length > 0) {
+    res.status(400);
+    throw new Error('The fields parameter cannot mix included and excluded (-) fields.');
+  }
+  if (excluded.includes(sortField)) {
+    res.status(400);
+    throw new Error(`The sort field "${sortField}" cannot be excluded.`);
+  }
+
+  if (excluded.length > 0) {
+    return Object.fromEntries(excluded.map((name) => [name, 0]));
+  }
+  // The sort field is always needed to build the next cursor.
+  return Object.fromEntries([...new Set([...included, sortField])].map((name) => [name, 1]));
+};
+
+// --- MAIN EXPORT FUNCTION ---
+
+/**
+ * Fetches one page of entries matching a filter, using stable cursor-based
+ * pagination. Shared by the entry listing and search so that both accept the
+ * same parameters and return the same metadata.
+ *
+ * Parameters (from `params`, usually `req.query`):
+ * - `limit`: page size (default 20, max 100).
+ * - `sort`: createdAt | updatedAt | title | wordCount, or relevance for text
+ *   searches (default relevance when the filter has a `$text` clause, else createdAt).
+ * - `order`: asc | desc (default desc).
+ * - `cursor`: the `nextCursor` of the previous page.
+ * - `fields`: sparse field selection, e.g. `title,tags` or `-content`.
+ *
+ * Results sorted by relevance are plain objects carrying their text `score`;
+ * otherwise they are Mongoose documents.
+ *
+ * @param {object} filter - The Mongoose filter for the entries.
+ * @param {object} params - The pagination parameters.
+ * @param {object} res - The Express response object (for error status codes).
+ * @returns {Promise<{entries: Array<object>, pagination: object}>}
+ */
+const paginateEntries = async (filter, params, res) => {
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const isTextSearch = Boolean(filter.$text);
+  const sortField = params.sort || (isTextSearch ? RELEVANCE : 'createdAt');
+  const order = params.order || 'desc';
+
+  if (sortField === RELEVANCE && !isTextSearch) {
+    res.status(400);
+    throw new Error('Sorting by relevance requires a search query.');
+  }
+  if (sortField !== RELEVANCE && !SORT_FIELDS[sortField]) {
+    res.status(400);
+    throw new Error(`Invalid sort field. Must be one of ${[...Object.keys(SORT_FIELDS), RELEVANCE].join(', ')}.`);
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    res.status(400);
+    throw new Error('Invalid order. Must be asc or desc.');
+  }
+  const direction = order === 'asc' ? 1 : -1;
+  // Relevance pages are keyed on the computed text score
+  const cursorField = sortField === RELEVANCE ? 'score' : sortField;
+  const projection = parseFields(params.fields, cursorField, res);
+
+  let position = null;
+  if (params.cursor) {
+    position = decodeCursor(params.cursor, cursorField);
+    if (!position) {
+      res.status(400);
+      throw new Error('Invalid cursor.');
+    }
+  }
+
+  const totalResults = await Entry.countDocuments(filter);
+  let docs;
+
+  if (sortField === RELEVANCE) {
+    // The text score only exists inside the query, so page through it with an aggregation
+    const pipeline = [{ $match: filter }, { $addFields: { score: { $meta: 'textScore' } } }];
+    if (position) pipeline.push({ $match: afterCursor('score', direction, position) });
+    pipeline.push({ $sort: { score: direction, _id: direction } }, { $limit: limit + 1 });
+    if (projection) pipeline.push({ $project: projection });
+    docs = await Entry.aggregate(pipeline);
+  } else {
+    const pageFilter = position ? { $and: [filter, afterCursor(sortField, direction, position)] } : filter;
+    docs = await Entry.find(pageFilter, projection)
+      .sort({ [sortField]: direction, _id: direction })
+      .limit(limit + 1);
+  }
+
+  const hasMore = docs.length > limit;
+  const entries = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    entries,
+    pagination: {
+      limit,
+      sort: sortField,
+      order,
+      totalResults,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(entries[entries.length - 1], cursorField) : null,
+    },
+  };
+};
+
+export { paginateEntries };
@@ -0,0 +1,67 @@
+// =================================================================
+// BATCHBOOK API | BUILT-IN JOURNALING PROMPTS (utils/prompts.js)
+// =================================================================
+
+import { DEFAULT_TIMEZONE, formatDateInZone } from './timezone.js';
+
+/**
+ * The built-in prompt library, grouped by category.
+ */
+const PROMPT_LIBRARY = {
+  reflection: [
+    'What is one thing you learned today?',
+    'What drained your energy today, and what restored it?',
+    'Which decision from this week would you make differently?',
+    'What are you avoiding, and why?',
+    'Describe a moment today when you felt fully focused.',
+    'What would make tomorrow a good day?',
+    'What is something you changed your mind about recently?',
+  ],
+  gratitude: [
+    'List three things you are grateful for today.',
+    'Who made your day better, and how?',
+    'What small comfort did you enjoy today?',
+    'What is something you usually take for granted?',
+    'Which recent challenge are you thankful for in hindsight?',
+  ],
+  work: [
+    'What did you ship or finish today?',
+    'What is blocking you right now?',
+    'What is the most important task for tomorrow?',
+    'What did you learn from a teammate this week?',
+    'Which meeting could have been an email, and what would you change?',
+  ],
+  retro: [
+    'What went well this week?',
+    'What did not go well this week?',
+    'What will you try differently next week?',
+    'Which goal moved forward the most, and which stalled?',
+  ],
+};
+
+const PROMPT_CATEGORIES = Object.keys(PROMPT_LIBRARY);
+
+/**
+ * Returns the prompt of the day for a category. Prompts rotate once per
+ * calendar day, so every call on the same day returns the same prompt.
+ *
+ * @param {string} [category] - A category from the library; all prompts are used if omitted.
+ * @param {Date} [date=new Date()] - The day to pick a prompt for.
+ * @param {string} [timeZone='UTC'] - The IANA time zone whose calendar day counts.
+ * @returns {{category: string|null, prompt: string, date: string}|null} Null for an unknown category.
+ */
+const getDailyPrompt = (category, date = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+  if (category && !PROMPT_LIBRARY[category]) return null;
+
+  const prompts = category ? PROMPT_LIBRARY[category] : PROMPT_CATEGORIES.flatMap((key) => PROMPT_LIBRARY[key]);
+  const day = formatDateInZone(date, timeZone);
+  const dayNumber = Date.parse(day) / (24 * 60 * 60 * 1000);
+
+  return {
+    category: category || null,
+    prompt: prompts[dayNumber % prompts.length],
+    date: day,
+  };
+};
+
+export { PROMPT_LIBRARY, PROMPT_CATEGORIES, getDailyPrompt };
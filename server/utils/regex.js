@@ -0,0 +1,13 @@
+// =================================================================
+// BATCHBOOK API | REGULAR EXPRESSION UTILITY (utils/regex.js)
+// =================================================================
+
+/**
+ * Escapes the characters with a special meaning in regular expressions, so
+ * that user input can be matched literally.
+ * @param {string} text - The text to escape.
+ * @returns {string}
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export { escapeRegExp };
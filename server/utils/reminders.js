@@ -0,0 +1,90 @@
+// =================================================================
+// BATCHBOOK API | JOURNALING REMINDERS UTILITY (utils/reminders.js)
+// =================================================================
+
+/*
+ * Reminder schedules. Each user with reminders enabled has one pending
+ * `reminder` job (see jobs/reminders.js) due at their next reminder time; the
+ * job reschedules itself after every run, and `syncReminderJob` replaces it
+ * whenever the user's settings change.
+ */
+
+import Entry from '../models/Entry.js';
+import { scheduleJob, cancelJob } from '../jobs/scheduler.js';
+import { DEFAULT_TIMEZONE, startOfDayInZone, dateTimeInZone, formatDateInZone, addDays, nextDay, isoWeekday } from './timezone.js';
+
+// --- CONSTANTS ---
+
+// The job type that sends reminders.
+const REMINDER_JOB = 'reminder';
+
+// --- HELPER FUNCTIONS ---
+
+/**
+ * The key of a user's reminder job, so that there is at most one per user.
+ * @param {string} userId - The user's ID.
+ * @returns {string}
+ */
+const reminderJobKey = (userId) => `${REMINDER_JOB}:${userId}`;
+
+// --- MAIN EXPORT FUNCTIONS ---
+
+/**
+ * Finds the next reminder time after an instant.
+ * @param {object} reminders - The user's `reminders` settings.
+ * @param {string} timeZone - The IANA time zone the times are in.
+ * @param {Date} [after=new Date()] - The instant to look from.
+ * @returns {Date|null} The next reminder, or null when reminders are off or have no times.
+ */
+const nextReminderAt = (reminders, timeZone, after = new Date()) => {
+  if (!reminders?.enabled || !reminders.times?.length) return null;
+
+  const times = [...reminders.times].sort();
+  const today = formatDateInZone(after, timeZone);
+  // A week ahead, plus a day in case today's times have passed
+  for (let offset = 0; offset <= 7; offset += 1) {
+    const date = addDays(today, offset);
+    if (reminders.days?.length && !reminders.days.includes(isoWeekday(date))) continue;
+    for (const time of times) {
+      const at = dateTimeInZone(date, time, timeZone);
+      if (at > after) return at;
+    }
+  }
+  return null;
+};
+
+/**
+ * Checks whether a user wrote an entry (still live) on a calendar day.
+ * @param {string} userId - The user's ID.
+ * @param {string} date - The day (YYYY-MM-DD).
+ * @param {string} timeZone - The IANA time zone name.
+ * @returns {Promise<boolean>}
+ */
+const hasWrittenOn = async (userId, date, timeZone) => {
+  const entry = await Entry.exists({
+    user: userId,
+    deletedAt: null,
+    createdAt: { $gte: startOfDayInZone(date, timeZone), $lt: startOfDayInZone(nextDay(date), timeZone) },
+  });
+  return Boolean(entry);
+};
+
+/**
+ * Schedules a user's next reminder, or cancels the pending one when reminders
+ * are off. Call after the user's reminders or time zone change.
+ * @param {object} user - The user document (with `reminders` and `timezone`).
+ * @returns {Promise<Date|null>} The next reminder time, if any.
+ */
+const syncReminderJob = async (user) => {
+  const key = reminderJobKey(user._id);
+  const runAt = nextReminderAt(user.reminders, user.timezone || DEFAULT_TIMEZONE);
+
+  if (!runAt) {
+    await cancelJob(key);
+    return null;
+  }
+  await scheduleJob(REMINDER_JOB, runAt, { userId: user._id.toString() }, { key });
+  return runAt;
+};
+
+export { REMINDER_JOB, nextReminderAt, hasWrittenOn, syncReminderJob };
@@ -0,0 +1,72 @@
+// =================================================================
+// BATCHBOOK API | SAVED SEARCH HELPERS (utils/savedSearches.js)
+// =================================================================
+
+import mongoose from 'mongoose';
+import Entry from '../models/Entry.js';
+import SavedSearch from '../models/SavedSearch.js';
+import { buildSearchFilter } from './entryFilters.js';
+import HttpError from './httpError.js';
+
+/**
+ * Loads one of the logged-in user's saved searches.
+ *
+ * @param {string} id - The saved search ID.
+ * @param {object} req - The Express request object.
+ * @returns {Promise<object>} The SavedSearch document.
+ * @throws {HttpError} 400 for a malformed ID, 404 for a search the user does not own.
+ */
+const findSavedSearch = async (id, req) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new HttpError(400, 'Invalid saved search ID.');
+  }
+
+  const savedSearch = await SavedSearch.findOne({ _id: id, user: req.user._id });
+  if (!savedSearch) {
+    throw new HttpError(404, 'Saved search not found.');
+  }
+  return savedSearch;
+};
+
+/**
+ * Builds the entry filter for a saved search.
+ * @returns {Promise<object>} The Mongoose filter.
+ * @throws {HttpError} As `buildSearchFilter`, e.g. 404 if its notebook has since been deleted.
+ */
+const savedSearchFilter = (savedSearch, req) => buildSearchFilter(savedSearch.toSearchParams(), req);
+
+/**
+ * Counts the entries currently matching a saved search. A search that can no
+ * longer be evaluated (e.g. its notebook was deleted) gets a null count and the
+ * reason in `error`, so that one stale search does not fail a whole listing.
+ *
+ * @param {object} savedSearch - The SavedSearch document.
+ * @param {object} req - The Express request object.
+ * @returns {Promise<{count: number|null, error?: string}>}
+ */
+const countSavedSearch = async (savedSearch, req) => {
+  try {
+    const filter = await savedSearchFilter(savedSearch, req);
+    return { count: await Entry.countDocuments(filter) };
+  } catch (error) {
+    return { count: null, error: error.message };
+  }
+};
+
+/**
+ * Lists the user's pinned saved searches ("smart collections") with live entry counts.
+ * @param {object} req - The Express request object.
+ * @returns {Promise<Array<{_id: string, name: string, count: number|null, error?: string}>>}
+ */
+const getSmartCollections = async (req) => {
+  const pinned = await SavedSearch.find({ user: req.user._id, pinned: true }).sort({ name: 1 });
+  return Promise.all(
+    pinned.map(async (savedSearch) => ({
+      _id: savedSearch._id,
+      name: savedSearch.name,
+      ...(await countSavedSearch(savedSearch, req)),
+    }))
+  );
+};
+
+export { findSavedSearch, savedSearchFilter, countSavedSearch, getSmartCollections };
@@ -0,0 +1,164 @@
+// =================================================================
+// BATCHBOOK API | SEARCH HIGHLIGHTER UTILITY (utils/searchHighlighter.js)
+// =================================================================
+
+import { parseSearchQuery } from './searchQuery.js';
+import { escapeRegExp } from './regex.js';
+
+// --- CONSTANTS ---
+
+// Characters of context shown on each side of a match in a snippet.
+const SNIPPET_CONTEXT = 60;
+// The maximum number of content snippets returned per entry.
+const MAX_CONTENT_SNIPPETS = 3;
+// Suffixes stripped to approximate the stemming done by the text index,
+// so that a search for "running" also highlights "runs".
+const SUFFIXES = ['ingly', 'edly', 'ing', 'ies', 'ied', 'ed', 'es', 'ly', 's'];
+
+// --- HELPER FUNCTIONS ---
+
+/**
+ * Reduces a word to a rough stem by removing one common English suffix.
+ * @param {string} word - A lowercase word.
+ * @returns {string}
+ */
+const stem = (word) => {
+  const suffix = SUFFIXES.find((candidate) => word.endsWith(candidate) && word.length - candidate.length >= 3);
+  return suffix ? word.slice(0, -suffix.length) : word;
+};
+
+/**
+ * Extracts the terms to highlight from a search query: words and phrases that
+ * are searched for in the text (including `title:` values), but not excluded
+ * ones. Words are stemmed; phrases are kept whole.
+ * @param {string} q - The search query.
+ * @param {boolean} [exactMatch=false] - Whether `q` is a single literal phrase.
+ * @returns {Array<{value: string, phrase: boolean}>}
+ */
+const extractSearchTerms = (q, exactMatch = false) => {
+  if (exactMatch) {
+    const phrase = q.replace(/"/g, '').trim().toLowerCase();
+    return phrase ? [{ value: phrase, phrase: true }] : [];
+  }
+
+  const terms = [];
+  const collect = (node) => {
+    if (!node || node.type === 'not') return;
+    if (node.type === 'and' || node.type === 'or') {
+      node.children.forEach(collect);
+    } else if (node.field === null || node.field === 'title') {
+      const value = node.value.toLowerCase();
+      if (node.phrase) {
+        terms.push({ value, phrase: true });
+      } else {
+        const word = value.replace(/[^\p{L}\p{N}]/gu, '');
+        if (word) terms.push({ value: stem(word), phrase: false });
+      }
+    }
+  };
+
+  collect(parseSearchQuery(q));
+  return terms;
+};
+
+/**
+ * Finds the positions of all term matches in a piece of text.
+ * Words are matched by stem prefix (e.g. "run" matches "running"); phrases literally.
+ * @returns {Array<{start: number, length: number}>} Non-overlapping matches in order.
+ */
+const findMatches = (text, terms) => {
+  if (!text || terms.length === 0) return [];
+
+  const alternatives = terms.map(({ value, phrase }) =>
+    phrase ? escapeRegExp(value) : `${escapeRegExp(value)}[\\p{L}\\p{N}]*`
+  );
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})`, 'giu');
+
+  const matches = [];
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex += 1;
+      continue;
+    }
+    matches.push({ start: match.index, length: match[0].length });
+  }
+  return matches;
+};
+
+/**
+ * Cuts a snippet around a group of matches, with match offsets relative to the snippet.
+ */
+const buildSnippet = (text, matches) => {
+  const first = matches[0];
+  const last = matches[matches.length - 1];
+  const start = Math.max(0, first.start - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, last.start + last.length + SNIPPET_CONTEXT);
+
+  return {
+    text: `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+    matches: matches.map((m) => ({ start: m.start - start + (start > 0 ? 1 : 0), length: m.length })),
+  };
+};
+
+/**
+ * Groups nearby matches so that each snippet covers every match within its window.
+ */
+const groupMatches = (matches) => {
+  const groups = [];
+  for (const match of matches) {
+    const current = groups[groups.length - 1];
+    const lastInGroup = current && current[current.length - 1];
+    if (lastInGroup && match.start - (lastInGroup.start + lastInGroup.length) <= SNIPPET_CONTEXT * 2) {
+      current.push(match);
+    } else {
+      groups.push([match]);
+    }
+  }
+  return groups;
+};
+
+// --- MAIN EXPORT FUNCTION ---
+
+/**
+ * Builds highlighted snippets showing where a search matched an entry.
+ * Matches are returned as offsets into each snippet's text rather than as
+ * markup, so clients can render them safely.
+ *
+ * @param {object} entry - The entry (document or plain object); fields missing
+ *   from a sparse field selection are skipped.
+ * @param {Array<{value: string, phrase: boolean}>} terms - From `extractSearchTerms`.
+ * @returns {Array<{field: string, text: string, matches: Array<{start: number, length: number}>}>}
+ */
+const buildHighlights = (entry, terms) => {
+  const highlights = [];
+
+  const titleMatches = findMatches(entry.title, terms);
+  if (titleMatches.length > 0) {
+    highlights.push({ field: 'title', text: entry.title, matches: titleMatches });
+  }
+
+  const contentMatches = findMatches(entry.content, terms);
+  groupMatches(contentMatches)
+    .slice(0, MAX_CONTENT_SNIPPETS)
+    .forEach((group) => highlights.push({ field: 'content', ...buildSnippet(entry.content, group) }));
+
+  return highlights;
+};
+
+/**
+ * Attaches `highlights` to each entry of a keyword search's results.
+ * @param {Array<object>} entries - Entry documents or plain objects.
+ * @param {string} q - The search query.
+ * @param {boolean} [exactMatch=false] - Whether `q` is a single literal phrase.
+ * @returns {Array<object>} Plain entry objects with a `highlights` array.
+ */
+const highlightEntries = (entries, q, exactMatch = false) => {
+  const terms = extractSearchTerms(q, exactMatch);
+  return entries.map((entry) => {
+    const plain = typeof entry.toObject === 'function' ? entry.toObject() : entry;
+    return { ...plain, highlights: buildHighlights(plain, terms) };
+  });
+};
+
+export { extractSearchTerms, buildHighlights, highlightEntries };
@@ -0,0 +1,393 @@
+// =================================================================
+// BATCHBOOK API | SEARCH QUERY LANGUAGE (utils/searchQuery.js)
+// =================================================================
+
+/*
+ * A small query language for the search box, e.g.
+ *
+ *   standup tag:work mood:tired -draft "release blocker" before:2026-09-01 in:Work
+ *
+ * - Words and "quoted phrases" match the title or content. Terms are ANDed by
+ *   default; `AND` may be written explicitly, `OR` combines alternatives and
+ *   parentheses group terms. Keywords must be uppercase.
+ * - A word on its own is stemmed (`run` also finds "running"). When several
+ *   terms are required, each word must also appear literally at the start of a
+ *   word: `run plans` finds "running plans", but `running plans` does not find
+ *   "runs" or "ran".
+ * - `-term`, `-(group)` or `NOT term` excludes matches.
+ * - Field operators: `tag:` (including nested tags, so `tag:work` also finds
+ *   `work/projecta`), `mood:`, `title:`, `before:`, `after:` and `on:`
+ *   (YYYY-MM-DD), and `in:` (a notebook name or ID, including the notebooks
+ *   nested under it, or `in:none` for unfiled entries). Values may be quoted,
+ *   e.g. `in:"Side projects"`.
+ */
+
+import mongoose from 'mongoose';
+import moment from 'moment';
+import Notebook from '../models/Notebook.js';
+import Entry, { MOODS } from '../models/Entry.js';
+import { escapeRegExp } from './regex.js';
+import { normalizeTag, tagCondition } from './tags.js';
+import HttpError from './httpError.js';
+
+// --- CONSTANTS ---
+
+const OPERATORS = ['tag', 'mood', 'title', 'before', 'after', 'on', 'in'];
+const KEYWORDS = { AND: 'and', OR: 'or', NOT: 'not' };
+// Operators on entry properties that versions do not have (see `compileSearchQuery`).
+const ENTRY_OPERATORS = ['mood', 'before', 'after', 'on', 'in'];
+// The `in:` value that selects entries not filed in any notebook.
+const UNFILED = 'none';
+// Guards against pathological queries.
+const MAX_TERMS = 50;
+const MAX_DEPTH = 10;
+
+// --- HELPER FUNCTIONS ---
+
+/**
+ * Creates a 400 error pointing at the offending token (positions are 1-based).
+ */
+const queryError = (message, token) => {
+  const location = token ? ` (at position ${token.pos + 1}: ${token.raw})` : '';
+  return new HttpError(400, `Invalid search query: ${message}${location}.`);
+};
+
+/**
+ * A case-insensitive pattern for a word or phrase. Words match at the start of
+ * a word, so `plan` also finds "planning".
+ */
+const termPattern = (value) => {
+  const prefix = /^\w/.test(value) ? '\\b' : '';
+  return new RegExp(`${prefix}${escapeRegExp(value)}`, 'i');
+};
+
+// --- TOKENIZER ---
+
+/**
+ * Splits a query into tokens: parentheses, keywords, negations and terms.
+ * @param {string} input - The raw query.
+ * @returns {Array<object>} Tokens, each with its `pos` and `raw` text.
+ * @throws {HttpError} 400 for unterminated quotes, empty phrases, unknown operators and missing values.
+ */
+const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  const readPhrase = (start) => {
+    const end = input.indexOf('"', i + 1);
+    if (end === -1) {
+      throw queryError('missing closing quote', { pos: start, raw: input.slice(start) });
+    }
+    const value = input.slice(i + 1, end).trim();
+    i = end + 1;
+    return value;
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+    const start = i;
+
+    if (/\s/.test(char)) {
+      i += 1;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'lparen' : 'rparen', pos: start, raw: char });
+      i += 1;
+    } else if (char === '-') {
+      if (i + 1 >= input.length || /\s/.test(input[i + 1])) {
+        throw queryError('"-" must be followed by the term to exclude', { pos: start, raw: '-' });
+      }
+      tokens.push({ type: 'not', pos: start, raw: '-' });
+      i += 1;
+    } else if (char === '"') {
+      const value = readPhrase(start);
+      const raw = input.slice(start, i);
+      if (!value) throw queryError('empty phrase', { pos: start, raw });
+      tokens.push({ type: 'term', field: null, value, phrase: true, pos: start, raw });
+    } else {
+      while (i < input.length && !/[\s()"]/.test(input[i])) i += 1;
+      const word = input.slice(start, i);
+
+      if (KEYWORDS[word]) {
+        tokens.push({ type: KEYWORDS[word], pos: start, raw: word });
+        continue;
+      }
+
+      // `field:value` is an operator when the prefix is a plain word; anything
+      // else containing a colon (e.g. "10:30") is searched for as text.
+      const operator = /^([a-zA-Z]+):(.*)$/.exec(word);
+      if (!operator) {
+        tokens.push({ type: 'term', field: null, value: word, phrase: false, pos: start, raw: word });
+        continue;
+      }
+
+      const field = operator[1].toLowerCase();
+      let value = operator[2];
+      let phrase = false;
+      if (!value && input[i] === '"') {
+        value = readPhrase(start);
+        phrase = true;
+      }
+      const raw = input.slice(start, i);
+
+      if (!OPERATORS.includes(field)) {
+        throw queryError(`unknown operator "${operator[1]}:". Supported operators are ${OPERATORS.map((name) => `${name}:`).join(', ')}`, { pos: start, raw });
+      }
+      if (!value) {
+        throw queryError(`missing value for "${field}:"`, { pos: start, raw });
+      }
+      tokens.push({ type: 'term', field, value, phrase, pos: start, raw });
+    }
+  }
+
+  return tokens;
+};
+
+// --- PARSER ---
+
+/**
+ * Parses a search query into a syntax tree of `and`, `or`, `not` and `term` nodes.
+ *
+ * Grammar (`AND` binds tighter than `OR`):
+ *   query   := orExpr
+ *   orExpr  := andExpr ("OR" andExpr)*
+ *   andExpr := unary (["AND"] unary)*
+ *   unary   := ("-" | "NOT") unary | "(" orExpr ")" | term
+ *
+ * @param {string} input - The raw query.
+ * @returns {object|null} The root node, or null for a blank query.
+ * @throws {HttpError} 400, describing the first syntax error and where it occurs.
+ */
+const parseSearchQuery = (input) => {
+  const tokens = tokenize(String(input));
+  if (tokens.length === 0) return null;
+
+  const termCount = tokens.filter((token) => token.type === 'term').length;
+  if (termCount > MAX_TERMS) {
+    throw queryError(`too many terms (the maximum is ${MAX_TERMS})`);
+  }
+
+  let index = 0;
+  const peek = () => tokens[index];
+  const atBoundary = () => !peek() || peek().type === 'rparen' || peek().type === 'or';
+
+  const parseOr = (depth) => {
+    const children = [parseAnd(depth)];
+    while (peek() && peek().type === 'or') {
+      const operator = tokens[index++];
+      if (atBoundary()) throw queryError('OR must be followed by a term', operator);
+      children.push(parseAnd(depth));
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = (depth) => {
+    const children = [parseUnary(depth)];
+    while (!atBoundary()) {
+      if (peek().type === 'and') {
+        const operator = tokens[index++];
+        if (atBoundary()) throw queryError('AND must be followed by a term', operator);
+      }
+      children.push(parseUnary(depth));
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseUnary = (depth) => {
+    const token = peek();
+    if (!token) throw queryError('unexpected end of query', tokens[tokens.length - 1]);
+
+    switch (token.type) {
+      case 'not': {
+        index += 1;
+        if (atBoundary()) throw queryError(`"${token.raw}" must be followed by the term to exclude`, token);
+        return { type: 'not', child: parseUnary(depth), token };
+      }
+      case 'lparen': {
+        if (depth >= MAX_DEPTH) throw queryError(`parentheses nested too deeply (the maximum is ${MAX_DEPTH})`, token);
+        index += 1;
+        if (peek() && peek().type === 'rparen') throw queryError('empty parentheses', token);
+        if (!peek()) throw queryError('missing closing parenthesis', token);
+        const node = parseOr(depth + 1);
+        if (!peek() || peek().type !== 'rparen') throw queryError('missing closing parenthesis', token);
+        index += 1;
+        return node;
+      }
+      case 'term':
+        index += 1;
+        return { type: 'term', field: token.field, value: token.value, phrase: token.phrase, token };
+      case 'rparen':
+        throw queryError('unexpected ")"', token);
+      default:
+        throw queryError(`${token.raw} must be placed between two terms`, token);
+    }
+  };
+
+  const root = parseOr(0);
+  if (peek()) throw queryError('unexpected ")"', peek());
+  return root;
+};
+
+// --- COMPILER ---
+
+/**
+ * Parses a YYYY-MM-DD operator value, failing with a 400 on anything else.
+ */
+const parseDate = (node) => {
+  const date = moment(node.value, 'YYYY-MM-DD', true);
+  if (!date.isValid()) {
+    throw queryError(`"${node.field}:" expects a date in YYYY-MM-DD format`, node.token);
+  }
+  return date;
+};
+
+/**
+ * Resolves an `in:` value (a notebook ID or name) to the notebook IDs it covers,
+ * including every notebook nested under a match.
+ */
+const resolveNotebookIds = async (node, req) => {
+  const { value } = node;
+  const notebooks = mongoose.Types.ObjectId.isValid(value)
+    ? await Notebook.find({ _id: value, user: req.user._id }).select('_id')
+    : await Notebook.find({ user: req.user._id, name: new RegExp(`^${escapeRegExp(value)}$`, 'i') }).select('_id');
+
+  if (notebooks.length === 0) {
+    throw queryError(`no notebook named "${value}"`, node.token);
+  }
+
+  const ids = [];
+  for (const notebook of notebooks) {
+    ids.push(notebook._id, ...(await Notebook.findDescendantIds(req.user._id, notebook._id)));
+  }
+  return ids;
+};
+
+/**
+ * Compiles a single term into a Mongoose condition.
+ */
+const compileTerm = async (node, req) => {
+  switch (node.field) {
+    case null:
+      return { $or: [{ title: termPattern(node.value) }, { content: termPattern(node.value) }] };
+    case 'title':
+      return { title: termPattern(node.value) };
+    case 'tag': {
+      const tag = normalizeTag(node.value);
+      if (!tag) {
+        throw queryError('"tag:" expects a tag name', node.token);
+      }
+      return { tags: tagCondition([tag]) };
+    }
+    case 'mood': {
+      const mood = node.value.toLowerCase();
+      if (!MOODS.includes(mood)) {
+        throw queryError(`unknown mood "${node.value}". Must be one of ${MOODS.join(', ')}`, node.token);
+      }
+      return { mood };
+    }
+    case 'before':
+      return { createdAt: { $lt: parseDate(node).startOf('day').toDate() } };
+    case 'after':
+      return { createdAt: { $gt: parseDate(node).endOf('day').toDate() } };
+    case 'on': {
+      const date = parseDate(node);
+      return { createdAt: { $gte: date.clone().startOf('day').toDate(), $lte: date.clone().endOf('day').toDate() } };
+    }
+    case 'in':
+      if (node.value.toLowerCase() === UNFILED) return { notebook: null };
+      return { notebook: { $in: await resolveNotebookIds(node, req) } };
+    default:
+      throw queryError(`unknown operator "${node.field}:"`, node.token);
+  }
+};
+
+/**
+ * Compiles any node into a Mongoose condition, matching text with patterns.
+ * For version searches, operators on entry properties select the versions of
+ * the live entries that satisfy them.
+ */
+const compileNode = async (node, req, target) => {
+  switch (node.type) {
+    case 'and':
+      return { $and: await Promise.all(node.children.map((child) => compileNode(child, req, target))) };
+    case 'or':
+      return { $or: await Promise.all(node.children.map((child) => compileNode(child, req, target))) };
+    case 'not':
+      return { $nor: [await compileNode(node.child, req, target)] };
+    default: {
+      const condition = await compileTerm(node, req);
+      if (target !== 'versions' || !ENTRY_OPERATORS.includes(node.field)) return condition;
+      const entryIds = await Entry.distinct('_id', { user: req.user._id, deletedAt: null, ...condition });
+      return { entry: { $in: entryIds } };
+    }
+  }
+};
+
+const isTextTerm = (node) => node.type === 'term' && node.field === null;
+
+// A word the text index can look up as it is. Anything else (a phrase, or a word
+// with punctuation such as "10:30" or "e-mail") is searched for as a phrase.
+const isPlainWord = (node) => isTextTerm(node) && !node.phrase && /^[\p{L}\p{N}_']+$/u.test(node.value);
+
+// A word or phrase in `$text` search syntax, negated with `-` if `negate` is set.
+const textSearchTerm = (node, negate = false) =>
+  `${negate ? '-' : ''}${isPlainWord(node) ? node.value : `"${node.value}"`}`;
+
+/**
+ * Compiles a parsed query into Mongoose conditions.
+ *
+ * Text at the top level of the query goes to the text index, which stems words
+ * (`run` also finds "running") and lets results be ranked by relevance: the
+ * words and phrases that have to be present, or else a group of alternative
+ * words (`standup OR retro`), plus the words and phrases to exclude. Words are
+ * sent as they are and only phrases are quoted, since quoting a word turns off
+ * stemming. The text index ORs plain words and only requires phrases, so when
+ * several terms are required, each word is also matched with a pattern. That
+ * pattern is a literal, unstemmed word prefix (see `termPattern`), so it
+ * narrows the stemmed matches to entries containing the word as typed. These
+ * patterns, like the ones for `OR` alternatives and negated groups that the
+ * text index cannot express, only run on the entries the index found.
+ *
+ * The conditions target entries by default. With `target: 'versions'` they
+ * target Version documents instead: text, `title:` and `tag:` terms match the
+ * version's own snapshot, while `mood:`, `in:` and the date operators apply to
+ * the entry each version belongs to (dates being the entry's creation date).
+ *
+ * @param {object|null} ast - The root node returned by `parseSearchQuery`.
+ * @param {object} req - The Express request object.
+ * @param {object} [options]
+ * @param {string} [options.target='entries'] - 'entries' or 'versions'.
+ * @returns {Promise<{textSearch: string|null, conditions: Array<object>}>}
+ *   A `$text` search string (or null) and the conditions that must all hold.
+ * @throws {HttpError} 400 for invalid operator values, naming the offending token.
+ */
+const compileSearchQuery = async (ast, req, { target = 'entries' } = {}) => {
+  if (!ast) return { textSearch: null, conditions: [] };
+
+  const clauses = ast.type === 'and' ? ast.children : [ast];
+  const required = clauses.filter(isTextTerm);
+  const alternatives = required.length === 0
+    ? clauses.find((node) => node.type === 'or' && node.children.every(isPlainWord))
+    : undefined;
+  const excluded = clauses.filter((node) => node.type === 'not' && isTextTerm(node.child));
+
+  // The text index needs at least one term to look up; a query that only
+  // excludes words is matched with patterns.
+  const indexed = alternatives ? [alternatives] : required;
+  if (indexed.length === 0) {
+    return { textSearch: null, conditions: await Promise.all(clauses.map((node) => compileNode(node, req, target))) };
+  }
+
+  const textSearch = [
+    ...(alternatives ? alternatives.children : required).map((node) => textSearchTerm(node)),
+    ...excluded.map((node) => textSearchTerm(node.child, true)),
+  ].join(' ');
+
+  // A single required word is enforced by the index itself
+  const enforced = required.length > 1 ? required.filter(isPlainWord) : [];
+  const remaining = clauses.filter((node) => !indexed.includes(node) && !excluded.includes(node));
+  const conditions = await Promise.all([...enforced, ...remaining].map((node) => compileNode(node, req, target)));
+
+  return { textSearch, conditions };
+};
+
+export { parseSearchQuery, compileSearchQuery };
@@ -0,0 +1,81 @@
+// =================================================================
+// BATCHBOOK API | ATTACHMENT STORAGE QUOTA (utils/storageQuota.js)
+// =================================================================
+
+/*
+ * Each user's attachment storage is tracked in `storageUsedBytes` on the User
+ * document, including files on entries in the trash (they still occupy storage
+ * until purged). Uploads reserve their bytes with a single conditional `$inc`,
+ * so concurrent uploads cannot together exceed the quota.
+ */
+
+import Entry from '../models/Entry.js';
+import User from '../models/User.js';
+
+/**
+ * Sums the size of every attachment owned by a user.
+ * @param {object} userId - The user's ObjectId.
+ * @returns {Promise<number>} The used storage in bytes.
+ */
+const computeStorageUsage = async (userId) => {
+  const [usage] = await Entry.aggregate([
+    { $match: { user: userId } },
+    { $unwind: '$attachments' },
+    { $group: { _id: null, usedBytes: { $sum: '$attachments.size' } } },
+  ]);
+  return usage ? usage.usedBytes : 0;
+};
+
+/**
+ * Initializes the counter of users created before it existed from their
+ * attachments. Only sets it if it is still unset, so concurrent calls agree.
+ * @param {object} userId - The user's ObjectId.
+ */
+const initStorageUsage = async (userId) => {
+  const usedBytes = await computeStorageUsage(userId);
+  await User.updateOne({ _id: userId, storageUsedBytes: null }, { $set: { storageUsedBytes: usedBytes } });
+};
+
+/**
+ * Returns a user's used attachment storage.
+ * @param {object} userId - The user's ObjectId.
+ * @returns {Promise<number>} The used storage in bytes.
+ */
+const getStorageUsage = async (userId) => {
+  let user = await User.findById(userId).select('storageUsedBytes').lean();
+  if (user && user.storageUsedBytes == null) {
+    await initStorageUsage(userId);
+    user = await User.findById(userId).select('storageUsedBytes').lean();
+  }
+  return user ? user.storageUsedBytes : 0;
+};
+
+/**
+ * Reserves storage for an upload, if it fits in the quota.
+ * @param {object} userId - The user's ObjectId.
+ * @param {number} bytes - The size of the upload.
+ * @param {number} quotaBytes - The user's quota.
+ * @returns {Promise<number|null>} The used storage including the upload, or null if it does not fit.
+ */
+const reserveStorage = async (userId, bytes, quotaBytes) => {
+  await getStorageUsage(userId);
+  const user = await User.findOneAndUpdate(
+    { _id: userId, storageUsedBytes: { $lte: quotaBytes - bytes } },
+    { $inc: { storageUsedBytes: bytes } },
+    { new: true, projection: { storageUsedBytes: 1 } }
+  ).lean();
+  return user ? user.storageUsedBytes : null;
+};
+
+/**
+ * Returns storage to a user's quota, when files are deleted or an upload fails.
+ * @param {object} userId - The user's ObjectId.
+ * @param {number} bytes - The size of the files.
+ */
+const releaseStorage = async (userId, bytes) => {
+  if (bytes <= 0) return;
+  // Legacy users without a counter are counted from their attachments on first use
+  await User.updateOne({ _id: userId, storageUsedBytes: { $ne: null } }, { $inc: { storageUsedBytes: -bytes } });
+};
+
+export { getStorageUsage, reserveStorage, releaseStorage };
@@ -0,0 +1,95 @@
+// =================================================================
+// BATCHBOOK API | TAG UTILITY (utils/tags.js)
+// =================================================================
+
+/*
+ * Tags may be hierarchical, with slash-delimited levels such as
+ * `work/projecta/bugs`. A tag matches itself and every tag nested under it,
+ * so filtering by `work` also finds entries tagged `work/projecta/bugs`.
+ */
+
+import { escapeRegExp } from './regex.js';
+
+// The separator between the levels of a hierarchical tag.
+const TAG_SEPARATOR = '/';
+
+/**
+ * Normalizes a tag: lowercased, with each level trimmed and empty levels
+ * dropped, so that `Work`, ` work` and `Work / ProjectA/` are consistent.
+ * @param {string} tag - The raw tag.
+ * @returns {string} The normalized tag (empty for a blank tag).
+ */
+const normalizeTag = (tag) =>
+  String(tag)
+    .split(TAG_SEPARATOR)
+    .map((level) => level.trim())
+    .filter(Boolean)
+    .join(TAG_SEPARATOR)
+    .toLowerCase();
+
+/**
+ * Builds the aggregation expression normalizing a tag the way `normalizeTag`
+ * does, for tags stored before they were normalized (e.g. `Work / ProjectA`).
+ * @param {*} tag - An expression for the raw tag, e.g. `'$$tag'`.
+ * @returns {object}
+ */
+const normalizeTagExpression = (tag) => ({
+  $toLower: {
+    $reduce: {
+      input: {
+        $filter: {
+          input: { $map: { input: { $split: [tag, TAG_SEPARATOR] }, as: 'level', in: { $trim: { input: '$$level' } } } },
+          as: 'level',
+          cond: { $ne: ['$$level', ''] },
+        },
+      },
+      initialValue: '',
+      in: { $cond: [{ $eq: ['$$value', ''] }, '$$this', { $concat: ['$$value', TAG_SEPARATOR, '$$this'] }] },
+    },
+  },
+});
+
+/**
+ * Builds the case-insensitive patterns matching the stored spellings of a tag
+ * that normalize to it (see `normalizeTag`) and, with `descendants`, of the
+ * tags nested under it.
+ * @param {string} tag - A normalized tag.
+ * @param {boolean} [descendants=false] - Whether to match nested tags too.
+ * @returns {Array<RegExp>}
+ */
+const storedTagPatterns = (tag, descendants = false) => {
+  const separator = `\\s*(?:${TAG_SEPARATOR}\\s*)+`;
+  const levels = `^[\\s${TAG_SEPARATOR}]*${tag.split(TAG_SEPARATOR).map(escapeRegExp).join(separator)}`;
+  const exact = new RegExp(`${levels}[\\s${TAG_SEPARATOR}]*$`, 'i');
+  return descendants ? [exact, new RegExp(`${levels}${separator}[^\\s${TAG_SEPARATOR}]`, 'i')] : [exact];
+};
+
+/**
+ * Normalizes a list of tags, dropping blanks and duplicates while keeping the original order.
+ * @param {Array<string>} tags - The raw tags.
+ * @returns {Array<string>}
+ */
+const normalizeTags = (tags) => [...new Set(tags.map(normalizeTag).filter((tag) => tag.length > 0))];
+
+/**
+ * Lists a tag and all of its ancestors, e.g. `work/projecta` gives
+ * `['work', 'work/projecta']`.
+ * @param {string} tag - A normalized tag.
+ * @returns {Array<string>}
+ */
+const tagAncestry = (tag) => {
+  const levels = tag.split(TAG_SEPARATOR);
+  return levels.map((level, index) => levels.slice(0, index + 1).join(TAG_SEPARATOR));
+};
+
+/**
+ * Builds the Mongoose condition on the `tags` array matching any of the given
+ * tags or their descendants.
+ * @param {Array<string>} tags - Normalized tags.
+ * @returns {object} E.g. `{ $in: ['work', /^work\//] }`.
+ */
+const tagCondition = (tags) => ({
+  $in: tags.flatMap((tag) => [tag, new RegExp(`^${escapeRegExp(tag + TAG_SEPARATOR)}`)]),
+});
+
+export { TAG_SEPARATOR, normalizeTag, normalizeTagExpression, storedTagPatterns, normalizeTags, tagAncestry, tagCondition };
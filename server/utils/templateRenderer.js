@@ -0,0 +1,53 @@
+// =================================================================
+// BATCHBOOK API | TEMPLATE RENDERER UTILITY (utils/templateRenderer.js)
+// =================================================================
+
+import moment from 'moment';
+import { getDailyPrompt } from './prompts.js';
+import { DEFAULT_TIMEZONE, toWallClock } from './timezone.js';
+
+// Matches `{{token}}` or `{{token:argument}}`, e.g. `{{date:MMM D}}`.
+const TOKEN_PATTERN = /\{\{\s*(\w+)(?::([^}]*))?\s*\}\}/g;
+
+/**
+ * Replaces the supported tokens in a template string.
+ *
+ * Supported tokens:
+ * - `{{date}}` / `{{date:FORMAT}}` - the date (default `YYYY-MM-DD`, any moment.js format).
+ * - `{{time}}` - the time as `HH:mm`.
+ * - `{{weekday}}` - the day of the week, e.g. `Monday`.
+ * - `{{week}}` - the ISO week number.
+ * - `{{prompt}}` / `{{prompt:category}}` - the built-in prompt of the day.
+ *
+ * Unknown tokens are left untouched.
+ *
+ * @param {string} text - The template string.
+ * @param {Date} [date=new Date()] - The date used for date and prompt tokens.
+ * @param {string} [timeZone='UTC'] - The IANA time zone the date and time are shown in.
+ * @returns {string} The rendered string.
+ */
+const renderTemplateString = (text, date = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+  if (!text) return text;
+  const day = moment.utc(toWallClock(date, timeZone));
+
+  return text.replace(TOKEN_PATTERN, (match, token, argument) => {
+    switch (token) {
+      case 'date':
+        return day.format(argument || 'YYYY-MM-DD');
+      case 'time':
+        return day.format('HH:mm');
+      case 'weekday':
+        return day.format('dddd');
+      case 'week':
+        return day.format('W');
+      case 'prompt': {
+        const daily = getDailyPrompt(argument, date, timeZone);
+        return daily ? daily.prompt : match;
+      }
+      default:
+        return match;
+    }
+  });
+};
+
+export { renderTemplateString };
@@ -0,0 +1,225 @@
+// =================================================================
+// BATCHBOOK API | TIME ZONE UTILITY (utils/timezone.js)
+// =================================================================
+
+/*
+ * Helpers for bucketing dates in a user's time zone (an IANA name such as
+ * "Europe/Berlin"), built on the Intl API so that no time zone database needs
+ * to be bundled.
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Checks whether a string is a time zone name known to the runtime.
+ * @param {string} timeZone - E.g. "America/New_York".
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Picks the time zone for a request: the `tz` query parameter, then the user's
+ * saved time zone, then UTC.
+ *
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @returns {string} The IANA time zone name.
+ * @throws {Error} 400 for an unknown `tz`.
+ */
+const resolveTimeZone = (req, res) => {
+  const timeZone = req.query.tz || req.user.timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimeZone(timeZone)) {
+    res.status(400);
+    throw new Error(`Unknown time zone "${timeZone}". Please use an IANA name such as "Europe/London".`);
+  }
+  return timeZone;
+};
+
+/**
+ * The offset of a time zone from UTC at a given instant, in milliseconds.
+ */
+const timeZoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - (date.getTime() - date.getUTCMilliseconds());
+};
+
+/**
+ * Shifts an instant by its time zone's UTC offset, so that the UTC fields of the
+ * result hold the wall-clock date and time in that zone (e.g. for `moment.utc`).
+ * @param {Date} date - The instant.
+ * @param {string} timeZone - The IANA time zone name.
+ * @returns {Date}
+ */
+const toWallClock = (date, timeZone) => new Date(date.getTime() + timeZoneOffset(date, timeZone));
+
+/**
+ * Converts a wall-clock time in a time zone to the instant it denotes.
+ * Times skipped by a daylight saving change are shifted forward by the length of the gap.
+ */
+const wallClockToInstant = (year, month, day, minutes, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day) + minutes * 60 * 1000;
+  // Correct the guess once more in case it crossed a daylight saving change
+  let instant = wallClock - timeZoneOffset(new Date(wallClock), timeZone);
+  instant = wallClock - timeZoneOffset(new Date(instant), timeZone);
+  return new Date(instant);
+};
+
+/**
+ * Parses a YYYY-MM-DD date into its parts, or null for an invalid date.
+ */
+const parseDate = (value) => {
+  const match = DATE_PATTERN.exec(value || '');
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    return null;
+  }
+  return [year, month, day];
+};
+
+/**
+ * Parses a YYYY-MM-DD date as the instant its day starts in a time zone.
+ * @param {string} value - The calendar date.
+ * @param {string} timeZone - The IANA time zone name.
+ * @returns {Date|null} The start of the day, or null for an invalid date.
+ */
+const startOfDayInZone = (value, timeZone) => {
+  const parts = parseDate(value);
+  return parts ? wallClockToInstant(...parts, 0, timeZone) : null;
+};
+
+/**
+ * Resolves a calendar date and a wall-clock time (HH:MM, 24-hour) in a time zone
+ * to the instant they denote.
+ * @param {string} value - The calendar date (YYYY-MM-DD).
+ * @param {string} time - The time of day, e.g. "21:30".
+ * @param {string} timeZone - The IANA time zone name.
+ * @returns {Date|null} The instant, or null for an invalid date or time.
+ */
+const dateTimeInZone = (value, time, timeZone) => {
+  const parts = parseDate(value);
+  const match = TIME_PATTERN.exec(time || '');
+  if (!parts || !match) return null;
+  return wallClockToInstant(...parts, Number(match[1]) * 60 + Number(match[2]), timeZone);
+};
+
+/**
+ * Formats an instant as the YYYY-MM-DD calendar date it falls on in a time zone.
+ * @param {Date} date - The instant.
+ * @param {string} timeZone - The IANA time zone name.
+ * @returns {string}
+ */
+const formatDateInZone = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+
+/**
+ * Adds a number of days to a YYYY-MM-DD calendar date.
+ * @param {string} value - A valid calendar date.
+ * @param {number} days - The days to add (may be negative).
+ * @returns {string}
+ */
+const addDays = (value, days) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+/**
+ * The calendar date following a YYYY-MM-DD date.
+ * @param {string} value - A valid calendar date.
+ * @returns {string}
+ */
+const nextDay = (value) => addDays(value, 1);
+
+/**
+ * The ISO day of the week of a calendar date, from 1 (Monday) to 7 (Sunday).
+ * @param {string} value - A valid YYYY-MM-DD calendar date.
+ * @returns {number}
+ */
+const isoWeekday = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay() || 7;
+};
+
+/**
+ * Finds the ISO week (weeks start on Monday) a calendar date belongs to.
+ * @param {string} value - A valid YYYY-MM-DD calendar date.
+ * @returns {{key: string, start: string}} The week, e.g. `2026-W38`, and the date of its Monday.
+ */
+const isoWeekOf = (value) => {
+  const start = addDays(value, 1 - isoWeekday(value));
+
+  // The ISO week-numbering year is the one the week's Thursday falls in
+  const thursday = addDays(start, 3);
+  const weekYear = Number(thursday.slice(0, 4));
+  const firstThursday = addDays(`${weekYear}-01-01`, (11 - new Date(Date.UTC(weekYear, 0, 1)).getUTCDay()) % 7);
+  const week = 1 + Math.round((Date.parse(thursday) - Date.parse(firstThursday)) / (7 * 24 * 60 * 60 * 1000));
+
+  return { key: `${weekYear}-W${String(week).padStart(2, '0')}`, start };
+};
+
+/**
+ * Builds a `createdAt` range condition from `from` and `to` query parameters
+ * (YYYY-MM-DD, both inclusive), interpreted as calendar days in a time zone.
+ *
+ * @param {object} query - The request's query string.
+ * @param {string} timeZone - The IANA time zone name.
+ * @param {object} res - The Express response object.
+ * @returns {object|null} A Mongoose condition, or null when neither bound is given.
+ * @throws {Error} 400 for a malformed date.
+ */
+const buildDateRange = (query, timeZone, res) => {
+  const range = {};
+  for (const [param, operator] of [['from', '$gte'], ['to', '$lt']]) {
+    if (!query[param]) continue;
+    const start = startOfDayInZone(query[param], timeZone);
+    if (!start) {
+      res.status(400);
+      throw new Error(`Invalid ${param} date. Please use YYYY-MM-DD.`);
+    }
+    // `to` is inclusive, so the range ends where the following day starts
+    range[operator] = param === 'to' ? startOfDayInZone(nextDay(query[param]), timeZone) : start;
+  }
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+export {
+  DEFAULT_TIMEZONE,
+  TIME_PATTERN,
+  isValidTimeZone,
+  resolveTimeZone,
+  startOfDayInZone,
+  dateTimeInZone,
+  formatDateInZone,
+  toWallClock,
+  buildDateRange,
+  addDays,
+  nextDay,
+  isoWeekOf,
+  isoWeekday,
+};
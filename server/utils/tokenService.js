@@ -0,0 +1,231 @@
+// =================================================================
+// BATCHBOOK API | TOKEN SERVICE (utils/tokenService.js)
+// =================================================================
+
+/*
+ * Issues and checks the tokens of a login session (see models/Session.js):
+ *
+ * - a short-lived access token, a JWT `{ id, sid }` naming the user and the
+ *   session, sent as `Authorization: Bearer <token>` (and in the socket handshake);
+ * - a refresh token, `<sessionId>.<secret>`, exchanged at `POST /api/auth/refresh`
+ *   for a new pair. It rotates on every use; presenting a rotated-out refresh
+ *   token again means it was copied, and revokes the session.
+ *
+ * Access tokens are only accepted while their session is active, so logging
+ * out takes effect immediately.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import getAuthConfig from '../config/auth.js';
+import { disconnectSessions } from '../realtime/notifier.js';
+
+// --- CONSTANTS ---
+
+// How many rotated-out refresh tokens per session are remembered to detect reuse.
+const MAX_ROTATED_TOKENS = 20;
+const MAX_USER_AGENT_LENGTH = 512;
+// How stale a session's `lastSeenAt` may get before a request updates it, so
+// that not every request costs a write.
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+
+// --- HELPER FUNCTIONS ---
+
+const createSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Splits a refresh token into its session id and secret.
+ * @returns {{sessionId: string, secret: string}|null} null if it is malformed.
+ */
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret, ...rest] = String(refreshToken || '').split('.');
+  if (!mongoose.isValidObjectId(sessionId) || !secret || rest.length > 0) return null;
+  return { sessionId, secret };
+};
+
+/**
+ * Builds the token pair returned to the client for a session.
+ */
+const issueTokens = (session, secret) => {
+  const token = signAccessToken(session);
+  return {
+    token,
+    tokenExpiresAt: new Date(jwt.decode(token).exp * 1000),
+    refreshToken: `${session._id}.${secret}`,
+    refreshTokenExpiresAt: session.expiresAt,
+  };
+};
+
+// --- MAIN EXPORT FUNCTIONS ---
+
+/**
+ * Signs an access token for a session.
+ * @param {object} session - The session document.
+ * @returns {string} The signed JWT.
+ */
+const signAccessToken = (session) => {
+  const { secret, accessTokenExpiresIn } = getAuthConfig();
+  return jwt.sign({ id: session.user.toString(), sid: session._id.toString() }, secret, {
+    expiresIn: accessTokenExpiresIn,
+  });
+};
+
+/**
+ * Starts a session for a user who has just logged in or registered.
+ *
+ * @param {object} user - The user document.
+ * @param {object} req - The Express request object (for the client's user agent and IP).
+ * @returns {Promise<{token: string, tokenExpiresAt: Date, refreshToken: string, refreshTokenExpiresAt: Date}>}
+ */
+const createSession = async (user, req) => {
+  const { refreshTokenTtlMs } = getAuthConfig();
+  const secret = createSecret();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashSecret(secret),
+    expiresAt: new Date(Date.now() + refreshTokenTtlMs),
+    userAgent: req.get('user-agent')?.slice(0, MAX_USER_AGENT_LENGTH) || null,
+    ip: req.ip || null,
+  });
+  return issueTokens(session, secret);
+};
+
+/**
+ * Exchanges a refresh token for a new access token and refresh token. Each
+ * refresh also extends the session by the refresh token lifetime.
+ *
+ * @param {string} refreshToken - The client's refresh token.
+ * @returns {Promise<object|null>} The new tokens (as for `createSession`), or
+ *   null if the refresh token is invalid, expired, revoked or reused.
+ */
+const refreshSession = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const { refreshTokenTtlMs } = getAuthConfig();
+  const now = new Date();
+  const presentedHash = hashSecret(parsed.secret);
+  const secret = createSecret();
+
+  // Rotate atomically, so the same refresh token cannot be used twice
+  const session = await Session.findOneAndUpdate(
+    { _id: parsed.sessionId, tokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { tokenHash: hashSecret(secret), lastSeenAt: now, expiresAt: new Date(now.getTime() + refreshTokenTtlMs) },
+      $push: { rotatedTokenHashes: { $each: [presentedHash], $slice: -MAX_ROTATED_TOKENS } },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // A rotated-out token was used again: it has leaked, so end the session for every holder
+    const { modifiedCount } = await Session.updateOne(
+      { _id: parsed.sessionId, revokedAt: null, rotatedTokenHashes: presentedHash },
+      { $set: { revokedAt: now } }
+    );
+    if (modifiedCount > 0) disconnectSessions([parsed.sessionId]);
+    return null;
+  }
+
+  if (!(await User.exists({ _id: session.user }))) return null;
+  return issueTokens(session, secret);
+};
+
+/**
+ * Verifies an access token and loads its user and session.
+ *
+ * @param {string} token - The access token.
+ * @returns {Promise<{user: object|null, session: object|null}>} The user (without
+ *   the password) and the session; either is null if it no longer exists, and
+ *   the session is null once it has been revoked.
+ * @throws {Error} if the token is invalid or expired, or was issued without a session.
+ */
+const authenticateAccessToken = async (token) => {
+  const { secret } = getAuthConfig();
+  const payload = jwt.verify(token, secret);
+  // Tokens from before sessions existed cannot be revoked, so they are no longer accepted
+  if (!payload.sid || !mongoose.isValidObjectId(payload.sid)) {
+    throw new Error('The token is not tied to a session.');
+  }
+
+  const [user, session] = await Promise.all([
+    User.findById(payload.id).select('-password'),
+    Session.findOne({ _id: payload.sid, user: payload.id, revokedAt: null, expiresAt: { $gt: new Date() } }),
+  ]);
+  return { user, session };
+};
+
+/**
+ * Records that a session is in use: its `lastSeenAt` and the IP address it was
+ * used from. Only writes when `lastSeenAt` is more than a few minutes old.
+ * @param {object} session - The session document.
+ * @param {object} [options]
+ * @param {string} [options.ip] - The client's IP address.
+ * @returns {Promise<void>}
+ */
+const touchSession = async (session, { ip } = {}) => {
+  const now = new Date();
+  if (now - session.lastSeenAt < LAST_SEEN_RESOLUTION_MS) return;
+  await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: now, ...(ip ? { ip } : {}) } });
+};
+
+/**
+ * Lists a user's active sessions, most recently used first.
+ * @param {string} userId - The user's ID.
+ * @returns {Promise<Array<object>>} The session documents.
+ */
+const listSessions = (userId) =>
+  Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastSeenAt: -1, _id: -1 });
+
+/**
+ * Revokes one of a user's sessions and disconnects its live sockets.
+ * @param {string} userId - The user's ID.
+ * @param {string} sessionId - The session's ID.
+ * @returns {Promise<boolean>} Whether an active session was revoked.
+ */
+const revokeSession = async (userId, sessionId) => {
+  const { modifiedCount } = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  if (modifiedCount > 0) disconnectSessions([sessionId]);
+  return modifiedCount > 0;
+};
+
+/**
+ * Revokes all of a user's sessions, optionally except one (e.g. the current
+ * one), and disconnects their live sockets.
+ * @param {string} userId - The user's ID.
+ * @param {object} [options]
+ * @param {string} [options.exceptSessionId] - A session to keep.
+ * @returns {Promise<number>} The number of sessions revoked.
+ */
+const revokeAllSessions = async (userId, { exceptSessionId } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const sessionIds = await Session.distinct('_id', filter);
+  if (sessionIds.length === 0) return 0;
+
+  const { modifiedCount } = await Session.updateMany(
+    { _id: { $in: sessionIds }, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  disconnectSessions(sessionIds);
+  return modifiedCount;
+};
+
+export {
+  signAccessToken,
+  createSession,
+  refreshSession,
+  authenticateAccessToken,
+  touchSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+};
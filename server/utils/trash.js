@@ -0,0 +1,47 @@
+// =================================================================
+// BATCHBOOK API | TRASH UTILITY (utils/trash.js)
+// =================================================================
+
+import Entry from '../models/Entry.js';
+import Version from '../models/Version.js';
+import { getStorage } from '../storage/index.js';
+import { releaseStorage } from './storageQuota.js';
+
+/**
+ * Permanently deletes entries from the trash together with their version
+ * history and attachment files, one entry at a time. The attachments are first
+ * detached from the entry, so only the purge that detached them removes the
+ * files and gives their bytes back to the owner's quota; then the versions and
+ * the entry are deleted. A purge interrupted part way through leaves at worst
+ * an entry without attachments in the trash, which the next purge finishes and
+ * which restores without missing files. Entries no longer in the trash are
+ * skipped.
+ *
+ * @param {Array} entryIds - The `_id`s of the entries to purge.
+ * @returns {Promise<number>} The number of entries deleted.
+ */
+const purgeEntries = async (entryIds) => {
+  const storage = getStorage();
+  let deletedCount = 0;
+
+  for (const entryId of entryIds) {
+    const inTrash = { _id: entryId, deletedAt: { $ne: null } };
+    const entry = await Entry.findOneAndUpdate(
+      inTrash,
+      { $set: { attachments: [] } },
+      { projection: { user: 1, 'attachments.storageKey': 1, 'attachments.size': 1 }, timestamps: false }
+    ).lean();
+    if (!entry) continue;
+
+    for (const { storageKey, size } of entry.attachments || []) {
+      await storage.remove(storageKey);
+      await releaseStorage(entry.user, size);
+    }
+    await Version.deleteMany({ entry: entryId });
+    const result = await Entry.deleteOne(inTrash);
+    deletedCount += result.deletedCount;
+  }
+  return deletedCount;
+};
+
+export { purgeEntries };
@@ -0,0 +1,45 @@
+// =================================================================
+// BATCHBOOK API | USER AGENT UTILITY (utils/userAgent.js)
+// =================================================================
+
+// --- CONSTANTS ---
+
+// Checked in order: e.g. Edge and Opera user agents also mention Chrome and Safari.
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//],
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/],
+];
+
+// --- MAIN EXPORT FUNCTION ---
+
+/**
+ * Describes the client behind a User-Agent header in a few words, for example
+ * "Firefox on Windows", so users can recognise their sessions.
+ *
+ * @param {string|null} userAgent - The User-Agent header.
+ * @returns {string} The description ("Unknown device" if nothing is recognised).
+ */
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  if (browser && os) return `${browser} on ${os}`;
+  if (browser || os) return browser || os;
+  // Non-browser clients usually start with their name, e.g. "okhttp/4.9" or "curl/8.4"
+  return userAgent.split(/[\s/]/)[0] || 'Unknown device';
+};
+
+export { describeUserAgent };
@@ -0,0 +1,67 @@
+// =================================================================
+// BATCHBOOK API | ONE-TIME USER TOKENS (utils/userTokens.js)
+// =================================================================
+
+import crypto from 'crypto';
+import UserToken from '../models/UserToken.js';
+import getAuthConfig from '../config/auth.js';
+
+// --- CONSTANTS ---
+
+// How long a user must wait before another token of the same kind is sent,
+// so that the endpoints cannot be used to flood an inbox.
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+// --- HELPER FUNCTIONS ---
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * The validity period of each kind of token.
+ */
+const tokenTtlMs = (purpose) => {
+  const config = getAuthConfig();
+  return purpose === 'passwordReset' ? config.passwordResetTtlMs : config.emailVerificationTtlMs;
+};
+
+// --- MAIN EXPORT FUNCTIONS ---
+
+/**
+ * Creates a single-use token for a user, replacing their earlier tokens of the
+ * same kind (only the latest email sent works). The token is tied to the
+ * user's current email address.
+ *
+ * @param {object} user - The user document.
+ * @param {string} purpose - 'emailVerification' or 'passwordReset'.
+ * @returns {Promise<{token: string, expiresAt: Date}>} The secret to send to the user, and its expiry.
+ */
+const issueUserToken = async (user, purpose) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + tokenTtlMs(purpose));
+
+  await UserToken.deleteMany({ user: user._id, purpose });
+  await UserToken.create({ user: user._id, purpose, tokenHash: hashToken(token), email: user.email, expiresAt });
+  return { token, expiresAt };
+};
+
+/**
+ * Uses up a token: if it is valid, it is deleted and returned, so it works only once.
+ *
+ * @param {string} token - The secret from the email.
+ * @param {string} purpose - 'emailVerification' or 'passwordReset'.
+ * @returns {Promise<object|null>} The token document (with `user` and `email`), or
+ *   null if it is unknown, expired, already used or meant for something else.
+ */
+const consumeUserToken = (token, purpose) =>
+  UserToken.findOneAndDelete({ tokenHash: hashToken(token), purpose, expiresAt: { $gt: new Date() } });
+
+/**
+ * Checks whether a token of a kind was sent to a user within the last minute.
+ * @param {string} userId - The user's ID.
+ * @param {string} purpose - 'emailVerification' or 'passwordReset'.
+ * @returns {Promise<boolean>}
+ */
+const wasRecentlyIssued = async (userId, purpose) =>
+  Boolean(await UserToken.exists({ user: userId, purpose, createdAt: { $gt: new Date(Date.now() - RESEND_INTERVAL_MS) } }));
+
+export { issueUserToken, consumeUserToken, wasRecentlyIssued };
@@ -0,0 +1,78 @@
+// =================================================================
+// BATCHBOOK API | VERSION DIFF UTILITY (utils/versionDiff.js)
+// =================================================================
+
+import { diffWords, structuredPatch, createTwoFilesPatch } from 'diff';
+
+// --- HELPER FUNCTIONS ---
+
+/**
+ * Converts jsdiff change objects into a compact list of word-level changes.
+ * @param {Array<object>} changes - The output of `diffWords`.
+ * @returns {Array<{type: string, value: string}>} Changes typed as 'added', 'removed' or 'unchanged'.
+ */
+const toWordChanges = (changes) =>
+  changes.map((change) => ({
+    type: change.added ? 'added' : change.removed ? 'removed' : 'unchanged',
+    value: change.value,
+  }));
+
+/**
+ * Builds the line-level hunks between two strings.
+ * @param {string} oldText - The original text.
+ * @param {string} newText - The updated text.
+ * @returns {Array<object>} Hunks with `oldStart`, `oldLines`, `newStart`, `newLines` and prefixed `lines`.
+ */
+const toLineHunks = (oldText, newText) =>
+  structuredPatch('a', 'b', oldText, newText, '', '', { context: 3 }).hunks.map((hunk) => ({
+    oldStart: hunk.oldStart,
+    oldLines: hunk.oldLines,
+    newStart: hunk.newStart,
+    newLines: hunk.newLines,
+    lines: hunk.lines,
+  }));
+
+/**
+ * Renders a snapshot as a plain-text document for the unified diff.
+ * @param {object} snapshot - An object with `title`, `content` and `tags`.
+ * @returns {string}
+ */
+const renderSnapshot = (snapshot) =>
+  `Title: ${snapshot.title}\nTags: ${(snapshot.tags || []).join(', ')}\n\n${snapshot.content}\n`;
+
+// --- MAIN EXPORT FUNCTION ---
+
+/**
+ * Computes a structured diff between two snapshots of an entry.
+ *
+ * @param {object} from - The older snapshot (`title`, `content`, `tags`).
+ * @param {object} to - The newer snapshot (`title`, `content`, `tags`).
+ * @param {object} labels - Labels identifying each side in the unified output.
+ * @param {string} labels.from - e.g. `version-<id>`.
+ * @param {string} labels.to - e.g. `current`.
+ * @returns {object} Word/line-level changes per field plus a unified-text patch.
+ */
+const diffSnapshots = (from, to, labels) => {
+  const fromTags = from.tags || [];
+  const toTags = to.tags || [];
+
+  return {
+    title: {
+      changed: from.title !== to.title,
+      words: toWordChanges(diffWords(from.title, to.title)),
+    },
+    content: {
+      changed: from.content !== to.content,
+      words: toWordChanges(diffWords(from.content, to.content)),
+      hunks: toLineHunks(from.content, to.content),
+    },
+    tags: {
+      changed: fromTags.length !== toTags.length || fromTags.some((tag) => !toTags.includes(tag)),
+      added: toTags.filter((tag) => !fromTags.includes(tag)),
+      removed: fromTags.filter((tag) => !toTags.includes(tag)),
+    },
+    unified: createTwoFilesPatch(labels.from, labels.to, renderSnapshot(from), renderSnapshot(to)),
+  };
+};
+
+export { diffSnapshots };
@@ -0,0 +1,87 @@
+// =================================================================
+// BATCHBOOK API | VERSION HISTORY UTILITY (utils/versionHistory.js)
+// =================================================================
+
+import Version from '../models/Version.js';
+import getVersioningConfig from '../config/versioning.js';
+
+// The entry fields captured in a version snapshot. A write that changes none
+// of these does not produce a new version.
+const VERSIONED_FIELDS = ['title', 'content', 'encryption', 'tags'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks whether a modified (but not yet saved) entry document has changes
+ * to any of the versioned fields.
+ * @param {object} entry - A Mongoose entry document with pending modifications.
+ * @returns {boolean}
+ */
+const hasVersionedChanges = (entry) => VERSIONED_FIELDS.some((field) => entry.isModified(field));
+
+/**
+ * Records the prior state of an entry as a version, applying the configured
+ * coalescing window to automatic snapshots.
+ * @param {object} previousState - The entry as it was before the write.
+ * @param {string} [source='auto'] - 'auto', 'manual' or 'restore'.
+ * @param {object} [session] - A Mongoose session to run in, when part of a transaction.
+ * @returns {Promise<object|null>} The created Version, or null if coalesced.
+ */
+const recordVersion = (previousState, source = 'auto', session) => {
+  const { coalesceWindowMs } = getVersioningConfig();
+  return Version.snapshotEntry(previousState, source, { coalesceWindowMs, session });
+};
+
+/**
+ * Resolves the effective retention policy for a user, layering the user's
+ * own settings over the server defaults.
+ * @param {object} [user] - A user document or plain object with `versionRetention`.
+ * @returns {{keepLast: number, keepDailyDays: number}}
+ */
+const resolveRetentionPolicy = (user) => {
+  const { keepLast, keepDailyDays } = getVersioningConfig();
+  const overrides = user?.versionRetention || {};
+  return {
+    keepLast: overrides.keepLast ?? keepLast,
+    keepDailyDays: overrides.keepDailyDays ?? keepDailyDays,
+  };
+};
+
+/**
+ * Selects which versions of a single entry fall outside the retention policy.
+ * Manual, restore and pinned versions are always kept and do not count
+ * towards `keepLast`. Of the automatic versions, the
+ * newest `keepLast` are kept, plus the newest version of each calendar day
+ * (UTC) within the last `keepDailyDays` days.
+ *
+ * @param {Array<object>} versions - Versions of one entry, sorted newest first.
+ * @param {{keepLast: number, keepDailyDays: number}} policy - The retention policy.
+ * @param {Date} [now=new Date()] - The reference time.
+ * @returns {Array} The `_id`s of the versions to delete.
+ */
+const selectVersionsToPrune = (versions, policy, now = new Date()) => {
+  const dailyCutoff = now.getTime() - policy.keepDailyDays * DAY_MS;
+  const keptDays = new Set();
+  const toPrune = [];
+  let autoCount = 0;
+
+  for (const version of versions) {
+    if (version.source !== 'auto' || version.pinned) continue;
+    autoCount += 1;
+
+    const createdAt = new Date(version.createdAt);
+    const day = createdAt.toISOString().slice(0, 10);
+
+    if (autoCount <= policy.keepLast) {
+      keptDays.add(day);
+    } else if (createdAt.getTime() >= dailyCutoff && !keptDays.has(day)) {
+      keptDays.add(day);
+    } else {
+      toPrune.push(version._id);
+    }
+  }
+
+  return toPrune;
+};
+
+export { VERSIONED_FIELDS, hasVersionedChanges, recordVersion, resolveRetentionPolicy, selectVersionsToPrune };
@@ -0,0 +1,139 @@
+// =================================================================
+// BATCHBOOK API | VERSION HISTORY SEARCH (utils/versionSearch.js)
+// =================================================================
+
+import Entry from '../models/Entry.js';
+import Version from '../models/Version.js';
+import { buildSearchFilter, buildVersionSearchFilter } from './entryFilters.js';
+import { extractSearchTerms, buildHighlights } from './searchHighlighter.js';
+
+// --- CONSTANTS ---
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+// Caps on the hits considered per search and on the versions shown per entry.
+const MAX_VERSION_HITS = 1000;
+const MAX_VERSIONS_PER_ENTRY = 10;
+
+// --- HELPER FUNCTIONS ---
+
+/**
+ * Finds the documents of a model matching a filter, adding the text `score`
+ * (0 when the filter has no `$text` clause), best matches first.
+ */
+const findMatches = (Model, filter, sort, limit) => {
+  const isTextSearch = Boolean(filter.$text);
+  return Model.aggregate([
+    { $match: filter },
+    { $addFields: { score: isTextSearch ? { $meta: 'textScore' } : { $literal: 0 } } },
+    { $sort: isTextSearch ? { score: -1, ...sort } : sort },
+    { $limit: limit },
+  ]);
+};
+
+// --- MAIN EXPORT FUNCTION ---
+
+/**
+ * Searches entries together with their version history, for text that may only
+ * exist in an older revision. Results are grouped by entry and ranked by their
+ * best match (relevance for text searches, otherwise the most recent activity).
+ *
+ * Each group contains the entry, whether its current text matches
+ * (`currentMatch`, with `highlights`), and the matching versions, each with its
+ * `_id`, `createdAt`, `source`, `note`, `pinned` flag and `highlights`, so a
+ * client can open it with `GET /api/versions/:entryId/:versionId` or restore it
+ * with `POST /api/versions/:entryId/restore/:versionId`.
+ *
+ * Parameters: the `searchEntries` filters, plus `page` and `limit` (of groups).
+ *
+ * At most MAX_VERSION_HITS current entries and versions are considered, best
+ * matches first. When either cap is reached, `pagination.totalCapped` is true:
+ * `totalResults` and `totalPages` are then lower bounds, and a narrower query
+ * finds the matches left out.
+ *
+ * @param {object} params - The search parameters (e.g. `req.query`).
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @returns {Promise<{results: Array<object>, pagination: object}>}
+ * @throws {Error} 400 without a keyword query, or as `buildSearchFilter`.
+ */
+const searchVersionHistory = async (params, req, res) => {
+  if (!params.q) {
+    res.status(400);
+    throw new Error('Searching version history requires a keyword query (q).');
+  }
+
+  const page = Math.max(parseInt(params.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const entryFilter = await buildSearchFilter(params, req);
+  const versionFilter = await buildVersionSearchFilter(params, req);
+
+  const [currentHits, versionHits] = await Promise.all([
+    findMatches(Entry, entryFilter, { updatedAt: -1 }, MAX_VERSION_HITS),
+    findMatches(Version, versionFilter, { createdAt: -1 }, MAX_VERSION_HITS),
+  ]);
+
+  // Group the hits by entry
+  const terms = extractSearchTerms(params.q, params.exactMatch === 'true');
+  const groups = new Map();
+  const groupFor = (entryId) => {
+    const key = entryId.toString();
+    if (!groups.has(key)) {
+      groups.set(key, { entryId, currentMatch: null, versions: [], score: 0, lastActivity: new Date(0) });
+    }
+    return groups.get(key);
+  };
+
+  for (const hit of currentHits) {
+    const group = groupFor(hit._id);
+    group.currentMatch = { score: hit.score, highlights: buildHighlights(hit, terms) };
+    group.score = Math.max(group.score, hit.score);
+    group.lastActivity = hit.updatedAt;
+  }
+  for (const hit of versionHits) {
+    const group = groupFor(hit.entry);
+    group.versions.push({
+      _id: hit._id,
+      createdAt: hit.createdAt,
+      source: hit.source,
+      note: hit.note,
+      pinned: hit.pinned,
+      title: hit.title,
+      score: hit.score,
+      highlights: buildHighlights(hit, terms),
+    });
+    group.score = Math.max(group.score, hit.score);
+    if (hit.createdAt > group.lastActivity) group.lastActivity = hit.createdAt;
+  }
+
+  const totalCapped = currentHits.length === MAX_VERSION_HITS || versionHits.length === MAX_VERSION_HITS;
+  const ranked = [...groups.values()].sort((a, b) => b.score - a.score || b.lastActivity - a.lastActivity);
+  const pageGroups = ranked.slice((page - 1) * limit, page * limit);
+
+  // Load the entries shown on this page
+  const entries = await Entry.find({ _id: { $in: pageGroups.map((group) => group.entryId) } })
+    .select('title tags mood notebook revision createdAt updatedAt')
+    .lean();
+  const entriesById = new Map(entries.map((entry) => [entry._id.toString(), entry]));
+
+  const results = pageGroups.map((group) => ({
+    entry: entriesById.get(group.entryId.toString()),
+    currentMatch: group.currentMatch,
+    totalVersionMatches: group.versions.length,
+    versions: group.versions.slice(0, MAX_VERSIONS_PER_ENTRY),
+  }));
+
+  return {
+    results,
+    pagination: {
+      page,
+      limit,
+      totalResults: ranked.length,
+      totalPages: Math.ceil(ranked.length / limit),
+      totalCapped,
+    },
+  };
+};
+
+export { searchVersionHistory };
@@ -0,0 +1,20 @@
+// =================================================================
+// BATCHBOOK API | WORD COUNT UTILITY (utils/wordCount.js)
+// =================================================================
+
+/**
+ * Counts the words in a piece of text, splitting on any run of whitespace.
+ * @param {string} text - The text to count.
+ * @returns {number} The number of words (0 for empty or missing text).
+ */
+const countWords = (text) => (text ? text.split(/\s+/).filter(Boolean).length : 0);
+
+/**
+ * The number of words in an entry: counted from the content, or, for an end-to-end
+ * encrypted entry whose content is ciphertext, the count stored by the client.
+ * @param {object} entry - The entry (with `content`, `encryption` and `wordCount`).
+ * @returns {number}
+ */
+const countEntryWords = (entry) => (entry.encryption ? entry.wordCount || 0 : countWords(entry.content));
+
+export { countWords, countEntryWords };
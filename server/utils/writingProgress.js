@@ -0,0 +1,164 @@
+// =================================================================
+// BATCHBOOK API | WRITING PROGRESS UTILITY (utils/writingProgress.js)
+// =================================================================
+
+/*
+ * Streaks and goal progress. Days and weeks are calendar days and ISO weeks
+ * in the user's time zone; words are counted with `countWords` when an entry
+ * is saved (the stored `wordCount`), and attributed to the day it was created.
+ */
+
+import mongoose from 'mongoose';
+import Entry from '../models/Entry.js';
+import User from '../models/User.js';
+import { emitToUser } from '../realtime/notifier.js';
+import { DEFAULT_TIMEZONE, startOfDayInZone, formatDateInZone, addDays, nextDay, isoWeekOf } from './timezone.js';
+
+// --- CONSTANTS ---
+
+// The goals a user can set (see `goals` on the User model).
+const GOALS = ['entriesPerWeek', 'wordsPerDay'];
+
+// --- HELPER FUNCTIONS ---
+
+/**
+ * Counts the live entries and words per calendar day in a time zone.
+ * @param {string} userId - The owner of the entries.
+ * @param {string} timeZone - The IANA time zone name.
+ * @param {object} [createdAt] - An optional `createdAt` range condition.
+ * @returns {Promise<Array<{date: string, entries: number, words: number}>>} Days with entries, in ascending order.
+ */
+const countActivityByDay = async (userId, timeZone, createdAt) => {
+  const match = { user: new mongoose.Types.ObjectId(userId.toString()), deletedAt: null };
+  if (createdAt) match.createdAt = createdAt;
+
+  const days = await Entry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $dateToString: { date: '$createdAt', format: '%Y-%m-%d', timezone: timeZone } },
+        entries: { $sum: 1 },
+        words: { $sum: { $ifNull: ['$wordCount', 0] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+  return days.map(({ _id, entries, words }) => ({ date: _id, entries, words }));
+};
+
+/**
+ * Finds the current and longest streaks of consecutive days with at least one entry.
+ * The current streak stays alive through today until the day is over, so it
+ * counts if the last entry was written yesterday.
+ *
+ * @param {Array<string>} dates - Days with entries (YYYY-MM-DD), in ascending order.
+ * @param {string} today - Today's date in the user's time zone.
+ * @returns {{current: object, longest: object}} Streaks as `{ length, start, end }`.
+ */
+const computeStreaks = (dates, today) => {
+  const empty = { length: 0, start: null, end: null };
+  let longest = empty;
+  let run = empty;
+
+  for (const date of dates) {
+    run = run.end && nextDay(run.end) === date
+      ? { ...run, length: run.length + 1, end: date }
+      : { length: 1, start: date, end: date };
+    if (run.length > longest.length) longest = run;
+  }
+
+  const isAlive = run.end === today || run.end === addDays(today, -1);
+  return { current: isAlive ? run : empty, longest };
+};
+
+// --- MAIN EXPORT FUNCTIONS ---
+
+/**
+ * Reports a user's progress towards their goals for the current day and week.
+ *
+ * @param {object} user - The user document (with `goals` and `timezone`).
+ * @param {object} [options]
+ * @param {string} [options.timeZone] - Overrides the user's time zone.
+ * @param {Date} [options.now=new Date()] - The current time.
+ * @returns {Promise<object>} `{ timeZone, goals, progress: { wordsPerDay, entriesPerWeek } }`.
+ */
+const getGoalProgress = async (user, { timeZone = user.timezone || DEFAULT_TIMEZONE, now = new Date() } = {}) => {
+  const today = formatDateInZone(now, timeZone);
+  const week = isoWeekOf(today);
+
+  const days = await countActivityByDay(user._id, timeZone, {
+    $gte: startOfDayInZone(week.start, timeZone),
+    $lt: startOfDayInZone(addDays(week.start, 7), timeZone),
+  });
+  const wordsToday = days.find((day) => day.date === today)?.words || 0;
+  const entriesThisWeek = days.reduce((sum, day) => sum + day.entries, 0);
+
+  const describe = (target, current) => ({
+    target: target || null,
+    current,
+    met: target ? current >= target : null,
+    remaining: target ? Math.max(target - current, 0) : null,
+  });
+
+  return {
+    timeZone,
+    goals: { entriesPerWeek: user.goals?.entriesPerWeek || null, wordsPerDay: user.goals?.wordsPerDay || null },
+    progress: {
+      wordsPerDay: { date: today, ...describe(user.goals?.wordsPerDay, wordsToday) },
+      entriesPerWeek: { week: week.key, weekStart: week.start, ...describe(user.goals?.entriesPerWeek, entriesThisWeek) },
+    },
+  };
+};
+
+/**
+ * Reports a user's current and longest writing streaks.
+ * @param {object} user - The user document.
+ * @param {object} [options]
+ * @param {string} [options.timeZone] - Overrides the user's time zone.
+ * @param {Date} [options.now=new Date()] - The current time.
+ * @returns {Promise<object>} `{ timeZone, current, longest, activeDays }`.
+ */
+const getStreaks = async (user, { timeZone = user.timezone || DEFAULT_TIMEZONE, now = new Date() } = {}) => {
+  const days = await countActivityByDay(user._id, timeZone);
+  const streaks = computeStreaks(days.map((day) => day.date), formatDateInZone(now, timeZone));
+  return { timeZone, ...streaks, activeDays: days.length };
+};
+
+/**
+ * Checks whether a user has just reached one of their goals, and if so sends a
+ * `goalReached` event to their connected clients. Each goal is celebrated at
+ * most once per period (day or week), even when several saves race.
+ *
+ * Call after an entry is created or saved; failures should be logged rather
+ * than fail the write.
+ *
+ * @param {string} userId - The user who wrote.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Promise<Array<string>>} The goals that were newly reached.
+ */
+const checkGoalsReached = async (userId, now = new Date()) => {
+  const user = await User.findById(userId).select('goals goalsReachedFor timezone');
+  if (!user || !GOALS.some((goal) => user.goals?.[goal])) return [];
+
+  const { timeZone, progress } = await getGoalProgress(user, { now });
+  const reached = [];
+
+  for (const goal of GOALS) {
+    const { met, target, current } = progress[goal];
+    const period = goal === 'wordsPerDay' ? progress[goal].date : progress[goal].week;
+    if (!met || user.goalsReachedFor?.[goal] === period) continue;
+
+    // Only the request that records the period first sends the notification
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, [`goalsReachedFor.${goal}`]: { $ne: period } },
+      { $set: { [`goalsReachedFor.${goal}`]: period } }
+    );
+    if (modifiedCount === 1) {
+      reached.push(goal);
+      emitToUser(user._id, 'goalReached', { goal, target, current, period, timeZone });
+    }
+  }
+  return reached;
+};
+
+export { GOALS, countActivityByDay, computeStreaks, getGoalProgress, getStreaks, checkGoalsReached };
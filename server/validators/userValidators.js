@@ -7,6 +7,7 @@
 // -----------------------------------------------------------------
 
 import { body, validationResult } from 'express-validator';
+import { isValidTimeZone } from '../utils/timezone.js';
 
 // -----------------------------------------------------------------
 // VALIDATION RESULT HANDLER
@@ -90,6 +91,21 @@ const validateUpdateProfile = [
     .isLength({ min: 6 })
     .withMessage('Password must be at least 6 characters long.'),
 
+  body('versionRetention.keepLast')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('versionRetention.keepLast must be a positive integer.'),
+
+  body('versionRetention.keepDailyDays')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('versionRetention.keepDailyDays must be a non-negative integer.'),
+
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('timezone must be a valid IANA time zone, e.g. "Europe/London".'),
+
   handleValidationErrors,
 ];
 